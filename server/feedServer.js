@@ -0,0 +1,144 @@
+// Local calendar feed server
+//
+// Selframe keeps its data in the browser, which calendar clients can't reach. This small
+// server holds the coverage calendar the app publishes (see src/lib/coverageIcs.js) and
+// serves it at http://127.0.0.1:5174/selframe.ics, so calendar apps on this machine can
+// subscribe to it. ?categories=therapy,exercise keeps only the activities and influence
+// spans of those category ids.
+//
+//   npm run feed
+//
+// Environment:
+//   SELFRAME_FEED_PORT     port to listen on (5174)
+//   SELFRAME_FEED_FILE     where the latest published calendar is kept (~/.selframe-feed.ics)
+//   SELFRAME_APP_ORIGINS   comma-separated origins allowed to publish
+//                          (http://localhost:5173,http://localhost:4173)
+
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { readFile, writeFile } from 'node:fs/promises'
+import { pathToFileURL } from 'node:url'
+
+export const FEED_PATH = '/selframe.ics'
+const DEFAULT_PORT = 5174
+const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://localhost:4173']
+
+// Larger uploads are refused; a feed of many years of activities is still far below this
+const MAX_FEED_BYTES = 20 * 1024 * 1024
+
+const CALENDAR_HEADERS = { 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'no-cache' }
+
+// Keep only the VEVENT blocks whose X-SELFRAME-CATEGORY is one of categoryIds
+export const filterByCategories = (text, categoryIds) => {
+  const lines = text.replace(/\r\n[ \t]/g, '').split('\r\n')
+  const output = []
+  let block = null
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      block = [line]
+    } else if (block) {
+      block.push(line)
+      if (line === 'END:VEVENT') {
+        const categoryLine = block.find(blockLine => blockLine.startsWith('X-SELFRAME-CATEGORY:'))
+        const category = categoryLine ? categoryLine.slice('X-SELFRAME-CATEGORY:'.length).replace(/\\(.)/g, '$1') : null
+        if (categoryIds.includes(category)) output.push(...block)
+        block = null
+      }
+    } else {
+      output.push(line)
+    }
+  })
+
+  return output.join('\r\n')
+}
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = []
+  let size = 0
+  request.on('data', chunk => {
+    size += chunk.length
+    if (size > MAX_FEED_BYTES) {
+      reject(new Error('Feed too large'))
+      request.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+  request.on('error', reject)
+})
+
+const readFeed = async (feedFile) => {
+  try {
+    return await readFile(feedFile, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// The request handler: GET serves the feed to anyone on this machine, PUT replaces it
+// and is only accepted from the app's origins
+export const createFeedServer = ({ feedFile, allowedOrigins = DEFAULT_ORIGINS }) => {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost')
+    const origin = request.headers.origin
+    const corsHeaders = origin && allowedOrigins.includes(origin)
+      ? {
+          'Access-Control-Allow-Origin': origin,
+          'Access-Control-Allow-Methods': 'GET, PUT',
+          'Access-Control-Allow-Headers': 'Content-Type',
+          // Lets the deployed app (a public origin) publish to this machine in Chrome
+          'Access-Control-Allow-Private-Network': 'true',
+          Vary: 'Origin'
+        }
+      : {}
+    const send = (status, body, headers = { 'Content-Type': 'text/plain; charset=utf-8' }) => {
+      response.writeHead(status, { ...headers, ...corsHeaders })
+      response.end(body)
+    }
+
+    if (url.pathname !== FEED_PATH) return send(404, 'Not found')
+
+    try {
+      if (request.method === 'OPTIONS') return send(204, '')
+
+      if (request.method === 'PUT') {
+        if (!origin || !allowedOrigins.includes(origin)) return send(403, 'This origin may not publish the feed')
+        const text = await readBody(request)
+        if (!text.startsWith('BEGIN:VCALENDAR')) return send(400, 'Not an iCalendar file')
+        await writeFile(feedFile, text, 'utf8')
+        return send(204, '')
+      }
+
+      if (request.method === 'GET' || request.method === 'HEAD') {
+        const text = await readFeed(feedFile)
+        if (text === null) return send(404, 'Open Selframe and turn on publishing to create the feed.')
+        const categories = url.searchParams.get('categories')
+        const body = categories ? filterByCategories(text, categories.split(',')) : text
+        return send(200, request.method === 'HEAD' ? '' : body, CALENDAR_HEADERS)
+      }
+
+      return send(405, 'Method not allowed')
+    } catch (error) {
+      console.error('Feed request failed:', error)
+      return send(500, error.message)
+    }
+  })
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.SELFRAME_FEED_PORT) || DEFAULT_PORT
+  const feedFile = process.env.SELFRAME_FEED_FILE || path.join(os.homedir(), '.selframe-feed.ics')
+  const allowedOrigins = process.env.SELFRAME_APP_ORIGINS
+    ? process.env.SELFRAME_APP_ORIGINS.split(',').map(origin => origin.trim())
+    : DEFAULT_ORIGINS
+
+  // Only this machine can reach it
+  createFeedServer({ feedFile, allowedOrigins }).listen(port, '127.0.0.1', () => {
+    console.log(`Selframe feed: http://127.0.0.1:${port}${FEED_PATH} (stored in ${feedFile})`)
+    console.log(`Publishing allowed from ${allowedOrigins.join(', ')}`)
+  })
+}
@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { FEED_PATH, createFeedServer, filterByCategories } from './feedServer'
+
+const APP_ORIGIN = 'http://localhost:5173'
+
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:selframe-1@selframe',
+  'SUMMARY:Therapy',
+  'X-SELFRAME-CATEGORY:therapy',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:selframe-2@selframe',
+  'SUMMARY:Run',
+  'X-SELFRAME-CATEGORY:exercise',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n')
+
+describe('filterByCategories', () => {
+  it('keeps only the events of the given categories', () => {
+    const filtered = filterByCategories(CALENDAR, ['exercise'])
+    expect(filtered).toContain('SUMMARY:Run')
+    expect(filtered).not.toContain('SUMMARY:Therapy')
+    expect(filtered.startsWith('BEGIN:VCALENDAR')).toBe(true)
+    expect(filtered.endsWith('END:VCALENDAR')).toBe(true)
+  })
+})
+
+describe('createFeedServer', () => {
+  let directory
+  let server
+  let feedUrl
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'selframe-feed-'))
+    server = createFeedServer({ feedFile: path.join(directory, 'feed.ics'), allowedOrigins: [APP_ORIGIN] })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    feedUrl = `http://127.0.0.1:${server.address().port}${FEED_PATH}`
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  const publish = (origin = APP_ORIGIN, body = CALENDAR) => fetch(feedUrl, {
+    method: 'PUT',
+    headers: { Origin: origin, 'Content-Type': 'text/calendar' },
+    body
+  })
+
+  it('serves the published calendar, filtered by category on request', async () => {
+    expect((await fetch(feedUrl)).status).toBe(404)
+
+    expect((await publish()).status).toBe(204)
+
+    const response = await fetch(feedUrl)
+    expect(response.headers.get('content-type')).toContain('text/calendar')
+    expect(await response.text()).toBe(CALENDAR)
+
+    const filtered = await (await fetch(`${feedUrl}?categories=therapy`)).text()
+    expect(filtered).toContain('SUMMARY:Therapy')
+    expect(filtered).not.toContain('SUMMARY:Run')
+  })
+
+  it('only accepts calendars published from the app', async () => {
+    expect((await publish('http://example.com')).status).toBe(403)
+    expect((await publish(APP_ORIGIN, 'hello')).status).toBe(400)
+    expect((await fetch(feedUrl)).status).toBe(404)
+  })
+})
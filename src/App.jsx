@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
@@ -7,83 +7,336 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Badge } from '@/components/ui/badge'
 import { Slider } from '@/components/ui/slider'
 import { Switch } from '@/components/ui/switch'
-import { X, Download, Upload, Database } from 'lucide-react'
+import { X, Download, Upload, Database, Undo2, Redo2, FileSpreadsheet, CalendarDays } from 'lucide-react'
 import Charts from './components/Charts'
 import Calendar from './components/Calendar'
-// import GoogleCalendarSync from './components/GoogleCalendarSync' // Disabled for now
+import CategoryManager from './components/CategoryManager'
+import ScoringSettings from './components/ScoringSettings'
+import CheckIn from './components/CheckIn'
+import UndoToast from './components/UndoToast'
+import BackupsPanel from './components/BackupsPanel'
+import CsvImportWizard from './components/CsvImportWizard'
+import RecurringDeletePrompt from './components/RecurringDeletePrompt'
+import CoverageIcsPanel from './components/CoverageIcsPanel'
+import GoogleCalendarSync from './components/GoogleCalendarSync'
+import ImportRules from './components/ImportRules'
+import ImportReviewQueue from './components/ImportReviewQueue'
+import GoalsCard from './components/GoalsCard'
+import Planner from './components/Planner'
+import ScenarioPlanner from './components/ScenarioPlanner'
+import TimeZoneSettings from './components/TimeZoneSettings'
 import { StorageManager } from './lib/storage'
+import {
+  calculateRippleScore,
+  DEFAULT_SCORING_SETTINGS,
+  durationToMinutes,
+  getDurationBetween,
+  hasStartTime,
+  isValidTime,
+  minutesToTime,
+  timeToMinutes
+} from './lib/scoring'
+import { DEFAULT_CATEGORIES, getActiveCategories, mergeCategories } from './lib/categories'
+import { getCurrentMinutes, getToday, getWeekday, setTimeZone, toDateString } from './lib/dates'
+import { upsertCheckIn, removeCheckIn } from './lib/checkIns'
+import { publishCoverageFeed } from './lib/coverageIcs'
+import {
+  EMPTY_IMPORT_QUEUE,
+  getImportKey,
+  enqueueImports,
+  withdrawImports,
+  updateQueuedEvent,
+  acceptImports,
+  ignoreImports,
+  clearIgnoredImports
+} from './lib/importQueue'
+import { getActivityMoodChanges, getImpactSuggestions, findImpactSuggestion } from './lib/insights'
+import {
+  createCommand,
+  applyCommand,
+  revertCommand,
+  pushCommand,
+  undoHistory,
+  redoHistory,
+  canUndo,
+  canRedo,
+  loadHistory,
+  saveHistory,
+  touchChangedEvents
+} from './lib/history'
+import {
+  expandEvents,
+  createRecurrence,
+  updateOccurrence,
+  patchOccurrence,
+  cancelOccurrence,
+  truncateSeries,
+  splitSeries,
+  shiftDate
+} from './lib/recurrence'
+import { promoteScenario, removeScenario } from './lib/scenarios'
 
-// Helper function to convert HH:MM duration to minutes
-const durationToMinutes = (duration) => {
-  if (!duration) return 60; // Default to 1 hour if no duration
-  const [hours, minutes] = duration.split(':').map(Number);
-  return hours * 60 + minutes;
-}
+const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S']
+
+// The current time rounded down to a quarter hour, as a start time for new activities
+const getCurrentStartTime = () => minutesToTime(Math.floor(getCurrentMinutes() / 15) * 15)
+
+// End time reached by running for `duration` from `startTime`, wrapping past midnight
+const getEndTimeAfter = (startTime, duration) => minutesToTime(timeToMinutes(startTime) + durationToMinutes(duration), { wrap: true })
+
+// Initial values for the add/edit activity form
+const getDefaultFormData = (categories = DEFAULT_CATEGORIES) => ({
+  name: '',
+  category: getActiveCategories(categories)[0]?.id || '',
+  date: getToday(),
+  startTime: getCurrentStartTime(),
+  endTime: '',
+  duration: '01:00',
+  isAllDay: false,
+  impact: 5,
+  reachValue: 1,
+  reachUnit: 'days',
+  repeat: 'none',
+  repeatInterval: 1,
+  repeatWeekdays: [],
+  repeatEnd: 'never',
+  repeatUntil: '',
+  repeatCount: 10
+})
 
-// Helper function to convert reach value + unit to days
-const reachToDays = (reachValue, reachUnit) => {
-  const value = Number(reachValue) || 1;
-  switch (reachUnit) {
-    case 'days': return value;
-    case 'weeks': return value * 7;
-    case 'months': return value * 30; // approximate
-    case 'years': return value * 365;
-    default: return value; // default to days
+// Form fields describing how an event repeats
+const getRecurrenceFormData = (recurrence) => {
+  if (!recurrence) {
+    return { repeat: 'none', repeatInterval: 1, repeatWeekdays: [], repeatEnd: 'never', repeatUntil: '', repeatCount: 10 }
+  }
+  return {
+    repeat: recurrence.freq,
+    repeatInterval: recurrence.interval || 1,
+    repeatWeekdays: recurrence.byWeekday || [],
+    repeatEnd: recurrence.count ? 'count' : recurrence.until ? 'until' : 'never',
+    repeatUntil: recurrence.until || '',
+    repeatCount: recurrence.count || 10
   }
 }
 
-// Helper function to calculate impact from duration and reach
-// Formula: impact = 1 / (duration_in_minutes / reach_in_days)
-const calculateImpact = (duration, isAllDay, reachValue, reachUnit) => {
-  const durationMinutes = isAllDay ? (8 * 60) : durationToMinutes(duration); // 8 hours for all-day
-  const reachDays = reachToDays(reachValue, reachUnit);
-  
-  if (durationMinutes === 0) return 0;
-  const impact = 1 / (durationMinutes / reachDays);
-  
-  return impact.toFixed(2);
-}
+// Occurrences expanded from a recurring series carry the id of their series
+const isOccurrence = (event) => event?.seriesId !== undefined && event?.seriesId !== null
 
-// Helper function to calculate ripple score
-// Formula: RS = Impact * log(1 + Duration) * f(Reach)
-const calculateRippleScore = (impact, duration, isAllDay, reachValue, reachUnit) => {
-  const durationMinutes = isAllDay ? (8 * 60) : durationToMinutes(duration); // 8 hours for all-day
-  const reachDays = reachToDays(reachValue, reachUnit);
-  
-  // RS = Impact * log(1 + Duration) * f(Reach)
-  const rippleScore = impact * Math.log(1 + durationMinutes) * reachDays;
-  
-  return rippleScore.toFixed(1);
+// Attach (or remove) a recurrence rule, keeping any per-occurrence exceptions
+const withRecurrence = (event, recurrence, exceptions = {}) => {
+  const { recurrence: _previousRecurrence, ...rest } = event
+  return recurrence ? { ...rest, recurrence: { ...recurrence, exceptions } } : rest
 }
 
 function App() {
   const [events, setEvents] = useState([])
+  const [checkIns, setCheckIns] = useState([])
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES)
+  const [scoringSettings, setScoringSettings] = useState(DEFAULT_SCORING_SETTINGS)
+  const [importRules, setImportRules] = useState([])
+  const [importQueue, setImportQueue] = useState(EMPTY_IMPORT_QUEUE)
+  const [goals, setGoals] = useState([])
+  const [timeZone, setTimeZoneSetting] = useState(null) // null follows the device
+  const [feedServerUrl, setFeedServerUrl] = useState(null) // Local feed server the coverage calendar is published to
+  const [feedStatus, setFeedStatus] = useState(null) // Result of the last publish
+  const [scenarios, setScenarios] = useState([]) // What-if scenarios, only kept for this session
+  const [activeScenarioId, setActiveScenarioId] = useState(null) // Scenario previewed in the calendar and charts
+  const [isLoaded, setIsLoaded] = useState(false)
   const [storageInfo, setStorageInfo] = useState(null)
-  const [formData, setFormData] = useState({
-    name: '',
-    category: 'therapy',
-    date: new Date().toISOString().split('T')[0],
-    duration: '01:00',
-    isAllDay: false,
-    impact: 5,
-    reachValue: 1,
-    reachUnit: 'days'
-  })
+  const [formData, setFormData] = useState(getDefaultFormData)
+  const [editingEvent, setEditingEvent] = useState(null)
+  const [editScope, setEditScope] = useState('this') // For recurring occurrences: 'this' | 'future' | 'all'
+  const formRef = useRef(null)
+  const [history, setHistory] = useState(loadHistory)
+  const [undoToast, setUndoToast] = useState(null)
+  const [csvImport, setCsvImport] = useState(null) // { rows, fileName } while the CSV import wizard is open
+  const [pendingDelete, setPendingDelete] = useState(null) // Recurring occurrence waiting for the delete scope
+  const previousEventsRef = useRef(null) // Events as of the last recorded change
+  const pendingLabelRef = useRef(null) // Description of the change about to be made
+  const skipHistoryRef = useRef(false) // Set while undoing/redoing so the change isn't recorded again
 
   // Load events from storage on component mount
   useEffect(() => {
-    const savedEvents = StorageManager.loadEvents()
-    setEvents(savedEvents)
-    setStorageInfo(StorageManager.getStorageInfo())
+    let cancelled = false
+    const loadSavedEvents = async () => {
+      const [savedEvents, savedCheckIns, savedCategories, savedScoringSettings, savedImportRules, savedImportQueue, savedGoals, savedTimeZone, savedFeedServerUrl] = await Promise.all([
+        StorageManager.loadEvents(),
+        StorageManager.loadCheckIns(),
+        StorageManager.loadCategories(),
+        StorageManager.loadScoringSettings(),
+        StorageManager.loadImportRules(),
+        StorageManager.loadImportQueue(),
+        StorageManager.loadGoals(),
+        StorageManager.loadTimeZone(),
+        StorageManager.loadCoverageFeedServer()
+      ])
+      if (cancelled) return
+      // The time zone is set first so everything below already sees the right "today"
+      setTimeZone(savedTimeZone)
+      setTimeZoneSetting(savedTimeZone)
+      setEvents(savedEvents)
+      setCheckIns(savedCheckIns)
+      setCategories(savedCategories)
+      setScoringSettings(savedScoringSettings)
+      setImportRules(savedImportRules)
+      setImportQueue(savedImportQueue)
+      setGoals(savedGoals)
+      setFeedServerUrl(savedFeedServerUrl)
+      setFormData(prev => ({ ...prev, category: getDefaultFormData(savedCategories).category }))
+      setIsLoaded(true)
+      setStorageInfo(await StorageManager.getStorageInfo())
+    }
+    loadSavedEvents()
+    return () => { cancelled = true }
   }, [])
 
   // Save events to storage whenever events change
   useEffect(() => {
-    if (events.length > 0) { // Only save if there are events to avoid overwriting with empty array on initial load
-      StorageManager.saveEvents(events)
-      setStorageInfo(StorageManager.getStorageInfo())
+    if (!isLoaded) return // Avoid overwriting stored data with the initial empty array before loading finishes
+    const persistEvents = async () => {
+      const result = await StorageManager.saveEvents(events)
+      if (result.success) {
+        await StorageManager.takeDueSnapshots(events)
+      } else {
+        console.error('Auto-save failed:', result.error)
+      }
+      setStorageInfo(await StorageManager.getStorageInfo())
+    }
+    persistEvents()
+  }, [events, isLoaded])
+
+  // Record every change to the events as an undoable command
+  useEffect(() => {
+    if (!isLoaded) return
+    const previous = previousEventsRef.current
+    previousEventsRef.current = events
+    if (previous === null || previous === events) return
+
+    const label = pendingLabelRef.current || 'Edit activities'
+    pendingLabelRef.current = null
+    if (skipHistoryRef.current) {
+      skipHistoryRef.current = false
+      return
+    }
+    const command = createCommand(label, previous, events)
+    if (command) setHistory(prev => pushCommand(prev, command))
+  }, [events, isLoaded])
+
+  // Keep the undo history for the rest of the session
+  useEffect(() => {
+    saveHistory(history)
+  }, [history])
+
+  // Save check-ins whenever they change
+  useEffect(() => {
+    if (!isLoaded) return
+    const persistCheckIns = async () => {
+      const result = await StorageManager.saveCheckIns(checkIns)
+      if (!result.success) {
+        console.error('Check-in auto-save failed:', result.error)
+      }
+      setStorageInfo(await StorageManager.getStorageInfo())
+    }
+    persistCheckIns()
+  }, [checkIns, isLoaded])
+
+  // Save the category registry whenever it changes
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveCategories(categories)
+  }, [categories, isLoaded])
+
+  // Save the scoring model settings whenever they change
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveScoringSettings(scoringSettings)
+  }, [scoringSettings, isLoaded])
+
+  // Save the import rules whenever they change
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveImportRules(importRules)
+  }, [importRules, isLoaded])
+
+  // Save the goals whenever they change
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveGoals(goals)
+  }, [goals, isLoaded])
+
+  // Save the chosen time zone whenever it changes
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveTimeZone(timeZone)
+  }, [timeZone, isLoaded])
+
+  // Save the coverage feed server whenever it changes
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveCoverageFeedServer(feedServerUrl)
+  }, [feedServerUrl, isLoaded])
+
+  // Republish the coverage feed shortly after activities or categories change
+  useEffect(() => {
+    if (!isLoaded || !feedServerUrl) return
+    const timer = setTimeout(async () => {
+      setFeedStatus({ ...(await publishCoverageFeed(feedServerUrl, events, categories)), at: new Date() })
+    }, 1000)
+    return () => clearTimeout(timer)
+  }, [events, categories, feedServerUrl, isLoaded])
+
+  // Save the import review queue whenever it changes
+  useEffect(() => {
+    if (!isLoaded) return
+    StorageManager.saveImportQueue(importQueue)
+  }, [importQueue, isLoaded])
+
+  // Change the events, describing the change for the undo history.
+  // Changed events are stamped with updatedAt unless the change carries its own timestamps (sync).
+  const updateEvents = (label, updater, { toast = false, touch = true } = {}) => {
+    pendingLabelRef.current = label
+    setEvents(prev => {
+      const next = typeof updater === 'function' ? updater(prev) : updater
+      return touch ? touchChangedEvents(prev, next) : next
+    })
+    if (toast) setUndoToast({ message: label, id: Date.now() })
+  }
+
+  const handleUndo = useCallback(() => {
+    if (!canUndo(history)) return
+    const command = history.past[history.past.length - 1]
+    skipHistoryRef.current = true
+    setEvents(prev => revertCommand(prev, command))
+    setHistory(undoHistory)
+    setUndoToast(null)
+  }, [history])
+
+  const handleRedo = useCallback(() => {
+    if (!canRedo(history)) return
+    const command = history.future[0]
+    skipHistoryRef.current = true
+    setEvents(prev => applyCommand(prev, command))
+    setHistory(redoHistory)
+  }, [history])
+
+  const dismissUndoToast = useCallback(() => setUndoToast(null), [])
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return
+      const target = e.target
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return
+      e.preventDefault()
+      if (e.shiftKey) {
+        handleRedo()
+      } else {
+        handleUndo()
+      }
     }
-  }, [events])
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [handleUndo, handleRedo])
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
@@ -93,6 +346,29 @@ function App() {
     }))
   }
 
+  // Start, end and duration stay consistent: an end time sets the duration, and moving the
+  // start or changing the duration moves the end time along
+  const handleTimeChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => {
+      const next = { ...prev, [name]: value }
+      if (name === 'endTime' && isValidTime(next.startTime) && isValidTime(value)) {
+        next.duration = getDurationBetween(next.startTime, value)
+      } else if (name !== 'endTime' && isValidTime(next.startTime) && next.endTime && durationToMinutes(next.duration) > 0) {
+        next.endTime = getEndTimeAfter(next.startTime, next.duration)
+      }
+      return next
+    })
+  }
+
+  // Switch the zone used for "today" and for calendar times; a form date still at today follows it
+  const handleTimeZoneChange = (nextTimeZone) => {
+    const previousToday = getToday()
+    setTimeZone(nextTimeZone)
+    setTimeZoneSetting(nextTimeZone)
+    setFormData(prev => prev.date === previousToday ? { ...prev, date: getToday() } : prev)
+  }
+
   const handleCategoryChange = (value) => {
     setFormData(prev => ({
       ...prev,
@@ -121,6 +397,12 @@ function App() {
     }))
   }
 
+  // Impact ratings that check-ins suggest recalibrating (only past occurrences can be measured)
+  const impactSuggestions = useMemo(() => {
+    return getImpactSuggestions(getActivityMoodChanges(expandEvents(events, { horizonDays: 0 }), checkIns))
+  }, [events, checkIns])
+  const impactSuggestion = findImpactSuggestion(impactSuggestions, formData.name, formData.category)
+
   const handleImpactChange = (value) => {
     setFormData(prev => ({
       ...prev,
@@ -138,32 +420,175 @@ function App() {
         formData.reachValue, 
         formData.reachUnit
       )
-      const newEvent = {
-        id: Date.now(),
-        ...formData,
+      const { repeat, repeatInterval, repeatWeekdays, repeatEnd, repeatUntil, repeatCount, ...activityFields } = formData
+      // Times only apply to timed activities; an end time needs a start time
+      const startTime = !formData.isAllDay && isValidTime(formData.startTime) ? formData.startTime : null
+      const eventFields = {
+        ...activityFields,
+        startTime,
+        endTime: startTime && isValidTime(formData.endTime) ? formData.endTime : null,
+        reachValue: Number(formData.reachValue) || 1,
         rippleScore: parseFloat(rippleScore)
       }
-      setEvents(prev => [newEvent, ...prev])
-      setFormData({
-        name: '',
-        category: 'therapy',
-        date: new Date().toISOString().split('T')[0],
-        duration: '01:00',
-        isAllDay: false,
-        impact: 5,
-        reachValue: 1,
-        reachUnit: 'days'
+      const recurrence = repeat === 'none' ? null : createRecurrence({
+        freq: repeat,
+        interval: repeatInterval,
+        byWeekday: repeatWeekdays,
+        until: repeatEnd === 'until' ? repeatUntil : null,
+        count: repeatEnd === 'count' ? repeatCount : null
       })
+
+      if (isOccurrence(editingEvent)) {
+        applyOccurrenceEdit(editingEvent, eventFields, recurrence)
+      } else if (editingEvent) {
+        // Keep id, googleEventId and any other stored fields so sync links and history survive the edit
+        updateEvents(`Edit "${eventFields.name}"`, prev => prev.map(event =>
+          event.id === editingEvent.id
+            ? withRecurrence({ ...event, ...eventFields }, recurrence, event.recurrence?.exceptions)
+            : event
+        ))
+      } else {
+        const newEvent = withRecurrence({
+          id: Date.now(),
+          ...eventFields
+        }, recurrence)
+        updateEvents(`Add "${newEvent.name}"`, prev => [newEvent, ...prev])
+      }
+      setEditingEvent(null)
+      setFormData(getDefaultFormData(categories))
+    }
+  }
+
+  // Apply an edit made to one occurrence of a recurring series, honouring the chosen scope
+  const applyOccurrenceEdit = (occurrence, eventFields, recurrence) => {
+    const { seriesId, occurrenceDate } = occurrence
+    updateEvents(`Edit "${eventFields.name}"`, prev => prev.flatMap(event => {
+      if (event.id !== seriesId) return [event]
+      const exceptions = event.recurrence?.exceptions || {}
+
+      if (editScope === 'this') {
+        return [updateOccurrence(event, occurrenceDate, eventFields)]
+      }
+      if (editScope === 'future' && occurrenceDate !== event.date) {
+        if (!recurrence) {
+          // Stop repeating from here on: the edited occurrence becomes a one-off activity
+          const before = truncateSeries(event, occurrenceDate)
+          return [before, { ...eventFields, id: Date.now() }].filter(Boolean)
+        }
+        const { before, after } = splitSeries(event, occurrenceDate, { ...eventFields, recurrence }, Date.now())
+        return [before, after].filter(Boolean)
+      }
+      // Whole series: moving this occurrence moves the series start by the same amount
+      return [withRecurrence({
+        ...event,
+        ...eventFields,
+        date: shiftDate(event.date, occurrenceDate, eventFields.date)
+      }, recurrence, exceptions)]
+    }))
+  }
+
+  // Load an existing activity into the form for editing
+  const startEditingEvent = (event) => {
+    setEditingEvent(event)
+    setEditScope('this')
+    setFormData({
+      name: event.name,
+      category: event.category,
+      date: event.date,
+      startTime: hasStartTime(event) ? event.startTime : '',
+      endTime: hasStartTime(event) && event.endTime ? event.endTime : '',
+      duration: event.duration || '01:00',
+      isAllDay: !!event.isAllDay,
+      impact: event.impact,
+      reachValue: event.reachValue,
+      reachUnit: event.reachUnit || 'days',
+      ...getRecurrenceFormData(event.recurrence)
+    })
+    formRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  const cancelEditing = () => {
+    setEditingEvent(null)
+    setFormData(getDefaultFormData(categories))
+  }
+
+  // Keep the form on a valid category when the registry changes
+  const handleCategoriesChange = (nextCategories) => {
+    setCategories(nextCategories)
+    const activeIds = getActiveCategories(nextCategories).map(category => category.id)
+    setFormData(prev => activeIds.includes(prev.category) || editingEvent
+      ? prev
+      : { ...prev, category: activeIds[0] || '' })
+  }
+
+  // Move all activities from one category into another and drop the source category
+  const handleMergeCategories = (sourceId, targetId) => {
+    const merged = mergeCategories(categories, events, sourceId, targetId)
+    updateEvents('Merge categories', merged.events)
+    handleCategoriesChange(merged.categories)
+  }
+
+  // Delete an activity. For an occurrence of a series, first ask whether future occurrences go too.
+  const deleteEvent = (eventToDelete) => {
+    if (isOccurrence(eventToDelete)) {
+      setPendingDelete(eventToDelete)
+    } else {
+      removeEvent(eventToDelete)
     }
   }
 
-  const deleteEvent = (id) => {
-    setEvents(prev => prev.filter(event => event.id !== id))
+  // Delete an activity, or for an occurrence, only it (scope 'this') or it and the later ones ('future')
+  const removeEvent = (eventToDelete, scope = 'this') => {
+    const { seriesId, occurrenceDate } = eventToDelete
+    setPendingDelete(null)
+    if (isOccurrence(eventToDelete)) {
+      updateEvents(`Deleted "${eventToDelete.name}"`, prev => prev.flatMap(event => {
+        if (event.id !== seriesId) return [event]
+        if (scope === 'future') {
+          const before = truncateSeries(event, occurrenceDate)
+          return before ? [before] : []
+        }
+        return [cancelOccurrence(event, occurrenceDate)]
+      }), { toast: true })
+    } else {
+      updateEvents(`Deleted "${eventToDelete.name}"`, prev => prev.filter(event => event.id !== eventToDelete.id), { toast: true })
+    }
+
+    if (editingEvent && (editingEvent.id === eventToDelete.id || (isOccurrence(editingEvent) && editingEvent.seriesId === seriesId))) {
+      cancelEditing()
+    }
+  }
+
+  const handleRepeatChange = (value) => {
+    setFormData(prev => ({
+      ...prev,
+      repeat: value,
+      // Default weekly series to the weekday of the chosen date
+      repeatWeekdays: value === 'weekly' && prev.repeatWeekdays.length === 0
+        ? [getWeekday(prev.date)]
+        : prev.repeatWeekdays
+    }))
+  }
+
+  const toggleRepeatWeekday = (weekday) => {
+    setFormData(prev => ({
+      ...prev,
+      repeatWeekdays: prev.repeatWeekdays.includes(weekday)
+        ? prev.repeatWeekdays.filter(day => day !== weekday)
+        : [...prev.repeatWeekdays, weekday]
+    }))
+  }
+
+  const handleRepeatEndChange = (value) => {
+    setFormData(prev => ({
+      ...prev,
+      repeatEnd: value
+    }))
   }
 
   // Export events to JSON file
   const handleExportEvents = () => {
-    const result = StorageManager.exportEvents(events)
+    const result = StorageManager.exportEvents(events, checkIns, goals)
     if (result.success) {
       alert(`Events exported successfully as ${result.filename}`)
     } else {
@@ -176,14 +601,99 @@ function App() {
     const file = event.target.files[0]
     if (file) {
       StorageManager.importEvents(file)
-        .then(importedEvents => {
-          const confirmMessage = `Import ${importedEvents.length} events? This will add to your existing ${events.length} events.`
+        .then(({ events: importedEvents, checkIns: importedCheckIns, goals: importedGoals }) => {
+          const checkInText = importedCheckIns.length > 0 ? ` and ${importedCheckIns.length} check-ins` : ''
+          const confirmMessage = `Import ${importedEvents.length} events${checkInText}? This will add to your existing ${events.length} events.`
           if (window.confirm(confirmMessage)) {
             // Merge imported events with existing ones, avoiding duplicates
             const existingIds = new Set(events.map(e => e.id))
             const newEvents = importedEvents.filter(e => !existingIds.has(e.id))
-            setEvents(prev => [...newEvents, ...prev])
-            alert(`Successfully imported ${newEvents.length} new events`)
+            updateEvents(`Imported ${newEvents.length} events`, prev => [...newEvents, ...prev], { toast: newEvents.length > 0 })
+            // Check-ins already recorded here win over imported ones for the same day
+            const existingDates = new Set(checkIns.map(checkIn => checkIn.date))
+            const newCheckIns = importedCheckIns.filter(checkIn => !existingDates.has(checkIn.date))
+            setCheckIns(prev => newCheckIns.reduce(upsertCheckIn, prev))
+            // Goals are added unless one with the same id exists
+            const existingGoalIds = new Set(goals.map(goal => goal.id))
+            const newGoals = importedGoals.filter(goal => !existingGoalIds.has(goal.id))
+            if (newGoals.length > 0) setGoals(prev => [...prev, ...newGoals])
+            alert(`Successfully imported ${newEvents.length} new events${newCheckIns.length > 0 ? ` and ${newCheckIns.length} check-ins` : ''}`)
+          }
+        })
+        .catch(error => {
+          alert(`Import failed: ${error.message}`)
+        })
+    }
+    // Reset file input
+    event.target.value = ''
+  }
+
+  // Export events to CSV file
+  const handleExportCsv = () => {
+    const result = StorageManager.exportEventsCsv(events, categories)
+    if (result.success) {
+      alert(`Events exported successfully as ${result.filename}`)
+    } else {
+      alert(`Export failed: ${result.error}`)
+    }
+  }
+
+  // Read a CSV file and open the import wizard on it
+  const handleImportCsv = (event) => {
+    const file = event.target.files[0]
+    if (file) {
+      StorageManager.readCsvFile(file)
+        .then(rows => setCsvImport({ rows, fileName: file.name }))
+        .catch(error => {
+          alert(`Import failed: ${error.message}`)
+        })
+    }
+    // Reset file input
+    event.target.value = ''
+  }
+
+  // New events are added; rows matching existing events replace them when the user chose to update those
+  const handleCsvImported = (importedEvents, updatedEvents = []) => {
+    const updatedById = new Map(updatedEvents.map(event => [event.id, event]))
+    const label = updatedEvents.length > 0
+      ? `Imported ${importedEvents.length} events and updated ${updatedEvents.length} from CSV`
+      : `Imported ${importedEvents.length} events from CSV`
+    updateEvents(label, prev => [...importedEvents, ...prev.map(event => updatedById.get(event.id) || event)], { toast: true })
+    setCsvImport(null)
+  }
+
+  // Export events to iCalendar file
+  const handleExportIcs = () => {
+    const result = StorageManager.exportEventsIcs(events, categories)
+    if (result.success) {
+      alert(`Events exported successfully as ${result.filename}`)
+    } else {
+      alert(`Export failed: ${result.error}`)
+    }
+  }
+
+  // Import events from iCalendar file, skipping ones already imported before
+  const handleImportIcs = (event) => {
+    const file = event.target.files[0]
+    if (file) {
+      StorageManager.importEventsIcs(file, categories, importRules)
+        .then(calendarEvents => {
+          // Influence spans from a coverage calendar are derived from the activities, not imported
+          const importedEvents = calendarEvents.filter(e => !e.influenceOf)
+          // Events from other calendar apps are reviewed first; Selframe's own come straight back
+          const foreignEvents = importedEvents.filter(e => e.icalUid)
+          const existingIds = new Set(events.map(e => e.id))
+          const newEvents = importedEvents.filter(e => !e.icalUid && !existingIds.has(e.id))
+          const staged = foreignEvents.length > 0 ? handleStageImports(foreignEvents, file.name, 'ical') : 0
+
+          const confirmMessage = `Import ${newEvents.length} events from ${file.name}?${newEvents.length < importedEvents.length - foreignEvents.length ? ` ${importedEvents.length - foreignEvents.length - newEvents.length} are already in Selframe.` : ''}`
+          if (newEvents.length > 0 && window.confirm(confirmMessage)) {
+            updateEvents(`Imported ${newEvents.length} events from ${file.name}`, prev => [...newEvents, ...prev], { toast: true })
+          } else if (newEvents.length === 0 && staged === 0) {
+            alert('No new events found in this calendar file.')
+          }
+          if (staged > 0) {
+            alert(`${staged} events from other calendar apps are waiting in Import Review.`)
           }
         })
         .catch(error => {
@@ -196,64 +706,99 @@ function App() {
 
   // Clear all data
   const handleClearAllData = () => {
-    const confirmMessage = `⚠️ Are you sure you want to delete ALL ${events.length} events? This action cannot be undone.`
+    const confirmMessage = `⚠️ Are you sure you want to delete ALL ${events.length} events? Activities can be restored with Undo during this session or from Backups; check-ins are deleted permanently.`
     if (window.confirm(confirmMessage)) {
-      const doubleConfirm = window.confirm('This will permanently delete all your mental health data. Are you absolutely sure?')
+      const doubleConfirm = window.confirm('This will delete all your mental health data. Are you absolutely sure?')
       if (doubleConfirm) {
-        setEvents([])
-        StorageManager.clearAllData()
-        alert('All data has been cleared successfully.')
+        updateEvents(`Cleared ${events.length} events`, [], { toast: true })
+        setCheckIns([])
+        StorageManager.clearAllData().then(result => {
+          if (result.success) {
+            alert('All data has been cleared successfully.')
+          } else {
+            alert(`Failed to clear data: ${result.error}`)
+          }
+        })
       }
     }
   }
 
-  // Google Calendar handlers - Disabled for now
-  /*
-  const handleGoogleCalendarImport = (importedEvents) => {
-    try {
-      // Merge imported events with existing events
-      const existingIds = new Set(events.map(e => e.id))
-      const newEvents = importedEvents.filter(e => !existingIds.has(e.id))
-      
-      if (newEvents.length > 0) {
-        const updatedEvents = [...events, ...newEvents]
-        setEvents(updatedEvents)
-        StorageManager.saveEvents(updatedEvents)
-        setStorageInfo(StorageManager.getStorageInfo())
+  // Apply what an incremental Google sync changed locally, on top of any edits made meanwhile
+  const handleGoogleCalendarSync = (command) => {
+    updateEvents('Google Calendar sync', prev => applyCommand(prev, command), { toast: true, touch: false })
+  }
+
+  // Add the activities accepted in the planner
+  const handleAcceptPlan = (plannedEvents) => {
+    const label = plannedEvents.length === 1
+      ? `Plan "${plannedEvents[0].name}" on ${plannedEvents[0].date}`
+      : `Plan ${plannedEvents.length} activities`
+    updateEvents(label, prev => [...plannedEvents, ...prev], { toast: true })
+  }
+
+  // Change a few fields of one activity, or of just that occurrence of a recurring series
+  const patchEvent = (label, target, changes) => {
+    updateEvents(label, prev => prev.map(event => {
+      if (isOccurrence(target)) {
+        return event.id === target.seriesId ? patchOccurrence(event, target.occurrenceDate, changes) : event
       }
-    } catch (error) {
-      console.error('Failed to import Google Calendar events:', error)
-      alert('Failed to import events: ' + error.message)
-    }
+      return event.id === target.id ? { ...event, ...changes } : event
+    }), { toast: true })
   }
 
-  const handleGoogleCalendarExportComplete = (exportCount) => {
-    // Optional: Show success message or update UI
-    console.log(`Successfully exported ${exportCount} events to Google Calendar`)
+  // Activity dragged to another day in the calendar
+  const handleMoveEvent = (event, date) => {
+    patchEvent(`Move "${event.name}" to ${date}`, event, { date })
   }
-  */
 
-  const getCategoryVariant = (category) => {
-    switch (category) {
-      case 'therapy': return 'secondary'
-      case 'exercise': return 'default'
-      case 'quality time': return 'outline'
-      default: return 'secondary'
+  // Reach band of an activity dragged to a new length in the calendar heatmap
+  const handleChangeReach = (event, { reachValue, reachUnit }) => {
+    const rippleScore = calculateRippleScore(event.impact, event.duration, event.isAllDay, reachValue, reachUnit)
+    patchEvent(`Change reach of "${event.name}" to ${reachValue} ${reachUnit}`, event, {
+      reachValue,
+      reachUnit,
+      rippleScore: parseFloat(rippleScore)
+    })
+  }
+
+  // Turn a what-if scenario's activities into real ones; the scenario itself is done with
+  const handlePromoteScenario = (scenario) => {
+    updateEvents(`Add scenario "${scenario.name}"`, prev => [...promoteScenario(scenario), ...prev], { toast: true })
+    setScenarios(prev => removeScenario(prev, scenario.id))
+    if (activeScenarioId === scenario.id) setActiveScenarioId(null)
+  }
+
+  const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId) || null
+
+  // Put imported events from other calendar apps in the review queue; returns how many are new
+  const handleStageImports = (importedEvents, sourceName, source = 'google') => {
+    const result = enqueueImports(importQueue, importedEvents, events, { source, sourceName })
+    setImportQueue(result.queue)
+    return result.added
+  }
+
+  const handleAcceptImports = (keys) => {
+    const { queue, events: acceptedEvents } = acceptImports(importQueue, keys)
+    setImportQueue(queue)
+    // Keys are stable, so an event accepted elsewhere in the meantime isn't added twice
+    const existingKeys = new Set(events.map(getImportKey).filter(Boolean))
+    const newEvents = acceptedEvents.filter(event => !existingKeys.has(getImportKey(event)))
+    if (newEvents.length > 0) {
+      updateEvents(`Accepted ${newEvents.length} imported events`, prev => [...newEvents, ...prev], { toast: true })
     }
   }
 
-  const getCategoryColor = (category) => {
-    switch (category) {
-      case 'therapy': return 'bg-purple-100 text-purple-800 hover:bg-purple-200'
-      case 'exercise': return 'bg-green-100 text-green-800 hover:bg-green-200'
-      case 'quality time': return 'bg-blue-100 text-blue-800 hover:bg-blue-200'
-      default: return 'bg-gray-100 text-gray-800 hover:bg-gray-200'
+  const handleUpdateQueuedImport = (key, changes) => {
+    try {
+      setImportQueue(updateQueuedEvent(importQueue, key, changes))
+    } catch (error) {
+      alert(error.message)
     }
   }
 
   // Generate dummy data function
   const generateDummyData = () => {
-    const categories = ['therapy', 'exercise', 'quality time']
+    const dummyCategories = getActiveCategories(categories).map(category => category.id)
     const activityNames = {
       therapy: [
         'Meditation session', 'Therapy appointment', 'Journaling', 'Breathing exercises', 
@@ -285,16 +830,18 @@ function App() {
     for (let i = 0; i < totalEvents; i++) {
       // Random date within the last year
       const randomTime = oneYearAgo.getTime() + Math.random() * (now.getTime() - oneYearAgo.getTime())
-      const randomDate = new Date(randomTime).toISOString().split('T')[0]
+      const randomDate = toDateString(new Date(randomTime))
       
       // Random category and corresponding activity name
-      const category = categories[Math.floor(Math.random() * categories.length)]
-      const names = activityNames[category]
+      const category = dummyCategories[Math.floor(Math.random() * dummyCategories.length)]
+      const names = activityNames[category] || [`${categories.find(c => c.id === category).name} session`]
       const name = names[Math.floor(Math.random() * names.length)]
       
       // Random duration or all day (10% chance for all day)
       const isAllDay = Math.random() < 0.1
       const duration = isAllDay ? '01:00' : durations[Math.floor(Math.random() * durations.length)]
+      // Random start between 7:00 and 21:45 on the quarter hour
+      const startTime = isAllDay ? null : minutesToTime(7 * 60 + Math.floor(Math.random() * 60) * 15)
       
       // Random impact (1-10, weighted towards middle values)
       const impact = Math.max(1, Math.min(10, Math.round(Math.random() * 4 + Math.random() * 4 + 2)))
@@ -311,6 +858,8 @@ function App() {
         name,
         category,
         date: randomDate,
+        startTime,
+        endTime: startTime && getEndTimeAfter(startTime, duration),
         duration,
         isAllDay,
         impact,
@@ -324,7 +873,7 @@ function App() {
     
     // Sort by date (newest first) and add to existing events
     dummyEvents.sort((a, b) => new Date(b.date) - new Date(a.date))
-    setEvents(prev => [...dummyEvents, ...prev])
+    updateEvents(`Added ${dummyEvents.length} sample events`, prev => [...dummyEvents, ...prev], { toast: true })
   }
 
   return (
@@ -337,10 +886,10 @@ function App() {
 
                  <div className="grid xl:grid-cols-3 lg:grid-cols-2 gap-6">
            {/* Add Activity Form */}
-           <Card>
+           <Card ref={formRef}>
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
-                ➕ Add New Activity
+                {editingEvent ? '✏️ Edit Activity' : '➕ Add New Activity'}
               </CardTitle>
             </CardHeader>
             <CardContent>
@@ -364,9 +913,15 @@ function App() {
                       <SelectValue placeholder="Select a category" />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="therapy">Therapy</SelectItem>
-                      <SelectItem value="exercise">Exercise</SelectItem>
-                      <SelectItem value="quality time">Quality Time</SelectItem>
+                      {getActiveCategories(categories).map(category => (
+                        <SelectItem key={category.id} value={category.id}>{category.name}</SelectItem>
+                      ))}
+                      {/* Keep an archived category selectable while editing an activity that uses it */}
+                      {categories
+                        .filter(category => category.archived && category.id === formData.category)
+                        .map(category => (
+                          <SelectItem key={category.id} value={category.id}>{category.name} (archived)</SelectItem>
+                        ))}
                     </SelectContent>
                   </Select>
                 </div>
@@ -390,7 +945,7 @@ function App() {
                       name="duration"
                       type="time"
                       value={formData.duration}
-                      onChange={handleInputChange}
+                      onChange={handleTimeChange}
                       disabled={formData.isAllDay}
                       className="flex-1"
                     />
@@ -409,6 +964,37 @@ function App() {
                 </div>
                 </div>
 
+              {!formData.isAllDay && (
+                <div className='grid grid-cols-2 gap-4'>
+                  <div>
+                    <Label htmlFor="startTime">Start time</Label>
+                    <Input
+                      id="startTime"
+                      name="startTime"
+                      type="time"
+                      value={formData.startTime}
+                      onChange={handleTimeChange}
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="endTime">End time (optional)</Label>
+                    <Input
+                      id="endTime"
+                      name="endTime"
+                      type="time"
+                      value={formData.endTime}
+                      onChange={handleTimeChange}
+                      disabled={!formData.startTime}
+                    />
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {formData.endTime && formData.startTime && formData.endTime <= formData.startTime
+                        ? 'Ends the next day'
+                        : 'Sets the duration'}
+                    </p>
+                  </div>
+                </div>
+              )}
+
                                  <div>
                    <Label htmlFor="reach">How long will the benefits last?</Label>
                    <div className="flex items-center gap-2 mt-2">
@@ -456,18 +1042,161 @@ function App() {
                    <p className="text-xs text-muted-foreground mt-1">
                      How impactful was this activity for your mental health?
                    </p>
+                   {impactSuggestion && impactSuggestion.suggestedImpact !== formData.impact && (
+                     <div className="mt-2 p-2 bg-amber-50 border border-amber-200 rounded-md text-xs text-amber-900 flex items-center justify-between gap-2">
+                       <span>
+                         Your check-ins after "{impactSuggestion.name}" suggest an impact of about {impactSuggestion.suggestedImpact}/10
+                         ({impactSuggestion.sampleSize} times, {impactSuggestion.confidence} confidence).
+                       </span>
+                       <Button
+                         type="button"
+                         variant="outline"
+                         size="sm"
+                         onClick={() => handleImpactChange([impactSuggestion.suggestedImpact])}
+                       >
+                         Use {impactSuggestion.suggestedImpact}
+                       </Button>
+                     </div>
+                   )}
                  </div>
 
-                <Button type="submit" className="w-full">
-                  Add Activity
-                </Button>
+                {/* Recurrence */}
+                {!(isOccurrence(editingEvent) && editScope === 'this') && (
+                  <div>
+                    <Label htmlFor="repeat">Repeat</Label>
+                    <div className="flex items-center gap-2 mt-2">
+                      <Select value={formData.repeat} onValueChange={handleRepeatChange}>
+                        <SelectTrigger id="repeat" className="flex-1">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="none">Does not repeat</SelectItem>
+                          <SelectItem value="daily">Daily</SelectItem>
+                          <SelectItem value="weekly">Weekly</SelectItem>
+                          <SelectItem value="monthly">Monthly</SelectItem>
+                        </SelectContent>
+                      </Select>
+                      {formData.repeat !== 'none' && (
+                        <div className="flex items-center gap-2 text-sm text-gray-600">
+                          <span>every</span>
+                          <Input
+                            name="repeatInterval"
+                            type="number"
+                            min="1"
+                            value={formData.repeatInterval}
+                            onChange={handleInputChange}
+                            className="w-16"
+                          />
+                        </div>
+                      )}
+                    </div>
+
+                    {formData.repeat === 'weekly' && (
+                      <div className="flex gap-1 mt-2">
+                        {WEEKDAY_LABELS.map((label, weekday) => (
+                          <Button
+                            key={weekday}
+                            type="button"
+                            size="sm"
+                            variant={formData.repeatWeekdays.includes(weekday) ? 'default' : 'outline'}
+                            onClick={() => toggleRepeatWeekday(weekday)}
+                            className="w-8 px-0"
+                          >
+                            {label}
+                          </Button>
+                        ))}
+                      </div>
+                    )}
+
+                    {formData.repeat !== 'none' && (
+                      <div className="flex items-center gap-2 mt-2">
+                        <Select value={formData.repeatEnd} onValueChange={handleRepeatEndChange}>
+                          <SelectTrigger className="w-36">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="never">Never ends</SelectItem>
+                            <SelectItem value="until">Ends on</SelectItem>
+                            <SelectItem value="count">Ends after</SelectItem>
+                          </SelectContent>
+                        </Select>
+                        {formData.repeatEnd === 'until' && (
+                          <Input
+                            name="repeatUntil"
+                            type="date"
+                            min={formData.date}
+                            value={formData.repeatUntil}
+                            onChange={handleInputChange}
+                            required
+                            className="flex-1"
+                          />
+                        )}
+                        {formData.repeatEnd === 'count' && (
+                          <div className="flex items-center gap-2 flex-1 text-sm text-gray-600">
+                            <Input
+                              name="repeatCount"
+                              type="number"
+                              min="1"
+                              value={formData.repeatCount}
+                              onChange={handleInputChange}
+                              className="w-20"
+                            />
+                            <span>times</span>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {isOccurrence(editingEvent) && (
+                  <div>
+                    <Label htmlFor="editScope">Apply changes to</Label>
+                    <Select value={editScope} onValueChange={setEditScope}>
+                      <SelectTrigger id="editScope" className="mt-2">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="this">This occurrence only</SelectItem>
+                        <SelectItem value="future">This and all future occurrences</SelectItem>
+                        <SelectItem value="all">All occurrences</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+
+                {editingEvent ? (
+                  <div className="flex gap-2">
+                    <Button type="submit" className="flex-1">
+                      Save Changes
+                    </Button>
+                    <Button type="button" variant="outline" onClick={cancelEditing}>
+                      Cancel
+                    </Button>
+                  </div>
+                ) : (
+                  <Button type="submit" className="w-full">
+                    Add Activity
+                  </Button>
+                )}
               </form>
             </CardContent>
           </Card>
 
           {/* Calendar View */}
            <div className="lg:col-span-2">
-             <Calendar events={events} onDeleteEvent={deleteEvent} />
+             <Calendar
+               events={events}
+               categories={categories}
+               scoringSettings={scoringSettings}
+               checkIns={checkIns}
+               goals={goals}
+               ghostEvents={activeScenario?.events}
+               onDeleteEvent={deleteEvent}
+               onEditEvent={startEditingEvent}
+               onMoveEvent={handleMoveEvent}
+               onChangeReach={handleChangeReach}
+             />
            </div>
            
 
@@ -493,15 +1222,21 @@ function App() {
                        <div>
                          <span className="font-medium">Events:</span> {storageInfo.eventCount}
                        </div>
+                       <div>
+                         <span className="font-medium">Check-ins:</span> {storageInfo.checkInCount}
+                       </div>
                        <div>
                          <span className="font-medium">Data Size:</span> {storageInfo.dataSizeFormatted}
                        </div>
                        <div>
-                         <span className="font-medium">Backup:</span> {storageInfo.hasBackup ? '✅ Available' : '❌ None'}
+                         <span className="font-medium">Backups:</span> {storageInfo.snapshotCount > 0 ? `✅ ${storageInfo.snapshotCount} snapshots` : storageInfo.hasBackup ? '✅ Available' : '❌ None'}
                        </div>
                        <div>
                          <span className="font-medium">Auto-Save:</span> ✅ Enabled
                        </div>
+                       <div>
+                         <span className="font-medium">Storage:</span> {storageInfo.storageEngine}
+                       </div>
                      </div>
                    </div>
                  )}
@@ -534,8 +1269,101 @@ function App() {
                        className="hidden"
                      />
                    </Button>
+
+                   <Button
+                     onClick={handleExportCsv}
+                     variant="outline"
+                     size="sm"
+                     className="flex items-center gap-2"
+                     disabled={events.length === 0}
+                   >
+                     <FileSpreadsheet className="h-4 w-4" />
+                     Export CSV
+                   </Button>
+
+                   <Button
+                     as="label"
+                     variant="outline"
+                     size="sm"
+                     className="flex items-center gap-2 cursor-pointer"
+                   >
+                     <FileSpreadsheet className="h-4 w-4" />
+                     Import CSV
+                     <input
+                       type="file"
+                       accept=".csv,.tsv,text/csv"
+                       onChange={handleImportCsv}
+                       className="hidden"
+                     />
+                   </Button>
+
+                   <Button
+                     onClick={handleExportIcs}
+                     variant="outline"
+                     size="sm"
+                     className="flex items-center gap-2"
+                     disabled={events.length === 0}
+                   >
+                     <CalendarDays className="h-4 w-4" />
+                     Export .ics
+                   </Button>
+
+                   <Button
+                     as="label"
+                     variant="outline"
+                     size="sm"
+                     className="flex items-center gap-2 cursor-pointer"
+                   >
+                     <CalendarDays className="h-4 w-4" />
+                     Import .ics
+                     <input
+                       type="file"
+                       accept=".ics,text/calendar"
+                       onChange={handleImportIcs}
+                       className="hidden"
+                     />
+                   </Button>
+
+                   <Button
+                     onClick={handleUndo}
+                     variant="outline"
+                     size="sm"
+                     className="flex items-center gap-2"
+                     disabled={!canUndo(history)}
+                     title={canUndo(history) ? `Undo: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                   >
+                     <Undo2 className="h-4 w-4" />
+                     Undo
+                   </Button>
+
+                   <Button
+                     onClick={handleRedo}
+                     variant="outline"
+                     size="sm"
+                     className="flex items-center gap-2"
+                     disabled={!canRedo(history)}
+                     title={canRedo(history) ? `Redo: ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                   >
+                     <Redo2 className="h-4 w-4" />
+                     Redo
+                   </Button>
                  </div>
 
+                 {/* Backup Snapshots */}
+                 <BackupsPanel
+                   events={events}
+                   onRestore={(restoredEvents, label) => updateEvents(label, restoredEvents, { toast: true })}
+                 />
+
+                 {/* Coverage calendar export */}
+                 <CoverageIcsPanel
+                   events={events}
+                   categories={categories}
+                   feedServerUrl={feedServerUrl}
+                   feedStatus={feedStatus}
+                   onFeedServerUrlChange={setFeedServerUrl}
+                 />
+
                  {/* Quick Actions */}
                  <div className="border-t pt-4">
                    <div className="text-sm font-medium mb-3">Quick Actions</div>
@@ -567,7 +1395,7 @@ function App() {
                  </div>
 
                  <div className="text-xs text-gray-500">
-                   <p>✅ <strong>Your events are automatically saved</strong> to your browser's local storage.</p>
+                   <p>✅ <strong>Your events are automatically saved</strong> to your browser's database (IndexedDB).</p>
                    <p>💾 Use Export to create backups or share your data.</p>
                    <p>📱 Data is stored locally - won't sync between devices.</p>
                  </div>
@@ -575,21 +1403,120 @@ function App() {
              </CardContent>
            </Card>
 
-           {/* Google Calendar Sync Section - Disabled for now */}
-           {/* 
-           <GoogleCalendarSync 
+           {/* Daily Check-in */}
+           <CheckIn
+             checkIns={checkIns}
+             onSaveCheckIn={(checkIn) => setCheckIns(prev => upsertCheckIn(prev, checkIn))}
+             onDeleteCheckIn={(date) => setCheckIns(prev => removeCheckIn(prev, date))}
+           />
+
+           {/* Goals and progress */}
+           <GoalsCard
+             goals={goals}
              events={events}
-             onImportEvents={handleGoogleCalendarImport}
-             onExportComplete={handleGoogleCalendarExportComplete}
+             categories={categories}
+             scoringSettings={scoringSettings}
+             scenario={activeScenario}
+             onChangeGoals={setGoals}
+           />
+
+           {/* Activity planner */}
+           <Planner
+             events={events}
+             checkIns={checkIns}
+             categories={categories}
+             scoringSettings={scoringSettings}
+             goals={goals}
+             onAcceptPlan={handleAcceptPlan}
+           />
+
+           {/* What-if scenarios */}
+           <ScenarioPlanner
+             events={events}
+             categories={categories}
+             scoringSettings={scoringSettings}
+             goals={goals}
+             scenarios={scenarios}
+             activeScenarioId={activeScenarioId}
+             onChangeScenarios={setScenarios}
+             onPreviewScenario={setActiveScenarioId}
+             onPromoteScenario={handlePromoteScenario}
+           />
+
+           {/* Category Registry */}
+           <CategoryManager
+             categories={categories}
+             events={events}
+             onChangeCategories={handleCategoriesChange}
+             onMergeCategories={handleMergeCategories}
+           />
+
+           {/* Scoring Model Settings */}
+           <ScoringSettings
+             settings={scoringSettings}
+             onChange={setScoringSettings}
+           />
+
+           {/* Time zone used for days and times */}
+           <TimeZoneSettings
+             timeZone={timeZone}
+             onChange={handleTimeZoneChange}
+           />
+
+           {/* Google Calendar Sync Section */}
+           <GoogleCalendarSync
+             events={events}
+             categories={categories}
+             importRules={importRules}
+             onApplySync={handleGoogleCalendarSync}
+             onStageImports={handleStageImports}
+             onWithdrawImports={(keys) => setImportQueue(prev => withdrawImports(prev, keys))}
+           />
+
+           {/* Imported events waiting for review */}
+           <ImportReviewQueue
+             queue={importQueue}
+             categories={categories}
+             onAccept={handleAcceptImports}
+             onIgnore={(keys) => setImportQueue(prev => ignoreImports(prev, keys))}
+             onUpdate={handleUpdateQueuedImport}
+             onClearIgnored={() => setImportQueue(prev => clearIgnoredImports(prev))}
+           />
+
+           {/* Import Rules */}
+           <ImportRules
+             rules={importRules}
+             categories={categories}
+             onChangeRules={setImportRules}
            />
-           */}
 
            {/* Charts Section */}
            <div className="xl:col-span-1 lg:col-span-2">
-             <Charts events={events} />
+             <Charts events={events} checkIns={checkIns} categories={categories} scoringSettings={scoringSettings} goals={goals} scenario={activeScenario} />
            </div>
          </div>
        </div>
+
+       <UndoToast toast={undoToast} onUndo={handleUndo} onDismiss={dismissUndoToast} />
+
+       {pendingDelete && (
+         <RecurringDeletePrompt
+           occurrence={pendingDelete}
+           onDelete={(scope) => removeEvent(pendingDelete, scope)}
+           onCancel={() => setPendingDelete(null)}
+         />
+       )}
+
+       {csvImport && (
+         <CsvImportWizard
+           rows={csvImport.rows}
+           fileName={csvImport.fileName}
+           categories={categories}
+           events={events}
+           onImport={handleCsvImported}
+           onClose={() => setCsvImport(null)}
+         />
+       )}
      </div>
    )
  }
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { History, Camera, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react'
+import { StorageManager } from '@/lib/storage'
+import { SNAPSHOT_TIERS, diffSnapshot, restoreSnapshot } from '@/lib/snapshots'
+
+const TIER_LABELS = Object.fromEntries(SNAPSHOT_TIERS.map(({ tier, label }) => [tier, label]))
+
+const BackupsPanel = ({ events, onRestore }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [snapshots, setSnapshots] = useState([])
+  const [selectedSnapshotId, setSelectedSnapshotId] = useState(null)
+  const [selectedIds, setSelectedIds] = useState(new Set())
+
+  // Load snapshots when the panel is opened
+  useEffect(() => {
+    if (!isOpen) return
+    let cancelled = false
+    StorageManager.loadSnapshots().then(loaded => {
+      if (!cancelled) setSnapshots(loaded)
+    })
+    return () => { cancelled = true }
+  }, [isOpen])
+
+  const selectedSnapshot = snapshots.find(snapshot => snapshot.id === selectedSnapshotId)
+  const diff = useMemo(
+    () => selectedSnapshot ? diffSnapshot(selectedSnapshot, events) : null,
+    [selectedSnapshot, events]
+  )
+  const changeCount = diff ? diff.added.length + diff.removed.length + diff.updated.length : 0
+
+  const selectSnapshot = (id) => {
+    setSelectedSnapshotId(id === selectedSnapshotId ? null : id)
+    setSelectedIds(new Set())
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  const handleCreateSnapshot = async () => {
+    const result = await StorageManager.createManualSnapshot(events)
+    if (result.success) {
+      setSnapshots(await StorageManager.loadSnapshots())
+    } else {
+      alert(`Failed to create snapshot: ${result.error}`)
+    }
+  }
+
+  const handleRestore = (selectedOnly) => {
+    const count = selectedOnly ? selectedIds.size : changeCount
+    const message = selectedOnly
+      ? `Restore ${count} selected changes from this backup?`
+      : `Restore the entire backup from ${new Date(selectedSnapshot.createdAt).toLocaleString()}? ${changeCount} changes will be reverted.`
+    if (!window.confirm(message)) return
+    onRestore(
+      restoreSnapshot(events, diff, selectedOnly ? selectedIds : null),
+      selectedOnly ? `Restored ${count} changes from backup` : 'Restored backup'
+    )
+    setSelectedIds(new Set())
+  }
+
+  // One selectable line in the diff
+  const renderDiffItem = (event, description, colorClass) => (
+    <label key={event.id} className="flex items-center gap-2 py-1 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={selectedIds.has(event.id)}
+        onChange={() => toggleSelected(event.id)}
+      />
+      <span className={`text-xs px-1 rounded ${colorClass}`}>{description}</span>
+      <span className="truncate">{event.name}</span>
+      <span className="text-gray-500 text-xs ml-auto">{event.date}</span>
+    </label>
+  )
+
+  return (
+    <div className="border-t pt-4">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 text-sm font-medium w-full text-left"
+      >
+        {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        <History className="h-4 w-4" />
+        Backups
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>Snapshots are taken hourly, daily and weekly as you make changes.</span>
+            <Button variant="outline" size="sm" onClick={handleCreateSnapshot} className="flex items-center gap-1">
+              <Camera className="h-4 w-4" />
+              Snapshot now
+            </Button>
+          </div>
+
+          {snapshots.length === 0 ? (
+            <p className="text-sm text-gray-500">No snapshots yet.</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto border rounded-lg divide-y">
+              {snapshots.map(snapshot => (
+                <button
+                  key={snapshot.id}
+                  onClick={() => selectSnapshot(snapshot.id)}
+                  className={`w-full flex items-center justify-between px-3 py-2 text-sm text-left hover:bg-gray-50 ${snapshot.id === selectedSnapshotId ? 'bg-blue-50' : ''}`}
+                >
+                  <span>{new Date(snapshot.createdAt).toLocaleString()}</span>
+                  <span className="flex items-center gap-2">
+                    <Badge variant="outline" className="text-xs">{TIER_LABELS[snapshot.tier] || snapshot.tier}</Badge>
+                    <span className="text-xs text-gray-500">{snapshot.eventCount} events</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {diff && (
+            <div className="p-3 bg-gray-50 rounded-lg text-sm space-y-2">
+              {changeCount === 0 ? (
+                <p className="text-gray-600">This snapshot matches your current data.</p>
+              ) : (
+                <>
+                  <p className="text-gray-600">
+                    Restoring would bring back <strong>{diff.added.length}</strong> deleted,
+                    remove <strong>{diff.removed.length}</strong> newer and
+                    revert <strong>{diff.updated.length}</strong> edited activities.
+                  </p>
+                  <div className="max-h-48 overflow-y-auto">
+                    {diff.added.map(event => renderDiffItem(event, 'deleted since', 'bg-green-100 text-green-800'))}
+                    {diff.removed.map(event => renderDiffItem(event, 'added since', 'bg-red-100 text-red-800'))}
+                    {diff.updated.map(({ after }) => renderDiffItem(after, 'edited since', 'bg-yellow-100 text-yellow-800'))}
+                  </div>
+                  <div className="flex gap-2 flex-wrap">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={selectedIds.size === 0}
+                      onClick={() => handleRestore(true)}
+                    >
+                      Restore selected ({selectedIds.size})
+                    </Button>
+                    <Button size="sm" onClick={() => handleRestore(false)} className="flex items-center gap-1">
+                      <RotateCcw className="h-4 w-4" />
+                      Restore entire snapshot
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BackupsPanel
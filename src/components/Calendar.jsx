@@ -1,150 +1,193 @@
-import React, { useState, useMemo, useEffect } from 'react'
+import React, { useState, useMemo, useEffect, useRef } from 'react'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
-import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Plus, X } from 'lucide-react'
+import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Plus, X, Pencil, Repeat, MoveHorizontal, Ghost } from 'lucide-react'
+import { expandEvents, describeRecurrence } from '@/lib/recurrence'
+import { getCategory, getCategoryStyle } from '@/lib/categories'
+import {
+  SCORING_MODELS,
+  calculateDayInfluence,
+  reachToDays,
+  durationToMinutes,
+  timeToMinutes,
+  hasStartTime,
+  getEndTime,
+  getEventDays,
+  getEventEndDate,
+  daysToReach
+} from '@/lib/scoring'
+import { CHECK_IN_METRICS, getWellbeingScore, indexCheckInsByDate } from '@/lib/checkIns'
+import { describeGoal, getGoalsAtRisk } from '@/lib/goals'
+import { getToday, getCurrentMinutes, formatDateLabel } from '@/lib/dates'
 
-const Calendar = ({ events, onDeleteEvent }) => {
-  const [currentDate, setCurrentDate] = useState(new Date())
-  const [selectedDate, setSelectedDate] = useState(null)
-  const [heatmapMode, setHeatmapMode] = useState(false)
-  const [tooltip, setTooltip] = useState({ show: false, content: '', x: 0, y: 0 })
-  const [modalDay, setModalDay] = useState(null)
+const VIEWS = [
+  { id: 'day', label: 'Day', shortcut: 'd' },
+  { id: 'week', label: 'Week', shortcut: 'w' },
+  { id: 'month', label: 'Month', shortcut: 'm' },
+  { id: 'year', label: 'Year', shortcut: 'y' }
+]
 
-  // Helper function to get category color
-  const getCategoryColor = (category) => {
-    switch (category) {
-      case 'therapy': return 'bg-purple-100 text-purple-800 border-purple-200'
-      case 'exercise': return 'bg-green-100 text-green-800 border-green-200'
-      case 'quality time': return 'bg-blue-100 text-blue-800 border-blue-200'
-      default: return 'bg-gray-100 text-gray-800 border-gray-200'
-    }
-  }
+// Week and day views: pixels per hour, and the hour they open scrolled to
+const HOUR_HEIGHT = 40
+const FIRST_VISIBLE_HOUR = 7
+const MIN_BLOCK_HEIGHT = 18
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
 
-  // Helper function to get category dot color
-  const getCategoryDotColor = (category) => {
-    switch (category) {
-      case 'therapy': return 'bg-purple-500'
-      case 'exercise': return 'bg-green-500'
-      case 'quality time': return 'bg-blue-500'
-      default: return 'bg-gray-500'
-    }
-  }
+const YEAR_CELL_SIZE = 12
 
-  // Helper function to convert reach to days
-  const reachToDays = (reachValue, reachUnit) => {
-    const value = Number(reachValue) || 1
-    switch (reachUnit) {
-      case 'days': return value
-      case 'weeks': return value * 7
-      case 'months': return value * 30
-      case 'years': return value * 365
-      default: return value
-    }
-  }
+// Pointer travel before a press becomes a drag, and how long a touch must rest to pick an activity up
+const DRAG_THRESHOLD = 5
+const LONG_PRESS_MS = 350
 
-  // Helper function to calculate Gaussian influence
-  const gaussianInfluence = (daysDiff, sigma) => {
-    return Math.exp(-0.5 * Math.pow(daysDiff / sigma, 2))
-  }
+// Default for when no what-if scenario is previewed, kept stable so the memos below don't rerun
+const NO_GHOST_EVENTS = []
 
-  // Calculate intuitive mental health score with proper decay
-  const calculateDayInfluence = (date, events) => {
-    const targetDate = new Date(date)
-    const dateString = targetDate.toISOString().split('T')[0]
-    
-    // 1. Calculate DIRECT impact from events happening on this exact day
-    const dayEvents = events.filter(event => event.date === dateString)
-    let directScore = 0
-    const directEvents = []
-    
-    dayEvents.forEach(event => {
-      // Direct impact: impact * 10 to get percentage (impact 10 = 100%, impact 5 = 50%)
-      let eventScore = event.impact * 10
-      
-      // Duration bonus (small)
-      if (event.isAllDay) {
-        eventScore *= 1.1 // 10% bonus for all-day activities
-      } else {
-        const duration = event.duration || '01:00'
-        const [hours, minutes] = duration.split(':').map(Number)
-        const totalMinutes = hours * 60 + minutes
-        if (totalMinutes >= 120) eventScore *= 1.05 // 5% bonus for 2+ hour activities
-      }
-      
-      directScore += eventScore
-      directEvents.push({
-        name: event.name,
-        impact: event.impact,
-        score: eventScore.toFixed(1)
-      })
-    })
-    
-    // Cap multiple events: diminishing returns after 100%
-    if (directScore > 100) {
-      // Logarithmic scaling above 100%: log₂(score/100) * 20 + 100
-      directScore = 100 + (Math.log2(directScore / 100) * 15)
-      directScore = Math.min(directScore, 120) // Hard cap at 120%
-    }
+// A what-if scenario's change to a day's influence, e.g. "+12%"; empty when it rounds to nothing
+const formatGhostDelta = (delta) => {
+  const rounded = Math.round(delta)
+  if (rounded === 0) return ''
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)}%`
+}
 
-    // 2. Calculate REACH effects with proper logarithmic decay
-    let reachScore = 0
-    let reachContributions = []
-    
-    events.forEach(event => {
-      const eventDate = new Date(event.date)
-      const daysDiff = (targetDate - eventDate) / (1000 * 60 * 60 * 24) // Don't use Math.abs
-      
-      // Skip events on the same day (already counted in direct impact)
-      if (daysDiff === 0) return
-      
-      // Skip events in the future - reach only extends forward from event date
-      if (daysDiff < 0) return
-      
-      const reachDays = reachToDays(event.reachValue, event.reachUnit)
-      
-      // Only calculate reach influence if within forward range
-      if (daysDiff > 0 && daysDiff <= reachDays) {
-        // Much more aggressive decay: reach effects should be subtle
-        // Day 1 = ~20%, Day 7 = ~5%, Day 30 = ~1%, Day 365 = ~0.1%
-        const decayFactor = Math.pow(0.2, daysDiff / (reachDays * 0.2))
-        const reachEffect = event.impact * 10 * decayFactor * 0.3 // Further reduce reach impact
-        reachScore += reachEffect
-        
-        // Store reach contributions for tooltip
-        if (reachEffect > 0.5) { // Only show significant contributions
-          reachContributions.push({
-            name: event.name,
-            date: event.date,
-            daysDiff: Math.round(daysDiff),
-            effect: reachEffect.toFixed(1),
-            impact: event.impact
-          })
-        }
-      }
+// The grid works on Date objects whose local year, month and day are the calendar day shown
+// (they are never instants, see dates.js); these convert to and from YYYY-MM-DD
+const toDateString = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+const parseDateString = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+// Weeks start on Sunday, like the month grid
+const startOfWeek = (date) => addDays(date, -date.getDay())
+
+const daysBetween = (fromDate, toDate) => Math.round((parseDateString(toDate) - parseDateString(fromDate)) / (24 * 60 * 60 * 1000))
+
+const shiftDateString = (dateString, days) => toDateString(addDays(parseDateString(dateString), days))
+
+// Days of reach when an activity's reach band is dragged to end on a day (at least one)
+const getDraggedReachDays = (event, date) => Math.max(1, daysBetween(getEventEndDate(event), date))
+
+// An activity as it would be after a drag: moved to another day, or with a new reach
+const applyDrag = (event, { mode, date }) => {
+  if (mode === 'move') return { ...event, date }
+  return { ...event, ...daysToReach(getDraggedReachDays(event, date), event.reachUnit) }
+}
+
+// Position a day's timed events in its column: minutes from midnight, with overlapping
+// events placed side by side in lanes. Timed events with a known start time get a block;
+// all-day events and ones without a start time are listed above the hours. Events that
+// started on an earlier day and run past midnight continue from the top of the column.
+const layoutTimedEvents = (day) => {
+  const blocks = [
+    ...day.events.filter(hasStartTime).map(event => {
+      const start = timeToMinutes(event.startTime)
+      return { event, start, end: start + Math.max(15, durationToMinutes(event.duration)), continued: false }
+    }),
+    ...day.continuing.map(event => {
+      const end = timeToMinutes(event.startTime) + durationToMinutes(event.duration) - daysBetween(event.date, day.dateString) * 24 * 60
+      return { event, start: 0, end, continued: true }
     })
+  ]
+    .map(block => ({ ...block, end: Math.min(24 * 60, block.end) }))
+    .sort((a, b) => a.start - b.start || b.end - a.end)
 
-    // 3. Combine direct + reach scores properly
-    let totalScore
-    
-    if (directScore > 0) {
-      // Day has events: direct score is primary, reach adds small bonus
-      // But ensure days with events always score higher than days without
-      totalScore = Math.max(directScore, reachScore * 1.2)
-    } else {
-      // Day has no events: use only reach effects (should be much lower)
-      totalScore = reachScore
-    }
-    
-    // Return detailed breakdown for tooltip
-    return {
-      total: totalScore,
-      direct: directScore,
-      reach: reachScore,
-      directEvents: directEvents,
-      reachContributions: reachContributions.sort((a, b) => parseFloat(b.effect) - parseFloat(a.effect)) // Sort by effect size
+  let cluster = []
+  let laneEnds = []
+  const closeCluster = () => cluster.forEach(block => { block.lanes = laneEnds.length })
+  blocks.forEach(block => {
+    if (cluster.length > 0 && block.start >= Math.max(...laneEnds)) {
+      closeCluster()
+      cluster = []
+      laneEnds = []
     }
+    const freeLane = laneEnds.findIndex(end => end <= block.start)
+    block.lane = freeLane === -1 ? laneEnds.length : freeLane
+    laneEnds[block.lane] = block.end
+    cluster.push(block)
+  })
+  closeCluster()
+  return blocks
+}
+
+// Everything the views show about one day. With a what-if scenario previewed, `baselineEvents`
+// are the events without its activities and ghostDelta is how much those change the day's influence.
+const buildDay = (dateString, { events, baselineEvents, scoringSettings, checkInsByDate, goals, today }) => {
+  const influenceBreakdown = calculateDayInfluence(dateString, events, scoringSettings)
+  const rawInfluenceScore = influenceBreakdown.total
+  return {
+    dateString,
+    events: events.filter(event => event.date === dateString),
+    isToday: dateString === today,
+    rawInfluenceScore,
+    influenceBreakdown,
+    ghostDelta: baselineEvents ? rawInfluenceScore - calculateDayInfluence(dateString, baselineEvents, scoringSettings).total : 0,
+    checkIn: checkInsByDate[dateString],
+    goalsAtRisk: goals ? getGoalsAtRisk(goals, dateString, events, { settings: scoringSettings, influence: rawInfluenceScore, today }) : []
   }
+}
+
+const Calendar = ({
+  events: storedEvents,
+  categories,
+  scoringSettings,
+  checkIns = [],
+  goals = [],
+  ghostEvents = NO_GHOST_EVENTS,
+  onDeleteEvent,
+  onEditEvent,
+  onMoveEvent,
+  onChangeReach
+}) => {
+  const [dragPreview, setDragPreview] = useState(null) // { mode: 'move' | 'reach', event, date } while dragging
+  // Recurring series are shown and scored as their individual occurrences
+  const expandedEvents = useMemo(() => expandEvents(storedEvents), [storedEvents])
+  // While dragging, the activity is shown (and scored) where it would be dropped
+  const plannedEvents = useMemo(() => {
+    if (!dragPreview?.date) return expandedEvents
+    return expandedEvents.map(event => event.id === dragPreview.event.id ? applyDrag(event, dragPreview) : event)
+  }, [expandedEvents, dragPreview])
+  // The previewed what-if scenario's activities are shown and scored alongside the real ones
+  const events = useMemo(
+    () => ghostEvents.length > 0 ? [...plannedEvents, ...ghostEvents] : plannedEvents,
+    [plannedEvents, ghostEvents]
+  )
+  const baselineEvents = ghostEvents.length > 0 ? plannedEvents : null
+  const checkInsByDate = useMemo(() => indexCheckInsByDate(checkIns), [checkIns])
+  // Today in the chosen time zone; changing the zone changes it
+  const today = getToday()
+  const [currentDate, setCurrentDate] = useState(() => parseDateString(getToday()))
+  const [selectedDate, setSelectedDate] = useState(null)
+  const [heatmapMode, setHeatmapMode] = useState(false)
+  const [tooltip, setTooltip] = useState({ show: false, content: '', x: 0, y: 0 })
+  const [modalDay, setModalDay] = useState(null)
+  const [view, setView] = useState('month')
+  const [reachEventId, setReachEventId] = useState(null) // Heatmap: activity whose reach band is shown
+  const timeGridRef = useRef(null)
+  const dragRef = useRef(null) // Pointer bookkeeping of the current press or drag
+  const suppressClickRef = useRef(false) // Set for the click that ends a drag
+
+  // Heatmap: the chosen activity's reach band, from the day after it ends to its last day of reach
+  const reachBand = useMemo(() => {
+    const event = heatmapMode && reachEventId !== null && events.find(candidate => candidate.id === reachEventId)
+    if (!event) return null
+    const endDate = getEventEndDate(event)
+    return { event, start: shiftDateString(endDate, 1), end: shiftDateString(endDate, Math.ceil(reachToDays(event.reachValue, event.reachUnit))) }
+  }, [heatmapMode, reachEventId, events])
+
+  // The strictest daily influence goal is drawn as a line in each heatmap cell
+  const coverageGoal = Math.max(0, ...goals.filter(goal => goal.type === 'coverage').map(goal => goal.minInfluence))
+
+  // Helper function to get category color
+  const getCategoryColor = (category) => getCategoryStyle(categories, category).badge
+
+  // Helper function to get category dot color
+  const getCategoryDotColor = (category) => getCategoryStyle(categories, category).dot
 
   // Simple pass-through normalization since scores are already 0-120%
   const normalizeInfluenceScore = (rawScore, allRawScores) => {
@@ -176,6 +219,397 @@ const Calendar = ({ events, onDeleteEvent }) => {
     return 'text-green-800'
   }
 
+  // One-line summary of a check-in, e.g. "🙂 7 · 😰 3 · ⚡ 6 · 😴 8"
+  const formatCheckIn = (checkIn) => {
+    return CHECK_IN_METRICS.map(metric => `${metric.emoji} ${checkIn[metric.key]}`).join(' · ')
+  }
+
+  // Check-in details shown in the selected day panel and the breakdown modal
+  const renderCheckIn = (checkIn) => (
+    <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm">
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-medium text-gray-900">How you felt</span>
+        <span className="text-amber-800 font-semibold">{Math.round(getWellbeingScore(checkIn))}% wellbeing</span>
+      </div>
+      <div className="grid grid-cols-2 gap-1 text-gray-600">
+        {CHECK_IN_METRICS.map(metric => (
+          <div key={metric.key}>{metric.emoji} {metric.label}: {checkIn[metric.key]}/10</div>
+        ))}
+      </div>
+      {checkIn.note && <div className="mt-2 text-gray-700 italic">"{checkIn.note}"</div>}
+    </div>
+  )
+
+  // "Exercise 3× per week: 1 of 3 this week" for each goal at risk on a day
+  const formatGoalsAtRisk = (goalsAtRisk) => {
+    return goalsAtRisk.map(({ goal, detail }) => `${describeGoal(goal, categories)}: ${detail}`)
+  }
+
+  // Direct events and reach effects that make up a day's score, for the modal and the day view
+  const renderBreakdown = (day) => (
+    <div className="space-y-6">
+      {/* Total Score */}
+      <div className="text-center p-4 bg-gray-50 rounded-lg">
+        <div className="text-3xl font-bold text-gray-900">
+          {day.influenceScore || 0}%
+        </div>
+        <div className="text-sm text-gray-600">Total Selframe Score</div>
+      </div>
+
+      {/* Check-in for the day */}
+      {day.checkIn && renderCheckIn(day.checkIn)}
+
+      {/* Direct Events Section */}
+      {day.influenceBreakdown.directEvents && day.influenceBreakdown.directEvents.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            📅 Direct Events
+            <span className="text-sm font-normal text-gray-600">
+              ({day.influenceBreakdown.direct.toFixed(1)}% subtotal)
+            </span>
+          </h3>
+          <div className="space-y-2">
+            {day.influenceBreakdown.directEvents.map((event, index) => {
+              const originalEvent = events.find(e => e.id === event.id)
+              return (
+                <div key={index} className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
+                  <div>
+                    <div className="font-medium text-gray-900">{event.name}</div>
+                    <div className="text-sm text-gray-600">Impact: {event.impact}/10</div>
+                    {originalEvent && (
+                      <div className="text-xs text-gray-500">
+                        Reach: {originalEvent.reachValue} {originalEvent.reachUnit}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div className="text-lg font-semibold text-blue-600">
+                      +{event.score}%
+                    </div>
+                    {originalEvent && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => {
+                          setModalDay(null)
+                          onEditEvent(originalEvent)
+                        }}
+                        className="text-gray-500 hover:text-gray-700"
+                        title="Edit activity"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Reach Effects Section */}
+      {day.influenceBreakdown.reachContributions && day.influenceBreakdown.reachContributions.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            🌊 Reach Effects
+            <span className="text-sm font-normal text-gray-600">
+              ({day.influenceBreakdown.reach.toFixed(1)}% subtotal)
+            </span>
+          </h3>
+          <div className="space-y-2">
+            {day.influenceBreakdown.reachContributions.map((contrib, index) => (
+              <div key={index} className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
+                <div>
+                  <div className="font-medium text-gray-900">{contrib.name}</div>
+                  <div className="text-sm text-gray-600">
+                    {contrib.date} • {contrib.daysDiff === 1 ? '1 day ago' : `${contrib.daysDiff} days ago`}
+                  </div>
+                  <div className="text-xs text-gray-500">Original impact: {contrib.impact}/10</div>
+                  {/* Find the original event to get reach info */}
+                  {(() => {
+                    const originalEvent = events.find(e => 
+                      e.name === contrib.name && 
+                      e.date === contrib.date
+                    )
+                    if (originalEvent) {
+                      const totalReachDays = reachToDays(originalEvent.reachValue, originalEvent.reachUnit)
+                      const remainingDays = totalReachDays - contrib.daysDiff
+                      return (
+                        <div className="text-xs text-gray-500">
+                          Reach: {originalEvent.reachValue} {originalEvent.reachUnit} 
+                          {remainingDays > 0 && (
+                            <span className="text-green-600"> • {remainingDays} days remaining</span>
+                          )}
+                        </div>
+                      )
+                    }
+                    return null
+                  })()}
+                </div>
+                <div className="text-lg font-semibold text-green-600">
+                  +{contrib.effect}%
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* No Activity Message */}
+      {(!day.influenceBreakdown.directEvents || day.influenceBreakdown.directEvents.length === 0) && 
+       (!day.influenceBreakdown.reachContributions || day.influenceBreakdown.reachContributions.length === 0) && (
+        <div className="text-center p-8 text-gray-500">
+          <div className="text-4xl mb-2">📅</div>
+          <div className="text-lg font-medium">No Activity Influence</div>
+          <div className="text-sm">Consider adding activities to boost your mental health score</div>
+        </div>
+      )}
+
+      {/* Calculation Explanation */}
+      <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
+        <h4 className="font-medium text-gray-900 mb-2">How is this calculated?</h4>
+        <ul className="space-y-1 text-xs">
+          <li>• <strong>Direct Events:</strong> Activities on this day (Impact × 10 = base score)</li>
+          <li>• <strong>Reach Effects:</strong> Influence from past activities, fading with the {SCORING_MODELS[scoringSettings.model].label.toLowerCase()} model</li>
+          <li>• <strong>Total Score:</strong> Higher of direct score or reach effects (days with events get priority)</li>
+        </ul>
+      </div>
+    </div>
+  )
+
+  // Goal and check-in markers in the corner of a day
+  const renderDayMarkers = (day) => (
+    <div className="flex items-center gap-1">
+      {day.goalsAtRisk?.length > 0 && (
+        <div
+          className="text-[10px] leading-4 px-1 rounded-full bg-orange-100 text-orange-800 border border-orange-300"
+          title={`Goals at risk:\n${formatGoalsAtRisk(day.goalsAtRisk).join('\n')}`}
+        >
+          🎯 {day.goalsAtRisk.length}
+        </div>
+      )}
+      {day.checkIn && (
+        <div
+          className="text-[10px] leading-4 px-1 rounded-full bg-amber-100 text-amber-800 border border-amber-200"
+          title={`Check-in: ${formatCheckIn(day.checkIn)}${day.checkIn.note ? `\n${day.checkIn.note}` : ''}`}
+        >
+          🙂 {day.checkIn.mood}
+        </div>
+      )}
+    </div>
+  )
+
+  // Compact event label used in month cells and the all-day row; it can be dragged to another day
+  const renderEventChip = (event, onClick = null) => (
+    <div
+      key={event.id}
+      className={`
+        text-xs px-1 py-0.5 rounded text-left truncate border select-none
+        ${getCategoryColor(event.category)}
+        ${event.isGhost ? 'border-dashed opacity-60' : heatmapMode ? 'opacity-90' : ''}
+        ${onMoveEvent && !event.isGhost ? 'cursor-grab' : ''}
+        ${dragPreview?.event.id === event.id ? 'ring-2 ring-blue-400 shadow' : ''}
+        ${reachBand?.event.id === event.id ? 'ring-2 ring-gray-700' : ''}
+      `}
+      style={{ WebkitTouchCallout: 'none' }}
+      title={`${event.isGhost ? 'What if: ' : ''}${event.name} (Impact: ${event.impact}/10, Reach: ${event.reachValue} ${event.reachUnit})`}
+      onPointerDown={(e) => startDrag(e, event, 'move')}
+      onContextMenu={(e) => dragRef.current && e.preventDefault()}
+      onClick={onClick ? (e) => { e.stopPropagation(); onClick(event) } : undefined}
+    >
+      <div className="flex items-center gap-1">
+        <div className={`w-2 h-2 rounded-full ${getCategoryDotColor(event.category)}`}></div>
+        <span className="truncate">{event.name}</span>
+        {event.recurrence && <Repeat className="h-3 w-3 flex-shrink-0 opacity-60" />}
+        {event.isGhost && <Ghost className="h-3 w-3 flex-shrink-0 opacity-60" />}
+      </div>
+    </div>
+  )
+
+  // All-day events and events without a start time, above the hour grid
+  const renderUntimedRow = (days) => (
+    <div className="flex border rounded-lg mb-2">
+      <div className="w-12 flex-shrink-0 p-1 text-[10px] text-gray-400">All day</div>
+      {days.map(day => (
+        <div key={day.dateString} data-drop-date={day.dateString} className="flex-1 min-w-0 border-l p-1 space-y-1 min-h-[32px]">
+          {day.events.filter(event => !hasStartTime(event)).map(event => (
+            <div key={event.id} className="cursor-pointer" onClick={() => handleEventClick(event)}>
+              {renderEventChip(event)}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+
+  // Hour grid with timed events placed by start time and duration
+  const renderTimeGrid = (days) => {
+    const nowMinutes = getCurrentMinutes()
+
+    return (
+      <div ref={timeGridRef} className="max-h-[560px] overflow-y-auto border rounded-lg">
+        <div className="flex relative" style={{ height: 24 * HOUR_HEIGHT }}>
+          <div className="w-12 flex-shrink-0 relative">
+            {HOURS.slice(1).map(hour => (
+              <div
+                key={hour}
+                className="absolute right-1 -translate-y-1/2 text-[10px] text-gray-400"
+                style={{ top: hour * HOUR_HEIGHT }}
+              >
+                {String(hour).padStart(2, '0')}:00
+              </div>
+            ))}
+          </div>
+          {days.map(day => (
+            <div key={day.dateString} data-drop-date={day.dateString} className={`flex-1 min-w-0 relative border-l ${day.isToday ? 'bg-blue-50/50' : ''}`}>
+              {HOURS.map(hour => (
+                <div key={hour} className="absolute inset-x-0 border-t border-gray-100" style={{ top: hour * HOUR_HEIGHT }} />
+              ))}
+              {layoutTimedEvents(day).map(({ event, start, end, lane, lanes, continued }) => (
+                <div
+                  key={continued ? `${event.id}-continued` : event.id}
+                  className={`
+                    absolute rounded border px-1 text-xs overflow-hidden cursor-pointer hover:opacity-80 select-none
+                    ${getCategoryColor(event.category)}
+                    ${event.isGhost ? 'border-dashed opacity-60' : ''}
+                    ${dragPreview?.event.id === event.id ? 'ring-2 ring-blue-400 shadow' : ''}
+                  `}
+                  style={{
+                    top: (start / 60) * HOUR_HEIGHT,
+                    height: Math.max(MIN_BLOCK_HEIGHT, ((end - start) / 60) * HOUR_HEIGHT),
+                    left: `${(lane / lanes) * 100}%`,
+                    width: `${100 / lanes}%`
+                  }}
+                  title={`${event.isGhost ? 'What if: ' : ''}${event.name} · ${event.startTime}–${getEndTime(event)} (Impact: ${event.impact}/10, Reach: ${event.reachValue} ${event.reachUnit})`}
+                  onClick={() => handleEventClick(event)}
+                  // Blocks continued from the day before are moved by dragging their first part
+                  onPointerDown={continued ? undefined : (e) => startDrag(e, event, 'move')}
+                  onContextMenu={(e) => dragRef.current && e.preventDefault()}
+                >
+                  <div className="flex items-center gap-1 font-medium">
+                    <span className="truncate">{event.name}</span>
+                    {event.recurrence && <Repeat className="h-3 w-3 flex-shrink-0 opacity-60" />}
+                    {event.isGhost && <Ghost className="h-3 w-3 flex-shrink-0 opacity-60" />}
+                  </div>
+                  <div className="truncate opacity-75">
+                    {continued ? `until ${getEndTime(event)}` : `${event.startTime}–${getEndTime(event)}`}
+                  </div>
+                </div>
+              ))}
+              {day.isToday && (
+                <div className="absolute inset-x-0 border-t-2 border-red-400 pointer-events-none" style={{ top: (nowMinutes / 60) * HOUR_HEIGHT }} />
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  const renderWeekView = () => (
+    <div className="mb-4">
+      <div className="flex mb-2">
+        <div className="w-12 flex-shrink-0" />
+        {visibleDays.map(day => (
+          <div
+            key={day.dateString}
+            data-drop-date={day.dateString}
+            className={`
+              flex-1 min-w-0 mx-0.5 p-1 border rounded cursor-pointer hover:opacity-80
+              ${heatmapMode ? getHeatmapColor(day.influenceScore) : 'border-gray-100'}
+              ${day.isToday && !heatmapMode ? 'bg-blue-50 border-blue-200' : ''}
+              ${dragPreview?.mode === 'move' && dragPreview.date === day.dateString ? 'ring-2 ring-blue-400' : ''}
+            `}
+            onClick={() => !suppressClickRef.current && showDay(day.fullDate)}
+            onDoubleClick={() => setModalDay(day)}
+            onMouseEnter={(e) => heatmapMode && showTooltip(e, getDetailedTooltip(day))}
+            onMouseLeave={handleMouseLeave}
+            title={heatmapMode ? undefined : 'Open day view'}
+          >
+            <div className="flex items-start justify-between">
+              <div className={`text-sm font-medium ${heatmapMode ? getHeatmapTextColor(day.influenceScore) : day.isToday ? 'text-blue-600 font-bold' : 'text-gray-900'}`}>
+                {weekDays[day.fullDate.getDay()]} {day.fullDate.getDate()}
+              </div>
+              {renderDayMarkers(day)}
+            </div>
+            <div className={`text-xs ${heatmapMode ? getHeatmapTextColor(day.influenceScore) : 'text-gray-500'}`}>
+              {day.influenceScore}%
+              {formatGhostDelta(day.ghostDelta) && <span className="ml-1 font-medium">({formatGhostDelta(day.ghostDelta)} what if)</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+      {renderUntimedRow(visibleDays)}
+      {renderTimeGrid(visibleDays)}
+    </div>
+  )
+
+  const renderDayView = () => {
+    const day = visibleDays[0]
+    if (!day) return null
+
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          {renderUntimedRow([day])}
+          {renderTimeGrid([day])}
+        </div>
+        <div className="space-y-4">
+          {day.goalsAtRisk.length > 0 && (
+            <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm">
+              <div className="font-medium text-gray-900 mb-1">🎯 Goals at risk</div>
+              <ul className="space-y-1 text-gray-600">
+                {formatGoalsAtRisk(day.goalsAtRisk).map(line => <li key={line}>• {line}</li>)}
+              </ul>
+            </div>
+          )}
+          {renderBreakdown(day)}
+        </div>
+      </div>
+    )
+  }
+
+  // GitHub-style year heatmap: one column per week, one row per weekday
+  const renderYearView = () => (
+    <div className="mb-4 space-y-3">
+      <div className="overflow-x-auto">
+        <div className="inline-flex gap-1">
+          <div className="flex flex-col gap-[3px] pt-4 pr-1 text-[10px] text-gray-400">
+            {weekDays.map((label, weekday) => (
+              <div key={label} style={{ height: YEAR_CELL_SIZE, lineHeight: `${YEAR_CELL_SIZE}px` }}>
+                {weekday % 2 === 1 ? label : ''}
+              </div>
+            ))}
+          </div>
+          {yearData.weeks.map((week, weekIndex) => (
+            <div key={weekIndex} className="flex flex-col gap-[3px]">
+              <div className="h-4 text-[10px] text-gray-500 whitespace-nowrap" style={{ width: YEAR_CELL_SIZE }}>
+                {yearData.monthLabels[weekIndex]}
+              </div>
+              {week.map((day, weekday) => day ? (
+                <div
+                  key={day.dateString}
+                  className={`rounded-sm border cursor-pointer hover:opacity-80 ${getHeatmapColor(day.influenceScore)} ${day.isToday ? 'ring-1 ring-blue-500' : ''}`}
+                  style={{ width: YEAR_CELL_SIZE, height: YEAR_CELL_SIZE }}
+                  onClick={() => showDay(day.fullDate)}
+                  onMouseEnter={(e) => showTooltip(e, `${day.fullDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}\n${getDetailedTooltip(day)}`)}
+                  onMouseLeave={handleMouseLeave}
+                />
+              ) : (
+                <div key={weekday} style={{ width: YEAR_CELL_SIZE, height: YEAR_CELL_SIZE }} />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="text-sm text-gray-600">
+        Average daily influence {Math.round(yearData.averageScore)}% · {yearData.activeDays} days with activities
+        {yearData.daysAtGoal !== null && ` · ${yearData.daysAtGoal} days at or above your ${coverageGoal}% goal`}
+      </div>
+    </div>
+  )
+
   // Generate detailed tooltip for heatmap mode
   const getDetailedTooltip = (day) => {
     if (!day.influenceBreakdown) return `Selframe Score: ${day.influenceScore || 0}%`
@@ -185,6 +619,9 @@ const Calendar = ({ events, onDeleteEvent }) => {
     
     // Header with total score
     lines.push(`Selframe Score: ${day.influenceScore || 0}%`)
+    if (formatGhostDelta(day.ghostDelta)) {
+      lines.push(`👻 What if: ${formatGhostDelta(day.ghostDelta)} (${Math.round(day.rawInfluenceScore - day.ghostDelta)}% without the scenario)`)
+    }
     lines.push('') // Empty line
     
     // Direct events section
@@ -215,12 +652,26 @@ const Calendar = ({ events, onDeleteEvent }) => {
       lines.push('No activity influence')
       lines.push('Consider adding activities to boost mental health')
     }
+
+    // What the user actually reported for the day
+    if (day.checkIn) {
+      lines.push('')
+      lines.push(`💭 Check-in: ${Math.round(getWellbeingScore(day.checkIn))}% wellbeing`)
+      lines.push(`  ${formatCheckIn(day.checkIn)}`)
+    }
+
+    if (day.goalsAtRisk?.length > 0) {
+      lines.push('')
+      lines.push('🎯 Goals at risk:')
+      lines.push(...formatGoalsAtRisk(day.goalsAtRisk).map(line => `  • ${line}`))
+    }
     
     return lines.join('\n')
   }
 
   // Get calendar data for current month
   const calendarData = useMemo(() => {
+    if (view !== 'month') return []
     const year = currentDate.getFullYear()
     const month = currentDate.getMonth()
     
@@ -249,24 +700,11 @@ const Calendar = ({ events, onDeleteEvent }) => {
     // Add days from current month
     for (let day = 1; day <= daysInMonth; day++) {
       const fullDate = new Date(year, month, day)
-      const dateString = fullDate.toISOString().split('T')[0]
-      
-      // Find events for this date
-      const dayEvents = events.filter(event => event.date === dateString)
-      
-      // Calculate detailed influence breakdown for this day
-      const influenceBreakdown = calculateDayInfluence(fullDate, events)
-      const rawInfluenceScore = influenceBreakdown.total
-      
       calendarDays.push({
+        ...buildDay(toDateString(fullDate), { events, baselineEvents, scoringSettings, checkInsByDate, goals, today }),
         date: day,
         isCurrentMonth: true,
-        fullDate,
-        dateString,
-        events: dayEvents,
-        isToday: dateString === new Date().toISOString().split('T')[0],
-        rawInfluenceScore,
-        influenceBreakdown
+        fullDate
       })
     }
     
@@ -293,22 +731,90 @@ const Calendar = ({ events, onDeleteEvent }) => {
     })
     
     return calendarDays
-  }, [currentDate, events])
+  }, [view, currentDate, events, baselineEvents, scoringSettings, checkInsByDate, goals, today])
+
+  // Days of the week shown in the week view, or the single day of the day view
+  const visibleDays = useMemo(() => {
+    if (view !== 'week' && view !== 'day') return []
+    const dates = view === 'week'
+      ? Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(currentDate), i))
+      : [currentDate]
+    return dates.map(date => {
+      const day = { ...buildDay(toDateString(date), { events, baselineEvents, scoringSettings, checkInsByDate, goals, today }), fullDate: date }
+      day.influenceScore = normalizeInfluenceScore(day.rawInfluenceScore)
+      // Timed events from earlier days that run past midnight into this one
+      day.continuing = events.filter(event => event.date < day.dateString && hasStartTime(event) &&
+        getEventDays(event).some(({ date }) => date === day.dateString))
+      return day
+    })
+  }, [view, currentDate, events, baselineEvents, scoringSettings, checkInsByDate, goals, today])
+
+  // A whole year of daily influence, in week columns for the year heatmap
+  const yearData = useMemo(() => {
+    if (view !== 'year') return null
+    const year = currentDate.getFullYear()
+    const weeks = []
+    for (let date = startOfWeek(new Date(year, 0, 1)); date.getFullYear() <= year; date = addDays(date, 7)) {
+      weeks.push(Array.from({ length: 7 }, (_, weekday) => {
+        const fullDate = addDays(date, weekday)
+        if (fullDate.getFullYear() !== year) return null
+        // Goals are left out here: checking them for every day of a year is too slow to redo on each change
+        const day = { ...buildDay(toDateString(fullDate), { events, baselineEvents, scoringSettings, checkInsByDate, goals: null, today }), fullDate }
+        day.influenceScore = normalizeInfluenceScore(day.rawInfluenceScore)
+        return day
+      }))
+    }
+
+    const days = weeks.flat().filter(Boolean)
+    return {
+      weeks,
+      // Month labels sit above the week in which the month starts
+      monthLabels: weeks.map(week => week.find(day => day && day.fullDate.getDate() === 1)?.fullDate.toLocaleDateString('en-US', { month: 'short' }) || ''),
+      averageScore: days.reduce((sum, day) => sum + day.influenceScore, 0) / days.length,
+      activeDays: days.filter(day => day.events.length > 0).length,
+      daysAtGoal: coverageGoal > 0 ? days.filter(day => day.influenceScore >= coverageGoal).length : null
+    }
+  }, [view, currentDate, events, baselineEvents, scoringSettings, checkInsByDate, coverageGoal, today])
+
+  // Navigation functions: move by one month, week, day or year depending on the view
+  const goToPrevious = () => shiftPeriod(-1)
 
-  // Navigation functions
-  const goToPreviousMonth = () => {
-    setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1))
+  const goToNext = () => shiftPeriod(1)
+
+  const shiftPeriod = (direction) => {
+    const date = currentDate
+    switch (view) {
+      case 'day':
+        setCurrentDate(addDays(date, direction))
+        break
+      case 'week':
+        setCurrentDate(addDays(date, 7 * direction))
+        break
+      case 'year':
+        setCurrentDate(new Date(date.getFullYear() + direction, date.getMonth(), 1))
+        break
+      default:
+        setCurrentDate(new Date(date.getFullYear(), date.getMonth() + direction))
+    }
     setSelectedDate(null)
   }
 
-  const goToNextMonth = () => {
-    setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1))
+  const goToToday = () => {
+    setCurrentDate(parseDateString(getToday()))
     setSelectedDate(null)
   }
 
-  const goToToday = () => {
-    setCurrentDate(new Date())
+  // Switch views, keeping the selected day (if any) in sight
+  const changeView = (nextView) => {
+    if (selectedDate) setCurrentDate(parseDateString(selectedDate))
+    setView(nextView)
+  }
+
+  // Open the day view on a date
+  const showDay = (date) => {
+    setCurrentDate(date)
     setSelectedDate(null)
+    setView('day')
   }
 
   // Format month/year for header
@@ -316,9 +822,26 @@ const Calendar = ({ events, onDeleteEvent }) => {
     return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
   }
 
+  // Header title for the current view
+  const formatPeriod = () => {
+    switch (view) {
+      case 'day':
+        return currentDate.toLocaleDateString('en-US', { weekday: 'short', month: 'long', day: 'numeric', year: 'numeric' })
+      case 'week': {
+        const start = startOfWeek(currentDate)
+        const end = addDays(start, 6)
+        return `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+      }
+      case 'year':
+        return String(currentDate.getFullYear())
+      default:
+        return formatMonthYear(currentDate)
+    }
+  }
+
   // Handle date click
   const handleDateClick = (day) => {
-    if (day.isCurrentMonth) {
+    if (day.isCurrentMonth && !suppressClickRef.current) {
       setSelectedDate(day.dateString === selectedDate ? null : day.dateString)
     }
   }
@@ -333,16 +856,20 @@ const Calendar = ({ events, onDeleteEvent }) => {
   // Handle mouse events for custom tooltip
   const handleMouseEnter = (event, day) => {
     if (heatmapMode && day.isCurrentMonth) {
-      const rect = event.currentTarget.getBoundingClientRect()
-      setTooltip({
-        show: true,
-        content: getDetailedTooltip(day),
-        x: rect.left + rect.width / 2,
-        y: rect.top - 10
-      })
+      showTooltip(event, getDetailedTooltip(day))
     }
   }
 
+  const showTooltip = (event, content) => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    setTooltip({
+      show: true,
+      content,
+      x: rect.left + rect.width / 2,
+      y: rect.top - 10
+    })
+  }
+
   const handleMouseLeave = () => {
     setTooltip({ show: false, content: '', x: 0, y: 0 })
   }
@@ -361,9 +888,145 @@ const Calendar = ({ events, onDeleteEvent }) => {
     }
   }, [modalDay])
 
+  // Keyboard shortcuts in every view: ←/→ previous/next, T today, D/W/M/Y switch view, H heatmap.
+  // Keys typed into fields, or already handled by a control (sliders), are left alone.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (modalDay || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+      const target = event.target
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.getAttribute?.('role') === 'slider') return
+
+      const key = event.key.toLowerCase()
+      const shortcutView = VIEWS.find(option => option.shortcut === key)
+      if (event.key === 'ArrowLeft') {
+        goToPrevious()
+      } else if (event.key === 'ArrowRight') {
+        goToNext()
+      } else if (key === 't') {
+        goToToday()
+      } else if (key === 'h') {
+        setHeatmapMode(prev => !prev)
+      } else if (shortcutView) {
+        changeView(shortcutView.id)
+      } else {
+        return
+      }
+      event.preventDefault()
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  })
+
+  // Drag activities to another day, or the tail of a reach band to a new length. Pointer events
+  // cover mouse, pen and touch; on touch screens an activity is picked up with a long press, so
+  // swiping over the calendar still scrolls the page.
+  const startDrag = (e, event, mode) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return
+    if (mode === 'move' ? !onMoveEvent : !onChangeReach) return
+    // What-if activities aren't saved, so there is nothing to move
+    if (event.isGhost) return
+    e.stopPropagation()
+    const drag = { mode, event, pointerId: e.pointerId, x: e.clientX, y: e.clientY, date: null, active: false, timer: null, element: null, preventScroll: null }
+    if (e.pointerType === 'touch' && mode === 'move') {
+      drag.timer = setTimeout(() => activateDrag(drag), LONG_PRESS_MS)
+      // Touch events keep going to the pressed element even after the drag re-renders it
+      // elsewhere, so that is where scrolling is stopped
+      drag.element = e.currentTarget
+      drag.preventScroll = (touchEvent) => drag.active && touchEvent.preventDefault()
+      drag.element.addEventListener('touchmove', drag.preventScroll, { passive: false })
+    }
+    dragRef.current = drag
+  }
+
+  const activateDrag = (drag) => {
+    drag.timer = null
+    drag.active = true
+    setDragPreview({ mode: drag.mode, event: drag.event, date: null })
+  }
+
+  const endDrag = (commit) => {
+    const drag = dragRef.current
+    dragRef.current = null
+    clearTimeout(drag.timer)
+    drag.element?.removeEventListener('touchmove', drag.preventScroll)
+    if (!drag.active) return
+
+    setDragPreview(null)
+    // The click that ends a drag shouldn't also select or open what is under the pointer
+    suppressClickRef.current = true
+    setTimeout(() => { suppressClickRef.current = false }, 0)
+    if (!commit || !drag.date) return
+
+    if (drag.mode === 'move' && drag.date !== drag.event.date) {
+      onMoveEvent(drag.event, drag.date)
+    } else if (drag.mode === 'reach') {
+      const reach = daysToReach(getDraggedReachDays(drag.event, drag.date), drag.event.reachUnit)
+      if (reach.reachValue !== Number(drag.event.reachValue) || reach.reachUnit !== drag.event.reachUnit) {
+        onChangeReach(drag.event, reach)
+      }
+    }
+  }
+
+  useEffect(() => {
+    // Day cells and columns that accept a drop carry data-drop-date
+    const findDropDate = (e) => document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-drop-date]')?.dataset.dropDate || null
+
+    const handlePointerMove = (e) => {
+      const drag = dragRef.current
+      if (!drag || e.pointerId !== drag.pointerId) return
+      if (!drag.active) {
+        if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < DRAG_THRESHOLD) return
+        // A touch that moves before the long press completes is a scroll, not a drag
+        if (drag.timer) return endDrag(false)
+        activateDrag(drag)
+      }
+      const date = findDropDate(e)
+      if (date && date !== drag.date) {
+        drag.date = date
+        setDragPreview({ mode: drag.mode, event: drag.event, date })
+      }
+    }
+    const handlePointerUp = (e) => {
+      if (dragRef.current?.pointerId === e.pointerId) endDrag(true)
+    }
+    const handlePointerCancel = (e) => {
+      if (dragRef.current?.pointerId === e.pointerId) endDrag(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && dragRef.current?.active) endDrag(false)
+    }
+
+    window.addEventListener('pointermove', handlePointerMove)
+    window.addEventListener('pointerup', handlePointerUp)
+    window.addEventListener('pointercancel', handlePointerCancel)
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove)
+      window.removeEventListener('pointerup', handlePointerUp)
+      window.removeEventListener('pointercancel', handlePointerCancel)
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  })
+
+  // Clicks that end a drag are ignored, and what-if activities are changed in their scenario
+  const handleEventClick = (event) => {
+    if (!suppressClickRef.current && !event.isGhost) onEditEvent(event)
+  }
+
+  // Heatmap: show or hide an activity's reach band
+  const toggleReachBand = (event) => {
+    if (!suppressClickRef.current) setReachEventId(prev => prev === event.id ? null : event.id)
+  }
+
+  // Open the week and day views at the start of a typical day rather than at midnight
+  useEffect(() => {
+    if (timeGridRef.current) timeGridRef.current.scrollTop = FIRST_VISIBLE_HOUR * HOUR_HEIGHT
+  }, [view])
+
   // Get events for selected date
   const selectedDateEvents = selectedDate 
-    ? events.filter(event => event.date === selectedDate)
+    ? events.filter(event => event.date === selectedDate && !event.isGhost)
     : []
 
   const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
@@ -376,127 +1039,188 @@ const Calendar = ({ events, onDeleteEvent }) => {
             <CalendarIcon className="h-5 w-5" />
             Mental Health Calendar
           </CardTitle>
-          <div className="flex items-center gap-2">
-            <Button variant="outline" size="sm" onClick={goToToday}>
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            <div className="flex rounded-md border border-gray-200 overflow-hidden">
+              {VIEWS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => changeView(option.id)}
+                  className={`px-2 py-1 text-sm ${view === option.id ? 'bg-gray-900 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  title={`${option.label} view (${option.shortcut.toUpperCase()})`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <Button variant="outline" size="sm" onClick={goToToday} title="Today (T)">
               Today
             </Button>
-            <Button 
-              variant={heatmapMode ? "default" : "outline"} 
-              size="sm" 
-              onClick={() => setHeatmapMode(!heatmapMode)}
-              className="flex items-center gap-1"
-            >
-              🌡️ Heatmap
-            </Button>
-            <Button variant="outline" size="sm" onClick={goToPreviousMonth}>
+            {view !== 'year' && (
+              <Button 
+                variant={heatmapMode ? "default" : "outline"} 
+                size="sm" 
+                onClick={() => setHeatmapMode(!heatmapMode)}
+                className="flex items-center gap-1"
+                title="Heatmap (H)"
+              >
+                🌡️ Heatmap
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={goToPrevious} title="Previous (←)">
               <ChevronLeft className="h-4 w-4" />
             </Button>
             <span className="font-medium text-lg min-w-[180px] text-center">
-              {formatMonthYear(currentDate)}
+              {formatPeriod()}
             </span>
-            <Button variant="outline" size="sm" onClick={goToNextMonth}>
+            <Button variant="outline" size="sm" onClick={goToNext} title="Next (→)">
               <ChevronRight className="h-4 w-4" />
             </Button>
           </div>
         </div>
       </CardHeader>
       <CardContent>
+        {view === 'week' && renderWeekView()}
+        {view === 'day' && renderDayView()}
+        {view === 'year' && renderYearView()}
+
+        {/* Chosen activity's reach band (heatmap) */}
+        {view === 'month' && reachBand && (
+          <div className="flex items-center justify-between gap-2 mb-2 p-2 text-sm border rounded-lg bg-gray-50">
+            <span>
+              <strong>{reachBand.event.name}</strong> helps for {reachBand.event.reachValue} {reachBand.event.reachUnit},
+              until {formatDateLabel(reachBand.end, { month: 'short', day: 'numeric' })}.
+              {onChangeReach && ' Drag the handle at the end of the band to change it.'}
+            </span>
+            <Button variant="ghost" size="sm" onClick={() => setReachEventId(null)} title="Hide reach band">
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        )}
+
         {/* Calendar Grid */}
-        <div className="grid grid-cols-7 gap-1 mb-4">
-          {/* Week day headers */}
-          {weekDays.map(day => (
-            <div key={day} className="p-2 text-center text-sm font-medium text-gray-500 border-b">
-              {day}
-            </div>
-          ))}
+        {view === 'month' && (
+          <div className="grid grid-cols-7 gap-1 mb-4">
+            {/* Week day headers */}
+            {weekDays.map(day => (
+              <div key={day} className="p-2 text-center text-sm font-medium text-gray-500 border-b">
+                {day}
+              </div>
+            ))}
           
-          {/* Calendar days */}
-          {calendarData.map((day, index) => {
-            const heatmapBg = heatmapMode && day.isCurrentMonth ? getHeatmapColor(day.influenceScore || 0) : ''
-            const heatmapText = heatmapMode && day.isCurrentMonth ? getHeatmapTextColor(day.influenceScore || 0) : ''
+            {/* Calendar days */}
+            {calendarData.map((day, index) => {
+              const heatmapBg = heatmapMode && day.isCurrentMonth ? getHeatmapColor(day.influenceScore || 0) : ''
+              const heatmapText = heatmapMode && day.isCurrentMonth ? getHeatmapTextColor(day.influenceScore || 0) : ''
+              const inReachBand = reachBand && day.isCurrentMonth && day.dateString >= reachBand.start && day.dateString <= reachBand.end
             
-            return (
-              <div
-                key={index}
-                className={`
-                  min-h-[100px] p-1 border cursor-pointer transition-all duration-200
-                  ${heatmapMode && day.isCurrentMonth ? 
-                    `${heatmapBg} hover:opacity-80` : 
-                    `border-gray-100 hover:bg-gray-50 ${day.isCurrentMonth ? 'bg-white' : 'bg-gray-50'}`
-                  }
-                  ${day.isToday && !heatmapMode ? 'bg-blue-50 border-blue-200' : ''}
-                  ${selectedDate === day.dateString ? 'ring-2 ring-blue-500' : ''}
-                `}
-                onClick={() => handleDateClick(day)}
-                onDoubleClick={() => handleDoubleClick(day)}
-                onMouseEnter={(e) => handleMouseEnter(e, day)}
-                onMouseLeave={handleMouseLeave}
-              >
-                {/* Date number */}
-                <div className={`
-                  text-sm font-medium mb-1
-                  ${heatmapMode && day.isCurrentMonth ? 
-                    heatmapText : 
-                    `${day.isCurrentMonth ? 'text-gray-900' : 'text-gray-400'} ${day.isToday ? 'text-blue-600 font-bold' : ''}`
-                  }
-                `}>
-                  {day.date}
-                </div>
+              return (
+                <div
+                  key={index}
+                  data-drop-date={day.isCurrentMonth ? day.dateString : undefined}
+                  className={`
+                    relative min-h-[100px] p-1 border cursor-pointer transition-all duration-200
+                    ${heatmapMode && day.isCurrentMonth ? 
+                      `${heatmapBg} hover:opacity-80` : 
+                      `border-gray-100 hover:bg-gray-50 ${day.isCurrentMonth ? 'bg-white' : 'bg-gray-50'}`
+                    }
+                    ${day.isToday && !heatmapMode ? 'bg-blue-50 border-blue-200' : ''}
+                    ${selectedDate === day.dateString ? 'ring-2 ring-blue-500' : ''}
+                    ${dragPreview?.mode === 'move' && dragPreview.date === day.dateString ? 'ring-2 ring-blue-400' : ''}
+                  `}
+                  onClick={() => handleDateClick(day)}
+                  onDoubleClick={() => handleDoubleClick(day)}
+                  onMouseEnter={(e) => handleMouseEnter(e, day)}
+                  onMouseLeave={handleMouseLeave}
+                >
+                  {/* Date number and check-in marker */}
+                  <div className="flex items-start justify-between mb-1">
+                    <div className={`
+                      text-sm font-medium
+                      ${heatmapMode && day.isCurrentMonth ? 
+                        heatmapText : 
+                        `${day.isCurrentMonth ? 'text-gray-900' : 'text-gray-400'} ${day.isToday ? 'text-blue-600 font-bold' : ''}`
+                      }
+                    `}>
+                      {day.date}
+                    </div>
+                    {renderDayMarkers(day)}
+                  </div>
                 
-                {/* Events and heatmap score */}
-                <div className="space-y-1">
-                  {/* Heatmap score at the top */}
-                  {heatmapMode && day.isCurrentMonth && (
-                    <div className="text-center">
-                      <div className={`text-xs font-bold ${heatmapText}`}>
-                        {day.influenceScore || 0}%
+                  {/* Events and heatmap score */}
+                  <div className="space-y-1">
+                    {/* Heatmap score at the top */}
+                    {heatmapMode && day.isCurrentMonth && (
+                      <div className="text-center">
+                        <div className={`text-xs font-bold ${heatmapText}`}>
+                          {day.influenceScore || 0}%
+                          {formatGhostDelta(day.ghostDelta) && (
+                            <span className="ml-1 font-medium" title="Change made by the what-if scenario">
+                              {formatGhostDelta(day.ghostDelta)}
+                            </span>
+                          )}
+                        </div>
+                        {/* Daily influence against the goal line */}
+                        {coverageGoal > 0 && (
+                          <div className="relative h-1 mx-1 mt-0.5 bg-white/60 rounded-full">
+                            <div
+                              className={`h-full rounded-full ${(day.influenceScore || 0) >= coverageGoal ? 'bg-green-500' : 'bg-orange-400'}`}
+                              style={{ width: `${day.influenceScore || 0}%` }}
+                            />
+                            <div
+                              className="absolute -top-0.5 w-0.5 h-2 bg-gray-700"
+                              style={{ left: `${coverageGoal}%` }}
+                              title={`Goal: ${coverageGoal}%`}
+                            />
+                          </div>
+                        )}
                       </div>
-                    </div>
-                  )}
+                    )}
                   
-                  {/* Event indicators */}
-                  {day.events.slice(0, heatmapMode ? 2 : 3).map((event, eventIndex) => (
-                    <div
-                      key={event.id}
-                      className={`
-                        text-xs px-1 py-0.5 rounded text-left truncate border
-                        ${getCategoryColor(event.category)}
-                        ${heatmapMode ? 'opacity-90' : ''}
-                      `}
-                      title={`${event.name} (Impact: ${event.impact}/10, Reach: ${event.reachValue} ${event.reachUnit})`}
-                    >
-                      <div className="flex items-center gap-1">
-                        <div className={`w-2 h-2 rounded-full ${getCategoryDotColor(event.category)}`}></div>
-                        <span className="truncate">{event.name}</span>
+                    {/* Event indicators; in heatmap mode a click shows the activity's reach band */}
+                    {day.events.slice(0, heatmapMode ? 2 : 3).map(event => renderEventChip(event, heatmapMode ? toggleReachBand : null))}
+                  
+                    {/* Show "+X more" if there are more events */}
+                    {day.events.length > (heatmapMode ? 2 : 3) && (
+                      <div className={`text-xs px-1 ${heatmapMode ? heatmapText + ' opacity-75' : 'text-gray-500'}`}>
+                        +{day.events.length - (heatmapMode ? 2 : 3)} more
                       </div>
-                    </div>
-                  ))}
+                    )}
                   
-                  {/* Show "+X more" if there are more events */}
-                  {day.events.length > (heatmapMode ? 2 : 3) && (
-                    <div className={`text-xs px-1 ${heatmapMode ? heatmapText + ' opacity-75' : 'text-gray-500'}`}>
-                      +{day.events.length - (heatmapMode ? 2 : 3)} more
-                    </div>
+                    {/* Show "No events" message in heatmap mode when there are no events */}
+                    {heatmapMode && day.events.length === 0 && day.isCurrentMonth && (
+                      <div className={`text-xs text-center ${heatmapText} opacity-60`}>
+                        No events
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Reach band of the chosen activity, with a handle on its last day to drag it longer or shorter */}
+                  {inReachBand && (
+                    <div className={`absolute inset-x-0 bottom-0 h-1.5 opacity-70 pointer-events-none ${getCategoryDotColor(reachBand.event.category)}`} />
                   )}
-                  
-                  {/* Show "No events" message in heatmap mode when there are no events */}
-                  {heatmapMode && day.events.length === 0 && day.isCurrentMonth && (
-                    <div className={`text-xs text-center ${heatmapText} opacity-60`}>
-                      No events
+                  {inReachBand && day.dateString === reachBand.end && onChangeReach && !reachBand.event.isGhost && (
+                    <div
+                      className="absolute right-0.5 bottom-0.5 z-10 flex items-center justify-center w-6 h-6 rounded-full bg-white border border-gray-400 shadow cursor-ew-resize"
+                      style={{ touchAction: 'none' }}
+                      title="Drag to change how long the benefits last"
+                      onPointerDown={(e) => startDrag(e, reachBand.event, 'reach')}
+                      onClick={(e) => e.stopPropagation()}
+                    >
+                      <MoveHorizontal className="h-3 w-3 text-gray-700" />
                     </div>
                   )}
                 </div>
-              </div>
-            )
-          })}
-        </div>
+              )
+            })}
+          </div>
+        )}
 
         {/* Selected Date Details */}
-        {selectedDate && selectedDateEvents.length > 0 && (
+        {view === 'month' && selectedDate && (selectedDateEvents.length > 0 || checkInsByDate[selectedDate]) && (
           <Card className="mt-4">
             <CardHeader className="pb-3">
               <CardTitle className="text-lg">
-                Events for {new Date(selectedDate).toLocaleDateString('en-US', { 
+                Events for {formatDateLabel(selectedDate, { 
                   weekday: 'long', 
                   year: 'numeric', 
                   month: 'long', 
@@ -506,6 +1230,7 @@ const Calendar = ({ events, onDeleteEvent }) => {
             </CardHeader>
             <CardContent>
               <div className="space-y-3">
+                {checkInsByDate[selectedDate] && renderCheckIn(checkInsByDate[selectedDate])}
                 {selectedDateEvents.map(event => (
                   <div key={event.id} className="flex items-start justify-between p-3 border rounded-lg">
                     <div className="flex-1">
@@ -513,7 +1238,7 @@ const Calendar = ({ events, onDeleteEvent }) => {
                         <div className={`w-3 h-3 rounded-full ${getCategoryDotColor(event.category)}`}></div>
                         <h4 className="font-medium">{event.name}</h4>
                         <Badge variant="outline" className={getCategoryColor(event.category)}>
-                          {event.category}
+                          {getCategory(categories, event.category).name}
                         </Badge>
                       </div>
                       <div className="text-sm text-gray-600 space-y-1">
@@ -523,16 +1248,35 @@ const Calendar = ({ events, onDeleteEvent }) => {
                         {event.rippleScore && (
                           <div>Ripple Score: {event.rippleScore}</div>
                         )}
+                        {event.recurrence && (
+                          <div className="flex items-center gap-1">
+                            <Repeat className="h-3 w-3" />
+                            {describeRecurrence(event.recurrence)}
+                            {event.isModifiedOccurrence && ' (edited occurrence)'}
+                          </div>
+                        )}
                       </div>
                     </div>
-                    <Button
-                      variant="ghost"
-                      size="sm"
-                      onClick={() => onDeleteEvent(event.id)}
-                      className="text-red-500 hover:text-red-700"
-                    >
-                      <X className="h-4 w-4" />
-                    </Button>
+                    <div className="flex items-center">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onEditEvent(event)}
+                        className="text-gray-500 hover:text-gray-700"
+                        title="Edit activity"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => onDeleteEvent(event)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Delete activity"
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </div>
                   </div>
                 ))}
               </div>
@@ -541,7 +1285,7 @@ const Calendar = ({ events, onDeleteEvent }) => {
         )}
 
         {/* Legend */}
-        {heatmapMode ? (
+        {heatmapMode || view === 'year' ? (
           <div className="mt-4 space-y-2">
             <div className="text-sm font-medium">Mental Health Influence Heatmap</div>
             <div className="flex flex-wrap gap-2 text-xs">
@@ -575,24 +1319,29 @@ const Calendar = ({ events, onDeleteEvent }) => {
               </div>
             </div>
             <div className="text-xs text-gray-500">
-              Scores are normalized to 0-100% based on your activities this month. 
+              Scores are normalized to 0-100% based on your activities this {view}. 
               Lower percentages indicate days that could benefit from additional mental health activities.
+              {view === 'month' && coverageGoal > 0 && ` The tick in each day marks your ${coverageGoal}% daily influence goal.`}
+              {view !== 'year' && goals.length > 0 && ' 🎯 marks days where a goal is at risk.'}
+              {view === 'year' && ' Click a day to open it.'}
+              {view === 'month' && ' Click an activity to see how long its benefits last.'}
+              {ghostEvents.length > 0 && ' Dashed activities belong to the what-if scenario being previewed; +/− shows how it changes each day.'}
             </div>
           </div>
         ) : (
           <div className="mt-4 flex flex-wrap gap-4 text-sm">
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-purple-500"></div>
-              <span>Therapy</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-green-500"></div>
-              <span>Exercise</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-blue-500"></div>
-              <span>Quality Time</span>
-            </div>
+            {categories.filter(category => !category.archived).map(category => (
+              <div key={category.id} className="flex items-center gap-2">
+                <div className={`w-3 h-3 rounded-full ${getCategoryDotColor(category.id)}`}></div>
+                <span>{category.name}</span>
+              </div>
+            ))}
+            {ghostEvents.length > 0 && (
+              <div className="flex items-center gap-2 text-gray-500">
+                <Ghost className="h-3 w-3" />
+                <span>What-if activity (not saved)</span>
+              </div>
+            )}
           </div>
         )}
       </CardContent>
@@ -608,7 +1357,7 @@ const Calendar = ({ events, onDeleteEvent }) => {
                   Selframe Score Breakdown
                 </h2>
                 <p className="text-sm text-gray-600">
-                  {new Date(modalDay.dateString).toLocaleDateString('en-US', { 
+                  {formatDateLabel(modalDay.dateString, { 
                     weekday: 'long', 
                     year: 'numeric', 
                     month: 'long', 
@@ -627,120 +1376,7 @@ const Calendar = ({ events, onDeleteEvent }) => {
             {/* Modal Content */}
             <div className="p-6">
               {modalDay.influenceBreakdown ? (
-                <div className="space-y-6">
-                  {/* Total Score */}
-                  <div className="text-center p-4 bg-gray-50 rounded-lg">
-                    <div className="text-3xl font-bold text-gray-900">
-                      {modalDay.influenceScore || 0}%
-                    </div>
-                    <div className="text-sm text-gray-600">Total Selframe Score</div>
-                  </div>
-
-                  {/* Direct Events Section */}
-                  {modalDay.influenceBreakdown.directEvents && modalDay.influenceBreakdown.directEvents.length > 0 && (
-                    <div className="space-y-3">
-                      <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
-                        📅 Direct Events
-                        <span className="text-sm font-normal text-gray-600">
-                          ({modalDay.influenceBreakdown.direct.toFixed(1)}% subtotal)
-                        </span>
-                      </h3>
-                      <div className="space-y-2">
-                        {modalDay.influenceBreakdown.directEvents.map((event, index) => (
-                          <div key={index} className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
-                            <div>
-                              <div className="font-medium text-gray-900">{event.name}</div>
-                              <div className="text-sm text-gray-600">Impact: {event.impact}/10</div>
-                              {/* Find the original event to get reach info */}
-                              {(() => {
-                                const originalEvent = events.find(e => 
-                                  e.name === event.name && 
-                                  e.date === modalDay.dateString
-                                )
-                                return originalEvent ? (
-                                  <div className="text-xs text-gray-500">
-                                    Reach: {originalEvent.reachValue} {originalEvent.reachUnit}
-                                  </div>
-                                ) : null
-                              })()}
-                            </div>
-                            <div className="text-lg font-semibold text-blue-600">
-                              +{event.score}%
-                            </div>
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-
-                  {/* Reach Effects Section */}
-                  {modalDay.influenceBreakdown.reachContributions && modalDay.influenceBreakdown.reachContributions.length > 0 && (
-                    <div className="space-y-3">
-                      <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
-                        🌊 Reach Effects
-                        <span className="text-sm font-normal text-gray-600">
-                          ({modalDay.influenceBreakdown.reach.toFixed(1)}% subtotal)
-                        </span>
-                      </h3>
-                      <div className="space-y-2">
-                        {modalDay.influenceBreakdown.reachContributions.map((contrib, index) => (
-                          <div key={index} className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
-                            <div>
-                              <div className="font-medium text-gray-900">{contrib.name}</div>
-                              <div className="text-sm text-gray-600">
-                                {contrib.date} • {contrib.daysDiff === 1 ? '1 day ago' : `${contrib.daysDiff} days ago`}
-                              </div>
-                              <div className="text-xs text-gray-500">Original impact: {contrib.impact}/10</div>
-                              {/* Find the original event to get reach info */}
-                              {(() => {
-                                const originalEvent = events.find(e => 
-                                  e.name === contrib.name && 
-                                  e.date === contrib.date
-                                )
-                                if (originalEvent) {
-                                  const totalReachDays = reachToDays(originalEvent.reachValue, originalEvent.reachUnit)
-                                  const remainingDays = totalReachDays - contrib.daysDiff
-                                  return (
-                                    <div className="text-xs text-gray-500">
-                                      Reach: {originalEvent.reachValue} {originalEvent.reachUnit} 
-                                      {remainingDays > 0 && (
-                                        <span className="text-green-600"> • {remainingDays} days remaining</span>
-                                      )}
-                                    </div>
-                                  )
-                                }
-                                return null
-                              })()}
-                            </div>
-                            <div className="text-lg font-semibold text-green-600">
-                              +{contrib.effect}%
-                            </div>
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-
-                  {/* No Activity Message */}
-                  {(!modalDay.influenceBreakdown.directEvents || modalDay.influenceBreakdown.directEvents.length === 0) && 
-                   (!modalDay.influenceBreakdown.reachContributions || modalDay.influenceBreakdown.reachContributions.length === 0) && (
-                    <div className="text-center p-8 text-gray-500">
-                      <div className="text-4xl mb-2">📅</div>
-                      <div className="text-lg font-medium">No Activity Influence</div>
-                      <div className="text-sm">Consider adding activities to boost your mental health score</div>
-                    </div>
-                  )}
-
-                  {/* Calculation Explanation */}
-                  <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
-                    <h4 className="font-medium text-gray-900 mb-2">How is this calculated?</h4>
-                    <ul className="space-y-1 text-xs">
-                      <li>• <strong>Direct Events:</strong> Activities on this day (Impact × 10 = base score)</li>
-                      <li>• <strong>Reach Effects:</strong> Influence from past activities with exponential decay</li>
-                      <li>• <strong>Total Score:</strong> Higher of direct score or reach effects (days with events get priority)</li>
-                    </ul>
-                  </div>
-                </div>
+                renderBreakdown(modalDay)
               ) : (
                 <div className="text-center p-8 text-gray-500">
                   No breakdown data available for this day.
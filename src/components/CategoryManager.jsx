@@ -0,0 +1,166 @@
+import React, { useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Tags, Archive, ArchiveRestore, GitMerge, Plus } from 'lucide-react'
+import {
+  CATEGORY_COLORS,
+  createCategory,
+  renameCategory,
+  recolorCategory,
+  archiveCategory
+} from '@/lib/categories'
+
+const CategoryManager = ({ categories, events, onChangeCategories, onMergeCategories }) => {
+  const [newCategoryName, setNewCategoryName] = useState('')
+  const [mergeSource, setMergeSource] = useState(null)
+  const [mergeTarget, setMergeTarget] = useState('')
+
+  // Number of stored activities using each category
+  const eventCounts = events.reduce((counts, event) => {
+    counts[event.category] = (counts[event.category] || 0) + 1
+    return counts
+  }, {})
+
+  // Run a registry operation, surfacing validation errors to the user
+  const applyChange = (operation) => {
+    try {
+      onChangeCategories(operation())
+      return true
+    } catch (error) {
+      alert(error.message)
+      return false
+    }
+  }
+
+  const handleAddCategory = (e) => {
+    e.preventDefault()
+    if (applyChange(() => createCategory(categories, { name: newCategoryName }))) {
+      setNewCategoryName('')
+    }
+  }
+
+  const handleRename = (category, name) => {
+    if (name.trim() === category.name) return
+    applyChange(() => renameCategory(categories, category.id, name))
+  }
+
+  const handleMerge = () => {
+    if (!mergeSource || !mergeTarget) return
+    const source = categories.find(category => category.id === mergeSource)
+    const target = categories.find(category => category.id === mergeTarget)
+    const count = eventCounts[mergeSource] || 0
+    if (window.confirm(`Move ${count} activities from "${source.name}" into "${target.name}" and remove "${source.name}"?`)) {
+      onMergeCategories(mergeSource, mergeTarget)
+      setMergeSource(null)
+      setMergeTarget('')
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Tags className="h-5 w-5" />
+          Categories
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-2">
+          {categories.map(category => (
+            <div key={category.id} className={`p-2 border rounded-lg ${category.archived ? 'bg-gray-50 opacity-70' : ''}`}>
+              <div className="flex items-center gap-2">
+                <div className={`w-3 h-3 rounded-full flex-shrink-0 ${CATEGORY_COLORS[category.color]?.dot || CATEGORY_COLORS.gray.dot}`}></div>
+                <Input
+                  key={category.name}
+                  defaultValue={category.name}
+                  onBlur={(e) => handleRename(category, e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                  className="h-8 flex-1"
+                />
+                <Select value={category.color} onValueChange={(color) => applyChange(() => recolorCategory(categories, category.id, color))}>
+                  <SelectTrigger className="h-8 w-28">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(CATEGORY_COLORS).map(([color, style]) => (
+                      <SelectItem key={color} value={color}>
+                        <span className="flex items-center gap-2">
+                          <span className={`w-3 h-3 rounded-full ${style.dot}`}></span>
+                          {style.label}
+                        </span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Badge variant="outline" className="text-xs">
+                  {eventCounts[category.id] || 0}
+                </Badge>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  title={category.archived ? 'Restore category' : 'Archive category'}
+                  onClick={() => applyChange(() => archiveCategory(categories, category.id, !category.archived))}
+                >
+                  {category.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  title="Merge into another category"
+                  onClick={() => {
+                    setMergeSource(mergeSource === category.id ? null : category.id)
+                    setMergeTarget('')
+                  }}
+                >
+                  <GitMerge className="h-4 w-4" />
+                </Button>
+              </div>
+
+              {mergeSource === category.id && (
+                <div className="flex items-center gap-2 mt-2 text-sm">
+                  <span className="text-gray-600">Merge into</span>
+                  <select
+                    value={mergeTarget}
+                    onChange={(e) => setMergeTarget(e.target.value)}
+                    className="flex-1 p-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">Select a category</option>
+                    {categories
+                      .filter(other => other.id !== category.id)
+                      .map(other => (
+                        <option key={other.id} value={other.id}>{other.name}</option>
+                      ))}
+                  </select>
+                  <Button size="sm" onClick={handleMerge} disabled={!mergeTarget}>
+                    Merge
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={handleAddCategory} className="flex gap-2 mt-4">
+          <Input
+            value={newCategoryName}
+            onChange={(e) => setNewCategoryName(e.target.value)}
+            placeholder="New category, e.g. Nature, Creativity"
+            className="flex-1"
+          />
+          <Button type="submit" size="sm" disabled={!newCategoryName.trim()} className="flex items-center gap-1">
+            <Plus className="h-4 w-4" />
+            Add
+          </Button>
+        </form>
+        <p className="text-xs text-gray-500 mt-2">
+          Archived categories keep their history but can't be chosen for new activities.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CategoryManager
@@ -1,11 +1,42 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import Plot from 'react-plotly.js'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
+import { expandEvents } from '@/lib/recurrence'
+import { getCategory, getCategoryStyle } from '@/lib/categories'
+import { SCORING_MODELS, calculateDayInfluence, getEventInfluence, durationToMinutes, reachToDays } from '@/lib/scoring'
+import { CHECK_IN_METRICS, getWellbeingScore } from '@/lib/checkIns'
+import { describeGoal, getGoalsAtRisk } from '@/lib/goals'
+import { formatDate } from '@/lib/dates'
+import { withScenario } from '@/lib/scenarios'
+import {
+  INSIGHT_HORIZONS,
+  getActivityMoodChanges,
+  getFeatureCorrelations,
+  getCategoryRegressions,
+  getLagProfile,
+  getImpactSuggestions
+} from '@/lib/insights'
 
-const Charts = ({ events }) => {
+const Charts = ({ events: storedEvents, checkIns = [], categories, scoringSettings, goals = [], scenario = null }) => {
+  // Every chart works on individual occurrences of recurring series.
+  // Open-ended series are only projected a few weeks ahead to keep the date axes readable.
+  const events = useMemo(() => expandEvents(storedEvents, { horizonDays: 30 }), [storedEvents])
   const [activeChart, setActiveChart] = useState('timeline')
+
+  // Mood changes measured after each activity, shared by every insight
+  const insights = useMemo(() => {
+    const moodChanges = getActivityMoodChanges(events, checkIns)
+    const usedCategories = categories.filter(category => moodChanges.some(change => change.event.category === category.id))
+    return {
+      moodChanges,
+      correlations: getFeatureCorrelations(moodChanges, usedCategories),
+      regressions: getCategoryRegressions(moodChanges, usedCategories),
+      lagProfile: getLagProfile(events, checkIns),
+      suggestions: getImpactSuggestions(moodChanges)
+    }
+  }, [events, checkIns, categories])
   const [isFullscreen, setIsFullscreen] = useState(false)
 
   // Handle escape key to exit fullscreen
@@ -31,35 +62,17 @@ const Charts = ({ events }) => {
   }, [isFullscreen])
 
   // Helper function to get category color for consistency
-  const getCategoryColor = (category) => {
-    switch (category) {
-      case 'therapy': return '#9333ea'
-      case 'exercise': return '#16a34a'
-      case 'quality time': return '#2563eb'
-      default: return '#6b7280'
-    }
-  }
+  const getCategoryColor = (category) => getCategoryStyle(categories, category).hex
 
-  // Helper function to get numeric category value for coloring
-  const getCategoryNumber = (category) => {
-    switch (category) {
-      case 'therapy': return 1;
-      case 'exercise': return 2;
-      case 'quality time': return 3;
-      default: return 0;
-    }
-  }
+  // Helper function to get the display name of a category
+  const getCategoryName = (category) => getCategory(categories, category).name
 
-  // Helper function to convert reach to days
-  const reachToDays = (reachValue, reachUnit) => {
-    const value = Number(reachValue) || 1;
-    switch (reachUnit) {
-      case 'days': return value;
-      case 'weeks': return value * 7;
-      case 'months': return value * 30;
-      case 'years': return value * 365;
-      default: return value;
-    }
+  // Categories to plot: every registered category that has activities, plus unknown ones from imports
+  const getChartCategories = () => {
+    const usedIds = new Set(events.map(event => event.category))
+    const registered = categories.filter(category => usedIds.has(category.id)).map(category => category.id)
+    const unknown = [...usedIds].filter(id => !categories.some(category => category.id === id))
+    return [...registered, ...unknown]
   }
 
   // Helper function to calculate end date of reach
@@ -67,16 +80,13 @@ const Charts = ({ events }) => {
     const start = new Date(startDate);
     const daysToAdd = reachToDays(reachValue, reachUnit);
     const endDate = new Date(start);
-    endDate.setDate(start.getDate() + daysToAdd);
-    return endDate.toISOString().split('T')[0];
+    endDate.setUTCDate(start.getUTCDate() + daysToAdd);
+    return toDateString(endDate);
   }
 
-  // Helper function to calculate Gaussian distribution value
-  const gaussianValue = (x, mean, sigma) => {
-    const coefficient = 1 / (sigma * Math.sqrt(2 * Math.PI));
-    const exponent = -0.5 * Math.pow((x - mean) / sigma, 2);
-    return coefficient * Math.exp(exponent);
-  }
+  // Chart dates are UTC midnights (as parsed from YYYY-MM-DD), stepped in UTC so DST never
+  // shifts them; this turns them back into the YYYY-MM-DD key used by events
+  const toDateString = formatDate
 
   // Helper function to generate date range
   const getDateRange = (startDate, endDate, intervalDays = 1) => {
@@ -86,28 +96,60 @@ const Charts = ({ events }) => {
     
     while (current <= end) {
       dates.push(new Date(current));
-      current.setDate(current.getDate() + intervalDays);
+      current.setUTCDate(current.getUTCDate() + intervalDays);
     }
     return dates;
   }
 
+  // Helper function to get the first and last date covered by events and check-ins
+  const getDataDateRange = (extraEvents = []) => {
+    const dates = [...events, ...extraEvents].map(e => new Date(e.date)).concat(checkIns.map(checkIn => new Date(checkIn.date)))
+    return {
+      minDate: new Date(Math.min(...dates)),
+      maxDate: new Date(Math.max(...dates))
+    }
+  }
+
+  // Check-in wellbeing (0-100%) as a trace, with every metric in the hover text
+  const getCheckInTrace = (yaxis = 'y') => {
+    const sortedCheckIns = [...checkIns].sort((a, b) => a.date.localeCompare(b.date))
+    return {
+      x: sortedCheckIns.map(checkIn => checkIn.date),
+      y: sortedCheckIns.map(checkIn => getWellbeingScore(checkIn)),
+      yaxis,
+      type: 'scatter',
+      mode: 'markers+lines',
+      name: 'Felt Wellbeing (check-ins)',
+      marker: { color: '#f59e0b', size: 8, symbol: 'diamond' },
+      line: { color: '#f59e0b', width: 2, dash: 'dot' },
+      text: sortedCheckIns.map(checkIn =>
+        CHECK_IN_METRICS.map(metric => `${metric.label}: ${checkIn[metric.key]}/10`).join('<br>') +
+        (checkIn.note ? `<br><i>${checkIn.note}</i>` : '')
+      ),
+      hovertemplate:
+        '<b>Check-in</b><br>' +
+        'Date: %{x}<br>' +
+        'Wellbeing: %{y:.0f}%<br>' +
+        '%{text}<extra></extra>'
+    }
+  }
+
   // Timeline Chart - Shows events over time
   const getTimelineChart = () => {
-    if (events.length === 0) return null
+    if (events.length === 0 && checkIns.length === 0) return null
 
     // Sort events by date
     const sortedEvents = [...events].sort((a, b) => new Date(a.date) - new Date(b.date))
 
     // Prepare data for each category
-    const categories = ['therapy', 'exercise', 'quality time']
-    const traces = categories.map(category => {
+    const traces = getChartCategories().map(category => {
       const categoryEvents = sortedEvents.filter(event => event.category === category)
       
       return {
         x: categoryEvents.map(event => event.date),
         y: categoryEvents.map(event => event.rippleScore || 0),
         mode: 'markers+lines',
-        name: category.charAt(0).toUpperCase() + category.slice(1),
+        name: getCategoryName(category),
         marker: {
           color: getCategoryColor(category),
           size: categoryEvents.map(event => Math.max(8, event.impact * 2)), // Size based on impact
@@ -123,15 +165,39 @@ const Charts = ({ events }) => {
       }
     })
 
+    // Predicted daily score next to how the user reported feeling, both in % on a second axis
+    if (checkIns.length > 0) {
+      const { minDate, maxDate } = getDataDateRange()
+      const dateRange = getDateRange(minDate, maxDate, 1)
+      traces.push({
+        x: dateRange.map(toDateString),
+        y: dateRange.map(date => calculateDayInfluence(toDateString(date), events, scoringSettings).total),
+        yaxis: 'y2',
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Predicted Influence',
+        line: { color: '#6366f1', width: 1.5 },
+        hovertemplate: 'Date: %{x}<br>Predicted: %{y:.1f}%<extra></extra>'
+      })
+      traces.push(getCheckInTrace('y2'))
+    }
+
     return {
       data: traces,
       layout: {
         title: 'Mental Health Activities Timeline',
         xaxis: { title: 'Date' },
         yaxis: { title: 'Ripple Score' },
+        yaxis2: {
+          title: 'Influence / Wellbeing (%)',
+          overlaying: 'y',
+          side: 'right',
+          range: [0, 120],
+          showgrid: false
+        },
         hovermode: 'closest',
         showlegend: true,
-        margin: { t: 50, r: 50, b: 50, l: 50 }
+        margin: { t: 50, r: 70, b: 50, l: 50 }
       }
     }
   }
@@ -155,7 +221,7 @@ const Charts = ({ events }) => {
         '<b>%{text}</b><br>' +
         'Impact: %{x}/10<br>' +
         'Ripple Score: %{y}<br>' +
-        `Category: ${event.category}<br>` +
+        `Category: ${getCategoryName(event.category)}<br>` +
         '<extra></extra>',
       showlegend: false
     }))
@@ -191,23 +257,23 @@ const Charts = ({ events }) => {
       categoryStats[event.category].count += 1
     })
 
-    const categories = Object.keys(categoryStats)
-    const avgRippleScores = categories.map(cat => 
+    const categoryIds = Object.keys(categoryStats)
+    const avgRippleScores = categoryIds.map(cat => 
       categoryStats[cat].totalRipple / categoryStats[cat].count
     )
-    const avgImpactScores = categories.map(cat => 
+    const avgImpactScores = categoryIds.map(cat => 
       categoryStats[cat].totalImpact / categoryStats[cat].count
     )
 
     return {
       data: [
         {
-          x: categories.map(cat => cat.charAt(0).toUpperCase() + cat.slice(1)),
+          x: categoryIds.map(cat => getCategoryName(cat)),
           y: avgRippleScores,
           type: 'bar',
           name: 'Avg Ripple Score',
           marker: {
-            color: categories.map(cat => getCategoryColor(cat)),
+            color: categoryIds.map(cat => getCategoryColor(cat)),
             opacity: 0.8
           },
           hovertemplate: 
@@ -229,27 +295,9 @@ const Charts = ({ events }) => {
   const get3DChart = () => {
     if (events.length === 0) return null
 
-    const durationToMinutes = (duration, isAllDay) => {
-      if (isAllDay) return 480 // 8 hours
-      if (!duration) return 60
-      const [hours, minutes] = duration.split(':').map(Number)
-      return hours * 60 + minutes
-    }
-
-    const reachToDays = (reachValue, reachUnit) => {
-      const value = Number(reachValue) || 1
-      switch (reachUnit) {
-        case 'days': return value
-        case 'weeks': return value * 7
-        case 'months': return value * 30
-        case 'years': return value * 365
-        default: return value
-      }
-    }
-
     const traces = [{
       x: events.map(event => event.impact),
-      y: events.map(event => durationToMinutes(event.duration, event.isAllDay)),
+      y: events.map(event => event.isAllDay ? 480 : durationToMinutes(event.duration)), // 8 hours for all-day
       z: events.map(event => reachToDays(event.reachValue, event.reachUnit)),
       mode: 'markers',
       marker: {
@@ -291,20 +339,17 @@ const Charts = ({ events }) => {
     const maxDate = new Date(Math.max(...eventDates))
     
     // Extend the range to show complete bell curves
-    minDate.setDate(minDate.getDate() - 30)
-    maxDate.setDate(maxDate.getDate() + 60)
+    minDate.setUTCDate(minDate.getUTCDate() - 30)
+    maxDate.setUTCDate(maxDate.getUTCDate() + 60)
     
     // Generate date range for bell curves
     const dateRange = getDateRange(minDate, maxDate, 2) // Every 2 days for performance
     
     const traces = []
     
-    // Category mapping for z-axis positioning
-    const categoryMap = {
-      'therapy': 0,
-      'exercise': 1,
-      'quality time': 2
-    }
+    // Category mapping for y-axis positioning
+    const landscapeCategories = getChartCategories()
+    const categoryMap = Object.fromEntries(landscapeCategories.map((category, index) => [category, index]))
     
     // Add main event points
     const eventTrace = {
@@ -337,7 +382,6 @@ const Charts = ({ events }) => {
     events.forEach((event, eventIndex) => {
       const eventDate = new Date(event.date)
       const reachDays = reachToDays(event.reachValue, event.reachUnit)
-      const sigma = reachDays / 3 // 3-sigma rule
       const categoryY = categoryMap[event.category] || 0
       
       // Calculate bell curve values
@@ -348,13 +392,13 @@ const Charts = ({ events }) => {
       dateRange.forEach(date => {
         const daysDiff = (date - eventDate) / (1000 * 60 * 60 * 24)
         
-        // Only include points within 3 sigma for performance
-        if (Math.abs(daysDiff) <= reachDays) {
-          const gaussianValue = Math.exp(-0.5 * Math.pow(daysDiff / sigma, 2))
-          const scaledImpact = event.impact * gaussianValue
+        // Reach only extends forward from the event, up to its reach
+        if (daysDiff >= 0 && daysDiff <= reachDays) {
+          // Same influence as the calendar heatmap, scaled back to the 0-10 impact axis
+          const scaledImpact = getEventInfluence(event, toDateString(date), scoringSettings) / 10
           
           if (scaledImpact > 0.1) { // Only show significant influence
-            bellCurveX.push(date.toISOString().split('T')[0])
+            bellCurveX.push(toDateString(date))
             bellCurveY.push(categoryY)
             bellCurveZ.push(scaledImpact)
           }
@@ -388,14 +432,13 @@ const Charts = ({ events }) => {
     })
     
     // Add category planes for better visualization
-    const categoryNames = ['Therapy', 'Exercise', 'Quality Time']
-    const categoryColors = ['#9333ea', '#16a34a', '#2563eb']
+    const categoryNames = landscapeCategories.map(category => getCategoryName(category))
+    const categoryColors = landscapeCategories.map(category => getCategoryColor(category))
     
     categoryNames.forEach((categoryName, index) => {
       const planeSize = 0.4
       traces.push({
-        x: [minDate.toISOString().split('T')[0], maxDate.toISOString().split('T')[0], 
-            maxDate.toISOString().split('T')[0], minDate.toISOString().split('T')[0]],
+        x: [toDateString(minDate), toDateString(maxDate), toDateString(maxDate), toDateString(minDate)],
         y: [index - planeSize, index - planeSize, index - planeSize, index - planeSize],
         z: [0, 0, 10, 10],
         type: 'mesh3d',
@@ -419,9 +462,9 @@ const Charts = ({ events }) => {
           yaxis: { 
             title: 'Categories',
             tickmode: 'array',
-            tickvals: [0, 1, 2],
-            ticktext: ['Therapy', 'Exercise', 'Quality Time'],
-            range: [-0.5, 2.5]
+            tickvals: landscapeCategories.map((_, index) => index),
+            ticktext: categoryNames,
+            range: [-0.5, landscapeCategories.length - 0.5]
           },
           zaxis: { 
             title: 'Impact Level (1-10)',
@@ -443,42 +486,25 @@ const Charts = ({ events }) => {
     }
   }
 
-  // Mental Health Coverage Chart - Shows overlapping impact over time with Gaussian distributions
+  // Mental Health Coverage Chart - Shows the combined daily score over time using the selected scoring model
   const getCoverageChart = () => {
-    if (events.length === 0) return null
+    // Activities of the what-if scenario previewed, if any
+    const ghostEvents = scenario?.events || []
+    if (events.length === 0 && checkIns.length === 0 && ghostEvents.length === 0) return null
 
     // Find date range for the chart
-    const eventDates = events.map(e => new Date(e.date))
-    const minDate = new Date(Math.min(...eventDates))
-    const maxDate = new Date(Math.max(...eventDates))
+    const { minDate, maxDate } = getDataDateRange(ghostEvents)
     
     // Extend the range to show coverage gaps
-    minDate.setDate(minDate.getDate() - 30)
-    maxDate.setDate(maxDate.getDate() + 30)
+    minDate.setUTCDate(minDate.getUTCDate() - 30)
+    maxDate.setUTCDate(maxDate.getUTCDate() + 30)
     
     // Generate daily data points
     const dateRange = getDateRange(minDate, maxDate, 1)
     const traces = []
     
-    // Calculate cumulative impact for each day using Gaussian distributions
-    const cumulativeImpact = dateRange.map(date => {
-      let totalImpact = 0
-      
-      events.forEach(event => {
-        const eventDate = new Date(event.date)
-        const daysDiff = (date - eventDate) / (1000 * 60 * 60 * 24)
-        
-        // Use reach as the standard deviation (sigma) for the Gaussian
-        const reachDays = reachToDays(event.reachValue, event.reachUnit)
-        const sigma = reachDays / 3 // 3-sigma rule covers most of the distribution
-        
-        // Calculate Gaussian value and scale by impact
-        const gaussianImpact = gaussianValue(daysDiff, 0, sigma) * event.impact * sigma * Math.sqrt(2 * Math.PI)
-        totalImpact += gaussianImpact
-      })
-      
-      return totalImpact
-    })
+    // Daily score for each day, exactly as shown in the calendar heatmap
+    const cumulativeImpact = dateRange.map(date => calculateDayInfluence(toDateString(date), events, scoringSettings).total)
     
     // Create the main coverage area chart
     traces.push({
@@ -495,14 +521,14 @@ const Charts = ({ events }) => {
       name: 'Mental Health Coverage',
       hovertemplate: 
         'Date: %{x}<br>' +
-        'Coverage Level: %{y:.1f}<br>' +
+        'Coverage Level: %{y:.1f}%<br>' +
         '<extra></extra>'
     })
     
     // Add individual event markers
     events.forEach(event => {
       const eventDate = new Date(event.date)
-      const eventIndex = dateRange.findIndex(d => d.toDateString() === eventDate.toDateString())
+      const eventIndex = dateRange.findIndex(d => toDateString(d) === event.date)
       
       if (eventIndex >= 0) {
         traces.push({
@@ -519,7 +545,7 @@ const Charts = ({ events }) => {
           name: `${event.name}`,
           hovertemplate: 
             `<b>%{text}</b><br>` +
-            `Category: ${event.category}<br>` +
+            `Category: ${getCategoryName(event.category)}<br>` +
             `Impact: ${event.impact}/10<br>` +
             `Reach: ${event.reachValue} ${event.reachUnit}<br>` +
             `Date: ${event.date}<extra></extra>`,
@@ -529,23 +555,119 @@ const Charts = ({ events }) => {
       }
     })
     
-    // Add threshold line for low coverage
-    const averageCoverage = cumulativeImpact.reduce((sum, val) => sum + val, 0) / cumulativeImpact.length
-    const lowCoverageThreshold = averageCoverage * 0.5
-    
-    traces.push({
-      x: dateRange,
-      y: Array(dateRange.length).fill(lowCoverageThreshold),
-      type: 'scatter',
-      mode: 'lines',
-      line: {
-        color: '#ef4444',
-        width: 2,
-        dash: 'dash'
-      },
-      name: 'Low Coverage Threshold',
-      hovertemplate: 'Threshold: %{y:.1f}<extra></extra>'
-    })
+    // The curve as it would be with the previewed scenario, with the change on each day
+    if (ghostEvents.length > 0) {
+      const scenarioEvents = withScenario(events, scenario)
+      const scenarioImpact = dateRange.map(date => calculateDayInfluence(toDateString(date), scenarioEvents, scoringSettings).total)
+
+      traces.push({
+        x: dateRange,
+        y: scenarioImpact,
+        customdata: scenarioImpact.map((value, index) => value - cumulativeImpact[index]),
+        type: 'scatter',
+        mode: 'lines',
+        line: {
+          color: '#a855f7',
+          width: 2,
+          dash: 'dot'
+        },
+        name: `What if: ${scenario.name}`,
+        hovertemplate: 'What if: %{y:.1f}% (%{customdata:+.1f})<extra></extra>'
+      })
+
+      ghostEvents.forEach(event => {
+        const eventIndex = dateRange.findIndex(d => toDateString(d) === event.date)
+        if (eventIndex < 0) return
+        traces.push({
+          x: [new Date(event.date)],
+          y: [scenarioImpact[eventIndex]],
+          type: 'scatter',
+          mode: 'markers',
+          marker: {
+            color: getCategoryColor(event.category),
+            size: Math.max(8, event.impact * 2),
+            symbol: 'circle-open',
+            line: { width: 2 }
+          },
+          name: event.name,
+          hovertemplate:
+            `<b>What if: %{text}</b><br>` +
+            `Category: ${getCategoryName(event.category)}<br>` +
+            `Impact: ${event.impact}/10<br>` +
+            `Reach: ${event.reachValue} ${event.reachUnit}<br>` +
+            `Date: ${event.date}<extra></extra>`,
+          text: event.name,
+          showlegend: false
+        })
+      })
+    }
+
+    // How the user actually felt, on the same % scale as the predicted score
+    if (checkIns.length > 0) {
+      traces.push(getCheckInTrace())
+    }
+
+    // Daily influence goals are drawn as target lines; without any, a relative threshold stands in
+    const coverageGoals = goals.filter(goal => goal.type === 'coverage')
+    if (coverageGoals.length > 0) {
+      coverageGoals.forEach(goal => {
+        traces.push({
+          x: dateRange,
+          y: Array(dateRange.length).fill(goal.minInfluence),
+          type: 'scatter',
+          mode: 'lines',
+          line: {
+            color: '#16a34a',
+            width: 2,
+            dash: 'dash'
+          },
+          name: `Goal: ${describeGoal(goal, categories)}`,
+          hovertemplate: 'Goal: %{y:.0f}%<extra></extra>'
+        })
+      })
+    } else {
+      // Add threshold line for low coverage
+      const averageCoverage = cumulativeImpact.reduce((sum, val) => sum + val, 0) / cumulativeImpact.length
+      const lowCoverageThreshold = averageCoverage * 0.5
+
+      traces.push({
+        x: dateRange,
+        y: Array(dateRange.length).fill(lowCoverageThreshold),
+        type: 'scatter',
+        mode: 'lines',
+        line: {
+          color: '#ef4444',
+          width: 2,
+          dash: 'dash'
+        },
+        name: 'Low Coverage Threshold',
+        hovertemplate: 'Threshold: %{y:.1f}<extra></extra>'
+      })
+    }
+
+    // Days on which any goal is at risk or missed
+    if (goals.length > 0) {
+      const riskDays = dateRange
+        .map((date, index) => ({
+          date,
+          coverage: cumulativeImpact[index],
+          atRisk: getGoalsAtRisk(goals, toDateString(date), events, { settings: scoringSettings, influence: cumulativeImpact[index] })
+        }))
+        .filter(day => day.atRisk.length > 0)
+
+      if (riskDays.length > 0) {
+        traces.push({
+          x: riskDays.map(day => day.date),
+          y: riskDays.map(day => day.coverage),
+          type: 'scatter',
+          mode: 'markers',
+          marker: { color: '#dc2626', size: 8, symbol: 'x' },
+          name: 'Goal at Risk',
+          text: riskDays.map(day => day.atRisk.map(({ goal, status }) => `${describeGoal(goal, categories)} (${status})`).join('<br>')),
+          hovertemplate: '%{text}<extra></extra>'
+        })
+      }
+    }
 
     return {
       data: traces,
@@ -556,7 +678,7 @@ const Charts = ({ events }) => {
           type: 'date'
         },
         yaxis: { 
-          title: 'Cumulative Mental Health Impact',
+          title: 'Daily Mental Health Score (%)',
           rangemode: 'tozero'
         },
         margin: { t: 60, r: 50, b: 80, l: 80 },
@@ -581,8 +703,8 @@ const Charts = ({ events }) => {
     const maxDate = new Date(Math.max(...eventDates))
     
     // Extend the range to show complete curves
-    minDate.setDate(minDate.getDate() - 30)
-    maxDate.setDate(maxDate.getDate() + 60)
+    minDate.setUTCDate(minDate.getUTCDate() - 30)
+    maxDate.setUTCDate(maxDate.getUTCDate() + 60)
     
     // Generate daily data points
     const dateRange = getDateRange(minDate, maxDate, 1)
@@ -591,17 +713,9 @@ const Charts = ({ events }) => {
     // Create a curve for each event
     events.forEach((event, index) => {
       const eventDate = new Date(event.date)
-      const reachDays = reachToDays(event.reachValue, event.reachUnit)
-      const sigma = reachDays / 3 // 3-sigma rule covers most of the distribution
       
       // Calculate the curve values for this event
-      const curveValues = dateRange.map(date => {
-        const daysDiff = (date - eventDate) / (1000 * 60 * 60 * 24)
-        
-        // Calculate Gaussian value and scale by impact
-        const gaussianImpact = gaussianValue(daysDiff, 0, sigma) * event.impact * sigma * Math.sqrt(2 * Math.PI)
-        return Math.max(0, gaussianImpact) // Ensure non-negative values
-      })
+      const curveValues = dateRange.map(date => getEventInfluence(event, toDateString(date), scoringSettings))
       
       // Add the curve trace
       traces.push({
@@ -618,18 +732,18 @@ const Charts = ({ events }) => {
         name: `${event.name} (${event.date})`,
         hovertemplate: 
           `<b>${event.name}</b><br>` +
-          `Category: ${event.category}<br>` +
+          `Category: ${getCategoryName(event.category)}<br>` +
           `Impact: ${event.impact}/10<br>` +
           `Reach: ${event.reachValue} ${event.reachUnit}<br>` +
           `Date: %{x}<br>` +
-          `Influence: %{y:.1f}<br>` +
+          `Influence: %{y:.1f}%<br>` +
           '<extra></extra>',
         legendgroup: event.category,
         showlegend: index < 10 // Only show legend for first 10 events to avoid clutter
       })
       
       // Add event marker at the peak
-      const eventIndex = dateRange.findIndex(d => d.toDateString() === eventDate.toDateString())
+      const eventIndex = dateRange.findIndex(d => toDateString(d) === event.date)
       if (eventIndex >= 0) {
         traces.push({
           x: [eventDate],
@@ -645,11 +759,11 @@ const Charts = ({ events }) => {
           name: event.name,
           hovertemplate: 
             `<b>${event.name}</b><br>` +
-            `Category: ${event.category}<br>` +
+            `Category: ${getCategoryName(event.category)}<br>` +
             `Impact: ${event.impact}/10<br>` +
             `Reach: ${event.reachValue} ${event.reachUnit}<br>` +
             `Date: ${event.date}<br>` +
-            `Peak Influence: %{y:.1f}<extra></extra>`,
+            `Peak Influence: %{y:.1f}%<extra></extra>`,
           showlegend: false
         })
       }
@@ -664,7 +778,7 @@ const Charts = ({ events }) => {
           type: 'date'
         },
         yaxis: { 
-          title: 'Individual Event Influence',
+          title: 'Individual Event Influence (%)',
           rangemode: 'tozero'
         },
         margin: { t: 60, r: 50, b: 80, l: 80 },
@@ -681,6 +795,122 @@ const Charts = ({ events }) => {
     }
   }
 
+  // Insights Chart - Correlation of activity features with later mood, plus mood by days after activity
+  const getInsightsChart = () => {
+    const { moodChanges, correlations, lagProfile } = insights
+    if (moodChanges.length < 3) return null
+
+    const formatCell = (cell) => cell.r === null
+      ? `n/a (n=${cell.sampleSize})`
+      : `${cell.r.toFixed(2)} (n=${cell.sampleSize}${cell.confidence === 'high' ? '' : `, ${cell.confidence}`})`
+
+    return {
+      data: [
+        {
+          type: 'heatmap',
+          x: INSIGHT_HORIZONS.map(horizon => horizon.label),
+          y: correlations.map(feature => feature.label),
+          z: correlations.map(feature => INSIGHT_HORIZONS.map(({ key }) => feature[key].r)),
+          text: correlations.map(feature => INSIGHT_HORIZONS.map(({ key }) => formatCell(feature[key]))),
+          texttemplate: '%{text}',
+          zmin: -1,
+          zmax: 1,
+          colorscale: 'RdBu',
+          colorbar: { title: 'r', x: 0.45, len: 0.9 },
+          hovertemplate: '<b>%{y}</b> vs %{x}<br>Correlation: %{text}<extra></extra>',
+          xaxis: 'x',
+          yaxis: 'y'
+        },
+        {
+          type: 'bar',
+          x: lagProfile.map(lag => lag.lag === 0 ? 'Same day' : `+${lag.lag}d`),
+          y: lagProfile.map(lag => lag.r ?? 0),
+          marker: {
+            color: lagProfile.map(lag => (lag.r ?? 0) >= 0 ? '#16a34a' : '#dc2626'),
+            // Fade bars we can't trust yet
+            opacity: lagProfile.map(lag => lag.confidence === 'low' ? 0.4 : lag.confidence === 'medium' ? 0.7 : 1)
+          },
+          text: lagProfile.map(lag => `n=${lag.sampleSize}, ${lag.confidence} confidence`),
+          hovertemplate: 'Mood %{x} after activities<br>Correlation: %{y:.2f}<br>%{text}<extra></extra>',
+          name: 'Lagged correlation',
+          xaxis: 'x2',
+          yaxis: 'y2',
+          showlegend: false
+        }
+      ],
+      layout: {
+        title: 'What Actually Moves Your Mood',
+        xaxis: { domain: [0, 0.42] },
+        yaxis: { automargin: true },
+        xaxis2: { domain: [0.58, 1], anchor: 'y2', title: 'Days after logged impact' },
+        yaxis2: { anchor: 'x2', range: [-1, 1], title: 'Correlation with mood' },
+        margin: { t: 60, r: 30, b: 80, l: 100 },
+        showlegend: false
+      }
+    }
+  }
+
+  // Per-category regressions and impact recalibration suggestions shown under the insights chart
+  const renderInsightDetails = () => {
+    const { regressions, suggestions } = insights
+    const confidenceStyles = {
+      low: 'bg-red-50 text-red-700 border-red-200',
+      medium: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+      high: 'bg-green-50 text-green-700 border-green-200'
+    }
+
+    return (
+      <div className="mt-6 grid md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">Next-day mood change by category</h4>
+          <div className="space-y-2">
+            {regressions.map(regression => (
+              <div key={regression.category.id} className="p-2 border rounded-lg">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">{regression.category.name}</span>
+                  <Badge variant="outline" className={confidenceStyles[regression.confidence]}>
+                    {regression.confidence} confidence (n={regression.sampleSize})
+                  </Badge>
+                </div>
+                <div className="text-gray-600 mt-1">
+                  Average change: {regression.averageChange >= 0 ? '+' : ''}{regression.averageChange.toFixed(2)} mood points
+                </div>
+                <div className="text-gray-500 text-xs">
+                  Each impact point: {regression.slope >= 0 ? '+' : ''}{regression.slope.toFixed(2)} mood (R² {regression.rSquared.toFixed(2)})
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">Impact recalibration</h4>
+          {suggestions.length === 0 ? (
+            <p className="text-gray-500">Your impact ratings match your measured mood changes so far.</p>
+          ) : (
+            <div className="space-y-2">
+              {suggestions.map(suggestion => (
+                <div key={`${suggestion.name}|${suggestion.category}`} className="p-2 border rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">{suggestion.name}</span>
+                    <Badge variant="outline" className={confidenceStyles[suggestion.confidence]}>
+                      {suggestion.confidence} confidence (n={suggestion.sampleSize})
+                    </Badge>
+                  </div>
+                  <div className="text-gray-600 mt-1">
+                    Rated {suggestion.currentImpact}/10, but your mood suggests about {suggestion.suggestedImpact}/10
+                  </div>
+                  <div className="text-gray-500 text-xs">
+                    {Math.round(suggestion.agreement * 100)}% of check-ins agree · average change {suggestion.averageChange >= 0 ? '+' : ''}{suggestion.averageChange.toFixed(2)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    )
+  }
+
   const renderChart = () => {
     let chartConfig = null
     
@@ -706,10 +936,22 @@ const Charts = ({ events }) => {
       case 'individual':
         chartConfig = getIndividualCurvesChart()
         break
+      case 'insights':
+        chartConfig = getInsightsChart()
+        break
       default:
         chartConfig = getTimelineChart()
     }
 
+    if (!chartConfig && activeChart === 'insights') {
+      return (
+        <div className="text-center py-8">
+          <div className="text-4xl mb-2">🔍</div>
+          <p className="text-gray-500">Log daily check-ins around your activities to see which ones actually move your mood.</p>
+        </div>
+      )
+    }
+
     if (!chartConfig) {
       return (
         <div className="text-center py-8">
@@ -739,7 +981,7 @@ const Charts = ({ events }) => {
   const getChartDescription = () => {
     switch (activeChart) {
       case 'timeline':
-        return 'Track your mental health activities over time. Line thickness shows impact level.'
+        return 'Track your mental health activities over time. Line thickness shows impact level. With check-ins, the right axis compares predicted influence to how you felt.'
       case 'scatter':
         return 'Explore the relationship between impact and ripple score for each activity.'
       case 'bar':
@@ -749,9 +991,11 @@ const Charts = ({ events }) => {
       case '3d-subplot':
         return 'Immersive 3D landscape with date (X), categories (Y), and impact (Z) as axes. Includes reach bell curves showing how each event\'s influence extends over time.'
       case 'coverage':
-        return 'Plan your mental health schedule by seeing coverage gaps. Blue area shows cumulative benefits, red line shows low coverage threshold.'
+        return 'Plan your mental health schedule by seeing coverage gaps. Blue area shows cumulative benefits, green lines show your daily influence goals (or a red low coverage threshold without any), red crosses mark days where a goal is at risk, orange diamonds show how you felt in your check-ins. A previewed what-if scenario is drawn as a purple dotted line, with its activities as open circles. The Planner proposes activities for upcoming gaps.'
       case 'individual':
-        return 'See individual reach curves for each event. Each curve shows how an event\'s influence extends over time based on its reach.'
+        return `See individual reach curves for each event. Each curve shows how an event's influence extends over time based on its reach (${SCORING_MODELS[scoringSettings.model].label.toLowerCase()} model).`
+      case 'insights':
+        return 'Correlates category, impact, duration and reach with your next-day and next-week mood from check-ins. Faded bars and "low" labels mean there is not enough data yet.'
       default:
         return ''
     }
@@ -764,7 +1008,8 @@ const Charts = ({ events }) => {
     { id: '3d', label: '3D Explorer', icon: '🌐' },
     { id: '3d-subplot', label: '3D Landscape', icon: '🏔️' },
     { id: 'coverage', label: 'Coverage Planning', icon: '📅' },
-    { id: 'individual', label: 'Individual Curves', icon: '🌊' }
+    { id: 'individual', label: 'Individual Curves', icon: '🌊' },
+    { id: 'insights', label: 'Insights', icon: '🔍' }
   ]
 
   return (
@@ -822,6 +1067,8 @@ const Charts = ({ events }) => {
           {renderChart()}
         </div>
 
+        {activeChart === 'insights' && insights.moodChanges.length >= 3 && renderInsightDetails()}
+
         {/* Quick Stats */}
         {events.length > 0 && (
           <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
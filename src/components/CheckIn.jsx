@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Slider } from '@/components/ui/slider'
+import { HeartPulse, Trash2 } from 'lucide-react'
+import { CHECK_IN_METRICS, createCheckIn, getWellbeingScore } from '@/lib/checkIns'
+import { getToday } from '@/lib/dates'
+
+// Form values for a date: the saved check-in if there is one, otherwise neutral defaults
+const getFormValues = (checkIn) => ({
+  mood: checkIn?.mood ?? 5,
+  anxiety: checkIn?.anxiety ?? 5,
+  energy: checkIn?.energy ?? 5,
+  sleep: checkIn?.sleep ?? 5,
+  note: checkIn?.note ?? ''
+})
+
+const CheckIn = ({ checkIns, onSaveCheckIn, onDeleteCheckIn }) => {
+  const [date, setDate] = useState(getToday)
+  const existingCheckIn = checkIns.find(checkIn => checkIn.date === date)
+  const [values, setValues] = useState(() => getFormValues(existingCheckIn))
+
+  // Show the saved values whenever another day is picked (or the saved check-in changes)
+  useEffect(() => {
+    setValues(getFormValues(existingCheckIn))
+  }, [date, existingCheckIn])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSaveCheckIn(createCheckIn(date, values))
+  }
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete your check-in for ${date}?`)) {
+      onDeleteCheckIn(date)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <HeartPulse className="h-5 w-5" />
+          Daily Check-in
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <Label htmlFor="checkInDate">Date</Label>
+            <Input
+              id="checkInDate"
+              type="date"
+              value={date}
+              max={getToday()}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+            />
+          </div>
+
+          {CHECK_IN_METRICS.map(metric => (
+            <div key={metric.key}>
+              <Label>
+                {metric.emoji} {metric.label} (1-10): {values[metric.key]}
+              </Label>
+              <Slider
+                min={1}
+                max={10}
+                step={1}
+                value={[values[metric.key]]}
+                onValueChange={(value) => setValues(prev => ({ ...prev, [metric.key]: value[0] }))}
+                className="w-full mt-2"
+              />
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{metric.higherIsBetter ? 'Low' : 'Calm'}</span>
+                <span>{metric.higherIsBetter ? 'High' : 'Very anxious'}</span>
+              </div>
+            </div>
+          ))}
+
+          <div>
+            <Label htmlFor="checkInNote">Note</Label>
+            <textarea
+              id="checkInNote"
+              value={values.note}
+              onChange={(e) => setValues(prev => ({ ...prev, note: e.target.value }))}
+              placeholder="How did today feel?"
+              rows={3}
+              className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+
+          <div className="text-sm text-gray-600">
+            Wellbeing: <strong>{Math.round(getWellbeingScore(values))}%</strong>
+          </div>
+
+          <div className="flex gap-2">
+            <Button type="submit" className="flex-1">
+              {existingCheckIn ? 'Update Check-in' : 'Save Check-in'}
+            </Button>
+            {existingCheckIn && (
+              <Button type="button" variant="outline" onClick={handleDelete} title="Delete check-in">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CheckIn
@@ -0,0 +1,133 @@
+import React, { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { CalendarRange, Download, Copy, ChevronDown, ChevronRight } from 'lucide-react'
+import { getActiveCategories, getCategoryStyle } from '@/lib/categories'
+import { DEFAULT_FEED_SERVER_URL, getFeedUrl } from '@/lib/coverageIcs'
+import { StorageManager } from '@/lib/storage'
+
+const CoverageIcsPanel = ({ events, categories, feedServerUrl, feedStatus, onFeedServerUrlChange }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [selectedCategoryIds, setSelectedCategoryIds] = useState([])
+  const [serverUrlDraft, setServerUrlDraft] = useState(feedServerUrl || DEFAULT_FEED_SERVER_URL)
+
+  const activeCategories = getActiveCategories(categories)
+  const feedUrl = feedServerUrl ? getFeedUrl(feedServerUrl, selectedCategoryIds) : null
+
+  const toggleCategory = (id) => {
+    setSelectedCategoryIds(prev => prev.includes(id) ? prev.filter(categoryId => categoryId !== id) : [...prev, id])
+  }
+
+  const handleDownload = () => {
+    const result = StorageManager.exportCoverageIcs(events, categories, selectedCategoryIds)
+    if (!result.success) alert(`Export failed: ${result.error}`)
+  }
+
+  const handlePublishToggle = (enabled) => {
+    if (!enabled) {
+      onFeedServerUrlChange(null)
+      return
+    }
+    try {
+      onFeedServerUrlChange(new URL(serverUrlDraft).origin)
+    } catch {
+      alert(`"${serverUrlDraft}" is not a valid server address`)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+    } catch {
+      alert(`Copy this feed URL:\n${feedUrl}`)
+    }
+  }
+
+  return (
+    <div className="border-t pt-4">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 text-sm font-medium w-full text-left"
+      >
+        {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        <CalendarRange className="h-4 w-4" />
+        Coverage Calendar
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 space-y-3 text-sm">
+          <p className="text-xs text-gray-500">
+            Your activities plus an all-day "influence" span for each activity's reach, so coverage gaps
+            show up in your calendar. Subscribe to the feed to keep it up to date, or download a copy.
+          </p>
+          <div className="flex flex-wrap gap-3">
+            {activeCategories.map(category => (
+              <label key={category.id} className="flex items-center gap-1 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedCategoryIds.includes(category.id)}
+                  onChange={() => toggleCategory(category.id)}
+                />
+                <span className={`w-2 h-2 rounded-full ${getCategoryStyle(categories, category.id).dot}`} />
+                {category.name}
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            {selectedCategoryIds.length === 0 ? 'All categories are included.' : 'Only the checked categories are included.'}
+          </p>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleDownload}
+            disabled={events.length === 0}
+            className="flex items-center gap-1"
+          >
+            <Download className="h-4 w-4" />
+            Download .ics
+          </Button>
+
+          <div className="border-t pt-3 space-y-2">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!!feedServerUrl}
+                onChange={(e) => handlePublishToggle(e.target.checked)}
+              />
+              Publish a feed to subscribe to
+            </label>
+            <p className="text-xs text-gray-500">
+              Start the local feed server with <code>npm run feed</code>. Selframe updates it whenever you
+              make changes, and calendar apps on this computer can subscribe to the URL below.
+            </p>
+            {feedServerUrl ? (
+              <>
+                <div className="flex gap-2">
+                  <Input readOnly value={feedUrl} onFocus={(e) => e.target.select()} className="text-xs" />
+                  <Button variant="outline" size="sm" onClick={handleCopy} className="flex items-center gap-1">
+                    <Copy className="h-4 w-4" />
+                    Copy
+                  </Button>
+                </div>
+                {feedStatus && (
+                  <p className={`text-xs ${feedStatus.success ? 'text-gray-500' : 'text-red-600'}`}>
+                    {feedStatus.success ? `Published at ${feedStatus.at.toLocaleTimeString()}` : feedStatus.error}
+                  </p>
+                )}
+              </>
+            ) : (
+              <Input
+                value={serverUrlDraft}
+                onChange={(e) => setServerUrlDraft(e.target.value)}
+                placeholder={DEFAULT_FEED_SERVER_URL}
+                className="text-xs"
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CoverageIcsPanel
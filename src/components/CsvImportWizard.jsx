@@ -0,0 +1,259 @@
+import React, { useState, useMemo } from 'react'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { X, AlertTriangle } from 'lucide-react'
+import { getActiveCategories } from '@/lib/categories'
+import {
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  guessColumnMapping,
+  detectDateFormat,
+  getCategoryValues,
+  matchCategory,
+  convertCsvRows
+} from '@/lib/csv'
+
+const STEPS = ['Columns', 'Categories', 'Preview']
+
+// How many invalid rows the preview lists before summarizing the rest
+const MAX_INVALID_ROWS_SHOWN = 50
+
+const selectClassName = 'border rounded px-2 py-1 text-sm bg-white'
+
+const CsvImportWizard = ({ rows, fileName, categories, events, onImport, onClose }) => {
+  const headers = rows[0]
+  const dataRows = useMemo(() => rows.slice(1), [rows])
+  const activeCategories = useMemo(() => getActiveCategories(categories), [categories])
+
+  const [step, setStep] = useState(0)
+  const [mapping, setMapping] = useState(() => guessColumnMapping(headers))
+  const [dateFormat, setDateFormat] = useState(() => {
+    const guessed = guessColumnMapping(headers)
+    return guessed.date >= 0 ? detectDateFormat(dataRows.map(row => row[guessed.date])) : DATE_FORMATS[0]
+  })
+  const [categoryMap, setCategoryMap] = useState({})
+  const [defaultCategory, setDefaultCategory] = useState(activeCategories[0]?.id || '')
+  const [updateMatches, setUpdateMatches] = useState(false)
+
+  const categoryValues = useMemo(() => getCategoryValues(dataRows, mapping), [dataRows, mapping])
+
+  // Values matching an existing category are mapped to it unless the user picked something else
+  const resolvedCategoryMap = useMemo(() => Object.fromEntries(categoryValues.map(value => [
+    value,
+    value in categoryMap ? categoryMap[value] : matchCategory(activeCategories, value)
+  ])), [categoryValues, categoryMap, activeCategories])
+
+  const result = useMemo(
+    () => convertCsvRows(dataRows, mapping, { dateFormat, categoryMap: resolvedCategoryMap, defaultCategory, existingEvents: events }),
+    [dataRows, mapping, dateFormat, resolvedCategoryMap, defaultCategory, events]
+  )
+
+  // Rows matching events already in Selframe are skipped unless the user chooses to update those
+  const updatedEvents = updateMatches ? result.matched.map(({ event }) => event) : []
+  const importCount = result.valid.length + updatedEvents.length
+
+  const missingRequired = IMPORT_FIELDS.filter(({ field, required }) => required && mapping[field] < 0)
+
+  const handleMappingChange = (field, value) => {
+    const index = Number(value)
+    setMapping(prev => ({ ...prev, [field]: index }))
+    if (field === 'date' && index >= 0) {
+      setDateFormat(detectDateFormat(dataRows.map(row => row[index])))
+    }
+  }
+
+  const handleImport = () => {
+    if (importCount === 0) return
+    const updated = updatedEvents.length > 0 ? ` ${updatedEvents.length} existing events will be updated.` : ''
+    const skipped = [
+      result.invalid.length > 0 && `${result.invalid.length} invalid rows`,
+      !updateMatches && result.matched.length > 0 && `${result.matched.length} rows already in Selframe`
+    ].filter(Boolean)
+    const skippedText = skipped.length > 0 ? ` ${skipped.join(' and ')} will be skipped.` : ''
+    if (window.confirm(`Import ${result.valid.length} new events?${updated}${skippedText}`)) {
+      onImport(result.valid, updatedEvents)
+    }
+  }
+
+  // Example values from the first rows for a column
+  const getSamples = (index) => dataRows.slice(0, 3).map(row => row[index]).filter(Boolean).join(', ')
+
+  const renderColumnsStep = () => (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Choose which column of <strong>{fileName}</strong> holds each field. Unmapped optional fields use the form defaults.
+      </p>
+      {IMPORT_FIELDS.map(({ field, label, required }) => (
+        <div key={field} className="grid grid-cols-2 gap-3 items-center text-sm">
+          <span>
+            {label}
+            {required && <span className="text-red-500"> *</span>}
+          </span>
+          <div>
+            <select
+              value={mapping[field]}
+              onChange={(e) => handleMappingChange(field, e.target.value)}
+              className={`${selectClassName} w-full`}
+            >
+              <option value={-1}>— not in file —</option>
+              {headers.map((header, index) => (
+                <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+              ))}
+            </select>
+            {mapping[field] >= 0 && (
+              <div className="text-xs text-gray-500 truncate mt-1">e.g. {getSamples(mapping[field])}</div>
+            )}
+          </div>
+        </div>
+      ))}
+      <div className="grid grid-cols-2 gap-3 items-center text-sm border-t pt-3">
+        <span>Date format</span>
+        <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className={selectClassName}>
+          {DATE_FORMATS.map(format => (
+            <option key={format} value={format}>{format}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  )
+
+  const renderCategoriesStep = () => (
+    <div className="space-y-3">
+      {categoryValues.length > 0 ? (
+        <>
+          <p className="text-sm text-gray-600">
+            Map each category in the file to one of your categories. Rows with unmapped categories are skipped.
+          </p>
+          {categoryValues.map(value => (
+            <div key={value} className="grid grid-cols-2 gap-3 items-center text-sm">
+              <span className="truncate">{value}</span>
+              <select
+                value={resolvedCategoryMap[value] || ''}
+                onChange={(e) => setCategoryMap(prev => ({ ...prev, [value]: e.target.value || null }))}
+                className={selectClassName}
+              >
+                <option value="">— skip these rows —</option>
+                {activeCategories.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">No category column is mapped.</p>
+      )}
+      <div className="grid grid-cols-2 gap-3 items-center text-sm border-t pt-3">
+        <span>Category for rows without one</span>
+        <select value={defaultCategory} onChange={(e) => setDefaultCategory(e.target.value)} className={selectClassName}>
+          {activeCategories.map(category => (
+            <option key={category.id} value={category.id}>{category.name}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  )
+
+  const renderPreviewStep = () => (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <Badge className="bg-green-100 text-green-800">{result.valid.length} ready to import</Badge>
+        {result.matched.length > 0 && (
+          <Badge className="bg-blue-100 text-blue-800">{result.matched.length} already in Selframe</Badge>
+        )}
+        {result.invalid.length > 0 && (
+          <Badge className="bg-red-100 text-red-800">{result.invalid.length} failed validation</Badge>
+        )}
+      </div>
+      {result.matched.length > 0 && (
+        <div className="grid grid-cols-2 gap-3 items-center text-sm">
+          <span>Rows matching existing events (same id, or same date, name and start time)</span>
+          <select
+            value={updateMatches ? 'update' : 'skip'}
+            onChange={(e) => setUpdateMatches(e.target.value === 'update')}
+            className={selectClassName}
+          >
+            <option value="skip">Skip them</option>
+            <option value="update">Update the existing events</option>
+          </select>
+        </div>
+      )}
+      {result.invalid.length > 0 && (
+        <div className="max-h-72 overflow-y-auto border rounded-lg divide-y text-sm">
+          {result.invalid.slice(0, MAX_INVALID_ROWS_SHOWN).map(({ rowNumber, row, errors }) => (
+            <div key={rowNumber} className="p-2">
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-500">Row {rowNumber}</span>
+                <span className="truncate text-gray-700">{row.join(', ')}</span>
+              </div>
+              <ul className="text-xs text-red-600 mt-1">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          ))}
+          {result.invalid.length > MAX_INVALID_ROWS_SHOWN && (
+            <div className="p-2 text-xs text-gray-500">
+              …and {result.invalid.length - MAX_INVALID_ROWS_SHOWN} more
+            </div>
+          )}
+        </div>
+      )}
+      {result.valid.length > 0 && (
+        <div className="text-xs text-gray-500">
+          First rows: {result.valid.slice(0, 3).map(event => `${event.name} (${event.date})`).join(', ')}
+        </div>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[80vh] overflow-y-auto">
+        {/* Modal Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Import CSV</h2>
+            <p className="text-sm text-gray-600">
+              Step {step + 1} of {STEPS.length}: {STEPS[step]} · {dataRows.length} rows
+            </p>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="p-6">
+          {step === 0 && renderColumnsStep()}
+          {step === 1 && renderCategoriesStep()}
+          {step === 2 && renderPreviewStep()}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="flex items-center justify-between p-6 border-t">
+          <div className="text-sm text-red-600 flex items-center gap-1">
+            {missingRequired.length > 0 && (
+              <>
+                <AlertTriangle className="h-4 w-4" />
+                Map {missingRequired.map(({ label }) => label).join(' and ')} to continue
+              </>
+            )}
+          </div>
+          <div className="flex gap-2">
+            {step > 0 && (
+              <Button variant="outline" onClick={() => setStep(step - 1)}>Back</Button>
+            )}
+            {step < STEPS.length - 1 ? (
+              <Button onClick={() => setStep(step + 1)} disabled={missingRequired.length > 0}>Next</Button>
+            ) : (
+              <Button onClick={handleImport} disabled={importCount === 0}>
+                Import {importCount} events
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CsvImportWizard
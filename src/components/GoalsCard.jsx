@@ -0,0 +1,193 @@
+import React, { useState, useMemo } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Target, Plus, Trash2 } from 'lucide-react'
+import { expandEvents } from '@/lib/recurrence'
+import { getActiveCategories } from '@/lib/categories'
+import {
+  GOAL_TYPES,
+  GOAL_PERIODS,
+  GOAL_STATUSES,
+  createGoal,
+  removeGoal,
+  describeGoal,
+  evaluateGoal,
+  getGoalHitRate
+} from '@/lib/goals'
+import { getToday } from '@/lib/dates'
+import { withScenario } from '@/lib/scenarios'
+
+// How far ahead planned occurrences of recurring series count towards goals
+const PLANNING_HORIZON_DAYS = 60
+
+const selectClassName = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const GoalsCard = ({ goals, events: storedEvents, categories, scoringSettings, scenario = null, onChangeGoals }) => {
+  const events = useMemo(() => expandEvents(storedEvents, { horizonDays: PLANNING_HORIZON_DAYS }), [storedEvents])
+  const activeCategories = getActiveCategories(categories)
+  const [draft, setDraft] = useState({ type: 'frequency', category: '', count: 3, period: 'week', everyDays: 14, minInfluence: 60 })
+
+  // Today in the chosen time zone; changing the zone changes it
+  const today = getToday()
+
+  // With a what-if scenario previewed, each goal is also evaluated as if its activities were planned
+  const progress = useMemo(() => goals.map(goal => ({
+    ...evaluateGoal(goal, today, events, { settings: scoringSettings, today }),
+    hitRate: getGoalHitRate(goal, events, { settings: scoringSettings, today }),
+    whatIf: scenario ? evaluateGoal(goal, today, withScenario(events, scenario), { settings: scoringSettings, today }) : null
+  })), [goals, events, scoringSettings, today, scenario])
+
+  const handleAddGoal = (e) => {
+    e.preventDefault()
+    const fields = { type: draft.type }
+    if (draft.type !== 'coverage') fields.category = draft.category || activeCategories[0]?.id
+    if (draft.type === 'frequency') Object.assign(fields, { count: Number(draft.count), period: draft.period })
+    if (draft.type === 'interval') fields.everyDays = Number(draft.everyDays)
+    if (draft.type === 'coverage') fields.minInfluence = Number(draft.minInfluence)
+
+    try {
+      onChangeGoals(createGoal(goals, fields))
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Target className="h-5 w-5" />
+          Goals
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {progress.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Set what you intend to do, e.g. "{GOAL_TYPES.frequency.example}", and see your progress here,
+            in the coverage chart and in the calendar heatmap.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {progress.map(({ goal, status, detail, progress: { current, target }, hitRate, whatIf }) => (
+              <div key={goal.id} className="p-3 border rounded-lg space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-sm">{describeGoal(goal, categories)}</span>
+                  <div className="flex items-center gap-1">
+                    <Badge variant="outline" className={GOAL_STATUSES[status].badge}>
+                      {GOAL_STATUSES[status].label}
+                    </Badge>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      title="Delete goal"
+                      onClick={() => window.confirm(`Delete the goal "${describeGoal(goal, categories)}"?`) && onChangeGoals(removeGoal(goals, goal.id))}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${status === 'missed' ? 'bg-red-400' : status === 'at-risk' ? 'bg-orange-400' : 'bg-green-500'}`}
+                    style={{ width: `${Math.min(100, (current / target) * 100)}%` }}
+                  />
+                </div>
+                <div className="flex justify-between text-xs text-gray-500">
+                  <span>{detail}</span>
+                  <span>On track {hitRate.good} of the last {hitRate.total} days</span>
+                </div>
+                {whatIf && (whatIf.status !== status || whatIf.detail !== detail) && (
+                  <div className="flex items-center gap-2 text-xs text-purple-700">
+                    <span>What if "{scenario.name}":</span>
+                    <Badge variant="outline" className={GOAL_STATUSES[whatIf.status].badge}>
+                      {GOAL_STATUSES[whatIf.status].label}
+                    </Badge>
+                    <span>{whatIf.detail}</span>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleAddGoal} className="flex flex-wrap items-center gap-2 border-t pt-4 text-sm">
+          <select value={draft.type} onChange={(e) => updateDraft({ type: e.target.value })} className={selectClassName}>
+            {Object.entries(GOAL_TYPES).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+
+          {draft.type !== 'coverage' && (
+            <select
+              value={draft.category || activeCategories[0]?.id || ''}
+              onChange={(e) => updateDraft({ category: e.target.value })}
+              className={selectClassName}
+            >
+              {activeCategories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          )}
+
+          {draft.type === 'frequency' && (
+            <>
+              <Input
+                type="number"
+                min="1"
+                value={draft.count}
+                onChange={(e) => updateDraft({ count: e.target.value })}
+                className="w-16"
+              />
+              <span className="text-gray-600">× per</span>
+              <select value={draft.period} onChange={(e) => updateDraft({ period: e.target.value })} className={selectClassName}>
+                {Object.entries(GOAL_PERIODS).map(([period, { label }]) => (
+                  <option key={period} value={period}>{label}</option>
+                ))}
+              </select>
+            </>
+          )}
+
+          {draft.type === 'interval' && (
+            <>
+              <span className="text-gray-600">every</span>
+              <Input
+                type="number"
+                min="1"
+                value={draft.everyDays}
+                onChange={(e) => updateDraft({ everyDays: e.target.value })}
+                className="w-16"
+              />
+              <span className="text-gray-600">days</span>
+            </>
+          )}
+
+          {draft.type === 'coverage' && (
+            <>
+              <span className="text-gray-600">at least</span>
+              <Input
+                type="number"
+                min="1"
+                max="100"
+                value={draft.minInfluence}
+                onChange={(e) => updateDraft({ minInfluence: e.target.value })}
+                className="w-20"
+              />
+              <span className="text-gray-600">% every day</span>
+            </>
+          )}
+
+          <Button type="submit" variant="outline" className="flex items-center gap-1">
+            <Plus className="h-4 w-4" />
+            Add goal
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default GoalsCard
@@ -1,11 +1,25 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
-import { Calendar, Cloud, CloudOff, Download, Upload, Settings, User, RefreshCw, CheckCircle, AlertCircle, Loader2 } from 'lucide-react'
-import googleCalendarService from '../lib/googleCalendar'
+import { Calendar, Cloud, CloudOff, Download, Upload, Settings, User, RefreshCw, CheckCircle, AlertCircle, GitMerge, Loader2, CalendarPlus, MoveRight, Trash2, Pencil } from 'lucide-react'
+import googleCalendarService, { SELFRAME_CALENDAR } from '../lib/googleCalendar'
+import { syncWithGoogle, moveSyncState, EMPTY_SYNC_STATE } from '../lib/googleSync'
+import { StorageManager } from '../lib/storage'
+import { getImportKey } from '../lib/importQueue'
+import { CATEGORY_COLORS } from '../lib/categories'
+import { getTimeZone, getTimeZoneOptions } from '../lib/dates'
 
-const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
+// Deleting more events than this in Google asks for confirmation first
+const DELETE_CONFIRM_THRESHOLD = 5
+
+// Colors the Selframe calendar can be given: its default violet and the category palette
+const CALENDAR_COLORS = [
+  { label: 'Violet', hex: SELFRAME_CALENDAR.backgroundColor },
+  ...Object.values(CATEGORY_COLORS).map(({ label, hex }) => ({ label, hex }))
+]
+
+const GoogleCalendarSync = ({ events, categories, importRules, onApplySync, onStageImports, onWithdrawImports }) => {
   const [authStatus, setAuthStatus] = useState({
     isAvailable: false,
     isInitialized: false,
@@ -16,19 +30,40 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
   const [selectedCalendar, setSelectedCalendar] = useState('primary')
   const [syncStatus, setSyncStatus] = useState({
     isExporting: false,
-    isImporting: false,
-    lastSync: null,
-    exportCount: 0,
-    importCount: 0
+    isImporting: false
   })
+  const [syncState, setSyncState] = useState(EMPTY_SYNC_STATE)
   const [syncHistory, setSyncHistory] = useState([])
+  const [calendarTask, setCalendarTask] = useState(null) // 'creating' | 'moving' | 'updating' | 'deleting'
+  const [calendarEdit, setCalendarEdit] = useState(null) // { name, color, timeZone } while editing the Selframe calendar
   const [showSettings, setShowSettings] = useState(false)
+  const timeZoneOptions = useMemo(getTimeZoneOptions, [])
 
   // Initialize Google Calendar API on component mount
   useEffect(() => {
     initializeGoogleCalendar()
   }, [])
 
+  // Load the sync token and event id mapping from the last sync
+  useEffect(() => {
+    StorageManager.loadGoogleSyncState().then(state => {
+      setSyncState(state)
+      if (state.calendarId) setSelectedCalendar(state.calendarId)
+    })
+  }, [])
+
+  // Keep category colors and import inference in sync with the registry
+  useEffect(() => {
+    if (categories) {
+      googleCalendarService.setCategories(categories)
+    }
+  }, [categories])
+
+  // Imported events are categorized (or skipped) by the user's import rules
+  useEffect(() => {
+    googleCalendarService.setImportRules(importRules || [])
+  }, [importRules])
+
   const initializeGoogleCalendar = async () => {
     try {
       // First check if Google Calendar is available
@@ -59,11 +94,7 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
     try {
       const result = await googleCalendarService.signIn()
       if (result.success) {
-        setAuthStatus({
-          isInitialized: true,
-          isSignedIn: true,
-          user: result.user
-        })
+        setAuthStatus(googleCalendarService.getSignInStatus())
         await loadCalendars()
         addSyncHistoryItem('success', `Signed in as ${result.user.name}`)
       } else {
@@ -79,11 +110,7 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
     try {
       const result = await googleCalendarService.signOut()
       if (result.success) {
-        setAuthStatus({
-          isInitialized: true,
-          isSignedIn: false,
-          user: null
-        })
+        setAuthStatus(googleCalendarService.getSignInStatus())
         setCalendars([])
         addSyncHistoryItem('info', 'Signed out from Google Calendar')
       }
@@ -98,10 +125,10 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
       const calendarList = await googleCalendarService.getCalendarList()
       setCalendars(calendarList)
       
-      // Auto-select primary calendar if available
+      // Auto-select primary calendar if available, unless a calendar was synced before
       const primaryCalendar = calendarList.find(cal => cal.primary)
       if (primaryCalendar) {
-        setSelectedCalendar(primaryCalendar.id)
+        setSelectedCalendar(prev => calendarList.some(cal => cal.id === prev) ? prev : primaryCalendar.id)
       }
     } catch (error) {
       console.error('Failed to load calendars:', error)
@@ -109,101 +136,179 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
     }
   }
 
-  const handleExportToGoogle = async () => {
-    if (!authStatus.isSignedIn || events.length === 0) return
+  // Incremental sync: pull Google changes since the last sync token, push local changes, or both
+  const runSync = async ({ pull = true, push = true } = {}) => {
+    if (!authStatus.isSignedIn) return
+
+    setSyncStatus(prev => ({ ...prev, isExporting: push, isImporting: pull }))
 
-    setSyncStatus(prev => ({ ...prev, isExporting: true, exportCount: 0 }))
-    
     try {
-      let successCount = 0
-      let errorCount = 0
-
-      for (const event of events) {
-        try {
-          const result = await googleCalendarService.exportEventToGoogle(event, selectedCalendar)
-          if (result.success) {
-            successCount++
-            setSyncStatus(prev => ({ ...prev, exportCount: successCount }))
-          } else {
-            errorCount++
-          }
-        } catch (error) {
-          errorCount++
-          console.error('Export error for event:', event.name, error)
-        }
-      }
+      const result = await syncWithGoogle(googleCalendarService, {
+        calendarId: selectedCalendar,
+        events,
+        state: syncState,
+        pull,
+        push,
+        confirmDeletes: (count) => count < DELETE_CONFIRM_THRESHOLD ||
+          window.confirm(`${count} synced activities were deleted in Selframe. Delete them from Google Calendar too?`)
+      })
 
-      const now = new Date().toISOString()
-      setSyncStatus(prev => ({
-        ...prev,
-        isExporting: false,
-        lastSync: now,
-        exportCount: successCount
-      }))
-
-      if (successCount > 0) {
-        addSyncHistoryItem('success', `Exported ${successCount} events to Google Calendar`)
-        onExportComplete?.(successCount)
+      if (result.command) {
+        onApplySync?.(result.command)
       }
-      
-      if (errorCount > 0) {
-        addSyncHistoryItem('warning', `${errorCount} events failed to export`)
+      // Events from other apps go to the import review queue
+      if (result.staged.length > 0) {
+        const calendarName = calendars.find(calendar => calendar.id === selectedCalendar)?.name || selectedCalendar
+        onStageImports?.(result.staged, calendarName)
       }
+      if (result.withdrawn.length > 0) {
+        onWithdrawImports?.(result.withdrawn.map(googleEventId => getImportKey({ googleEventId })))
+      }
+      await saveSyncState(result.state)
+      result.log.forEach(({ type, message }) => addSyncHistoryItem(type, message))
+    } catch (error) {
+      addSyncHistoryItem('error', `Sync with Google Calendar failed: ${error.message}`)
+      console.error('Sync error:', error)
+    } finally {
+      setSyncStatus(prev => ({ ...prev, isExporting: false, isImporting: false }))
+    }
+  }
 
+  const saveSyncState = async (state) => {
+    setSyncState(state)
+    await StorageManager.saveGoogleSyncState(state)
+  }
+
+  // Calendars the synced events can be moved out of: the one synced so far, else the primary one
+  const getMigrationSource = () => syncState.calendarId && syncState.calendarId !== syncState.selframeCalendarId
+    ? syncState.calendarId
+    : 'primary'
+
+  const handleCreateSelframeCalendar = async () => {
+    setCalendarTask('creating')
+    try {
+      const calendar = await googleCalendarService.createSelframeCalendar()
+      setCalendars(prev => [...prev, calendar])
+      await saveSyncState({ ...syncState, selframeCalendarId: calendar.id })
+      addSyncHistoryItem('success', `Created the "${calendar.name}" calendar (${calendar.timeZone})`)
     } catch (error) {
-      setSyncStatus(prev => ({ ...prev, isExporting: false }))
-      addSyncHistoryItem('error', 'Export to Google Calendar failed')
-      console.error('Export error:', error)
+      console.error('Failed to create Selframe calendar:', error)
+      addSyncHistoryItem('error', `Could not create the Selframe calendar: ${error.message}`)
+    } finally {
+      setCalendarTask(null)
     }
   }
 
-  const handleImportFromGoogle = async () => {
-    if (!authStatus.isSignedIn) return
+  // One-click migration: move everything Selframe exported into the dedicated calendar and sync there
+  const handleMoveToSelframeCalendar = async () => {
+    const fromCalendarId = getMigrationSource()
+    const toCalendarId = syncState.selframeCalendarId
+    setCalendarTask('moving')
+    try {
+      const eventIds = await googleCalendarService.listSelframeEventIds(fromCalendarId)
+      if (eventIds.length > 0 && !window.confirm(`Move ${eventIds.length} exported activities into the Selframe calendar?`)) return
 
-    setSyncStatus(prev => ({ ...prev, isImporting: true, importCount: 0 }))
+      const { moved, failed } = await googleCalendarService.moveEvents(eventIds, fromCalendarId, toCalendarId)
+      const state = syncState.calendarId === fromCalendarId
+        ? moveSyncState(syncState, toCalendarId)
+        : { ...moveSyncState(syncState, toCalendarId), links: {} }
+      await saveSyncState(state)
+      setSelectedCalendar(toCalendarId)
+      addSyncHistoryItem(failed > 0 ? 'warning' : 'success',
+        `Moved ${moved} activities into the Selframe calendar${failed > 0 ? `, ${failed} failed` : ''}`)
+    } catch (error) {
+      console.error('Failed to move events:', error)
+      addSyncHistoryItem('error', `Moving events failed: ${error.message}`)
+    } finally {
+      setCalendarTask(null)
+    }
+  }
+
+  const handleEditSelframeCalendar = () => {
+    const calendar = calendars.find(calendar => calendar.id === syncState.selframeCalendarId)
+    setCalendarEdit({
+      name: calendar.name,
+      color: (calendar.color || SELFRAME_CALENDAR.backgroundColor).toLowerCase(),
+      timeZone: calendar.timeZone || getTimeZone()
+    })
+  }
 
+  const handleSaveSelframeCalendar = async () => {
+    const calendarId = syncState.selframeCalendarId
+    const name = calendarEdit.name.trim()
+    if (!name) {
+      alert('Give the calendar a name')
+      return
+    }
+
+    setCalendarTask('updating')
     try {
-      const result = await googleCalendarService.importEventsFromGoogle(selectedCalendar)
-      
-      if (result.success) {
-        const now = new Date().toISOString()
-        setSyncStatus(prev => ({
-          ...prev,
-          isImporting: false,
-          lastSync: now,
-          importCount: result.events.length
-        }))
-
-        if (result.events.length > 0) {
-          onImportEvents(result.events)
-          addSyncHistoryItem('success', `Imported ${result.events.length} events from Google Calendar`)
-        } else {
-          addSyncHistoryItem('info', 'No new events found to import')
-        }
-      } else {
-        addSyncHistoryItem('error', `Import failed: ${result.error}`)
-      }
+      const updated = await googleCalendarService.updateSelframeCalendar(calendarId, {
+        summary: name,
+        timeZone: calendarEdit.timeZone,
+        backgroundColor: calendarEdit.color
+      })
+      setCalendars(prev => prev.map(calendar => calendar.id === calendarId
+        ? { ...calendar, name: updated.summary, timeZone: updated.timeZone, color: calendarEdit.color }
+        : calendar))
+      setCalendarEdit(null)
+      addSyncHistoryItem('success', `Updated the "${updated.summary}" calendar (${updated.timeZone})`)
     } catch (error) {
-      setSyncStatus(prev => ({ ...prev, isImporting: false }))
-      addSyncHistoryItem('error', 'Import from Google Calendar failed')
-      console.error('Import error:', error)
+      console.error('Failed to update Selframe calendar:', error)
+      addSyncHistoryItem('error', `Could not update the Selframe calendar: ${error.message}`)
+    } finally {
+      setCalendarTask(null)
     }
   }
 
-  const handleTwoWaySync = async () => {
-    await handleExportToGoogle()
-    await new Promise(resolve => setTimeout(resolve, 1000)) // Brief pause
-    await handleImportFromGoogle()
+  const handleDeleteSelframeCalendar = async () => {
+    const calendarId = syncState.selframeCalendarId
+    if (!window.confirm('Delete the Selframe calendar and every event in it from Google? Your activities in Selframe are kept.')) return
+
+    setCalendarTask('deleting')
+    try {
+      await googleCalendarService.deleteSelframeCalendar(calendarId)
+      setCalendars(prev => prev.filter(calendar => calendar.id !== calendarId))
+      await saveSyncState(syncState.calendarId === calendarId
+        ? { ...EMPTY_SYNC_STATE }
+        : { ...syncState, selframeCalendarId: null })
+      setSelectedCalendar(prev => prev === calendarId ? 'primary' : prev)
+      addSyncHistoryItem('info', 'Deleted the Selframe calendar')
+    } catch (error) {
+      console.error('Failed to delete Selframe calendar:', error)
+      addSyncHistoryItem('error', `Could not delete the Selframe calendar: ${error.message}`)
+    } finally {
+      setCalendarTask(null)
+    }
   }
 
+  // Syncing with another calendar starts over there: the links to the events already exported
+  // are dropped and the next sync exports every activity again
+  const handleSelectCalendar = (calendarId) => {
+    const linkedCount = Object.keys(syncState.links).length
+    if (syncState.calendarId && calendarId !== syncState.calendarId && linkedCount > 0) {
+      const getName = (id) => calendars.find(calendar => calendar.id === id)?.name || id
+      const from = getName(syncState.calendarId)
+      const to = getName(calendarId)
+      if (!window.confirm(`Sync with "${to}" instead of "${from}"? The next sync exports all your activities to "${to}" again, and the ${linkedCount} events in "${from}" are no longer updated or deleted by Selframe.`)) return
+    }
+    setSelectedCalendar(calendarId)
+  }
+
+  const handleExportToGoogle = () => runSync({ pull: false })
+
+  const handleImportFromGoogle = () => runSync({ push: false })
+
+  const handleTwoWaySync = () => runSync()
+
   const addSyncHistoryItem = (type, message) => {
     const item = {
-      id: Date.now(),
+      id: Date.now() + Math.random(),
       type,
       message,
       timestamp: new Date().toISOString()
     }
-    setSyncHistory(prev => [item, ...prev.slice(0, 9)]) // Keep last 10 items
+    setSyncHistory(prev => [item, ...prev.slice(0, 19)]) // Keep last 20 items
   }
 
   const formatLastSync = (timestamp) => {
@@ -224,10 +329,13 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
       case 'success': return <CheckCircle className="w-4 h-4 text-green-500" />
       case 'error': return <AlertCircle className="w-4 h-4 text-red-500" />
       case 'warning': return <AlertCircle className="w-4 h-4 text-yellow-500" />
+      case 'conflict': return <GitMerge className="w-4 h-4 text-orange-500" />
       default: return <RefreshCw className="w-4 h-4 text-blue-500" />
     }
   }
 
+  const selframeCalendar = calendars.find(calendar => calendar.id === syncState.selframeCalendarId)
+
   // Show setup message if Google Calendar is not configured
   if (!authStatus.isAvailable) {
     return (
@@ -251,7 +359,7 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
             <div className="text-xs text-yellow-600 space-y-1">
               <p>1. Create a Google Cloud project</p>
               <p>2. Enable the Calendar API</p>
-              <p>3. Set VITE_GOOGLE_CLIENT_ID and VITE_GOOGLE_API_KEY</p>
+              <p>3. Create an OAuth client ID and set VITE_GOOGLE_CLIENT_ID</p>
               <p>4. Restart the development server</p>
             </div>
           </div>
@@ -348,7 +456,7 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
                 </label>
                 <select
                   value={selectedCalendar}
-                  onChange={(e) => setSelectedCalendar(e.target.value)}
+                  onChange={(e) => handleSelectCalendar(e.target.value)}
                   className="w-full p-2 border border-gray-300 rounded-md text-sm"
                 >
                   {calendars.map(calendar => (
@@ -360,11 +468,132 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
               </div>
             )}
 
+            {/* Dedicated Selframe calendar */}
+            {showSettings && (
+              <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+                <div className="text-sm font-medium text-gray-700">Selframe Calendar</div>
+                {!selframeCalendar ? (
+                  <>
+                    <p className="text-xs text-gray-500">
+                      Keep activities out of your personal calendars with a dedicated "Selframe" calendar.
+                    </p>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleCreateSelframeCalendar}
+                      disabled={!!calendarTask}
+                      className="flex items-center gap-2"
+                    >
+                      {calendarTask === 'creating' ? <Loader2 className="w-4 h-4 animate-spin" /> : <CalendarPlus className="w-4 h-4" />}
+                      Create Selframe calendar
+                    </Button>
+                  </>
+                ) : calendarEdit ? (
+                  <div className="space-y-2">
+                    <input
+                      type="text"
+                      value={calendarEdit.name}
+                      onChange={(e) => setCalendarEdit(prev => ({ ...prev, name: e.target.value }))}
+                      aria-label="Calendar name"
+                      className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                    />
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      <select
+                        value={calendarEdit.color}
+                        onChange={(e) => setCalendarEdit(prev => ({ ...prev, color: e.target.value }))}
+                        aria-label="Calendar color"
+                        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                      >
+                        {!CALENDAR_COLORS.some(color => color.hex === calendarEdit.color) && (
+                          <option value={calendarEdit.color}>Current color</option>
+                        )}
+                        {CALENDAR_COLORS.map(color => (
+                          <option key={color.hex} value={color.hex}>{color.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={calendarEdit.timeZone}
+                        onChange={(e) => setCalendarEdit(prev => ({ ...prev, timeZone: e.target.value }))}
+                        aria-label="Calendar time zone"
+                        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                      >
+                        {!timeZoneOptions.includes(calendarEdit.timeZone) && (
+                          <option value={calendarEdit.timeZone}>{calendarEdit.timeZone}</option>
+                        )}
+                        {timeZoneOptions.map(zone => (
+                          <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        onClick={handleSaveSelframeCalendar}
+                        disabled={!!calendarTask}
+                        className="flex items-center gap-2"
+                      >
+                        {calendarTask === 'updating' && <Loader2 className="w-4 h-4 animate-spin" />}
+                        Save
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => setCalendarEdit(null)} disabled={!!calendarTask}>
+                        Cancel
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <div className="flex items-center gap-2 text-sm">
+                      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: selframeCalendar.color }} />
+                      {selframeCalendar.name}
+                      {selframeCalendar.timeZone && <span className="text-xs text-gray-500">{selframeCalendar.timeZone}</span>}
+                      {syncState.calendarId === selframeCalendar.id && (
+                        <Badge variant="outline" className="text-xs">Syncing here</Badge>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {syncState.calendarId !== selframeCalendar.id && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={handleMoveToSelframeCalendar}
+                          disabled={!!calendarTask}
+                          className="flex items-center gap-2"
+                        >
+                          {calendarTask === 'moving' ? <Loader2 className="w-4 h-4 animate-spin" /> : <MoveRight className="w-4 h-4" />}
+                          Move exported events here
+                        </Button>
+                      )}
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={handleEditSelframeCalendar}
+                        disabled={!!calendarTask}
+                        className="flex items-center gap-2"
+                      >
+                        <Pencil className="w-4 h-4" />
+                        Edit
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={handleDeleteSelframeCalendar}
+                        disabled={!!calendarTask}
+                        className="flex items-center gap-2 text-red-600"
+                      >
+                        {calendarTask === 'deleting' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                        Delete calendar
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Sync Actions */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
               <Button
                 onClick={handleExportToGoogle}
-                disabled={syncStatus.isExporting || events.length === 0}
+                disabled={syncStatus.isExporting || syncStatus.isImporting || events.length === 0}
                 variant="outline"
                 className="flex items-center gap-2"
               >
@@ -374,16 +603,11 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
                   <Upload className="w-4 h-4" />
                 )}
                 Export to Google
-                {syncStatus.isExporting && (
-                  <Badge variant="secondary" className="ml-1">
-                    {syncStatus.exportCount}
-                  </Badge>
-                )}
               </Button>
 
               <Button
                 onClick={handleImportFromGoogle}
-                disabled={syncStatus.isImporting}
+                disabled={syncStatus.isExporting || syncStatus.isImporting}
                 variant="outline"
                 className="flex items-center gap-2"
               >
@@ -397,7 +621,7 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
 
               <Button
                 onClick={handleTwoWaySync}
-                disabled={syncStatus.isExporting || syncStatus.isImporting || events.length === 0}
+                disabled={syncStatus.isExporting || syncStatus.isImporting}
                 className="flex items-center gap-2"
               >
                 {(syncStatus.isExporting || syncStatus.isImporting) ? (
@@ -411,7 +635,7 @@ const GoogleCalendarSync = ({ events, onImportEvents, onExportComplete }) => {
 
             {/* Sync Status */}
             <div className="text-sm text-gray-600 text-center">
-              Last sync: {formatLastSync(syncStatus.lastSync)}
+              Last sync: {formatLastSync(syncState.lastSyncedAt)}
             </div>
 
             {/* Sync History */}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Inbox, Check, EyeOff, RotateCcw } from 'lucide-react'
+import { getActiveCategories } from '@/lib/categories'
+import { REACH_UNITS } from '@/lib/importRules'
+
+const selectClassName = 'p-1 border border-gray-300 rounded-md text-sm'
+
+const ImportReviewQueue = ({ queue, categories, onAccept, onIgnore, onUpdate, onClearIgnored }) => {
+  const [selectedKeys, setSelectedKeys] = useState([])
+
+  // Selections of items that left the queue no longer count
+  const selected = selectedKeys.filter(key => queue.items.some(item => item.key === key))
+  const allSelected = queue.items.length > 0 && selected.length === queue.items.length
+
+  const toggleSelected = (key) => {
+    setSelectedKeys(prev => prev.includes(key) ? prev.filter(selectedKey => selectedKey !== key) : [...prev, key])
+  }
+
+  const toggleAll = () => {
+    setSelectedKeys(allSelected ? [] : queue.items.map(item => item.key))
+  }
+
+  const handleIgnore = (keys) => {
+    const message = keys.length === 1
+      ? `Ignore "${queue.items.find(item => item.key === keys[0]).event.name}"? It won't be offered again.`
+      : `Ignore ${keys.length} events? They won't be offered again.`
+    if (window.confirm(message)) onIgnore(keys)
+  }
+
+  if (queue.items.length === 0 && queue.ignoredKeys.length === 0) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Inbox className="h-5 w-5" />
+          Import Review
+          {queue.items.length > 0 && (
+            <Badge variant="outline" className="bg-blue-50 text-blue-700 border-blue-200">
+              {queue.items.length} waiting
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {queue.items.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing to review. New events from other calendars show up here.</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between gap-2 text-sm">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+                Select all
+              </label>
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  onClick={() => onAccept(selected.length > 0 ? selected : queue.items.map(item => item.key))}
+                  className="flex items-center gap-1"
+                >
+                  <Check className="h-4 w-4" />
+                  {selected.length > 0 ? `Accept ${selected.length}` : 'Accept all'}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={selected.length === 0}
+                  onClick={() => handleIgnore(selected)}
+                  className="flex items-center gap-1"
+                >
+                  <EyeOff className="h-4 w-4" />
+                  Ignore
+                </Button>
+              </div>
+            </div>
+
+            <div className="max-h-96 overflow-y-auto space-y-2">
+              {queue.items.map(({ key, event, sourceName }) => (
+                <div key={key} className="p-2 border rounded-lg space-y-2 text-sm">
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" checked={selected.includes(key)} onChange={() => toggleSelected(key)} />
+                    <Input
+                      key={event.name}
+                      defaultValue={event.name}
+                      onBlur={(e) => e.target.value.trim() !== event.name && onUpdate(key, { name: e.target.value.trim() })}
+                      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                      className="h-8 flex-1"
+                    />
+                    <Button variant="ghost" size="sm" title="Accept" onClick={() => onAccept([key])}>
+                      <Check className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="sm" title="Ignore permanently" onClick={() => handleIgnore([key])}>
+                      <EyeOff className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 pl-6">
+                    <span className="text-xs text-gray-500">
+                      {event.date}{event.isAllDay ? ' · all day' : ` · ${event.duration}`}{sourceName ? ` · ${sourceName}` : ''}
+                    </span>
+                    <select
+                      value={event.category}
+                      onChange={(e) => onUpdate(key, { category: e.target.value })}
+                      className={selectClassName}
+                    >
+                      {getActiveCategories(categories).map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-1 text-xs text-gray-600">
+                      Impact
+                      <Input
+                        type="number"
+                        min="1"
+                        max="10"
+                        key={event.impact}
+                        defaultValue={event.impact}
+                        onBlur={(e) => Number(e.target.value) !== event.impact && onUpdate(key, { impact: Number(e.target.value) })}
+                        className="h-7 w-14"
+                      />
+                    </label>
+                    <label className="flex items-center gap-1 text-xs text-gray-600">
+                      Reach
+                      <Input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        key={event.reachValue}
+                        defaultValue={event.reachValue}
+                        onBlur={(e) => Number(e.target.value) !== event.reachValue && onUpdate(key, { reachValue: Number(e.target.value) })}
+                        className="h-7 w-16"
+                      />
+                      <select
+                        value={event.reachUnit}
+                        onChange={(e) => onUpdate(key, { reachUnit: e.target.value })}
+                        className={selectClassName}
+                      >
+                        {REACH_UNITS.map(unit => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {queue.ignoredKeys.length > 0 && (
+          <div className="flex items-center justify-between text-xs text-gray-500 border-t pt-3">
+            <span>{queue.ignoredKeys.length} ignored events won't be imported again.</span>
+            <Button variant="ghost" size="sm" onClick={onClearIgnored} className="flex items-center gap-1">
+              <RotateCcw className="h-3 w-3" />
+              Forget ignored
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ImportReviewQueue
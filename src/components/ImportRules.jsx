@@ -0,0 +1,320 @@
+import React, { useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Filter, Plus, Trash2, ChevronUp, ChevronDown, ChevronRight, FlaskConical, Loader2 } from 'lucide-react'
+import {
+  REACH_UNITS,
+  createImportRule,
+  updateImportRule,
+  removeImportRule,
+  moveImportRule,
+  classifyImportedEvent
+} from '@/lib/importRules'
+import { getActiveCategories, getCategory } from '@/lib/categories'
+import googleCalendarService from '@/lib/googleCalendar'
+import { StorageManager } from '@/lib/storage'
+
+const MATCH_FIELDS = [
+  { field: 'title', label: 'Title matches', placeholder: 'Regex, e.g. ^(gym|run)' },
+  { field: 'description', label: 'Description matches', placeholder: 'Regex' },
+  { field: 'calendar', label: 'Calendar', placeholder: 'Calendar id or name contains' },
+  { field: 'attendee', label: 'Attendee', placeholder: 'Email or name contains' },
+  { field: 'location', label: 'Location', placeholder: 'Contains, e.g. Clinic' }
+]
+
+const selectClassName = 'w-full p-1 border border-gray-300 rounded-md text-sm'
+
+const describeEventTime = (googleEvent) => googleEvent.start.date || new Date(googleEvent.start.dateTime).toLocaleString()
+
+const ImportRules = ({ rules, categories, onChangeRules }) => {
+  const [newRuleName, setNewRuleName] = useState('')
+  const [expandedRuleId, setExpandedRuleId] = useState(null)
+  const [testEvents, setTestEvents] = useState(null) // Raw Google events the rules are tried on
+  const [testCalendarId, setTestCalendarId] = useState(null)
+  const [isLoadingTest, setIsLoadingTest] = useState(false)
+
+  // Run a rules operation, surfacing validation errors to the user
+  const applyChange = (operation) => {
+    try {
+      onChangeRules(operation())
+      return true
+    } catch (error) {
+      alert(error.message)
+      return false
+    }
+  }
+
+  const handleAddRule = (e) => {
+    e.preventDefault()
+    if (applyChange(() => createImportRule(rules, { name: newRuleName }))) {
+      setNewRuleName('')
+    }
+  }
+
+  const updateRule = (rule, changes) => applyChange(() => updateImportRule(rules, rule.id, changes))
+
+  const handleDeleteRule = (rule) => {
+    if (window.confirm(`Delete the rule "${rule.name}"?`)) {
+      applyChange(() => removeImportRule(rules, rule.id))
+    }
+  }
+
+  const handleLoadTestEvents = async () => {
+    if (!googleCalendarService.getSignInStatus().isSignedIn) {
+      alert('Connect Google Calendar first to test rules on your recent events.')
+      return
+    }
+    setIsLoadingTest(true)
+    try {
+      const { calendarId } = await StorageManager.loadGoogleSyncState()
+      setTestEvents(await googleCalendarService.listRecentForeignEvents(calendarId || 'primary'))
+      setTestCalendarId(calendarId || 'primary')
+    } catch (error) {
+      alert(`Could not load recent events: ${error.message}`)
+    } finally {
+      setIsLoadingTest(false)
+    }
+  }
+
+  const renderRuleEditor = (rule) => (
+    <div className="mt-3 space-y-3 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        {MATCH_FIELDS.map(({ field, label, placeholder }) => (
+          <label key={field} className="space-y-1">
+            <span className="text-xs text-gray-600">{label}</span>
+            <Input
+              key={rule.match[field]}
+              defaultValue={rule.match[field]}
+              placeholder={placeholder}
+              onBlur={(e) => e.target.value !== rule.match[field] && updateRule(rule, { match: { [field]: e.target.value } })}
+              className="h-8"
+            />
+          </label>
+        ))}
+        <div className="space-y-1">
+          <span className="text-xs text-gray-600">Duration (minutes)</span>
+          <div className="flex items-center gap-1">
+            <Input
+              type="number"
+              min="0"
+              placeholder="min"
+              key={rule.match.minDuration ?? ''}
+              defaultValue={rule.match.minDuration ?? ''}
+              onBlur={(e) => updateRule(rule, { match: { minDuration: e.target.value === '' ? null : Number(e.target.value) } })}
+              className="h-8"
+            />
+            <span className="text-gray-400">–</span>
+            <Input
+              type="number"
+              min="0"
+              placeholder="max"
+              key={rule.match.maxDuration ?? ''}
+              defaultValue={rule.match.maxDuration ?? ''}
+              onBlur={(e) => updateRule(rule, { match: { maxDuration: e.target.value === '' ? null : Number(e.target.value) } })}
+              className="h-8"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 pt-2 border-t">
+        <label className="space-y-1">
+          <span className="text-xs text-gray-600">Then</span>
+          <select
+            value={rule.action.skip ? 'skip' : 'import'}
+            onChange={(e) => updateRule(rule, { action: { skip: e.target.value === 'skip' } })}
+            className={selectClassName}
+          >
+            <option value="import">Import</option>
+            <option value="skip">Don't import</option>
+          </select>
+        </label>
+        {!rule.action.skip && (
+          <>
+            <label className="space-y-1">
+              <span className="text-xs text-gray-600">Category</span>
+              <select
+                value={rule.action.category || ''}
+                onChange={(e) => updateRule(rule, { action: { category: e.target.value || null } })}
+                className={selectClassName}
+              >
+                <option value="">By keywords</option>
+                {getActiveCategories(categories).map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-xs text-gray-600">Impact (1-10)</span>
+              <Input
+                type="number"
+                min="1"
+                max="10"
+                placeholder="By duration"
+                key={rule.action.impact ?? ''}
+                defaultValue={rule.action.impact ?? ''}
+                onBlur={(e) => updateRule(rule, { action: { impact: e.target.value === '' ? null : Number(e.target.value) } })}
+                className="h-8"
+              />
+            </label>
+            <div className="space-y-1">
+              <span className="text-xs text-gray-600">Reach</span>
+              <div className="flex gap-1">
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  placeholder="1"
+                  key={rule.action.reachValue ?? ''}
+                  defaultValue={rule.action.reachValue ?? ''}
+                  onBlur={(e) => updateRule(rule, { action: { reachValue: e.target.value === '' ? null : Number(e.target.value) } })}
+                  className="h-8"
+                />
+                <select
+                  value={rule.action.reachUnit || ''}
+                  onChange={(e) => updateRule(rule, { action: { reachUnit: e.target.value || null } })}
+                  className={selectClassName}
+                >
+                  <option value="">days</option>
+                  {REACH_UNITS.filter(unit => unit !== 'days').map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+
+  const renderTestResults = () => {
+    if (testEvents.length === 0) {
+      return <p className="text-xs text-gray-500">No events from other apps in the last two weeks.</p>
+    }
+    return (
+      <div className="max-h-64 overflow-y-auto space-y-1">
+        {testEvents.map(googleEvent => {
+          const result = classifyImportedEvent(googleEvent, { rules, categories, calendar: testCalendarId })
+          return (
+            <div key={googleEvent.id} className="flex items-center justify-between gap-2 text-xs p-2 bg-gray-50 rounded">
+              <div className="min-w-0">
+                <div className="truncate text-gray-900">{googleEvent.summary || '(No title)'}</div>
+                <div className="text-gray-500">
+                  {describeEventTime(googleEvent)} · {result.rule ? `Rule: ${result.rule.name}` : 'Default'}
+                </div>
+              </div>
+              {result.skip ? (
+                <Badge variant="outline" className="text-gray-500">Skipped</Badge>
+              ) : (
+                <div className="text-right flex-shrink-0">
+                  <Badge variant="outline">{getCategory(categories, result.category).name}</Badge>
+                  <div className="text-gray-500 mt-1">
+                    Impact {result.impact} · {result.reachValue ?? 1} {result.reachUnit ?? 'days'}
+                  </div>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Filter className="h-5 w-5" />
+          Import Rules
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-gray-500">
+          Decide how events from Google Calendar and .ics files are imported. The first matching rule wins;
+          events no rule matches are categorized by category keywords and scored by duration.
+        </p>
+
+        {rules.length > 0 && (
+          <div className="space-y-2">
+            {rules.map((rule, index) => (
+              <div key={rule.id} className={`p-2 border rounded-lg ${rule.enabled ? '' : 'bg-gray-50 opacity-70'}`}>
+                <div className="flex items-center gap-2">
+                  <button onClick={() => setExpandedRuleId(expandedRuleId === rule.id ? null : rule.id)}>
+                    {expandedRuleId === rule.id ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                  </button>
+                  <input
+                    type="checkbox"
+                    title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+                    checked={rule.enabled}
+                    onChange={() => updateRule(rule, { enabled: !rule.enabled })}
+                  />
+                  <Input
+                    key={rule.name}
+                    defaultValue={rule.name}
+                    onBlur={(e) => e.target.value.trim() !== rule.name && updateRule(rule, { name: e.target.value.trim() })}
+                    onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                    className="h-8 flex-1"
+                  />
+                  {rule.action.skip && <Badge variant="outline" className="text-xs">Skip</Badge>}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    title="Move up"
+                    disabled={index === 0}
+                    onClick={() => onChangeRules(moveImportRule(rules, rule.id, -1))}
+                  >
+                    <ChevronUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    title="Move down"
+                    disabled={index === rules.length - 1}
+                    onClick={() => onChangeRules(moveImportRule(rules, rule.id, 1))}
+                  >
+                    <ChevronDown className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" title="Delete rule" onClick={() => handleDeleteRule(rule)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                {expandedRuleId === rule.id && renderRuleEditor(rule)}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleAddRule} className="flex gap-2">
+          <Input
+            value={newRuleName}
+            onChange={(e) => setNewRuleName(e.target.value)}
+            placeholder="New rule, e.g. Skip work meetings"
+          />
+          <Button type="submit" variant="outline" className="flex items-center gap-1" disabled={!newRuleName.trim()}>
+            <Plus className="h-4 w-4" />
+            Add
+          </Button>
+        </form>
+
+        <div className="border-t pt-4 space-y-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleLoadTestEvents}
+            disabled={isLoadingTest}
+            className="flex items-center gap-2"
+          >
+            {isLoadingTest ? <Loader2 className="h-4 w-4 animate-spin" /> : <FlaskConical className="h-4 w-4" />}
+            Test on recent Google events
+          </Button>
+          {testEvents && renderTestResults()}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ImportRules
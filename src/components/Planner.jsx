@@ -0,0 +1,159 @@
+import React, { useState, useMemo } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { CalendarClock, Plus, X } from 'lucide-react'
+import { expandEvents } from '@/lib/recurrence'
+import { getCategory, getCategoryStyle } from '@/lib/categories'
+import { planActivities, findCoverageGaps, createPlannedEvent } from '@/lib/planner'
+import { formatDateLabel, getToday } from '@/lib/dates'
+
+const PLANNING_PERIODS = [7, 14, 30]
+
+// Without a daily influence goal, plan towards this much coverage
+const DEFAULT_TARGET = 50
+
+const selectClassName = 'p-1 border border-gray-300 rounded-md text-sm'
+
+const formatDay = (dateString) => formatDateLabel(dateString, { weekday: 'short', month: 'short', day: 'numeric' })
+
+const Planner = ({ events: storedEvents, checkIns, categories, scoringSettings, goals, onAcceptPlan }) => {
+  // The strictest daily influence goal is the natural target
+  const goalTarget = Math.max(0, ...goals.filter(goal => goal.type === 'coverage').map(goal => goal.minInfluence))
+  const [customTarget, setCustomTarget] = useState(null)
+  const [days, setDays] = useState(14)
+  const [excludedKeys, setExcludedKeys] = useState([])
+  const [choices, setChoices] = useState({}) // proposal key -> key of the alternative picked instead
+  const target = customTarget ?? (goalTarget || DEFAULT_TARGET)
+
+  const events = useMemo(() => expandEvents(storedEvents, { horizonDays: days + 1 }), [storedEvents, days])
+  // Today in the chosen time zone; plans start from it
+  const today = getToday()
+
+  const gaps = useMemo(
+    () => findCoverageGaps(events, { target, settings: scoringSettings, startDate: today, days }),
+    [events, target, scoringSettings, today, days]
+  )
+
+  const proposals = useMemo(
+    () => planActivities(events, { categories, checkIns, settings: scoringSettings, target, startDate: today, days, excludedKeys }),
+    [events, categories, checkIns, scoringSettings, target, today, days, excludedKeys]
+  )
+
+  // The proposal's activity, or the alternative picked for that day
+  const getChosenEvent = (proposal) => {
+    const alternative = proposal.alternatives.find(template => template.key === choices[proposal.key])
+    return alternative ? createPlannedEvent(alternative, proposal.date, null) : proposal.event
+  }
+
+  const acceptProposals = (accepted) => {
+    const now = Date.now()
+    onAcceptPlan(accepted.map((proposal, i) => ({ ...getChosenEvent(proposal), id: now + i })))
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="h-5 w-5" />
+          Planner
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          <span>Keep daily influence above</span>
+          <Input
+            type="number"
+            min="1"
+            max="100"
+            value={target}
+            onChange={(e) => setCustomTarget(Math.min(100, Math.max(1, Number(e.target.value) || 1)))}
+            className="h-8 w-20"
+          />
+          <span>% for the next</span>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={selectClassName}>
+            {PLANNING_PERIODS.map(period => (
+              <option key={period} value={period}>{period} days</option>
+            ))}
+          </select>
+        </div>
+
+        <p className="text-sm text-gray-500">
+          {gaps.length === 0
+            ? `Your planned activities keep you above ${target}% every day.`
+            : `${gaps.length} of the next ${days} days fall below ${target}%, the first on ${formatDay(gaps[0].date)}.`}
+        </p>
+
+        {proposals.length > 0 && (
+          <div className="space-y-2">
+            {proposals.map(proposal => {
+              const event = getChosenEvent(proposal)
+              return (
+                <div key={proposal.key} className="flex items-center gap-2 p-2 border rounded-lg text-sm">
+                  <span className={`w-2 h-2 rounded-full ${getCategoryStyle(categories, event.category).dot}`} />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium whitespace-nowrap">{formatDay(proposal.date)}</span>
+                      {proposal.alternatives.length > 0 ? (
+                        <select
+                          value={choices[proposal.key] || proposal.template.key}
+                          onChange={(e) => setChoices(prev => ({ ...prev, [proposal.key]: e.target.value }))}
+                          className={`${selectClassName} min-w-0`}
+                        >
+                          {[proposal.template, ...proposal.alternatives].map(template => (
+                            <option key={template.key} value={template.key}>{template.name}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="truncate">{event.name}</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {getCategory(categories, event.category).name} · {event.isAllDay ? 'all day' : event.duration} ·
+                      {' '}{Math.round(proposal.before)}% → {Math.round(proposal.after)}% that day
+                    </div>
+                  </div>
+                  <Button variant="ghost" size="sm" title="Add to calendar" onClick={() => acceptProposals([proposal])}>
+                    <Plus className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    title="Suggest something else"
+                    onClick={() => setExcludedKeys(prev => [...prev, proposal.key])}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              )
+            })}
+            <div className="flex justify-end gap-2">
+              {excludedKeys.length > 0 && (
+                <Button variant="ghost" size="sm" onClick={() => setExcludedKeys([])}>
+                  Reset suggestions
+                </Button>
+              )}
+              <Button size="sm" onClick={() => acceptProposals(proposals)} className="flex items-center gap-1">
+                <Plus className="h-4 w-4" />
+                Add all {proposals.length}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {gaps.length > 0 && proposals.length === 0 && (
+          <div className="flex items-center justify-between gap-2 text-sm text-gray-500">
+            <span>Nothing to suggest: proposals are drawn from the activities you logged in the last months.</span>
+            {excludedKeys.length > 0 && (
+              <Button variant="ghost" size="sm" onClick={() => setExcludedKeys([])}>
+                Reset suggestions
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default Planner
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+import { X } from 'lucide-react'
+import { formatDateLabel } from '@/lib/dates'
+
+// Asks which occurrences of a recurring activity to delete. Closing it deletes nothing.
+const RecurringDeletePrompt = ({ occurrence, onDelete, onCancel }) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onCancel()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onCancel])
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onCancel}>
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Delete recurring activity</h2>
+            <p className="text-sm text-gray-600">
+              "{occurrence.name}" on {formatDateLabel(occurrence.occurrenceDate, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })} is part of a series.
+            </p>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onCancel}>
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="p-6 flex flex-col gap-2">
+          <Button variant="outline" onClick={() => onDelete('this')}>Only this occurrence</Button>
+          <Button variant="outline" onClick={() => onDelete('future')}>This and all future occurrences</Button>
+        </div>
+
+        <div className="flex justify-end p-6 border-t">
+          <Button onClick={onCancel}>Cancel</Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RecurringDeletePrompt
@@ -0,0 +1,333 @@
+import React, { useState, useMemo } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { FlaskConical, Plus, X, Eye, EyeOff, Trash2, CalendarPlus } from 'lucide-react'
+import { expandEvents } from '@/lib/recurrence'
+import { getActiveCategories, getCategory, getCategoryStyle } from '@/lib/categories'
+import { getActivityTemplates } from '@/lib/planner'
+import { describeGoal } from '@/lib/goals'
+import { createScenario, removeScenario, addGhostEvent, removeGhostEvent, compareScenario } from '@/lib/scenarios'
+import { addDays, formatDateLabel, getToday } from '@/lib/dates'
+
+const COMPARISON_PERIODS = [14, 30, 60]
+
+const selectClassName = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const formatDay = (dateString) => formatDateLabel(dateString, { weekday: 'short', month: 'short', day: 'numeric' })
+
+// A change against the current plan, e.g. "+3.2"; `higherIsBetter` picks the colour
+const renderChange = (change, { digits = 0, higherIsBetter = true } = {}) => {
+  const rounded = Number(change.toFixed(digits))
+  if (rounded === 0) return <span className="text-gray-400">±0</span>
+  const better = higherIsBetter ? rounded > 0 : rounded < 0
+  return (
+    <span className={better ? 'text-green-600' : 'text-red-600'}>
+      {rounded > 0 ? '+' : '−'}{Math.abs(rounded).toFixed(digits)}
+    </span>
+  )
+}
+
+const ScenarioPlanner = ({
+  events: storedEvents,
+  categories,
+  scoringSettings,
+  goals,
+  scenarios,
+  activeScenarioId,
+  onChangeScenarios,
+  onPreviewScenario,
+  onPromoteScenario
+}) => {
+  const [days, setDays] = useState(30)
+  const [newName, setNewName] = useState('')
+  const activeCategories = getActiveCategories(categories)
+  // Today in the chosen time zone; comparisons start from it
+  const today = getToday()
+  const [draft, setDraft] = useState(() => ({
+    name: '',
+    category: '',
+    date: addDays(getToday(), 1),
+    impact: 5,
+    reachValue: 1,
+    reachUnit: 'days'
+  }))
+
+  const events = useMemo(() => expandEvents(storedEvents, { horizonDays: days + 1 }), [storedEvents, days])
+  const templates = useMemo(() => getActivityTemplates(events, categories, { today }), [events, categories, today])
+
+  // The current plan and every scenario over the same days, side by side
+  const comparisons = useMemo(() => scenarios.map(scenario => ({
+    scenario,
+    ...compareScenario(events, scenario, { settings: scoringSettings, goals, startDate: today, days })
+  })), [events, scenarios, scoringSettings, goals, today, days])
+  const baseline = comparisons[0]?.before
+  const coverageTarget = Math.max(0, ...goals.filter(goal => goal.type === 'coverage').map(goal => goal.minInfluence))
+
+  const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId)
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    try {
+      const next = createScenario(scenarios, newName)
+      onChangeScenarios(next)
+      onPreviewScenario(next[next.length - 1].id)
+      setNewName('')
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  const handleAddGhost = (e) => {
+    e.preventDefault()
+    try {
+      onChangeScenarios(addGhostEvent(scenarios, activeScenario.id, {
+        ...draft,
+        category: draft.category || activeCategories[0]?.id
+      }))
+      setDraft(prev => ({ ...prev, name: '' }))
+    } catch (error) {
+      alert(error.message)
+    }
+  }
+
+  // Picking one of the user's usual activities fills in how it is usually done
+  const handleDraftNameChange = (name) => {
+    const template = templates.find(candidate => candidate.name === name)
+    setDraft(prev => template
+      ? { ...prev, name, category: template.category, duration: template.duration, isAllDay: template.isAllDay, startTime: template.startTime, endTime: template.endTime, impact: template.impact, reachValue: template.reachValue, reachUnit: template.reachUnit }
+      : { ...prev, name })
+  }
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const handleDelete = (scenario) => {
+    if (scenario.events.length > 0 && !window.confirm(`Delete the scenario "${scenario.name}"?`)) return
+    onChangeScenarios(removeScenario(scenarios, scenario.id))
+    if (scenario.id === activeScenarioId) onPreviewScenario(null)
+  }
+
+  const handlePromote = (scenario) => {
+    const count = scenario.events.length
+    if (window.confirm(`Add the ${count} ${count === 1 ? 'activity' : 'activities'} of "${scenario.name}" to your calendar?`)) {
+      onPromoteScenario(scenario)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FlaskConical className="h-5 w-5" />
+          What-if Scenarios
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-500">
+          Try out activities before committing to them. They are not saved: the scenario you preview shows up
+          dashed in the calendar and as a dotted line in the coverage chart, and can be added to your calendar in one click.
+        </p>
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <Input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder='Scenario name, e.g. "Yoga twice a week"'
+          />
+          <Button type="submit" variant="outline" className="flex items-center gap-1 whitespace-nowrap">
+            <Plus className="h-4 w-4" />
+            New scenario
+          </Button>
+        </form>
+
+        {scenarios.length > 0 && (
+          <div className="space-y-2">
+            {scenarios.map(scenario => {
+              const isActive = scenario.id === activeScenarioId
+              return (
+                <div key={scenario.id} className={`flex items-center gap-2 p-2 border rounded-lg text-sm ${isActive ? 'border-purple-300 bg-purple-50' : ''}`}>
+                  <span className="flex-1 min-w-0 truncate font-medium">{scenario.name}</span>
+                  <Badge variant="outline">
+                    {scenario.events.length} {scenario.events.length === 1 ? 'activity' : 'activities'}
+                  </Badge>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    title={isActive ? 'Stop previewing' : 'Preview in the calendar and chart'}
+                    onClick={() => onPreviewScenario(isActive ? null : scenario.id)}
+                  >
+                    {isActive ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    title="Add to calendar"
+                    disabled={scenario.events.length === 0}
+                    onClick={() => handlePromote(scenario)}
+                  >
+                    <CalendarPlus className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" title="Delete scenario" onClick={() => handleDelete(scenario)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Activities of the previewed scenario */}
+        {activeScenario && (
+          <div className="space-y-2 border-t pt-4">
+            <div className="text-sm font-medium">Activities in "{activeScenario.name}"</div>
+            {activeScenario.events.length === 0 && (
+              <p className="text-sm text-gray-500">Nothing yet: add activities you are considering below.</p>
+            )}
+            {[...activeScenario.events].sort((a, b) => a.date.localeCompare(b.date)).map(event => (
+              <div key={event.id} className="flex items-center gap-2 p-2 border border-dashed rounded-lg text-sm">
+                <span className={`w-2 h-2 rounded-full ${getCategoryStyle(categories, event.category).dot}`} />
+                <div className="flex-1 min-w-0">
+                  <div className="truncate">
+                    <span className="font-medium">{formatDay(event.date)}</span> {event.name}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {getCategory(categories, event.category).name} · Impact {event.impact}/10 · Reach {event.reachValue} {event.reachUnit}
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  title="Remove from scenario"
+                  onClick={() => onChangeScenarios(removeGhostEvent(scenarios, activeScenario.id, event.id))}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+
+            <form onSubmit={handleAddGhost} className="flex flex-wrap items-center gap-2 text-sm">
+              <Input
+                value={draft.name}
+                onChange={(e) => handleDraftNameChange(e.target.value)}
+                placeholder="Activity"
+                list="scenario-activity-templates"
+                className="flex-1 min-w-[8rem]"
+              />
+              <datalist id="scenario-activity-templates">
+                {templates.map(template => (
+                  <option key={template.key} value={template.name} />
+                ))}
+              </datalist>
+              <select
+                value={draft.category || activeCategories[0]?.id || ''}
+                onChange={(e) => updateDraft({ category: e.target.value })}
+                className={selectClassName}
+              >
+                {activeCategories.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+              <Input
+                type="date"
+                value={draft.date}
+                onChange={(e) => updateDraft({ date: e.target.value })}
+                className="w-40"
+              />
+              <span className="text-gray-600">impact</span>
+              <Input
+                type="number"
+                min="1"
+                max="10"
+                value={draft.impact}
+                onChange={(e) => updateDraft({ impact: e.target.value })}
+                className="w-16"
+              />
+              <span className="text-gray-600">reach</span>
+              <Input
+                type="number"
+                min="1"
+                value={draft.reachValue}
+                onChange={(e) => updateDraft({ reachValue: e.target.value })}
+                className="w-16"
+              />
+              <select value={draft.reachUnit} onChange={(e) => updateDraft({ reachUnit: e.target.value })} className={selectClassName}>
+                <option value="days">days</option>
+                <option value="weeks">weeks</option>
+                <option value="months">months</option>
+              </select>
+              <Button type="submit" variant="outline" className="flex items-center gap-1">
+                <Plus className="h-4 w-4" />
+                Add
+              </Button>
+            </form>
+          </div>
+        )}
+
+        {/* Side by side comparison with the current plan */}
+        {baseline && (
+          <div className="space-y-2 border-t pt-4">
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <span>Compared over the next</span>
+              <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="p-1 border border-gray-300 rounded-md text-sm">
+                {COMPARISON_PERIODS.map(period => (
+                  <option key={period} value={period}>{period} days</option>
+                ))}
+              </select>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 pr-3 font-normal"></th>
+                    <th className="py-1 pr-3 font-medium whitespace-nowrap">Current plan</th>
+                    {comparisons.map(({ scenario }) => (
+                      <th key={scenario.id} className={`py-1 pr-3 font-medium whitespace-nowrap ${scenario.id === activeScenarioId ? 'text-purple-700' : ''}`}>
+                        {scenario.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-t">
+                    <td className="py-1 pr-3 text-gray-600">Average daily influence</td>
+                    <td className="py-1 pr-3">{baseline.average.toFixed(1)}%</td>
+                    {comparisons.map(({ scenario, after, averageDelta }) => (
+                      <td key={scenario.id} className="py-1 pr-3 whitespace-nowrap">
+                        {after.average.toFixed(1)}% ({renderChange(averageDelta, { digits: 1 })})
+                      </td>
+                    ))}
+                  </tr>
+                  {coverageTarget > 0 && (
+                    <tr className="border-t">
+                      <td className="py-1 pr-3 text-gray-600">Days below {coverageTarget}%</td>
+                      <td className="py-1 pr-3">{baseline.daysBelowTarget}</td>
+                      {comparisons.map(({ scenario, after }) => (
+                        <td key={scenario.id} className="py-1 pr-3 whitespace-nowrap">
+                          {after.daysBelowTarget} ({renderChange(after.daysBelowTarget - baseline.daysBelowTarget, { higherIsBetter: false })})
+                        </td>
+                      ))}
+                    </tr>
+                  )}
+                  {baseline.goals.map(({ goal, daysMet }, index) => (
+                    <tr key={goal.id} className="border-t">
+                      <td className="py-1 pr-3 text-gray-600">{describeGoal(goal, categories)}: days met</td>
+                      <td className="py-1 pr-3">{daysMet}</td>
+                      {comparisons.map(({ scenario, after }) => (
+                        <td key={scenario.id} className="py-1 pr-3 whitespace-nowrap">
+                          {after.goals[index].daysMet} ({renderChange(after.goals[index].daysMet - daysMet)})
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScenarioPlanner
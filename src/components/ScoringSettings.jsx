@@ -0,0 +1,102 @@
+import React from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Slider } from '@/components/ui/slider'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { SlidersHorizontal, RotateCcw } from 'lucide-react'
+import {
+  SCORING_MODELS,
+  DEFAULT_SCORING_SETTINGS,
+  getDefaultModelParams,
+  getEventInfluence
+} from '@/lib/scoring'
+
+// Example activity used to preview the selected model
+const PREVIEW_EVENT = { date: '2025-01-01', impact: 8, duration: '01:00', isAllDay: false, reachValue: 2, reachUnit: 'weeks' }
+const PREVIEW_DAYS = [['2025-01-02', 'Day 1'], ['2025-01-04', 'Day 3'], ['2025-01-08', 'Day 7'], ['2025-01-15', 'Day 14']]
+
+const ScoringSettings = ({ settings, onChange }) => {
+  const model = SCORING_MODELS[settings.model]
+
+  const handleModelChange = (value) => {
+    onChange({ ...settings, model: value, params: getDefaultModelParams(value) })
+  }
+
+  const handleParamChange = (name, value) => {
+    onChange({ ...settings, params: { ...settings.params, [name]: value } })
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <SlidersHorizontal className="h-5 w-5" />
+          Scoring Model
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div>
+          <Label>Reach decay</Label>
+          <Select value={settings.model} onValueChange={handleModelChange}>
+            <SelectTrigger className="mt-1">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(SCORING_MODELS).map(([id, definition]) => (
+                <SelectItem key={id} value={id}>{definition.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <p className="text-xs text-gray-500 mt-1">{model.description}</p>
+        </div>
+
+        {Object.entries(model.params).map(([name, param]) => (
+          <div key={name}>
+            <Label>{param.label}: {settings.params[name]}</Label>
+            <Slider
+              min={param.min}
+              max={param.max}
+              step={param.step}
+              value={[settings.params[name]]}
+              onValueChange={(value) => handleParamChange(name, value[0])}
+              className="w-full mt-2"
+            />
+          </div>
+        ))}
+
+        <div>
+          <Label>Reach weight: {settings.reachWeight}</Label>
+          <Slider
+            min={0}
+            max={1}
+            step={0.05}
+            value={[settings.reachWeight]}
+            onValueChange={(value) => onChange({ ...settings, reachWeight: value[0] })}
+            className="w-full mt-2"
+          />
+          <p className="text-xs text-gray-500 mt-1">How strong reach effects are compared to the activity day itself.</p>
+        </div>
+
+        <div className="p-3 bg-gray-50 rounded-lg text-xs text-gray-600">
+          <div className="font-medium text-gray-900 mb-1">Preview: impact 8, reach 2 weeks</div>
+          <div className="grid grid-cols-4 gap-2">
+            {PREVIEW_DAYS.map(([date, label]) => (
+              <div key={date}>
+                <div>{label}</div>
+                <div className="font-medium">{getEventInfluence(PREVIEW_EVENT, date, settings).toFixed(1)}%</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <Button variant="outline" size="sm" onClick={() => onChange(DEFAULT_SCORING_SETTINGS)} className="flex items-center gap-2">
+          <RotateCcw className="h-4 w-4" />
+          Reset to defaults
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScoringSettings
@@ -0,0 +1,45 @@
+import React, { useMemo } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Label } from '@/components/ui/label'
+import { Globe } from 'lucide-react'
+import { SYSTEM_TIME_ZONE, getTimeZoneOptions, toDateString, toTimeString } from '@/lib/dates'
+
+// Select value standing for "follow the device"
+const DEVICE_ZONE = ''
+
+const TimeZoneSettings = ({ timeZone, onChange }) => {
+  const options = useMemo(getTimeZoneOptions, [])
+  const activeZone = timeZone || SYSTEM_TIME_ZONE
+  const now = new Date()
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Globe className="h-5 w-5" />
+          Time Zone
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <Label htmlFor="time-zone">Days and times are shown in</Label>
+        <select
+          id="time-zone"
+          value={timeZone || DEVICE_ZONE}
+          onChange={(e) => onChange(e.target.value || null)}
+          className="w-full p-2 border border-gray-300 rounded-md text-sm"
+        >
+          <option value={DEVICE_ZONE}>This device ({SYSTEM_TIME_ZONE})</option>
+          {options.map(zone => (
+            <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500">
+          It is {toTimeString(now, activeZone)} on {toDateString(now, activeZone)} there. Activities stay on the
+          day and at the time they were logged for; "today", the calendar and calendar exports follow this zone.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default TimeZoneSettings
@@ -0,0 +1,36 @@
+import React, { useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+import { Undo2, X } from 'lucide-react'
+
+// How long the toast stays up before dismissing itself
+const TOAST_DURATION_MS = 8000
+
+const UndoToast = ({ toast, onUndo, onDismiss }) => {
+  useEffect(() => {
+    if (!toast) return
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS)
+    return () => clearTimeout(timer)
+  }, [toast, onDismiss])
+
+  if (!toast) return null
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-3 bg-gray-900 text-white rounded-lg shadow-lg text-sm">
+      <span>{toast.message}</span>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={onUndo}
+        className="flex items-center gap-1 bg-transparent text-white border-gray-500 hover:bg-gray-800 hover:text-white"
+      >
+        <Undo2 className="h-4 w-4" />
+        Undo
+      </Button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white" title="Dismiss">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  )
+}
+
+export default UndoToast
@@ -0,0 +1,234 @@
+// Category registry: user-defined activity categories with colors
+//
+// Events reference categories by `id`. The ids of the built-in categories are the
+// strings older versions stored directly on events, so existing data keeps working.
+
+// Color palette available to categories. Tailwind class names are spelled out in
+// full so they survive Tailwind's unused-class purging.
+export const CATEGORY_COLORS = {
+  purple: {
+    label: 'Purple',
+    hex: '#9333ea',
+    badge: 'bg-purple-100 text-purple-800 border-purple-200',
+    hover: 'hover:bg-purple-200',
+    dot: 'bg-purple-500',
+    googleColorId: '9'
+  },
+  green: {
+    label: 'Green',
+    hex: '#16a34a',
+    badge: 'bg-green-100 text-green-800 border-green-200',
+    hover: 'hover:bg-green-200',
+    dot: 'bg-green-500',
+    googleColorId: '10'
+  },
+  blue: {
+    label: 'Blue',
+    hex: '#2563eb',
+    badge: 'bg-blue-100 text-blue-800 border-blue-200',
+    hover: 'hover:bg-blue-200',
+    dot: 'bg-blue-500',
+    googleColorId: '7'
+  },
+  red: {
+    label: 'Red',
+    hex: '#dc2626',
+    badge: 'bg-red-100 text-red-800 border-red-200',
+    hover: 'hover:bg-red-200',
+    dot: 'bg-red-500',
+    googleColorId: '11'
+  },
+  orange: {
+    label: 'Orange',
+    hex: '#ea580c',
+    badge: 'bg-orange-100 text-orange-800 border-orange-200',
+    hover: 'hover:bg-orange-200',
+    dot: 'bg-orange-500',
+    googleColorId: '6'
+  },
+  yellow: {
+    label: 'Yellow',
+    hex: '#ca8a04',
+    badge: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+    hover: 'hover:bg-yellow-200',
+    dot: 'bg-yellow-500',
+    googleColorId: '5'
+  },
+  pink: {
+    label: 'Pink',
+    hex: '#db2777',
+    badge: 'bg-pink-100 text-pink-800 border-pink-200',
+    hover: 'hover:bg-pink-200',
+    dot: 'bg-pink-500',
+    googleColorId: '4'
+  },
+  teal: {
+    label: 'Teal',
+    hex: '#0d9488',
+    badge: 'bg-teal-100 text-teal-800 border-teal-200',
+    hover: 'hover:bg-teal-200',
+    dot: 'bg-teal-500',
+    googleColorId: '2'
+  },
+  indigo: {
+    label: 'Indigo',
+    hex: '#4f46e5',
+    badge: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+    hover: 'hover:bg-indigo-200',
+    dot: 'bg-indigo-500',
+    googleColorId: '1'
+  },
+  gray: {
+    label: 'Gray',
+    hex: '#6b7280',
+    badge: 'bg-gray-100 text-gray-800 border-gray-200',
+    hover: 'hover:bg-gray-200',
+    dot: 'bg-gray-500',
+    googleColorId: '8'
+  }
+}
+
+// Categories every new installation starts with
+export const DEFAULT_CATEGORIES = [
+  {
+    id: 'therapy',
+    name: 'Therapy',
+    color: 'purple',
+    archived: false,
+    keywords: ['therapy', 'counseling', 'meditation', 'mindfulness']
+  },
+  {
+    id: 'exercise',
+    name: 'Exercise',
+    color: 'green',
+    archived: false,
+    keywords: ['gym', 'workout', 'exercise', 'run', 'yoga']
+  },
+  {
+    id: 'quality time',
+    name: 'Quality Time',
+    color: 'blue',
+    archived: false,
+    keywords: ['friend', 'family', 'dinner', 'coffee', 'social']
+  }
+]
+
+// Look up a category, falling back to a gray placeholder for unknown ids
+// (e.g. events imported from a file that used a category this user doesn't have)
+export const getCategory = (categories, id) => {
+  return categories.find(category => category.id === id) || {
+    id,
+    name: id ? id.charAt(0).toUpperCase() + id.slice(1) : 'Uncategorized',
+    color: 'gray',
+    archived: false,
+    keywords: []
+  }
+}
+
+// Palette entry (hex + Tailwind classes) for a category
+export const getCategoryStyle = (categories, id) => {
+  const category = getCategory(categories, id)
+  return CATEGORY_COLORS[category.color] || CATEGORY_COLORS.gray
+}
+
+// Google Calendar event colorId for a category
+export const getCategoryGoogleColorId = (categories, id) => {
+  const category = getCategory(categories, id)
+  return category.googleColorId || getCategoryStyle(categories, id).googleColorId
+}
+
+// Categories that can be picked for new activities
+export const getActiveCategories = (categories) => categories.filter(category => !category.archived)
+
+// Turn a name into a unique id
+const createCategoryId = (categories, name) => {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category'
+  let id = base
+  let suffix = 2
+  while (categories.some(category => category.id === id)) {
+    id = `${base}-${suffix++}`
+  }
+  return id
+}
+
+// Pick the first palette color not already in use
+const getUnusedColor = (categories) => {
+  const usedColors = new Set(categories.map(category => category.color))
+  return Object.keys(CATEGORY_COLORS).find(color => !usedColors.has(color)) || 'gray'
+}
+
+export const createCategory = (categories, { name, color }) => {
+  const trimmedName = name.trim()
+  if (!trimmedName) throw new Error('Category name is required')
+  if (categories.some(category => category.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw new Error(`A category named "${trimmedName}" already exists`)
+  }
+  return [
+    ...categories,
+    {
+      id: createCategoryId(categories, trimmedName),
+      name: trimmedName,
+      color: color || getUnusedColor(categories),
+      archived: false,
+      keywords: []
+    }
+  ]
+}
+
+const updateCategory = (categories, id, changes) => {
+  return categories.map(category => category.id === id ? { ...category, ...changes } : category)
+}
+
+// Renaming only changes the label; the id (and therefore every event) stays the same
+export const renameCategory = (categories, id, name) => {
+  const trimmedName = name.trim()
+  if (!trimmedName) throw new Error('Category name is required')
+  return updateCategory(categories, id, { name: trimmedName })
+}
+
+export const recolorCategory = (categories, id, color) => {
+  if (!CATEGORY_COLORS[color]) throw new Error(`Unknown color "${color}"`)
+  return updateCategory(categories, id, { color })
+}
+
+// Archived categories keep their events and colors but can't be chosen for new activities
+export const archiveCategory = (categories, id, archived = true) => {
+  if (archived && getActiveCategories(categories).filter(category => category.id !== id).length === 0) {
+    throw new Error('At least one category must stay active')
+  }
+  return updateCategory(categories, id, { archived })
+}
+
+// Move every event from one category into another and remove the source category
+export const mergeCategories = (categories, events, sourceId, targetId) => {
+  if (sourceId === targetId) throw new Error('Choose a different category to merge into')
+  if (!categories.some(category => category.id === targetId)) throw new Error('Target category not found')
+
+  const source = getCategory(categories, sourceId)
+  const recategorize = (item) => item.category === sourceId ? { ...item, category: targetId } : item
+
+  const mergedEvents = events.map(event => {
+    const updated = recategorize(event)
+    // Occurrences of recurring series can override the category individually
+    if (updated.recurrence?.exceptions) {
+      return {
+        ...updated,
+        recurrence: {
+          ...updated.recurrence,
+          exceptions: Object.fromEntries(
+            Object.entries(updated.recurrence.exceptions).map(([date, exception]) => [date, recategorize(exception)])
+          )
+        }
+      }
+    }
+    return updated
+  })
+
+  const mergedCategories = categories
+    .filter(category => category.id !== sourceId)
+    .map(category => category.id === targetId
+      ? { ...category, keywords: [...new Set([...(category.keywords || []), ...(source.keywords || [])])] }
+      : category)
+
+  return { categories: mergedCategories, events: mergedEvents }
+}
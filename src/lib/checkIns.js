@@ -0,0 +1,54 @@
+// Daily wellbeing check-ins: how the user actually felt, recorded next to their activities
+//
+// One check-in per day, keyed by its YYYY-MM-DD date:
+//   { date, mood, anxiety, energy, sleep, note, updatedAt }
+// Every metric is on a 1-10 scale. For anxiety, lower is better.
+
+export const CHECK_IN_METRICS = [
+  { key: 'mood', label: 'Mood', emoji: '🙂', color: '#f59e0b', higherIsBetter: true },
+  { key: 'anxiety', label: 'Anxiety', emoji: '😰', color: '#ef4444', higherIsBetter: false },
+  { key: 'energy', label: 'Energy', emoji: '⚡', color: '#10b981', higherIsBetter: true },
+  { key: 'sleep', label: 'Sleep', emoji: '😴', color: '#6366f1', higherIsBetter: true }
+]
+
+const clampScale = (value) => Math.min(10, Math.max(1, Math.round(Number(value) || 5)))
+
+// Helper function to build a normalized check-in
+export const createCheckIn = (date, values = {}) => ({
+  date,
+  mood: clampScale(values.mood),
+  anxiety: clampScale(values.anxiety),
+  energy: clampScale(values.energy),
+  sleep: clampScale(values.sleep),
+  note: (values.note || '').trim(),
+  updatedAt: new Date().toISOString()
+})
+
+// Check-ins need a date and all four metrics
+export const isValidCheckIn = (checkIn) => {
+  return !!(checkIn && /^\d{4}-\d{2}-\d{2}$/.test(checkIn.date) &&
+    CHECK_IN_METRICS.every(metric => Number.isFinite(Number(checkIn[metric.key]))))
+}
+
+// Combined wellbeing on a 0-100% scale, so it can be plotted against the influence score.
+// Anxiety is inverted so that higher always means feeling better.
+export const getWellbeingScore = (checkIn) => {
+  const total = CHECK_IN_METRICS.reduce((sum, metric) => {
+    const value = Number(checkIn[metric.key])
+    return sum + (metric.higherIsBetter ? value : 11 - value)
+  }, 0)
+  return ((total / CHECK_IN_METRICS.length - 1) / 9) * 100
+}
+
+// Look up check-ins by date
+export const indexCheckInsByDate = (checkIns) => {
+  return Object.fromEntries(checkIns.map(checkIn => [checkIn.date, checkIn]))
+}
+
+// Replace the check-in for a date, keeping the list sorted by date
+export const upsertCheckIn = (checkIns, checkIn) => {
+  return [...checkIns.filter(existing => existing.date !== checkIn.date), checkIn]
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+export const removeCheckIn = (checkIns, date) => checkIns.filter(checkIn => checkIn.date !== date)
@@ -0,0 +1,94 @@
+/**
+ * Coverage calendar
+ *
+ * An iCalendar calendar of the activities plus an all-day "influence" span for each
+ * activity's reach window, which makes coverage gaps visible in a normal calendar.
+ * It can be downloaded as a file, limited to some categories, or published to the
+ * local feed server (server/feedServer.js), which calendar clients subscribe to and
+ * which filters it by category with ?categories=therapy,exercise.
+ */
+
+import { eventsToVEvents, toCalendar, getTimestamp, compactDate, escapeText } from './ical'
+import { expandEvents } from './recurrence'
+import { reachToDays, getEventEndDate } from './scoring'
+import { getCategory } from './categories'
+import { addDays } from './dates'
+
+// How far ahead recurring series get influence spans
+const INFLUENCE_HORIZON_DAYS = 90
+
+// How often subscribed clients are asked to refresh
+const REFRESH_INTERVAL = 'PT1H'
+
+export const DEFAULT_FEED_SERVER_URL = 'http://127.0.0.1:5174'
+const FEED_PATH = '/selframe.ics'
+
+/**
+ * All-day span covering the days after an activity that its reach still influences,
+ * starting the day after it ends as in calculateReachEffect
+ */
+const toInfluenceVEvent = (event, categories, stamp) => {
+  const reachDays = Math.max(1, Math.round(reachToDays(event.reachValue, event.reachUnit)))
+  const endDate = getEventEndDate(event)
+  return [
+    'BEGIN:VEVENT',
+    `UID:selframe-influence-${event.id}@selframe`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${compactDate(addDays(endDate, 1))}`,
+    `DTEND;VALUE=DATE:${compactDate(addDays(endDate, reachDays + 1))}`,
+    `SUMMARY:${escapeText(`↝ ${event.name} influence`)}`,
+    `DESCRIPTION:${escapeText(`Reach of ${event.name} (${event.date}): ${event.reachValue} ${event.reachUnit}, impact ${event.impact}/10`)}`,
+    `CATEGORIES:${escapeText(getCategory(categories, event.category).name)}`,
+    'TRANSP:TRANSPARENT',
+    `X-SELFRAME-CATEGORY:${escapeText(event.category)}`,
+    'X-SELFRAME-KIND:influence',
+    `X-SELFRAME-INFLUENCE-OF:${escapeText(event.id)}`,
+    'END:VEVENT'
+  ]
+}
+
+/**
+ * Build the calendar: activities plus their influence spans, only for the given
+ * category ids (all categories when empty)
+ */
+export const buildCoverageIcs = (events, categories, categoryIds = []) => {
+  const stamp = getTimestamp()
+  const included = categoryIds.length > 0 ? events.filter(event => categoryIds.includes(event.category)) : events
+  const influenceSpans = expandEvents(included, { horizonDays: INFLUENCE_HORIZON_DAYS })
+    .flatMap(event => toInfluenceVEvent(event, categories, stamp))
+
+  return toCalendar(
+    [...eventsToVEvents(included, categories, stamp), ...influenceSpans],
+    'Selframe coverage',
+    [`REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`, `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`]
+  )
+}
+
+/**
+ * URL calendar clients subscribe to, for the given category ids (all categories when empty)
+ */
+export const getFeedUrl = (serverUrl, categoryIds = []) => {
+  const url = new URL(FEED_PATH, serverUrl)
+  if (categoryIds.length > 0) url.searchParams.set('categories', categoryIds.join(','))
+  return url.toString()
+}
+
+/**
+ * Replace the calendar on the local feed server with the current one (all categories;
+ * the server filters them per subscription)
+ */
+export const publishCoverageFeed = async (serverUrl, events, categories) => {
+  try {
+    const response = await fetch(getFeedUrl(serverUrl), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+      body: buildCoverageIcs(events, categories)
+    })
+    if (!response.ok) {
+      return { success: false, error: (await response.text()) || `Feed server answered ${response.status}` }
+    }
+    return { success: true }
+  } catch {
+    return { success: false, error: `Feed server not reachable at ${serverUrl} (start it with npm run feed)` }
+  }
+}
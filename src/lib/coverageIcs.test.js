@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest'
+import { buildCoverageIcs, getFeedUrl } from './coverageIcs'
+import { icsToEvents } from './ical'
+import { DEFAULT_CATEGORIES } from './categories'
+
+const run = {
+  id: 1700000000000,
+  name: 'Run',
+  category: 'exercise',
+  date: '2025-05-02',
+  duration: '01:00',
+  isAllDay: true,
+  impact: 7,
+  reachValue: 3,
+  reachUnit: 'days',
+  rippleScore: 10
+}
+
+describe('buildCoverageIcs', () => {
+  it('adds an influence span starting the day after the activity', () => {
+    const ics = buildCoverageIcs([run], DEFAULT_CATEGORIES)
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250503')
+    expect(ics).toContain('DTEND;VALUE=DATE:20250506')
+    expect(ics).toContain(`X-SELFRAME-INFLUENCE-OF:${run.id}`)
+    expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H')
+  })
+
+  it('marks influence spans when the calendar is imported again', () => {
+    const imported = icsToEvents(buildCoverageIcs([run], DEFAULT_CATEGORIES), DEFAULT_CATEGORIES)
+    expect(imported.filter(event => !event.influenceOf)).toEqual([expect.objectContaining({ id: run.id, name: 'Run' })])
+    expect(imported.filter(event => event.influenceOf).map(event => event.influenceOf)).toEqual([String(run.id)])
+  })
+})
+
+describe('getFeedUrl', () => {
+  it('adds the chosen categories to the feed URL', () => {
+    expect(getFeedUrl('http://127.0.0.1:5174')).toBe('http://127.0.0.1:5174/selframe.ics')
+    expect(getFeedUrl('http://127.0.0.1:5174', ['therapy', 'exercise'])).toBe('http://127.0.0.1:5174/selframe.ics?categories=therapy%2Cexercise')
+  })
+})
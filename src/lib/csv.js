@@ -0,0 +1,367 @@
+// CSV import and export
+//
+// Exported files always use the column set below, in this order, so spreadsheets
+// and pandas scripts can rely on it:
+//
+//   id            Selframe event id
+//   date          YYYY-MM-DD (first occurrence for recurring activities)
+//   name          Activity name
+//   category      Category id (as stored on events)
+//   category_name Category display name
+//   duration      HH:MM, empty for all-day activities
+//   all_day       true / false
+//   impact        1-10
+//   reach_value   Number
+//   reach_unit    days / weeks / months / years
+//   ripple_score  Number
+//   recurrence    RRULE (and EXDATE) lines separated by spaces, empty for one-off activities
+//   start_time    HH:MM local time, empty for all-day activities and ones logged without one
+//   end_time      HH:MM local time, empty when not set (earlier than start_time: the next day)
+//
+// Imports accept any columns: the wizard maps them onto these fields. Rows that are
+// already in Selframe (same id, or same date, name and start time) are matched so a
+// re-imported export can skip or update them instead of adding duplicates.
+//
+// Cells starting with =, +, -, @, a tab or a carriage return are exported with a leading ' so spreadsheet apps
+// show them as text instead of running them as formulas; imports strip it again.
+
+import { calculateRippleScore, hasStartTime, getDurationBetween } from './scoring'
+import { getCategory } from './categories'
+import { isRecurringEvent, toRecurrenceLines, fromRecurrenceLines } from './recurrence'
+
+export const CSV_COLUMNS = [
+  'id',
+  'date',
+  'name',
+  'category',
+  'category_name',
+  'duration',
+  'all_day',
+  'impact',
+  'reach_value',
+  'reach_unit',
+  'ripple_score',
+  'recurrence',
+  'start_time',
+  'end_time'
+]
+
+// Event fields a CSV column can be mapped onto during import
+export const IMPORT_FIELDS = [
+  { field: 'name', label: 'Name', required: true, aliases: ['name', 'activity', 'title', 'event', 'summary'] },
+  { field: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'start', 'start date', 'when'] },
+  { field: 'category', label: 'Category', required: false, aliases: ['category', 'category_name', 'type', 'kind'] },
+  { field: 'startTime', label: 'Start time (HH:MM)', required: false, aliases: ['start_time', 'start time', 'starts', 'from'] },
+  { field: 'endTime', label: 'End time (HH:MM)', required: false, aliases: ['end_time', 'end time', 'ends', 'until', 'to'] },
+  { field: 'duration', label: 'Duration', required: false, aliases: ['duration', 'length', 'time', 'minutes'] },
+  { field: 'allDay', label: 'All day', required: false, aliases: ['all_day', 'all day', 'allday'] },
+  { field: 'impact', label: 'Impact (1-10)', required: false, aliases: ['impact', 'rating', 'score'] },
+  { field: 'reach', label: 'Reach (e.g. "2 weeks")', required: false, aliases: ['reach', 'reach_value', 'effect', 'lasts'] },
+  { field: 'reachUnit', label: 'Reach unit', required: false, aliases: ['reach_unit', 'unit'] },
+  { field: 'recurrence', label: 'Recurrence (RRULE)', required: false, aliases: ['recurrence', 'rrule', 'repeat'] },
+  { field: 'id', label: 'Selframe id', required: false, aliases: ['id'] }
+]
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD']
+
+const REACH_UNITS = ['days', 'weeks', 'months', 'years']
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+// Quote a value when it contains a delimiter, quote or line break. Text that a spreadsheet
+// would read as a formula gets a leading ' (numbers are left alone).
+const escapeCsvValue = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value)
+  const text = typeof value !== 'number' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Undo the formula guard added on export; other leading quotes are part of the text
+const unescapeFormula = (text) => text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text
+
+export const serializeCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n')
+
+// Guess the delimiter from the first line (comma, semicolon as used by European Excel, or tab)
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || ''
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length])
+  return counts.sort((a, b) => b[1] - a[1])[0][0]
+}
+
+// Parse CSV text (RFC 4180 quoting) into rows of strings
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '') // Excel adds a byte order mark
+  const delimiter = detectDelimiter(source)
+  const rows = []
+  let row = []
+  let value = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''))
+}
+
+// The recurrence column lists cancelled occurrences as EXDATEs. Edited occurrences have
+// no place in it, so they are left out rather than exported as cancelled.
+const withCancelledExceptionsOnly = (event) => ({
+  ...event,
+  recurrence: {
+    ...event.recurrence,
+    exceptions: Object.fromEntries(Object.entries(event.recurrence.exceptions || {}).filter(([, exception]) => exception.cancelled))
+  }
+})
+
+// Turn events into CSV text with the documented columns
+export const eventsToCsv = (events, categories) => {
+  const rows = events.map(event => [
+    event.id,
+    event.date,
+    event.name,
+    event.category,
+    getCategory(categories, event.category).name,
+    event.isAllDay ? '' : event.duration,
+    event.isAllDay ? 'true' : 'false',
+    event.impact,
+    event.reachValue,
+    event.reachUnit,
+    event.rippleScore,
+    isRecurringEvent(event) ? toRecurrenceLines(withCancelledExceptionsOnly(event)).join(' ') : '',
+    hasStartTime(event) ? event.startTime : '',
+    hasStartTime(event) && event.endTime ? event.endTime : ''
+  ])
+  return serializeCsv([CSV_COLUMNS, ...rows])
+}
+
+// Map each import field to the index of the header that looks like it, or -1
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase())
+  return Object.fromEntries(IMPORT_FIELDS.map(({ field, aliases }) => {
+    const index = normalized.findIndex(header => aliases.includes(header))
+    return [field, index]
+  }))
+}
+
+// Parse a date in the given format into YYYY-MM-DD, or null if it isn't a real date
+export const parseDateValue = (value, format) => {
+  const parts = (value || '').trim().split(/[-/.]/)
+  if (parts.length !== 3) return null
+
+  let year
+  let month
+  let day
+  if (format === 'YYYY-MM-DD' || format === 'YYYY/MM/DD') {
+    [year, month, day] = parts
+  } else if (format === 'DD/MM/YYYY' || format === 'DD.MM.YYYY') {
+    [day, month, year] = parts
+  } else {
+    [month, day, year] = parts
+  }
+  year = Number(year.length === 2 ? `20${year}` : year)
+  month = Number(month)
+  day = Number(day)
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (!year || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null
+  }
+  return date.toISOString().split('T')[0]
+}
+
+// Pick the date format that can read every value. When several can (e.g. 03/04/2025),
+// the first listed wins, so ISO and day-first formats are preferred.
+export const detectDateFormat = (values) => {
+  const samples = values.map(value => (value || '').trim()).filter(Boolean)
+  if (samples.length === 0) return DATE_FORMATS[0]
+  const separator = samples[0].match(/[-/.]/)?.[0]
+  const candidates = DATE_FORMATS.filter(format => format.includes(separator))
+  return candidates.find(format => samples.every(value => parseDateValue(value, format))) || candidates[0] || DATE_FORMATS[0]
+}
+
+// Read a reach like "2 weeks", "3w", "10 days" or "1mo". A separate unit column wins over the suffix.
+export const parseReach = (value, unitValue) => {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*([a-z]*)$/)
+  if (!match) return null
+  const reachValue = parseFloat(match[1].replace(',', '.'))
+  const unitText = (unitValue || match[2] || 'days').trim().toLowerCase()
+
+  const reachUnit = REACH_UNITS.find(unit => unit === unitText || unit.slice(0, -1) === unitText) ||
+    (unitText.startsWith('mo') ? 'months'
+      : unitText.startsWith('d') ? 'days'
+        : unitText.startsWith('w') ? 'weeks'
+          : unitText.startsWith('y') ? 'years'
+            : null)
+  if (!reachUnit || !(reachValue > 0)) return null
+  return { reachValue, reachUnit }
+}
+
+// Read a duration like "01:30", "90" (minutes), "90 min" or "1.5h" into HH:MM
+export const parseDuration = (value) => {
+  const text = String(value || '').trim().toLowerCase()
+  if (!text) return null
+  let minutes
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/)
+  const hours = text.match(/^(\d+(?:[.,]\d+)?)\s*h(ours?|rs?)?$/)
+  const plainMinutes = text.match(/^(\d+)\s*(m|min|mins|minutes)?$/)
+  if (clock) {
+    minutes = Number(clock[1]) * 60 + Number(clock[2])
+  } else if (hours) {
+    minutes = Math.round(parseFloat(hours[1].replace(',', '.')) * 60)
+  } else if (plainMinutes) {
+    minutes = Number(plainMinutes[1])
+  } else {
+    return null
+  }
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+// Read a time like "09:30", "9:30" or "21:05:00" into HH:MM, or null
+export const parseTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/)
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null
+  return `${match[1].padStart(2, '0')}:${match[2]}`
+}
+
+const parseBoolean = (value) => ['true', 'yes', 'y', '1', 'x'].includes(String(value || '').trim().toLowerCase())
+
+// Match a CSV category value to a category id by id or name (case-insensitive), or null
+export const matchCategory = (categories, value) => {
+  const text = String(value || '').trim().toLowerCase()
+  const match = categories.find(category => category.id.toLowerCase() === text || category.name.toLowerCase() === text)
+  return match ? match.id : null
+}
+
+// Distinct values of the mapped category column
+export const getCategoryValues = (rows, mapping) => {
+  if (mapping.category < 0) return []
+  return [...new Set(rows.map(row => (row[mapping.category] || '').trim()).filter(Boolean))]
+}
+
+const getMatchKey = (event) => [event.date, event.name.trim().toLowerCase(), event.startTime || ''].join('|')
+
+// The existing event a row stands for: the one with its Selframe id, else the one on the
+// same date with the same name and start time
+const findExistingEvent = (existingEvents, rowId, event) => {
+  return existingEvents.find(existing => rowId && String(existing.id) === rowId) ||
+    existingEvents.find(existing => getMatchKey(existing) === getMatchKey(event)) ||
+    null
+}
+
+// An existing event with the fields from the file. The file only records cancelled
+// occurrences, so those come from it while edited occurrences are kept from the existing series.
+const mergeIntoExisting = (existing, event) => {
+  const merged = { ...existing, ...event, id: existing.id }
+  if (isRecurringEvent(existing) && isRecurringEvent(event)) {
+    const editedOccurrences = Object.fromEntries(
+      Object.entries(existing.recurrence.exceptions || {}).filter(([, exception]) => !exception.cancelled)
+    )
+    merged.recurrence = { ...event.recurrence, exceptions: { ...event.recurrence.exceptions, ...editedOccurrences } }
+  }
+  return merged
+}
+
+// Convert data rows into events using the column mapping.
+// categoryMap maps raw category values to category ids; defaultCategory is used when a row has none.
+// Returns the new events, the rows matching existingEvents as `matched` ({ event, existing },
+// where event is the existing one updated from the row) and, for the preview, every row
+// that failed validation with its errors.
+export const convertCsvRows = (rows, mapping, { dateFormat, categoryMap = {}, defaultCategory, existingEvents = [] }) => {
+  const cell = (row, field) => mapping[field] >= 0 ? unescapeFormula((row[mapping[field]] || '').trim()) : ''
+  const idBase = Date.now()
+  const valid = []
+  const matched = []
+  const invalid = []
+
+  rows.forEach((row, index) => {
+    const errors = []
+    const name = cell(row, 'name')
+    if (!name) errors.push('Missing name')
+
+    const date = parseDateValue(cell(row, 'date'), dateFormat)
+    if (!date) errors.push(`Unreadable date "${cell(row, 'date')}" (expected ${dateFormat})`)
+
+    const rawCategory = cell(row, 'category')
+    const category = rawCategory ? categoryMap[rawCategory] : defaultCategory
+    if (!category) errors.push(`Unmapped category "${rawCategory}"`)
+
+    const isAllDay = parseBoolean(cell(row, 'allDay'))
+    const startTime = !isAllDay && cell(row, 'startTime') ? parseTime(cell(row, 'startTime')) : null
+    if (!isAllDay && cell(row, 'startTime') && !startTime) errors.push(`Unreadable start time "${cell(row, 'startTime')}"`)
+    const endTime = startTime && cell(row, 'endTime') ? parseTime(cell(row, 'endTime')) : null
+    if (startTime && cell(row, 'endTime') && !endTime) errors.push(`Unreadable end time "${cell(row, 'endTime')}"`)
+
+    // An end time decides the duration; otherwise it comes from its own column
+    const duration = endTime
+      ? getDurationBetween(startTime, endTime)
+      : cell(row, 'duration') ? parseDuration(cell(row, 'duration')) : '01:00'
+    if (!isAllDay && !duration) errors.push(`Unreadable duration "${cell(row, 'duration')}"`)
+
+    const impact = cell(row, 'impact') ? Number(cell(row, 'impact')) : 5
+    if (!(impact >= 1 && impact <= 10)) errors.push(`Impact "${cell(row, 'impact')}" is not between 1 and 10`)
+
+    const reach = cell(row, 'reach') ? parseReach(cell(row, 'reach'), cell(row, 'reachUnit')) : { reachValue: 1, reachUnit: 'days' }
+    if (!reach) errors.push(`Unreadable reach "${cell(row, 'reach')}"`)
+
+    const recurrence = cell(row, 'recurrence') ? fromRecurrenceLines(cell(row, 'recurrence').split(/\s+/)) : null
+    if (cell(row, 'recurrence') && !recurrence) errors.push(`Unreadable recurrence "${cell(row, 'recurrence')}"`)
+
+    if (errors.length > 0) {
+      invalid.push({ rowNumber: index + 2, row, errors }) // +2: header row and 1-based numbering
+      return
+    }
+
+    const event = {
+      id: idBase + index,
+      name,
+      category,
+      date,
+      startTime,
+      endTime,
+      duration: duration || '01:00',
+      isAllDay,
+      impact,
+      reachValue: reach.reachValue,
+      reachUnit: reach.reachUnit,
+      rippleScore: parseFloat(calculateRippleScore(impact, duration, isAllDay, reach.reachValue, reach.reachUnit))
+    }
+    if (recurrence) event.recurrence = recurrence
+
+    const existing = findExistingEvent(existingEvents, cell(row, 'id'), event)
+    if (existing) {
+      matched.push({ event: mergeIntoExisting(existing, event), existing })
+    } else {
+      valid.push(event)
+    }
+  })
+
+  return { valid, matched, invalid }
+}
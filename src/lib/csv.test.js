@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest'
+import { eventsToCsv, parseCsv, guessColumnMapping, convertCsvRows } from './csv'
+import { DEFAULT_CATEGORIES } from './categories'
+import { createRecurrence } from './recurrence'
+
+const walk = {
+  id: 1700000000000,
+  name: 'Walk',
+  category: 'exercise',
+  date: '2025-05-02',
+  startTime: '08:00',
+  endTime: '08:30',
+  duration: '00:30',
+  isAllDay: false,
+  impact: 6,
+  reachValue: 1,
+  reachUnit: 'days',
+  rippleScore: 4.2
+}
+
+// Parse exported text back through the import with the guessed mapping
+const reimport = (text, existingEvents) => {
+  const [headers, ...rows] = parseCsv(text)
+  return convertCsvRows(rows, guessColumnMapping(headers), {
+    dateFormat: 'YYYY-MM-DD',
+    categoryMap: { exercise: 'exercise' },
+    defaultCategory: 'exercise',
+    existingEvents
+  })
+}
+
+describe('convertCsvRows', () => {
+  it('matches re-imported rows to the existing events by id', () => {
+    const { valid, matched } = reimport(eventsToCsv([walk], DEFAULT_CATEGORIES), [walk])
+    expect(valid).toEqual([])
+    expect(matched).toHaveLength(1)
+    expect(matched[0].existing).toBe(walk)
+    expect(matched[0].event).toMatchObject({ id: walk.id, name: 'Walk', impact: 6 })
+  })
+
+  it('applies edited rows to the matching event', () => {
+    const text = eventsToCsv([{ ...walk, impact: 8 }], DEFAULT_CATEGORIES)
+    const { matched } = reimport(text, [walk])
+    expect(matched[0].event).toMatchObject({ id: walk.id, impact: 8 })
+  })
+
+  it('keeps edited occurrences of a series through an export and re-import', () => {
+    const series = {
+      ...walk,
+      recurrence: createRecurrence({
+        freq: 'weekly',
+        byWeekday: [1],
+        exceptions: { '2025-03-03': { impact: 9 }, '2025-03-10': { cancelled: true } }
+      }),
+      date: '2025-02-24'
+    }
+    const text = eventsToCsv([series], DEFAULT_CATEGORIES)
+    expect(text).not.toContain('20250303')
+
+    const { matched } = reimport(text, [series])
+    expect(matched[0].event.recurrence.exceptions).toEqual({
+      '2025-03-03': { impact: 9 },
+      '2025-03-10': { cancelled: true }
+    })
+  })
+
+  it('matches rows without an id on date, name and start time', () => {
+    const text = 'date,name,start_time\r\n2025-05-02,walk,08:00\r\n2025-05-02,Walk,18:00'
+    const { valid, matched } = reimport(text, [walk])
+    expect(matched.map(({ existing }) => existing.id)).toEqual([walk.id])
+    expect(valid).toEqual([expect.objectContaining({ name: 'Walk', startTime: '18:00' })])
+  })
+})
+
+describe('eventsToCsv', () => {
+  it('exports cells that spreadsheets would run as formulas as text', () => {
+    const text = eventsToCsv([{ ...walk, name: '=HYPERLINK("http://example.com")' }, { ...walk, id: 2, name: '@SUM(1)' }], DEFAULT_CATEGORIES)
+    const [, first, second] = parseCsv(text)
+    expect(first[2]).toBe('\'=HYPERLINK("http://example.com")')
+    expect(second[2]).toBe('\'@SUM(1)')
+  })
+
+  it('keeps leading quotes that were not added as a formula guard', () => {
+    const text = 'date,name\r\n2025-05-02,\'Tis the season\r\n2025-05-03,\'=not a formula'
+    const { valid } = reimport(text, [])
+    expect(valid.map(event => event.name)).toEqual(['\'Tis the season', '=not a formula'])
+  })
+
+  it('strips the formula guard again on import', () => {
+    const text = eventsToCsv([{ ...walk, name: '-10 min stretch' }], DEFAULT_CATEGORIES)
+    const { valid } = reimport(text, [])
+    expect(valid[0].name).toBe('-10 min stretch')
+  })
+})
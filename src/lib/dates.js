@@ -0,0 +1,142 @@
+// Dates and times with explicit local-date semantics
+//
+// Activities are stored on calendar days (YYYY-MM-DD) with an optional wall-clock start
+// time (HH:MM). Those are always the user's days and times, in their time zone: by default
+// the device's, or the one chosen in the settings (see setTimeZone).
+//
+// Two kinds of values are handled here, and never mixed:
+//   instants        Date objects, e.g. "now" or a Google event's dateTime. Turned into a
+//                   day and time with toDateString/toTimeString, which use the time zone.
+//   calendar days   YYYY-MM-DD strings. Arithmetic on them (addDays, daysBetween, ...)
+//                   runs on UTC midnights, so neither the device's zone nor DST changes
+//                   can shift a day.
+//
+// `new Date().toISOString().split('T')[0]` is the UTC day, which is the wrong day in the
+// evening west of UTC (and in the early morning east of it): use getToday() instead.
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+export const SYSTEM_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+// The zone chosen in the settings, or null to follow the device
+let selectedTimeZone = null
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Use a time zone for every day and time computed from now on; null follows the device
+export const setTimeZone = (timeZone) => {
+  if (timeZone !== null && !isValidTimeZone(timeZone)) throw new Error(`Unknown time zone "${timeZone}"`)
+  selectedTimeZone = timeZone
+}
+
+export const getSelectedTimeZone = () => selectedTimeZone
+
+export const getTimeZone = () => selectedTimeZone || SYSTEM_TIME_ZONE
+
+// Every zone the browser knows, for the settings select
+export const getTimeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return zones.includes(SYSTEM_TIME_ZONE) ? zones : [SYSTEM_TIME_ZONE, ...zones]
+}
+
+const formatters = {}
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+  }
+  return formatters[timeZone]
+}
+
+// Wall-clock fields of an instant in a time zone: { year, month, day, hour, minute, second }
+const getZonedParts = (date, timeZone) => {
+  const parts = {}
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value)
+  })
+  return parts
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Minutes a time zone is ahead of UTC at an instant (negative west of UTC)
+export const getTimeZoneOffset = (date, timeZone = getTimeZone()) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone)
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second)
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / MINUTE)
+}
+
+// The calendar day (YYYY-MM-DD) an instant falls on in a time zone
+export const toDateString = (date = new Date(), timeZone = getTimeZone()) => {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+// The wall-clock time (HH:MM) of an instant in a time zone
+export const toTimeString = (date = new Date(), timeZone = getTimeZone()) => {
+  const { hour, minute } = getZonedParts(date, timeZone)
+  return `${pad(hour)}:${pad(minute)}`
+}
+
+export const getToday = (timeZone = getTimeZone()) => toDateString(new Date(), timeZone)
+
+// Minutes since midnight right now, e.g. for the "now" line in the calendar
+export const getCurrentMinutes = (timeZone = getTimeZone()) => {
+  const { hour, minute } = getZonedParts(new Date(), timeZone)
+  return hour * 60 + minute
+}
+
+// The instant a wall-clock day and time happen in a time zone. Times skipped by a DST
+// change resolve to the same offset as just before it; repeated ones to their first time.
+export const zonedTimeToDate = (dateString, time = '00:00', timeZone = getTimeZone()) => {
+  const [year, month, day] = dateString.split('-').map(Number)
+  const [hour, minute] = time.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  // The offsets in effect a day before and after cover any DST change in between
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY), timeZone)
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY), timeZone)
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => ({ offset, time: wallClock - offset * MINUTE }))
+    .filter(({ offset, time }) => getTimeZoneOffset(new Date(time), timeZone) === offset)
+    .map(({ time }) => time)
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore * MINUTE)
+}
+
+// Calendar day arithmetic, on UTC midnights
+export const parseDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+// YYYY-MM-DD of a UTC midnight made by parseDate (not of an instant: see toDateString)
+export const formatDate = (date) => date.toISOString().split('T')[0]
+
+export const addDays = (dateString, days) => formatDate(new Date(parseDate(dateString).getTime() + days * DAY))
+
+export const daysBetween = (fromDate, toDate) => Math.round((parseDate(toDate) - parseDate(fromDate)) / DAY)
+
+// 0 = Sunday, like Date#getDay
+export const getWeekday = (dateString) => parseDate(dateString).getUTCDay()
+
+// A calendar day for display, e.g. formatDateLabel('2025-03-09', { month: 'short', day: 'numeric' })
+export const formatDateLabel = (dateString, options = {}) => {
+  return parseDate(dateString).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' })
+}
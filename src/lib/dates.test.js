@@ -0,0 +1,94 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import {
+  addDays,
+  daysBetween,
+  getTimeZoneOffset,
+  getToday,
+  setTimeZone,
+  toDateString,
+  toTimeString,
+  zonedTimeToDate
+} from './dates'
+
+const at = (iso) => new Date(iso)
+
+afterEach(() => setTimeZone(null))
+
+describe('toDateString and toTimeString', () => {
+  // 2025-01-15 06:30 UTC is the evening before west of UTC and already afternoon east of it
+  const instant = at('2025-01-15T06:30:00Z')
+
+  it.each([
+    ['America/Los_Angeles', '2025-01-14', '22:30'],
+    ['Europe/Berlin', '2025-01-15', '07:30'],
+    ['Asia/Kolkata', '2025-01-15', '12:00'],
+    ['Pacific/Auckland', '2025-01-15', '19:30'],
+    ['UTC', '2025-01-15', '06:30']
+  ])('gives the day and time in %s', (timeZone, date, time) => {
+    expect(toDateString(instant, timeZone)).toBe(date)
+    expect(toTimeString(instant, timeZone)).toBe(time)
+  })
+
+  it('follows the selected time zone by default', () => {
+    setTimeZone('Pacific/Auckland')
+    expect(toDateString(at('2025-01-14T12:00:00Z'))).toBe('2025-01-15')
+    expect(getToday()).toBe(toDateString(new Date(), 'Pacific/Auckland'))
+  })
+
+  it('rejects unknown time zones', () => {
+    expect(() => setTimeZone('Mars/Olympus_Mons')).toThrow('Unknown time zone')
+  })
+})
+
+describe('zonedTimeToDate', () => {
+  it.each([
+    ['America/Los_Angeles', '2025-01-14', '22:30', '2025-01-15T06:30:00.000Z'],
+    ['America/Los_Angeles', '2025-07-14', '22:30', '2025-07-15T05:30:00.000Z'],
+    ['Europe/Berlin', '2025-01-15', '07:30', '2025-01-15T06:30:00.000Z'],
+    ['Europe/Berlin', '2025-07-15', '07:30', '2025-07-15T05:30:00.000Z'],
+    ['Asia/Kolkata', '2025-01-15', '00:15', '2025-01-14T18:45:00.000Z'],
+    ['Pacific/Auckland', '2025-01-15', '08:00', '2025-01-14T19:00:00.000Z'],
+    ['Pacific/Auckland', '2025-07-15', '08:00', '2025-07-14T20:00:00.000Z']
+  ])('finds the instant of a wall-clock time in %s (%s %s)', (timeZone, date, time, iso) => {
+    expect(zonedTimeToDate(date, time, timeZone).toISOString()).toBe(iso)
+  })
+
+  it.each(['America/Los_Angeles', 'Europe/Berlin', 'Asia/Kolkata', 'Pacific/Auckland'])(
+    'round trips with toDateString and toTimeString in %s',
+    (timeZone) => {
+      ['2025-03-09', '2025-03-30', '2025-04-06', '2025-09-28', '2025-11-02'].forEach(date => {
+        const instant = zonedTimeToDate(date, '12:00', timeZone)
+        expect(toDateString(instant, timeZone)).toBe(date)
+        expect(toTimeString(instant, timeZone)).toBe('12:00')
+      })
+    }
+  )
+
+  it('resolves times skipped by a DST change with the offset from before it', () => {
+    // Clocks go from 02:00 to 03:00 on these days, so 02:30 never happens
+    expect(zonedTimeToDate('2025-03-09', '02:30', 'America/Los_Angeles').toISOString()).toBe('2025-03-09T10:30:00.000Z')
+    expect(zonedTimeToDate('2025-03-30', '02:30', 'Europe/Berlin').toISOString()).toBe('2025-03-30T01:30:00.000Z')
+    expect(zonedTimeToDate('2025-09-28', '02:30', 'Pacific/Auckland').toISOString()).toBe('2025-09-27T14:30:00.000Z')
+  })
+
+  it('resolves times repeated by a DST change to their first occurrence', () => {
+    // Clocks go from 02:00 (or 03:00) back to 01:00 (or 02:00), so the hour before happens twice
+    expect(zonedTimeToDate('2025-11-02', '01:30', 'America/Los_Angeles').toISOString()).toBe('2025-11-02T08:30:00.000Z')
+    expect(zonedTimeToDate('2025-10-26', '02:30', 'Europe/Berlin').toISOString()).toBe('2025-10-26T00:30:00.000Z')
+    expect(zonedTimeToDate('2025-04-06', '02:30', 'Pacific/Auckland').toISOString()).toBe('2025-04-05T13:30:00.000Z')
+  })
+
+  it('handles a zone with a half-hour offset and no DST', () => {
+    expect(getTimeZoneOffset(at('2025-01-15T00:00:00Z'), 'Asia/Kolkata')).toBe(330)
+    expect(getTimeZoneOffset(at('2025-07-15T00:00:00Z'), 'Asia/Kolkata')).toBe(330)
+  })
+})
+
+describe('calendar day arithmetic', () => {
+  it('is not shifted by DST changes', () => {
+    expect(addDays('2025-03-08', 1)).toBe('2025-03-09')
+    expect(addDays('2025-03-09', 1)).toBe('2025-03-10')
+    expect(addDays('2025-10-26', -1)).toBe('2025-10-25')
+    expect(daysBetween('2025-03-01', '2025-04-01')).toBe(31)
+  })
+})
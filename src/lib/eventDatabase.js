@@ -0,0 +1,188 @@
+// IndexedDB persistence layer for mental health events, daily check-ins and backup snapshots
+// Events are stored one record per event so saves only touch what changed.
+
+const DB_NAME = 'selframe'
+const DB_VERSION = 4
+
+const EVENTS_STORE = 'events'
+const META_STORE = 'meta'
+const CHECK_INS_STORE = 'checkIns'
+const SNAPSHOTS_STORE = 'snapshots'
+
+// Check whether the browser exposes IndexedDB (private modes and old browsers may not)
+export const isIndexedDBAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null
+  } catch {
+    return false
+  }
+}
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Resolve once a transaction has fully committed
+const promisifyTransaction = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+// Create or upgrade object stores. Each block only runs for databases older than its version.
+const upgradeDatabase = (db, oldVersion, transaction) => {
+  if (oldVersion < 1) {
+    db.createObjectStore(EVENTS_STORE, { keyPath: 'id' })
+    db.createObjectStore(META_STORE, { keyPath: 'key' })
+  }
+  if (oldVersion < 2) {
+    // One check-in per day, keyed by its date
+    db.createObjectStore(CHECK_INS_STORE, { keyPath: 'date' })
+  }
+  if (oldVersion < 3) {
+    const snapshotsStore = db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' })
+    snapshotsStore.createIndex('tier', 'tier')
+  }
+  if (oldVersion >= 1 && oldVersion < 4) {
+    // Events are always loaded whole, so the date and category indexes were never read
+    const eventsStore = transaction.objectStore(EVENTS_STORE)
+    for (const name of ['date', 'category']) {
+      if (eventsStore.indexNames.contains(name)) eventsStore.deleteIndex(name)
+    }
+  }
+}
+
+let databasePromise = null
+
+// Open (and memoize) the database connection
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion, request.transaction)
+      request.onsuccess = () => {
+        const db = request.result
+        // Let a newer tab upgrade the schema instead of blocking it
+        db.onversionchange = () => {
+          db.close()
+          databasePromise = null
+        }
+        resolve(db)
+      }
+      request.onerror = () => {
+        databasePromise = null
+        reject(request.error)
+      }
+      // An older tab that doesn't give way would otherwise keep the app from loading
+      request.onblocked = () => {
+        databasePromise = null
+        reject(new Error('Selframe database upgrade is blocked by another open tab'))
+      }
+    })
+  }
+  return databasePromise
+}
+
+export const EventDatabase = {
+  // Open the database, rejecting when the browser refuses it
+  open: () => openDatabase(),
+
+  // Get every stored event
+  getAllEvents: async () => {
+    const db = await openDatabase()
+    const store = db.transaction(EVENTS_STORE, 'readonly').objectStore(EVENTS_STORE)
+    return promisifyRequest(store.getAll())
+  },
+
+  // Count stored events without loading them
+  countEvents: async () => {
+    const db = await openDatabase()
+    const store = db.transaction(EVENTS_STORE, 'readonly').objectStore(EVENTS_STORE)
+    return promisifyRequest(store.count())
+  },
+
+  // Write changed events and delete removed ones in a single transaction
+  applyChanges: async ({ put = [], remove = [] }) => {
+    if (put.length === 0 && remove.length === 0) return
+    const db = await openDatabase()
+    const transaction = db.transaction(EVENTS_STORE, 'readwrite')
+    const store = transaction.objectStore(EVENTS_STORE)
+    put.forEach(event => store.put(event))
+    remove.forEach(id => store.delete(id))
+    return promisifyTransaction(transaction)
+  },
+
+  // Remove every event
+  clearEvents: async () => {
+    const db = await openDatabase()
+    const transaction = db.transaction(EVENTS_STORE, 'readwrite')
+    transaction.objectStore(EVENTS_STORE).clear()
+    return promisifyTransaction(transaction)
+  },
+
+  // Get every stored check-in, ordered by date
+  getAllCheckIns: async () => {
+    const db = await openDatabase()
+    const store = db.transaction(CHECK_INS_STORE, 'readonly').objectStore(CHECK_INS_STORE)
+    return promisifyRequest(store.getAll())
+  },
+
+  // Write changed check-ins and delete removed ones (by date) in a single transaction
+  applyCheckInChanges: async ({ put = [], remove = [] }) => {
+    if (put.length === 0 && remove.length === 0) return
+    const db = await openDatabase()
+    const transaction = db.transaction(CHECK_INS_STORE, 'readwrite')
+    const store = transaction.objectStore(CHECK_INS_STORE)
+    put.forEach(checkIn => store.put(checkIn))
+    remove.forEach(date => store.delete(date))
+    return promisifyTransaction(transaction)
+  },
+
+  // Remove every check-in
+  clearCheckIns: async () => {
+    const db = await openDatabase()
+    const transaction = db.transaction(CHECK_INS_STORE, 'readwrite')
+    transaction.objectStore(CHECK_INS_STORE).clear()
+    return promisifyTransaction(transaction)
+  },
+
+  // Get every backup snapshot
+  getAllSnapshots: async () => {
+    const db = await openDatabase()
+    const store = db.transaction(SNAPSHOTS_STORE, 'readonly').objectStore(SNAPSHOTS_STORE)
+    return promisifyRequest(store.getAll())
+  },
+
+  // Write new snapshots and delete expired ones (by id) in a single transaction
+  applySnapshotChanges: async ({ put = [], remove = [] }) => {
+    if (put.length === 0 && remove.length === 0) return
+    const db = await openDatabase()
+    const transaction = db.transaction(SNAPSHOTS_STORE, 'readwrite')
+    const store = transaction.objectStore(SNAPSHOTS_STORE)
+    put.forEach(snapshot => store.put(snapshot))
+    remove.forEach(id => store.delete(id))
+    return promisifyTransaction(transaction)
+  },
+
+  // Read a value from the key/value meta store
+  getMeta: async (key) => {
+    const db = await openDatabase()
+    const store = db.transaction(META_STORE, 'readonly').objectStore(META_STORE)
+    const record = await promisifyRequest(store.get(key))
+    return record ? record.value : undefined
+  },
+
+  // Write a value to the key/value meta store
+  setMeta: async (key, value) => {
+    const db = await openDatabase()
+    const transaction = db.transaction(META_STORE, 'readwrite')
+    transaction.objectStore(META_STORE).put({ key, value })
+    return promisifyTransaction(transaction)
+  }
+}
@@ -0,0 +1,54 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+const request = (idbRequest) => new Promise((resolve, reject) => {
+  idbRequest.onsuccess = () => resolve(idbRequest.result)
+  idbRequest.onerror = () => reject(idbRequest.error)
+})
+
+// A database as version 3 left it, with the date and category indexes on events
+const createVersion3Database = (factory, events) => new Promise((resolve, reject) => {
+  const open = factory.open('selframe', 3)
+  open.onupgradeneeded = () => {
+    const db = open.result
+    const eventsStore = db.createObjectStore('events', { keyPath: 'id' })
+    eventsStore.createIndex('date', 'date')
+    eventsStore.createIndex('category', 'category')
+    db.createObjectStore('meta', { keyPath: 'key' })
+    db.createObjectStore('checkIns', { keyPath: 'date' })
+    db.createObjectStore('snapshots', { keyPath: 'id' }).createIndex('tier', 'tier')
+    events.forEach(event => eventsStore.put(event))
+  }
+  open.onsuccess = () => {
+    open.result.close()
+    resolve()
+  }
+  open.onerror = () => reject(open.error)
+})
+
+describe('EventDatabase upgrade to version 4', () => {
+  let factory
+
+  beforeEach(() => {
+    vi.resetModules()
+    factory = new IDBFactory()
+    vi.stubGlobal('indexedDB', factory)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('drops the unused event indexes and keeps the events', async () => {
+    const walk = { id: 1, name: 'Walk', date: '2025-05-02', category: 'exercise' }
+    await createVersion3Database(factory, [walk])
+
+    const { EventDatabase } = await import('./eventDatabase')
+    expect(await EventDatabase.getAllEvents()).toEqual([walk])
+
+    const db = await EventDatabase.open()
+    expect(db.version).toBe(4)
+    expect([...db.transaction('events').objectStore('events').indexNames]).toEqual([])
+    expect(await request(db.transaction('events').objectStore('events').count())).toBe(1)
+  })
+})
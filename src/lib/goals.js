@@ -0,0 +1,210 @@
+// Goals: what the user intends to do, checked against their activities
+//
+//   { id, type: 'frequency', category, count, period: 'week' | 'month', createdAt }  // "Exercise 3× per week"
+//   { id, type: 'interval', category, everyDays, createdAt }                         // "Therapy every 14 days"
+//   { id, type: 'coverage', minInfluence, createdAt }                                // "At least 60% daily influence"
+//
+// A goal is evaluated for a single day, looking at activities up to that day plus the
+// ones already planned after it, and gets one of these statuses:
+//   met       - achieved (the period's count is reached, the interval was kept, the day is covered)
+//   on-track  - not achieved yet, but planned activities or enough time remain
+//   at-risk   - still possible, but only just
+//   missed    - can no longer be achieved
+//
+// Events passed in are expected to be expanded into occurrences (see expandEvents).
+
+import { calculateDayInfluence, DEFAULT_SCORING_SETTINGS } from './scoring'
+import { getCategory } from './categories'
+import { addDays, daysBetween, formatDate, getToday, getWeekday, parseDate, toDateString } from './dates'
+
+export const GOAL_TYPES = {
+  frequency: { label: 'Times per period', example: 'Exercise 3× per week' },
+  interval: { label: 'At least every N days', example: 'Therapy every 14 days' },
+  coverage: { label: 'Daily influence', example: 'At least 60% daily influence' }
+}
+
+export const GOAL_PERIODS = {
+  week: { label: 'week' },
+  month: { label: 'month' }
+}
+
+export const GOAL_STATUSES = {
+  met: { label: 'Met', badge: 'bg-green-50 text-green-700 border-green-200' },
+  'on-track': { label: 'On track', badge: 'bg-blue-50 text-blue-700 border-blue-200' },
+  'at-risk': { label: 'At risk', badge: 'bg-orange-50 text-orange-700 border-orange-200' },
+  missed: { label: 'Missed', badge: 'bg-red-50 text-red-700 border-red-200' }
+}
+
+// First and last day of the week (Monday to Sunday) or month containing a date
+const getPeriodBounds = (dateString, period) => {
+  if (period === 'month') {
+    const date = parseDate(dateString)
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0))
+    return { start: formatDate(start), end: formatDate(end) }
+  }
+  const weekday = (getWeekday(dateString) + 6) % 7 // 0 = Monday
+  const start = addDays(dateString, -weekday)
+  return { start, end: addDays(start, 6) }
+}
+
+// The day a goal was set on, in the user's time zone
+const getCreatedDate = (goal) => toDateString(new Date(goal.createdAt))
+
+// Days (sorted, unique) with an activity of a category
+const getActivityDates = (events, category) => {
+  return [...new Set(events.filter(event => event.category === category).map(event => event.date))].sort()
+}
+
+export const describeGoal = (goal, categories) => {
+  switch (goal.type) {
+    case 'frequency':
+      return `${getCategory(categories, goal.category).name} ${goal.count}× per ${GOAL_PERIODS[goal.period].label}`
+    case 'interval':
+      return `${getCategory(categories, goal.category).name} every ${goal.everyDays} days`
+    case 'coverage':
+      return `At least ${goal.minInfluence}% daily influence`
+    default:
+      return 'Unknown goal'
+  }
+}
+
+// Check a goal's fields, throwing an Error that can be shown to the user
+export const validateGoal = (goal) => {
+  if (!GOAL_TYPES[goal.type]) throw new Error(`Unknown goal type "${goal.type}"`)
+  if (goal.type !== 'coverage' && !goal.category) throw new Error('Choose a category for this goal')
+  if (goal.type === 'frequency') {
+    if (!(Number.isInteger(goal.count) && goal.count >= 1)) throw new Error('Count must be a whole number of at least 1')
+    if (!GOAL_PERIODS[goal.period]) throw new Error(`Unknown period "${goal.period}"`)
+    const maxCount = goal.period === 'week' ? 7 : 28
+    if (goal.count > maxCount) throw new Error(`At most ${maxCount} times per ${goal.period} can be tracked`)
+  }
+  if (goal.type === 'interval' && !(Number.isInteger(goal.everyDays) && goal.everyDays >= 1)) {
+    throw new Error('Interval must be a whole number of days')
+  }
+  if (goal.type === 'coverage' && !(goal.minInfluence > 0 && goal.minInfluence <= 100)) {
+    throw new Error('Daily influence must be between 1 and 100%')
+  }
+  return goal
+}
+
+// Keep only well-formed stored goals
+export const normalizeGoals = (goals) => {
+  if (!Array.isArray(goals)) return []
+  return goals.filter(goal => {
+    try {
+      return goal?.id && validateGoal(goal)
+    } catch {
+      return false
+    }
+  })
+}
+
+export const createGoal = (goals, fields) => {
+  const goal = validateGoal({
+    ...fields,
+    id: `goal-${Date.now()}-${goals.length}`,
+    createdAt: new Date().toISOString()
+  })
+  return [...goals, goal]
+}
+
+export const updateGoal = (goals, id, changes) => {
+  return goals.map(goal => goal.id === id ? validateGoal({ ...goal, ...changes }) : goal)
+}
+
+export const removeGoal = (goals, id) => goals.filter(goal => goal.id !== id)
+
+const evaluateFrequency = (goal, dateString, events, today) => {
+  const { start, end } = getPeriodBounds(dateString, goal.period)
+  const dates = events
+    .filter(event => event.category === goal.category && event.date >= start && event.date <= end)
+    .map(event => event.date)
+  const done = dates.filter(date => date <= dateString).length
+  const planned = dates.filter(date => date > dateString).length
+  const periodLabel = goal.period === 'week' ? 'this week' : 'this month'
+  const detail = `${done} of ${goal.count} ${periodLabel}${planned > 0 ? ` (${planned} planned)` : ''}`
+  const progress = { current: done, target: goal.count }
+
+  if (done >= goal.count) return { status: 'met', detail, progress }
+  if (done + planned >= goal.count) return { status: 'on-track', detail, progress }
+
+  // Days still free for the missing activities: the rest of the period, plus the day
+  // itself while it isn't over, minus days that already have one planned
+  const plannedDays = new Set(dates.filter(date => date > dateString))
+  const dayIsOpen = dateString >= today && !dates.includes(dateString)
+  const openDays = daysBetween(dateString, end) - plannedDays.size + (dayIsOpen ? 1 : 0)
+  const needed = goal.count - done - planned
+
+  if (needed > openDays) return { status: 'missed', detail, progress }
+  if (needed > openDays / 2) return { status: 'at-risk', detail, progress }
+  return { status: 'on-track', detail, progress }
+}
+
+const evaluateInterval = (goal, dateString, events) => {
+  const dates = getActivityDates(events, goal.category)
+  const goalStart = goal.createdAt ? getCreatedDate(goal) : dateString
+  const last = dates.filter(date => date <= dateString).pop()
+  const next = dates.find(date => date > dateString)
+  // Without any activity yet, the first interval runs from when the goal was set
+  const since = last || (goalStart <= dateString ? goalStart : dateString)
+  const due = addDays(since, goal.everyDays)
+  const daysLeft = daysBetween(dateString, due)
+  const progress = { current: Math.min(goal.everyDays, daysBetween(since, dateString)), target: goal.everyDays }
+  const lastText = last ? (last === dateString ? 'Done this day' : `Last done ${last}`) : 'Not done yet'
+  const detail = daysLeft >= 0 ? `${lastText} · due in ${daysLeft} days` : `${lastText} · overdue by ${-daysLeft} days`
+
+  if (last === dateString) return { status: 'met', detail, progress }
+  if (daysLeft < 0) return { status: 'missed', detail, progress }
+  if (next && next <= due) return { status: 'on-track', detail: `${detail}, planned ${next}`, progress }
+  // The last fifth of the interval (at least a day) counts as at risk
+  const margin = Math.max(1, Math.round(goal.everyDays * 0.2))
+  return { status: daysLeft <= margin ? 'at-risk' : 'on-track', detail, progress }
+}
+
+const evaluateCoverage = (goal, dateString, events, settings, influence, today) => {
+  const total = influence ?? calculateDayInfluence(dateString, events, settings).total
+  const detail = `${Math.round(total)}% of ${goal.minInfluence}%`
+  const progress = { current: Math.round(total), target: goal.minInfluence }
+
+  if (total >= goal.minInfluence) return { status: 'met', detail, progress }
+  return { status: dateString >= today ? 'at-risk' : 'missed', detail, progress }
+}
+
+// Status of one goal on a day: { goal, status, detail, progress: { current, target } }.
+// `influence` can pass the day's precomputed influence total to skip recalculating it.
+export const evaluateGoal = (goal, dateString, events, { settings = DEFAULT_SCORING_SETTINGS, influence, today = getToday() } = {}) => {
+  let result
+  switch (goal.type) {
+    case 'frequency':
+      result = evaluateFrequency(goal, dateString, events, today)
+      break
+    case 'interval':
+      result = evaluateInterval(goal, dateString, events)
+      break
+    default:
+      result = evaluateCoverage(goal, dateString, events, settings, influence, today)
+  }
+  return { goal, ...result }
+}
+
+// Goals that are at risk or missed on a day
+export const getGoalsAtRisk = (goals, dateString, events, options = {}) => {
+  return goals
+    .map(goal => evaluateGoal(goal, dateString, events, options))
+    .filter(result => result.status === 'at-risk' || result.status === 'missed')
+}
+
+// Share of the last `days` days (up to today) on which a goal was met or on track
+export const getGoalHitRate = (goal, events, { settings = DEFAULT_SCORING_SETTINGS, days = 30, today = getToday() } = {}) => {
+  const start = goal.createdAt && getCreatedDate(goal) > addDays(today, -(days - 1))
+    ? getCreatedDate(goal)
+    : addDays(today, -(days - 1))
+  const total = daysBetween(start, today) + 1
+  let good = 0
+  for (let offset = 0; offset < total; offset++) {
+    const { status } = evaluateGoal(goal, addDays(start, offset), events, { settings, today })
+    if (status === 'met' || status === 'on-track') good++
+  }
+  return { good, total }
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { evaluateGoal, getGoalHitRate, normalizeGoals, validateGoal } from './goals'
+
+const exercise = (date) => ({ id: date, name: 'Run', category: 'exercise', date, duration: '01:00', impact: 6, reachValue: 1, reachUnit: 'days' })
+
+// Monday 2025-06-09 to Sunday 2025-06-15
+const weekly = { id: 'g1', type: 'frequency', category: 'exercise', count: 3, period: 'week', createdAt: '2025-06-01T00:00:00Z' }
+
+describe('evaluateGoal', () => {
+  it('counts a frequency goal within the week of the day', () => {
+    const events = [exercise('2025-06-08'), exercise('2025-06-09'), exercise('2025-06-10'), exercise('2025-06-11')]
+    expect(evaluateGoal(weekly, '2025-06-11', events, { today: '2025-06-11' })).toMatchObject({
+      status: 'met',
+      progress: { current: 3, target: 3 }
+    })
+  })
+
+  it('counts planned activities towards a frequency goal', () => {
+    const events = [exercise('2025-06-09'), exercise('2025-06-13'), exercise('2025-06-15')]
+    expect(evaluateGoal(weekly, '2025-06-10', events, { today: '2025-06-10' })).toMatchObject({
+      status: 'on-track',
+      detail: '1 of 3 this week (2 planned)'
+    })
+  })
+
+  it('marks a frequency goal at risk or missed as the week runs out', () => {
+    expect(evaluateGoal(weekly, '2025-06-13', [], { today: '2025-06-13' }).status).toBe('at-risk')
+    expect(evaluateGoal(weekly, '2025-06-14', [], { today: '2025-06-14' }).status).toBe('missed')
+  })
+
+  it('tracks an interval goal from the last activity', () => {
+    const goal = { id: 'g2', type: 'interval', category: 'therapy', everyDays: 10, createdAt: '2025-05-01T12:00:00Z' }
+    const therapy = { ...exercise('2025-06-01'), category: 'therapy' }
+    expect(evaluateGoal(goal, '2025-06-01', [therapy]).status).toBe('met')
+    expect(evaluateGoal(goal, '2025-06-05', [therapy])).toMatchObject({ status: 'on-track', detail: 'Last done 2025-06-01 · due in 6 days' })
+    expect(evaluateGoal(goal, '2025-06-10', [therapy]).status).toBe('at-risk')
+    expect(evaluateGoal(goal, '2025-06-12', [therapy]).status).toBe('missed')
+  })
+
+  it('checks a coverage goal against the day influence', () => {
+    const goal = { id: 'g3', type: 'coverage', minInfluence: 50 }
+    expect(evaluateGoal(goal, '2025-06-10', [], { influence: 60, today: '2025-06-11' }).status).toBe('met')
+    expect(evaluateGoal(goal, '2025-06-10', [], { influence: 20, today: '2025-06-11' }).status).toBe('missed')
+    expect(evaluateGoal(goal, '2025-06-11', [], { influence: 20, today: '2025-06-11' }).status).toBe('at-risk')
+  })
+})
+
+describe('getGoalHitRate', () => {
+  it('only counts the days since the goal was set', () => {
+    // The day between the two runs is only reached by the first one's fading influence
+    const goal = { id: 'g4', type: 'coverage', minInfluence: 50, createdAt: '2025-06-09T12:00:00Z' }
+    const events = [exercise('2025-06-09'), exercise('2025-06-11')]
+    expect(getGoalHitRate(goal, events, { today: '2025-06-11' })).toEqual({ good: 2, total: 3 })
+  })
+})
+
+describe('validateGoal', () => {
+  it('rejects goals that cannot be tracked', () => {
+    expect(() => validateGoal({ ...weekly, count: 8 })).toThrow('At most 7 times per week')
+    expect(() => validateGoal({ type: 'interval', category: 'therapy', everyDays: 1.5 })).toThrow('whole number of days')
+    expect(() => validateGoal({ type: 'coverage', minInfluence: 0 })).toThrow('between 1 and 100%')
+    expect(normalizeGoals([weekly, { ...weekly, id: 'bad', period: 'year' }, null])).toEqual([weekly])
+  })
+})
@@ -1,116 +1,253 @@
 /**
  * Google Calendar Integration Service
  * Handles OAuth authentication and two-way sync with Google Calendar
+ *
+ * Sign-in uses the Google Identity Services (GIS) token client. Calendar API calls go
+ * through an injectable transport, so the service can run against a fake Calendar API:
+ *   transport({ method, path, query, body, accessToken }) -> Promise<{ status, result }>
+ * and the auth provider can be swapped the same way (see createIdentityServicesAuth).
  */
 
+import { isRecurringEvent, toRecurrenceLines, createRecurrence } from './recurrence'
+import { DEFAULT_CATEGORIES, getCategoryGoogleColorId } from './categories'
+import { classifyImportedEvent } from './importRules'
+import { calculateRippleScore, durationToMinutes, hasStartTime, minutesToTime } from './scoring'
+import { addDays, getTimeZone, toDateString, toTimeString, zonedTimeToDate } from './dates'
+
 // Google Calendar API configuration
 const GOOGLE_CONFIG = {
   clientId: import.meta.env.VITE_GOOGLE_CLIENT_ID,
-  apiKey: import.meta.env.VITE_GOOGLE_API_KEY,
-  discoveryDoc: 'https://www.googleapis.com/discovery/v1/apis/calendar/v3/rest',
-  scopes: 'https://www.googleapis.com/auth/calendar'
+  apiBaseUrl: 'https://www.googleapis.com/calendar/v3',
+  identityScriptUrl: 'https://accounts.google.com/gsi/client',
+  // Manage events, read the calendar list, and create/manage the dedicated Selframe calendar
+  scopes: [
+    'https://www.googleapis.com/auth/calendar.events',
+    'https://www.googleapis.com/auth/calendar.readonly',
+    'https://www.googleapis.com/auth/calendar.app.created'
+  ].join(' ')
+}
+
+// Settings of the dedicated secondary calendar Selframe can create
+export const SELFRAME_CALENDAR = {
+  summary: 'Selframe',
+  description: 'Mental health activities tracked in Selframe. Managed by Selframe; edits here sync back.',
+  backgroundColor: '#8b5cf6',
+  foregroundColor: '#ffffff'
 }
 
+// Access tokens are refreshed this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000
+
+// The token is kept for the browser session so reloading doesn't require signing in again
+const TOKEN_STORAGE_KEY = 'selframe_google_token'
+
 // Check if Google Calendar integration is properly configured
 const isGoogleCalendarConfigured = () => {
-  return !!(GOOGLE_CONFIG.clientId && 
-           GOOGLE_CONFIG.apiKey && 
-           GOOGLE_CONFIG.clientId !== 'your-google-client-id' &&
-           GOOGLE_CONFIG.apiKey !== 'your-google-api-key')
+  return !!(GOOGLE_CONFIG.clientId &&
+           !GOOGLE_CONFIG.clientId.startsWith('your-')) // Placeholder from env.example
+}
+
+/**
+ * Default transport: the Calendar REST API over fetch
+ */
+export const fetchTransport = async ({ method = 'GET', path, query = {}, body, accessToken }) => {
+  const url = new URL(GOOGLE_CONFIG.apiBaseUrl + path)
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value)
+  })
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  // Error pages from proxies and load balancers are HTML; only JSON bodies are parsed, so the
+  // caller still gets the HTTP status instead of a SyntaxError
+  const text = await response.text()
+  const isJson = (response.headers.get('Content-Type') || '').includes('json')
+  return { status: response.status, result: text && isJson ? JSON.parse(text) : {} }
+}
+
+/**
+ * Default auth provider: the Google Identity Services token client.
+ * requestToken resolves { accessToken, expiresAt }.
+ */
+export const createIdentityServicesAuth = () => {
+  let tokenClient = null
+  let pending = null // { promise, resolve, reject } of the token request in flight
+
+  const loadScript = () => new Promise((resolve, reject) => {
+    if (window.google?.accounts?.oauth2) {
+      resolve()
+      return
+    }
+    const script = document.createElement('script')
+    script.src = GOOGLE_CONFIG.identityScriptUrl
+    script.async = true
+    script.onload = resolve
+    script.onerror = () => reject(new Error('Failed to load Google Identity Services'))
+    document.head.appendChild(script)
+  })
+
+  return {
+    async initialize() {
+      await loadScript()
+      tokenClient = window.google.accounts.oauth2.initTokenClient({
+        client_id: GOOGLE_CONFIG.clientId,
+        scope: GOOGLE_CONFIG.scopes,
+        callback: (response) => {
+          if (response.error) {
+            pending?.reject(new Error(response.error_description || response.error))
+          } else {
+            pending?.resolve({
+              accessToken: response.access_token,
+              expiresAt: Date.now() + Number(response.expires_in) * 1000
+            })
+          }
+          pending = null
+        },
+        error_callback: (error) => {
+          pending?.reject(new Error(error.type === 'popup_closed' ? 'Sign-in window was closed' : error.message || 'Authorization failed'))
+          pending = null
+        }
+      })
+    },
+
+    // prompt: 'consent' shows the consent screen; '' reuses an earlier grant without UI where possible.
+    // The token client answers through a single callback, so a request made while another is
+    // still in flight shares its result instead of replacing it.
+    requestToken({ prompt = '' } = {}) {
+      if (pending) return pending.promise
+      let settle
+      const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject }
+      })
+      pending = { promise, ...settle }
+      try {
+        tokenClient.requestAccessToken({ prompt })
+      } catch (error) {
+        pending.reject(error)
+        pending = null
+      }
+      return promise
+    },
+
+    revokeToken(accessToken) {
+      return new Promise(resolve => window.google.accounts.oauth2.revoke(accessToken, resolve))
+    }
+  }
+}
+
+const loadStoredToken = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(TOKEN_STORAGE_KEY))
+    return stored && stored.expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN_MS ? stored : null
+  } catch {
+    return null
+  }
+}
+
+const storeToken = (token) => {
+  try {
+    if (token) {
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(token))
+    } else {
+      sessionStorage.removeItem(TOKEN_STORAGE_KEY)
+    }
+  } catch {
+    // sessionStorage unavailable (e.g. tests); the token only lives in memory
+  }
 }
 
-class GoogleCalendarService {
-  constructor() {
-    this.gapi = null
+export class GoogleCalendarService {
+  constructor({ transport = fetchTransport, auth = null, isConfigured = isGoogleCalendarConfigured } = {}) {
+    this.transport = transport
+    this.auth = auth || createIdentityServicesAuth()
+    this.isConfigured = isConfigured
     this.isInitialized = false
     this.isSignedIn = false
-    this.authInstance = null
+    this.token = null // { accessToken, expiresAt, user }
+    this.categories = DEFAULT_CATEGORIES
+    this.importRules = []
+  }
+
+  /**
+   * Use the user's category registry for colors and category inference
+   */
+  setCategories(categories) {
+    this.categories = categories
+  }
+
+  /**
+   * Use the user's import rules to categorize foreign events (see importRules.js)
+   */
+  setImportRules(rules) {
+    this.importRules = rules
+  }
+
+  /**
+   * How the import rules treat a Google event. `calendar` is its calendar's id or name.
+   */
+  classifyEvent(googleEvent, calendar) {
+    return classifyImportedEvent(googleEvent, { rules: this.importRules, categories: this.categories, calendar })
+  }
+
+  /**
+   * Whether an event should be imported: Selframe's own events always are,
+   * others unless an import rule skips them
+   */
+  shouldImportEvent(googleEvent, calendar) {
+    if (googleEvent.extendedProperties?.private?.selframeId) return true
+    return !this.classifyEvent(googleEvent, calendar).skip
   }
 
   /**
-   * Initialize Google API and load Calendar API
+   * Load Google Identity Services and restore a token from this session
    */
   async initialize() {
     if (this.isInitialized) return true
 
     // Check if Google Calendar is properly configured
-    if (!isGoogleCalendarConfigured()) {
-      console.warn('Google Calendar integration not configured. Please set VITE_GOOGLE_CLIENT_ID and VITE_GOOGLE_API_KEY environment variables.')
+    if (!this.isConfigured()) {
+      console.warn('Google Calendar integration not configured. Please set the VITE_GOOGLE_CLIENT_ID environment variable.')
       throw new Error('Google Calendar not configured')
     }
 
     try {
-      // Load Google API script if not already loaded
-      if (!window.gapi) {
-        await this.loadGoogleAPI()
-      }
-
-      this.gapi = window.gapi
-
-      // Initialize the API
-      await new Promise((resolve, reject) => {
-        this.gapi.load('auth2:client', {
-          callback: resolve,
-          onerror: reject
-        })
-      })
-
-      // Initialize the client
-      await this.gapi.client.init({
-        apiKey: GOOGLE_CONFIG.apiKey,
-        clientId: GOOGLE_CONFIG.clientId,
-        discoveryDocs: [GOOGLE_CONFIG.discoveryDoc],
-        scope: GOOGLE_CONFIG.scopes
-      })
-
-      this.authInstance = this.gapi.auth2.getAuthInstance()
-      this.isSignedIn = this.authInstance.isSignedIn.get()
+      await this.auth.initialize()
+      this.token = loadStoredToken()
+      this.isSignedIn = !!this.token
       this.isInitialized = true
-
       return true
     } catch (error) {
-      console.error('Failed to initialize Google Calendar API:', error)
+      console.error('Failed to initialize Google Identity Services:', error)
       throw new Error('Google Calendar initialization failed: ' + error.message)
     }
   }
 
   /**
-   * Load Google API script dynamically
-   */
-  loadGoogleAPI() {
-    return new Promise((resolve, reject) => {
-      if (window.gapi) {
-        resolve()
-        return
-      }
-
-      const script = document.createElement('script')
-      script.src = 'https://apis.google.com/js/api.js'
-      script.onload = resolve
-      script.onerror = reject
-      document.head.appendChild(script)
-    })
-  }
-
-  /**
-   * Sign in to Google Calendar
+   * Sign in to Google Calendar (shows Google's consent popup)
    */
   async signIn() {
     await this.initialize()
-    
+
     try {
-      const authResult = await this.authInstance.signIn()
+      const token = await this.auth.requestToken({ prompt: 'consent' })
+      this.setToken(token)
       this.isSignedIn = true
+      const user = await this.loadUser()
+      this.setToken({ ...this.token, user })
       return {
         success: true,
-        user: {
-          name: authResult.getBasicProfile().getName(),
-          email: authResult.getBasicProfile().getEmail(),
-          imageUrl: authResult.getBasicProfile().getImageUrl()
-        }
+        user
       }
     } catch (error) {
       console.error('Google Calendar sign-in failed:', error)
+      this.setToken(null)
+      this.isSignedIn = false
       return {
         success: false,
         error: error.message
@@ -119,18 +256,76 @@ class GoogleCalendarService {
   }
 
   /**
-   * Sign out from Google Calendar
+   * Sign out from Google Calendar and revoke the access token
    */
   async signOut() {
-    if (!this.authInstance) return
-
     try {
-      await this.authInstance.signOut()
-      this.isSignedIn = false
+      if (this.token) {
+        await this.auth.revokeToken(this.token.accessToken)
+      }
       return { success: true }
     } catch (error) {
       console.error('Google Calendar sign-out failed:', error)
       return { success: false, error: error.message }
+    } finally {
+      this.setToken(null)
+      this.isSignedIn = false
+    }
+  }
+
+  setToken(token) {
+    this.token = token
+    storeToken(token)
+  }
+
+  /**
+   * A valid access token, refreshed silently when it is about to expire
+   */
+  async getAccessToken() {
+    if (this.token && this.token.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return this.token.accessToken
+    }
+    try {
+      const refreshed = await this.auth.requestToken({ prompt: '' })
+      this.setToken({ ...refreshed, user: this.token?.user || null })
+      return refreshed.accessToken
+    } catch (error) {
+      this.setToken(null)
+      this.isSignedIn = false
+      throw new Error('Google Calendar session expired, please sign in again (' + error.message + ')')
+    }
+  }
+
+  /**
+   * Send a Calendar API request. A 401 (token revoked or expired early) refreshes the token
+   * and retries once. Errors carry the HTTP status and Google's error body.
+   */
+  async request({ method = 'GET', path, query, body }) {
+    const send = async () => this.transport({ method, path, query, body, accessToken: await this.getAccessToken() })
+
+    let response = await send()
+    if (response.status === 401) {
+      this.token = this.token && { ...this.token, expiresAt: 0 }
+      response = await send()
+    }
+    if (response.status >= 400) {
+      const error = new Error(response.result?.error?.message || `Google Calendar request failed (${response.status})`)
+      error.status = response.status
+      error.result = response.result
+      throw error
+    }
+    return response
+  }
+
+  /**
+   * The signed-in user, from their primary calendar (its id is their email address)
+   */
+  async loadUser() {
+    const response = await this.request({ path: '/users/me/calendarList/primary' })
+    return {
+      name: response.result.summaryOverride || response.result.summary || response.result.id,
+      email: response.result.id,
+      imageUrl: null
     }
   }
 
@@ -141,8 +336,9 @@ class GoogleCalendarService {
     if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
 
     try {
-      const response = await this.gapi.client.calendar.calendarList.list({
-        minAccessRole: 'writer'
+      const response = await this.request({
+        path: '/users/me/calendarList',
+        query: { minAccessRole: 'writer' }
       })
 
       return response.result.items.map(calendar => ({
@@ -150,7 +346,9 @@ class GoogleCalendarService {
         name: calendar.summary,
         description: calendar.description,
         primary: calendar.primary || false,
-        accessRole: calendar.accessRole
+        accessRole: calendar.accessRole,
+        color: calendar.backgroundColor,
+        timeZone: calendar.timeZone
       }))
     } catch (error) {
       console.error('Failed to get calendar list:', error)
@@ -158,6 +356,121 @@ class GoogleCalendarService {
     }
   }
 
+  /**
+   * Create the dedicated Selframe calendar with its color, description and time zone
+   */
+  async createSelframeCalendar(timeZone = getTimeZone()) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    const response = await this.request({
+      method: 'POST',
+      path: '/calendars',
+      body: {
+        summary: SELFRAME_CALENDAR.summary,
+        description: SELFRAME_CALENDAR.description,
+        timeZone
+      }
+    })
+    await this.setCalendarColor(response.result.id, SELFRAME_CALENDAR.backgroundColor, SELFRAME_CALENDAR.foregroundColor)
+    return {
+      id: response.result.id,
+      name: response.result.summary,
+      description: response.result.description,
+      timeZone: response.result.timeZone,
+      primary: false,
+      accessRole: 'owner',
+      color: SELFRAME_CALENDAR.backgroundColor
+    }
+  }
+
+  /**
+   * Update the dedicated calendar's name, description, time zone or color
+   */
+  async updateSelframeCalendar(calendarId, { summary, description, timeZone, backgroundColor }) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    const response = await this.request({
+      method: 'PATCH',
+      path: `/calendars/${encodeURIComponent(calendarId)}`,
+      body: Object.fromEntries(Object.entries({ summary, description, timeZone }).filter(([, value]) => value !== undefined))
+    })
+    if (backgroundColor) {
+      await this.setCalendarColor(calendarId, backgroundColor, SELFRAME_CALENDAR.foregroundColor)
+    }
+    return response.result
+  }
+
+  /**
+   * Delete the dedicated calendar and every event in it
+   */
+  async deleteSelframeCalendar(calendarId) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    await this.request({
+      method: 'DELETE',
+      path: `/calendars/${encodeURIComponent(calendarId)}`
+    })
+    return { success: true }
+  }
+
+  /**
+   * Set a calendar's color in the user's calendar list
+   */
+  async setCalendarColor(calendarId, backgroundColor, foregroundColor) {
+    await this.request({
+      method: 'PATCH',
+      path: `/users/me/calendarList/${encodeURIComponent(calendarId)}`,
+      query: { colorRgbFormat: true },
+      body: { backgroundColor, foregroundColor }
+    })
+  }
+
+  /**
+   * Ids of the events Selframe exported to a calendar (recurring series count once)
+   */
+  async listSelframeEventIds(calendarId) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    const ids = []
+    let pageToken = null
+    do {
+      const response = await this.request({
+        path: `/calendars/${encodeURIComponent(calendarId)}/events`,
+        query: { maxResults: 250, pageToken, fields: 'items(id,extendedProperties),nextPageToken' }
+      })
+      response.result.items
+        .filter(event => event.extendedProperties?.private?.selframeId)
+        .forEach(event => ids.push(event.id))
+      pageToken = response.result.nextPageToken
+    } while (pageToken)
+    return ids
+  }
+
+  /**
+   * Move events to another calendar. Google keeps their ids, so sync links stay valid.
+   */
+  async moveEvents(eventIds, fromCalendarId, toCalendarId, onProgress = () => {}) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    let moved = 0
+    let failed = 0
+    for (const eventId of eventIds) {
+      try {
+        await this.request({
+          method: 'POST',
+          path: `/calendars/${encodeURIComponent(fromCalendarId)}/events/${encodeURIComponent(eventId)}/move`,
+          query: { destination: toCalendarId }
+        })
+        moved++
+      } catch (error) {
+        console.error('Failed to move event to the Selframe calendar:', error)
+        failed++
+      }
+      onProgress(moved + failed, eventIds.length)
+    }
+    return { moved, failed }
+  }
+
   /**
    * Export Selframe event to Google Calendar
    */
@@ -168,9 +481,10 @@ class GoogleCalendarService {
       // Convert Selframe event to Google Calendar format
       const googleEvent = this.convertSelframeToGoogle(selframeEvent)
       
-      const response = await this.gapi.client.calendar.events.insert({
-        calendarId: calendarId,
-        resource: googleEvent
+      const response = await this.request({
+        method: 'POST',
+        path: `/calendars/${encodeURIComponent(calendarId)}/events`,
+        body: googleEvent
       })
 
       return {
@@ -188,34 +502,25 @@ class GoogleCalendarService {
   }
 
   /**
-   * Import events from Google Calendar
+   * Update an event previously exported to Google Calendar
    */
-  async importEventsFromGoogle(calendarId = 'primary', timeMin = null, timeMax = null) {
+  async updateEventInGoogle(googleEventId, selframeEvent, calendarId = 'primary') {
     if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
 
     try {
-      const params = {
-        calendarId: calendarId,
-        timeMin: timeMin || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days ago
-        timeMax: timeMax || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days ahead
-        singleEvents: true,
-        orderBy: 'startTime'
-      }
-
-      const response = await this.gapi.client.calendar.events.list(params)
-      
-      // Convert Google Calendar events to Selframe format
-      const selframeEvents = response.result.items
-        .filter(event => event.start && (event.start.dateTime || event.start.date))
-        .map(event => this.convertGoogleToSelframe(event))
+      const response = await this.request({
+        method: 'PATCH',
+        path: `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(googleEventId)}`,
+        body: this.convertSelframeToGoogle(selframeEvent)
+      })
 
       return {
         success: true,
-        events: selframeEvents,
-        totalCount: response.result.items.length
+        googleEventId: response.result.id,
+        event: response.result
       }
     } catch (error) {
-      console.error('Failed to import events from Google Calendar:', error)
+      console.error('Failed to update event in Google Calendar:', error)
       return {
         success: false,
         error: error.message
@@ -223,31 +528,102 @@ class GoogleCalendarService {
     }
   }
 
+  /**
+   * Delete an event from Google Calendar. Events that are already gone count as deleted.
+   */
+  async deleteEventFromGoogle(googleEventId, calendarId = 'primary') {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    try {
+      await this.request({
+        method: 'DELETE',
+        path: `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(googleEventId)}`
+      })
+      return { success: true }
+    } catch (error) {
+      if (error.status === 404 || error.status === 410) return { success: true }
+      console.error('Failed to delete event from Google Calendar:', error)
+      return {
+        success: false,
+        error: error.result?.error?.message || error.message
+      }
+    }
+  }
+
+  /**
+   * List events changed since the last sync, including deleted ones.
+   * Without a sync token (or when Google expired it) this is a full listing.
+   * Recurring events are returned once, as their series, plus any changed instances.
+   */
+  async listEventChanges(calendarId = 'primary', syncToken = null) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    const items = []
+    let pageToken = null
+    let response
+    try {
+      do {
+        response = await this.request({
+          path: `/calendars/${encodeURIComponent(calendarId)}/events`,
+          query: { showDeleted: true, maxResults: 250, syncToken, pageToken }
+        })
+        items.push(...response.result.items)
+        pageToken = response.result.nextPageToken
+      } while (pageToken)
+      return { items, nextSyncToken: response.result.nextSyncToken, isFullSync: !syncToken }
+    } catch (error) {
+      // 410 Gone: the sync token expired and a full sync is required
+      if (error.status === 410 && syncToken) {
+        return this.listEventChanges(calendarId, null)
+      }
+      throw new Error(error.result?.error?.message || error.message)
+    }
+  }
+
+  /**
+   * Recent events from other apps, as raw Google events, for trying out import rules
+   */
+  async listRecentForeignEvents(calendarId = 'primary', days = 14) {
+    if (!this.isSignedIn) throw new Error('Not signed in to Google Calendar')
+
+    const response = await this.request({
+      path: `/calendars/${encodeURIComponent(calendarId)}/events`,
+      query: {
+        timeMin: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+        timeMax: new Date().toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 100
+      }
+    })
+    return response.result.items
+      .filter(event => event.start && !event.extendedProperties?.private?.selframeId)
+      .reverse()
+  }
+
   /**
    * Convert Selframe event to Google Calendar format
    */
   convertSelframeToGoogle(selframeEvent) {
-    const eventDate = new Date(selframeEvent.date)
-    
+    // Activities logged before start times existed begin at midnight in the user's time zone
+    const startTime = hasStartTime(selframeEvent) ? selframeEvent.startTime : '00:00'
+
     let start, end
     
     if (selframeEvent.isAllDay) {
-      // All-day event
+      // All-day event; Google's end date is exclusive, so it is the following day
       start = { date: selframeEvent.date }
-      end = { date: selframeEvent.date }
+      end = { date: addDays(selframeEvent.date, 1) }
     } else {
-      // Timed event
-      const [hours, minutes] = selframeEvent.duration.split(':')
-      const startTime = new Date(eventDate)
-      const endTime = new Date(eventDate)
-      endTime.setHours(endTime.getHours() + parseInt(hours))
-      endTime.setMinutes(endTime.getMinutes() + parseInt(minutes))
-      
-      start = { dateTime: startTime.toISOString() }
-      end = { dateTime: endTime.toISOString() }
+      // Timed event: start time in the user's time zone plus duration, possibly ending on a later day
+      const startDateTime = zonedTimeToDate(selframeEvent.date, startTime)
+      const endDateTime = new Date(startDateTime.getTime() + durationToMinutes(selframeEvent.duration) * 60 * 1000)
+
+      start = { dateTime: startDateTime.toISOString() }
+      end = { dateTime: endDateTime.toISOString() }
     }
 
-    return {
+    const googleEvent = {
       summary: `${selframeEvent.name} (Selframe)`,
       description: this.generateEventDescription(selframeEvent),
       start: start,
@@ -264,43 +640,86 @@ class GoogleCalendarService {
         }
       }
     }
+
+    // Recurring series become native recurring events. Individually edited occurrences
+    // are excluded here and exported as separate events (see getModifiedOccurrences).
+    if (isRecurringEvent(selframeEvent)) {
+      const { freq, interval, byWeekday, until, count } = selframeEvent.recurrence
+      googleEvent.recurrence = toRecurrenceLines(selframeEvent, selframeEvent.isAllDay ? null : startTime)
+      googleEvent.extendedProperties.private.selframeRecurrence = JSON.stringify({ freq, interval, byWeekday, until, count })
+      // Google requires an explicit time zone to expand timed recurring events; the user's
+      // one keeps occurrences at the same wall-clock time across DST changes
+      if (!selframeEvent.isAllDay) {
+        const timeZone = getTimeZone()
+        googleEvent.start.timeZone = timeZone
+        googleEvent.end.timeZone = timeZone
+      }
+    }
+
+    return googleEvent
   }
 
   /**
-   * Convert Google Calendar event to Selframe format
+   * Convert Google Calendar event to Selframe format.
+   * `calendar` (id or name of the source calendar) is matched by import rules.
    */
-  convertGoogleToSelframe(googleEvent) {
+  convertGoogleToSelframe(googleEvent, calendar) {
     // Check if this is a Selframe-originated event
     const isSelframeEvent = googleEvent.extendedProperties?.private?.selframeId
 
-    const eventDate = googleEvent.start.date || googleEvent.start.dateTime.split('T')[0]
-    
+    let eventDate = googleEvent.start.date || googleEvent.start.dateTime.split('T')[0]
     let duration = '01:00'
+    let startTime = null
+    let endTime = null
     let isAllDay = !!googleEvent.start.date
 
     if (!isAllDay && googleEvent.start.dateTime && googleEvent.end.dateTime) {
+      // Timed events keep their date and wall-clock start and end times in the user's time zone
       const start = new Date(googleEvent.start.dateTime)
       const end = new Date(googleEvent.end.dateTime)
-      const durationMs = end - start
-      const hours = Math.floor(durationMs / (1000 * 60 * 60))
-      const minutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60))
-      duration = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`
+      duration = minutesToTime(Math.round((end - start) / (1000 * 60)))
+      eventDate = toDateString(start)
+      startTime = toTimeString(start)
+      endTime = toTimeString(end)
     }
 
-    return {
+    // Other apps' events are categorized by the import rules
+    const classification = isSelframeEvent ? null : this.classifyEvent(googleEvent, calendar)
+
+    const selframeEvent = {
       id: isSelframeEvent ? parseInt(googleEvent.extendedProperties.private.selframeId) : Date.now() + Math.random(),
       name: googleEvent.summary?.replace(' (Selframe)', '') || 'Imported Event',
-      category: isSelframeEvent ? googleEvent.extendedProperties.private.selframeCategory : this.inferCategoryFromEvent(googleEvent),
+      category: isSelframeEvent ? googleEvent.extendedProperties.private.selframeCategory : classification.category,
       date: eventDate,
+      startTime,
+      endTime,
       duration: duration,
       isAllDay: isAllDay,
-      impact: isSelframeEvent ? parseInt(googleEvent.extendedProperties.private.selframeImpact) : this.inferImpactFromEvent(googleEvent),
-      reachValue: isSelframeEvent ? parseInt(googleEvent.extendedProperties.private.selframeReachValue) : 1,
-      reachUnit: isSelframeEvent ? googleEvent.extendedProperties.private.selframeReachUnit : 'days',
+      impact: isSelframeEvent ? parseInt(googleEvent.extendedProperties.private.selframeImpact) : classification.impact,
+      reachValue: isSelframeEvent ? parseFloat(googleEvent.extendedProperties.private.selframeReachValue) : classification.reachValue ?? 1,
+      reachUnit: isSelframeEvent ? googleEvent.extendedProperties.private.selframeReachUnit : classification.reachUnit ?? 'days',
       rippleScore: isSelframeEvent ? parseFloat(googleEvent.extendedProperties.private.selframeRippleScore) : 50,
-      googleEventId: googleEvent.id,
+      googleEventId: googleEvent.recurringEventId || googleEvent.id,
       importedFromGoogle: !isSelframeEvent
     }
+
+    // A rule that assigned impact or reach gets a matching ripple score
+    if (classification?.rule) {
+      selframeEvent.rippleScore = parseFloat(calculateRippleScore(selframeEvent.impact, duration, isAllDay, selframeEvent.reachValue, selframeEvent.reachUnit))
+    }
+
+    // Restore the series rule of Selframe recurring events. The series starts at the
+    // first instance returned, since earlier ones may fall outside the import window.
+    const recurrenceRule = isSelframeEvent && googleEvent.extendedProperties.private.selframeRecurrence
+    if (recurrenceRule) {
+      try {
+        selframeEvent.recurrence = createRecurrence(JSON.parse(recurrenceRule))
+      } catch (error) {
+        console.warn('Ignoring malformed Selframe recurrence rule:', error)
+      }
+    }
+
+    return selframeEvent
   }
 
   /**
@@ -321,67 +740,14 @@ This event was created in Selframe to track mental health activities and their i
    * Get Google Calendar color ID for Selframe categories
    */
   getCategoryColorId(category) {
-    const colorMap = {
-      'therapy': '9', // Purple
-      'exercise': '10', // Green
-      'quality time': '7' // Blue
-    }
-    return colorMap[category] || '1' // Default blue
-  }
-
-  /**
-   * Infer Selframe category from Google Calendar event
-   */
-  inferCategoryFromEvent(googleEvent) {
-    const title = googleEvent.summary?.toLowerCase() || ''
-    const description = googleEvent.description?.toLowerCase() || ''
-    const combined = title + ' ' + description
-
-    if (combined.includes('therapy') || combined.includes('counseling') || combined.includes('meditation') || combined.includes('mindfulness')) {
-      return 'therapy'
-    }
-    if (combined.includes('gym') || combined.includes('workout') || combined.includes('exercise') || combined.includes('run') || combined.includes('yoga')) {
-      return 'exercise'
-    }
-    if (combined.includes('friend') || combined.includes('family') || combined.includes('dinner') || combined.includes('coffee') || combined.includes('social')) {
-      return 'quality time'
-    }
-    
-    return 'therapy' // Default category
-  }
-
-  /**
-   * Infer impact score from Google Calendar event
-   */
-  inferImpactFromEvent(googleEvent) {
-    // Simple heuristic based on event duration and type
-    const duration = this.getEventDurationHours(googleEvent)
-    
-    if (duration >= 2) return 7 // Long events likely high impact
-    if (duration >= 1) return 5 // Medium events
-    return 3 // Short events
-  }
-
-  /**
-   * Get event duration in hours
-   */
-  getEventDurationHours(googleEvent) {
-    if (googleEvent.start.date) return 24 // All-day event
-    
-    if (googleEvent.start.dateTime && googleEvent.end.dateTime) {
-      const start = new Date(googleEvent.start.dateTime)
-      const end = new Date(googleEvent.end.dateTime)
-      return (end - start) / (1000 * 60 * 60)
-    }
-    
-    return 1 // Default 1 hour
+    return getCategoryGoogleColorId(this.categories, category)
   }
 
   /**
    * Check if Google Calendar is available and configured
    */
   isAvailable() {
-    return isGoogleCalendarConfigured()
+    return this.isConfigured()
   }
 
   /**
@@ -392,11 +758,7 @@ This event was created in Selframe to track mental health activities and their i
       isAvailable: this.isAvailable(),
       isInitialized: this.isInitialized,
       isSignedIn: this.isSignedIn,
-      user: this.isSignedIn && this.authInstance ? {
-        name: this.authInstance.currentUser.get().getBasicProfile().getName(),
-        email: this.authInstance.currentUser.get().getBasicProfile().getEmail(),
-        imageUrl: this.authInstance.currentUser.get().getBasicProfile().getImageUrl()
-      } : null
+      user: this.isSignedIn ? this.token?.user || null : null
     }
   }
 }
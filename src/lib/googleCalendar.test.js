@@ -0,0 +1,70 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { GoogleCalendarService, fetchTransport } from './googleCalendar'
+
+const activity = {
+  id: 1,
+  name: 'Hike',
+  category: 'exercise',
+  date: '2025-03-31',
+  duration: '01:00',
+  isAllDay: true,
+  impact: 7,
+  reachValue: 2,
+  reachUnit: 'days',
+  rippleScore: 12.5
+}
+
+describe('convertSelframeToGoogle', () => {
+  it('ends all-day events on the following (exclusive) day', () => {
+    const googleEvent = new GoogleCalendarService().convertSelframeToGoogle(activity)
+    expect(googleEvent.start).toEqual({ date: '2025-03-31' })
+    expect(googleEvent.end).toEqual({ date: '2025-04-01' })
+  })
+})
+
+describe('fetchTransport', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  const respond = (body, init) => vi.stubGlobal('fetch', vi.fn(async () => new Response(body, init)))
+
+  it('parses JSON responses', async () => {
+    respond('{"items":[]}', { status: 200, headers: { 'Content-Type': 'application/json; charset=UTF-8' } })
+    await expect(fetchTransport({ path: '/users/me/calendarList', accessToken: 'token' }))
+      .resolves.toEqual({ status: 200, result: { items: [] } })
+  })
+
+  it('keeps the status of HTML error pages', async () => {
+    respond('<html><body>502 Bad Gateway</body></html>', { status: 502, headers: { 'Content-Type': 'text/html' } })
+    const transport = await fetchTransport({ path: '/users/me/calendarList', accessToken: 'token' })
+    expect(transport).toEqual({ status: 502, result: {} })
+
+    const service = new GoogleCalendarService({ transport: async () => transport, auth: {}, isConfigured: () => true })
+    service.token = { accessToken: 'token', expiresAt: Date.now() + 60 * 60 * 1000 }
+    await expect(service.request({ path: '/users/me/calendarList' })).rejects.toMatchObject({
+      status: 502,
+      message: 'Google Calendar request failed (502)'
+    })
+  })
+})
+
+describe('updateSelframeCalendar', () => {
+  it('patches the calendar and sets its color in the calendar list', async () => {
+    const requests = []
+    const transport = async ({ method, path, query, body }) => {
+      requests.push({ method, path, query, body })
+      return { status: 200, result: { id: 'cal', summary: 'Wellbeing', timeZone: 'Europe/Berlin' } }
+    }
+    const service = new GoogleCalendarService({ transport, auth: {}, isConfigured: () => true })
+    service.isSignedIn = true
+    service.token = { accessToken: 'token', expiresAt: Date.now() + 60 * 60 * 1000 }
+
+    await service.updateSelframeCalendar('cal', { summary: 'Wellbeing', timeZone: 'Europe/Berlin', backgroundColor: '#16a34a' })
+
+    expect(requests).toEqual([
+      { method: 'PATCH', path: '/calendars/cal', query: undefined, body: { summary: 'Wellbeing', timeZone: 'Europe/Berlin' } },
+      { method: 'PATCH', path: '/users/me/calendarList/cal', query: { colorRgbFormat: true }, body: { backgroundColor: '#16a34a', foregroundColor: '#ffffff' } }
+    ])
+  })
+})
@@ -0,0 +1,316 @@
+// Incremental two-way sync with Google Calendar
+//
+// The sync state is stored between runs (see StorageManager.loadGoogleSyncState):
+//   {
+//     calendarId, syncToken, lastSyncedAt,
+//     selframeCalendarId,            // dedicated calendar created by Selframe, if any
+//     links: {                       // keyed by export id
+//       [exportId]: { googleEventId, googleUpdated, fingerprint, syncedAt }
+//     }
+//   }
+// The export id is the Selframe event id, or the occurrence id ("seriesId:date") of an
+// individually edited occurrence, which Google keeps as a separate event.
+//
+// Each run pulls only what changed in Google since the stored syncToken, then pushes
+// local changes: new events are inserted, known ones patched and deleted ones removed.
+// An event changed on both sides is a conflict; the side modified last wins.
+// Events created in other apps aren't added directly: they're returned as `staged` for the
+// import review queue (see importQueue.js) and linked once the user accepts them.
+
+import { getModifiedOccurrences, isRecurringEvent, updateOccurrence, cancelOccurrence, fromRecurrenceLines } from './recurrence'
+import { createCommand } from './history'
+import { getTimeZone, toDateString } from './dates'
+
+export const EMPTY_SYNC_STATE = { calendarId: null, syncToken: null, lastSyncedAt: null, selframeCalendarId: null, links: {} }
+
+// Foreign events older than this aren't imported on the first (full) sync
+const INITIAL_IMPORT_WINDOW_DAYS = 30
+
+// Fields that are sent to Google; changes to anything else don't trigger a push
+const SYNCED_FIELDS = ['name', 'category', 'date', 'startTime', 'endTime', 'duration', 'isAllDay', 'impact', 'reachValue', 'reachUnit', 'rippleScore', 'recurrence']
+
+// Start and end times were added later: left out while unset, so events synced before
+// then keep their fingerprints and aren't all pushed again
+const LATER_SYNCED_FIELDS = ['startTime', 'endTime']
+
+export const getSyncFingerprint = (unit) => JSON.stringify(SYNCED_FIELDS
+  .filter(field => !LATER_SYNCED_FIELDS.includes(field) || (unit[field] ?? null) !== null)
+  .map(field => unit[field] ?? null))
+
+// Events as exported to Google: each event plus the edited occurrences of recurring series
+const getExportUnits = (events) => new Map(
+  events
+    .flatMap(event => [event, ...getModifiedOccurrences(event)])
+    .map(unit => [String(unit.id), unit])
+)
+
+const isOccurrenceUnit = (unit) => unit.seriesId !== undefined && unit.seriesId !== null
+
+const pickSyncedFields = (event) => Object.fromEntries(
+  SYNCED_FIELDS.filter(field => field !== 'recurrence').map(field => [field, event[field]])
+)
+
+const pickScoringFields = (event) => ({
+  category: event.category,
+  impact: event.impact,
+  reachValue: event.reachValue,
+  reachUnit: event.reachUnit,
+  rippleScore: event.rippleScore
+})
+
+// Replace a unit with its version from Google, keeping the local id and occurrence overrides
+const replaceUnit = (events, unit, remote) => {
+  if (isOccurrenceUnit(unit)) {
+    return events.map(event => event.id === unit.seriesId
+      ? updateOccurrence(event, unit.occurrenceDate, pickSyncedFields(remote))
+      : event)
+  }
+  return events.map(event => {
+    if (event.id !== unit.id) return event
+    const updated = { ...event, ...remote, id: event.id }
+    if (remote.recurrence && isRecurringEvent(event)) {
+      updated.recurrence = { ...remote.recurrence, exceptions: { ...event.recurrence.exceptions, ...remote.recurrence.exceptions } }
+    }
+    return updated
+  })
+}
+
+// Remove a unit; an edited occurrence becomes a cancelled one
+const removeUnit = (events, unit) => {
+  if (isOccurrenceUnit(unit)) {
+    return events.map(event => event.id === unit.seriesId ? cancelOccurrence(event, unit.occurrenceDate) : event)
+  }
+  return events.filter(event => event.id !== unit.id)
+}
+
+// Convert a Google event to Selframe fields. Series created in other apps keep their RRULE.
+const fromGoogle = (service, googleEvent, calendarId) => {
+  const event = service.convertGoogleToSelframe(googleEvent, calendarId)
+  const recurrence = !event.recurrence && googleEvent.recurrence ? fromRecurrenceLines(googleEvent.recurrence) : null
+  if (recurrence) event.recurrence = recurrence
+  return { ...event, googleEventId: googleEvent.id, updatedAt: googleEvent.updated }
+}
+
+const isBeforeImportWindow = (googleEvent) => {
+  const end = googleEvent.end?.date || googleEvent.end?.dateTime
+  const windowStart = new Date(Date.now() - INITIAL_IMPORT_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+  return !googleEvent.recurrence && !!end && new Date(end) < windowStart
+}
+
+const describeTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : 'unknown'
+
+// Sync state after moving the synced events to another calendar. Google keeps event ids
+// on a move, so the links carry over; the sync token is per calendar and starts over.
+export const moveSyncState = (state, toCalendarId) => ({
+  ...state,
+  calendarId: toCalendarId,
+  syncToken: null
+})
+
+// Run one sync. `service` is the GoogleCalendarService; `confirmDeletes(count)` is asked
+// before deleting events in Google. Returns the change to apply locally (a history
+// command, or null), the new sync state, a log of { type, message } entries, the foreign
+// events to review (`staged`) and the Google ids of foreign events deleted since (`withdrawn`).
+// `timeZone` is the one the events' dates and times are in.
+export const syncWithGoogle = async (service, { calendarId, events, state = EMPTY_SYNC_STATE, pull = true, push = true, confirmDeletes = () => true, timeZone = getTimeZone() }) => {
+  const sameCalendar = state.calendarId === calendarId
+  const links = sameCalendar ? { ...state.links } : {}
+  const now = new Date().toISOString()
+  const log = []
+  const counts = { staged: 0, updatedLocally: 0, deletedLocally: 0, exported: 0, updatedInGoogle: 0, deletedInGoogle: 0, failed: 0 }
+  const handledExportIds = new Set() // Resolved during the pull; not pushed again
+  const staged = []
+  const withdrawn = []
+  let nextEvents = events
+  let syncToken = sameCalendar ? state.syncToken : null
+
+  const linkTo = (exportId, googleEvent, unit) => {
+    links[exportId] = {
+      googleEventId: googleEvent.id,
+      googleUpdated: googleEvent.updated,
+      fingerprint: getSyncFingerprint(unit),
+      syncedAt: now
+    }
+  }
+
+  // Events accepted from the import review queue carry their Google id but no link yet
+  if (sameCalendar || !state.calendarId) {
+    const linkedGoogleIds = new Set(Object.values(links).map(link => link.googleEventId))
+    getExportUnits(events).forEach((unit, exportId) => {
+      if (!unit.importedFromGoogle || !unit.googleEventId || links[exportId] || linkedGoogleIds.has(unit.googleEventId)) return
+      links[exportId] = { googleEventId: unit.googleEventId, googleUpdated: null, fingerprint: getSyncFingerprint(unit), syncedAt: now }
+    })
+  }
+
+  if (pull) {
+    const units = getExportUnits(events)
+    const exportIdByGoogleId = new Map(Object.entries(links).map(([exportId, link]) => [link.googleEventId, exportId]))
+    const changes = await service.listEventChanges(calendarId, syncToken)
+    syncToken = changes.nextSyncToken
+
+    for (const item of changes.items) {
+      // Deleting a single occurrence in Google cancels it here
+      if (item.recurringEventId) {
+        const seriesExportId = exportIdByGoogleId.get(item.recurringEventId)
+        const series = seriesExportId && units.get(seriesExportId)
+        if (item.status === 'cancelled' && series && item.originalStartTime) {
+          // The offset is the organizer's; the occurrence is on the day it starts in our time zone
+          const occurrenceDate = item.originalStartTime.date || toDateString(new Date(item.originalStartTime.dateTime), timeZone)
+          nextEvents = removeUnit(nextEvents, { seriesId: series.id, occurrenceDate })
+          counts.deletedLocally++
+        }
+        continue
+      }
+
+      const selframeId = item.extendedProperties?.private?.selframeId
+      let exportId = exportIdByGoogleId.get(item.id)
+
+      if (!exportId && selframeId && units.has(selframeId)) {
+        if (links[selframeId]) {
+          // Another copy of an already linked event, left over from earlier non-incremental exports
+          if (item.status !== 'cancelled' && push) {
+            await service.deleteEventFromGoogle(item.id, calendarId)
+            counts.deletedInGoogle++
+          }
+          continue
+        }
+        // Exported before links were stored: adopt it; the push sends any local differences
+        linkTo(selframeId, item, fromGoogle(service, item))
+        exportIdByGoogleId.set(item.id, selframeId)
+        continue
+      }
+
+      if (!exportId) {
+        if (item.status === 'cancelled') {
+          withdrawn.push(item.id)
+          continue
+        }
+        if (changes.isFullSync && !selframeId && isBeforeImportWindow(item)) continue
+        if (!service.shouldImportEvent(item, calendarId)) continue // Skipped by an import rule
+        const imported = fromGoogle(service, item, calendarId)
+        if (selframeId?.includes(':') || nextEvents.some(event => event.id === imported.id)) {
+          imported.id = Date.now() + Math.random()
+        }
+        // Linked to the Google event once accepted from the review queue
+        staged.push({ ...imported, importedFromGoogle: true })
+        counts.staged++
+        continue
+      }
+
+      const link = links[exportId]
+      const unit = units.get(exportId)
+      // Our own write; local edits made since are still pushed below
+      if (item.updated && link.googleUpdated && item.updated <= link.googleUpdated) continue
+      handledExportIds.add(exportId)
+
+      const localChanged = !!unit && getSyncFingerprint(unit) !== link.fingerprint
+      const localTime = unit?.updatedAt || link.syncedAt
+
+      if (item.status === 'cancelled') {
+        delete links[exportId]
+        if (!unit) continue
+        if (localChanged) {
+          log.push({ type: 'conflict', message: `"${unit.name}" was deleted in Google but edited here later; kept the Selframe version` })
+          handledExportIds.delete(exportId) // Re-created by the push
+          continue
+        }
+        nextEvents = removeUnit(nextEvents, unit)
+        counts.deletedLocally++
+        continue
+      }
+
+      // Other apps' events only carry name and time; category and scores stay as reviewed here
+      const fromOtherApp = !selframeId && unit && !isOccurrenceUnit(unit)
+      const remote = fromOtherApp
+        ? { ...fromGoogle(service, item, calendarId), ...pickScoringFields(unit) }
+        : fromGoogle(service, item, calendarId)
+      if (!unit) {
+        log.push({ type: 'conflict', message: `"${remote.name}" was deleted here but edited in Google; restored the Google version` })
+        nextEvents = [{ ...remote, id: Number(exportId) || remote.id }, ...nextEvents]
+        linkTo(exportId, item, remote)
+        continue
+      }
+      if (localChanged) {
+        const keepLocal = localTime > item.updated
+        log.push({
+          type: 'conflict',
+          message: `"${unit.name}" changed in both places; kept the ${keepLocal ? 'Selframe' : 'Google'} version ` +
+            `(Selframe ${describeTime(localTime)}, Google ${describeTime(item.updated)})`
+        })
+        if (keepLocal) {
+          handledExportIds.delete(exportId) // Overwrites Google in the push
+          continue
+        }
+      }
+      nextEvents = replaceUnit(nextEvents, unit, remote)
+      linkTo(exportId, item, getExportUnits(nextEvents).get(exportId) || remote)
+      counts.updatedLocally++
+    }
+  }
+
+  if (push) {
+    const units = getExportUnits(nextEvents)
+    const removedExportIds = Object.keys(links).filter(exportId => !units.has(exportId))
+
+    for (const [exportId, unit] of units) {
+      if (handledExportIds.has(exportId)) continue
+      const link = links[exportId]
+      if (link && getSyncFingerprint(unit) === link.fingerprint) continue
+
+      const result = link
+        ? await service.updateEventInGoogle(link.googleEventId, unit, calendarId)
+        : await service.exportEventToGoogle(unit, calendarId)
+      if (!result.success) {
+        counts.failed++
+        continue
+      }
+      linkTo(exportId, result.event, unit)
+      if (link) {
+        counts.updatedInGoogle++
+      } else {
+        counts.exported++
+        if (!isOccurrenceUnit(unit)) {
+          nextEvents = nextEvents.map(event => event.id === unit.id ? { ...event, googleEventId: result.googleEventId } : event)
+        }
+      }
+    }
+
+    if (removedExportIds.length > 0 && confirmDeletes(removedExportIds.length)) {
+      for (const exportId of removedExportIds) {
+        const result = await service.deleteEventFromGoogle(links[exportId].googleEventId, calendarId)
+        if (result.success) {
+          delete links[exportId]
+          counts.deletedInGoogle++
+        } else {
+          counts.failed++
+        }
+      }
+    }
+  }
+
+  const summary = [
+    counts.staged && `${counts.staged} waiting for review`,
+    counts.updatedLocally && `${counts.updatedLocally} updated from Google`,
+    counts.deletedLocally && `${counts.deletedLocally} deleted from Google`,
+    counts.exported && `${counts.exported} exported`,
+    counts.updatedInGoogle && `${counts.updatedInGoogle} updated in Google`,
+    counts.deletedInGoogle && `${counts.deletedInGoogle} deleted in Google`
+  ].filter(Boolean)
+  log.unshift({ type: 'success', message: summary.length > 0 ? `Synced: ${summary.join(', ')}` : 'Everything is up to date' })
+  if (counts.failed > 0) log.push({ type: 'warning', message: `${counts.failed} events failed to sync` })
+
+  return {
+    command: createCommand('Google Calendar sync', events, nextEvents),
+    state: {
+      ...state,
+      calendarId,
+      // A push-only run must not advance the token past changes it hasn't pulled
+      syncToken: pull ? syncToken : (sameCalendar ? state.syncToken : null),
+      lastSyncedAt: now,
+      links
+    },
+    log,
+    staged,
+    withdrawn
+  }
+}
@@ -0,0 +1,251 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { GoogleCalendarService, createIdentityServicesAuth } from './googleCalendar'
+import { syncWithGoogle } from './googleSync'
+import { applyCommand } from './history'
+import { createRecurrence } from './recurrence'
+
+const CALENDAR_ID = 'selframe@group.calendar.google.com'
+
+// An in-memory Google calendar behind the transport interface, with sync tokens that
+// return every event changed after the one they were issued at
+const createFakeGoogle = () => {
+  const events = new Map()
+  const requests = []
+  let version = 0
+  let nextId = 1
+
+  const store = (event) => {
+    version++
+    events.set(event.id, { ...event, updated: new Date().toISOString(), version })
+    return events.get(event.id)
+  }
+
+  const transport = async ({ method, path, query = {}, body }) => {
+    requests.push({ method, path, body })
+    const [, eventId] = path.match(/\/events(?:\/([^/]+))?$/) || []
+    const id = eventId && decodeURIComponent(eventId)
+
+    if (method === 'GET') {
+      const since = query.syncToken ? Number(query.syncToken) : 0
+      const items = [...events.values()].filter(event => event.version > since)
+      return { status: 200, result: { items, nextSyncToken: String(version) } }
+    }
+    if (method === 'POST') {
+      return { status: 200, result: store({ ...body, id: `g${nextId++}`, status: 'confirmed' }) }
+    }
+    if (!events.has(id)) return { status: 404, result: { error: { message: 'Not Found' } } }
+    if (method === 'PATCH') {
+      return { status: 200, result: store({ ...events.get(id), ...body }) }
+    }
+    if (method === 'DELETE') {
+      store({ ...events.get(id), status: 'cancelled' })
+      return { status: 204, result: {} }
+    }
+    return { status: 400, result: {} }
+  }
+
+  // Changes made in Google by the user or another app
+  const edit = (id, fields) => store({ ...events.get(id), ...fields })
+  const create = (fields) => store({ ...fields, id: `g${nextId++}`, status: 'confirmed' })
+
+  return { events, requests, transport, edit, create }
+}
+
+const createService = (transport) => {
+  const service = new GoogleCalendarService({ transport, auth: {}, isConfigured: () => true })
+  service.isSignedIn = true
+  service.token = { accessToken: 'token', expiresAt: Date.now() + 24 * 60 * 60 * 1000, user: null }
+  return service
+}
+
+const activity = {
+  id: 1,
+  name: 'Hike',
+  category: 'exercise',
+  date: '2025-06-14',
+  startTime: '09:00',
+  endTime: '11:00',
+  duration: '02:00',
+  isAllDay: false,
+  impact: 7,
+  reachValue: 2,
+  reachUnit: 'days',
+  rippleScore: 12.5
+}
+
+describe('syncWithGoogle', () => {
+  let google
+  let service
+  let events
+  let state
+
+  // Run a sync and apply its result like the app does
+  const sync = async (options = {}) => {
+    vi.advanceTimersByTime(60 * 1000)
+    const result = await syncWithGoogle(service, { calendarId: CALENDAR_ID, events, state, ...options })
+    if (result.command) events = applyCommand(events, result.command)
+    state = result.state
+    return result
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-06-15T12:00:00Z'))
+    google = createFakeGoogle()
+    service = createService(google.transport)
+    events = [activity]
+    state = undefined
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('exports new events and links them', async () => {
+    const result = await sync()
+
+    expect(google.events.size).toBe(1)
+    const [exported] = google.events.values()
+    expect(exported.summary).toBe('Hike (Selframe)')
+    expect(exported.extendedProperties.private.selframeId).toBe('1')
+    expect(state.links['1'].googleEventId).toBe(exported.id)
+    expect(events[0].googleEventId).toBe(exported.id)
+    expect(result.log[0].message).toBe('Synced: 1 exported')
+
+    // Its own write comes back in the next pull and changes nothing
+    const again = await sync()
+    expect(again.command).toBeNull()
+    expect(again.log[0].message).toBe('Everything is up to date')
+  })
+
+  it('pushes local edits to Google', async () => {
+    await sync()
+    events = events.map(event => ({ ...event, impact: 9, updatedAt: new Date().toISOString() }))
+
+    const result = await sync()
+
+    const [updated] = google.events.values()
+    expect(updated.extendedProperties.private.selframeImpact).toBe('9')
+    expect(google.requests.filter(request => request.method === 'PATCH')).toHaveLength(1)
+    expect(result.log[0].message).toBe('Synced: 1 updated in Google')
+  })
+
+  it('pulls edits made in Google', async () => {
+    await sync()
+    vi.advanceTimersByTime(60 * 1000)
+    google.edit(state.links['1'].googleEventId, { summary: 'Long hike (Selframe)' })
+
+    const result = await sync()
+
+    expect(events).toHaveLength(1)
+    expect(events[0]).toMatchObject({ id: 1, name: 'Long hike', impact: 7 })
+    expect(result.log[0].message).toBe('Synced: 1 updated from Google')
+  })
+
+  it('stages events created in other apps for review instead of adding them', async () => {
+    await sync()
+    google.create({
+      summary: 'Yoga class',
+      start: { dateTime: '2025-06-16T07:00:00Z' },
+      end: { dateTime: '2025-06-16T08:00:00Z' }
+    })
+
+    const result = await sync()
+
+    expect(events).toEqual([expect.objectContaining({ id: 1 })])
+    expect(result.staged).toHaveLength(1)
+    expect(result.staged[0]).toMatchObject({ name: 'Yoga class', importedFromGoogle: true })
+    expect(result.log[0].message).toBe('Synced: 1 waiting for review')
+  })
+
+  it('cancels an occurrence deleted in Google on its date in our time zone', async () => {
+    events = [{ ...activity, recurrence: createRecurrence({ freq: 'daily', count: 5 }) }]
+    await sync({ timeZone: 'Asia/Tokyo' })
+    // 09:00 in Tokyo on the 16th, as Google reports it for an organizer in Los Angeles
+    const { id } = google.create({
+      recurringEventId: state.links['1'].googleEventId,
+      originalStartTime: { dateTime: '2025-06-15T17:00:00-07:00', timeZone: 'America/Los_Angeles' }
+    })
+    google.edit(id, { status: 'cancelled' })
+
+    const result = await sync({ timeZone: 'Asia/Tokyo' })
+
+    expect(events[0].recurrence.exceptions).toEqual({ '2025-06-16': expect.objectContaining({ cancelled: true }) })
+    expect(result.log[0].message).toContain('1 deleted from Google')
+  })
+
+  it('deletes events removed here from Google after confirmation', async () => {
+    await sync()
+    const googleEventId = state.links['1'].googleEventId
+    events = []
+    const confirmDeletes = vi.fn(() => true)
+
+    const result = await sync({ confirmDeletes })
+
+    expect(confirmDeletes).toHaveBeenCalledWith(1)
+    expect(google.events.get(googleEventId).status).toBe('cancelled')
+    expect(state.links).toEqual({})
+    expect(result.log[0].message).toBe('Synced: 1 deleted in Google')
+  })
+
+  it('keeps events in Google when the deletion is not confirmed', async () => {
+    await sync()
+    events = []
+
+    await sync({ confirmDeletes: () => false })
+
+    expect([...google.events.values()][0].status).toBe('confirmed')
+    expect(Object.keys(state.links)).toEqual(['1'])
+  })
+})
+
+describe('createIdentityServicesAuth', () => {
+  let tokenClient
+
+  beforeEach(() => {
+    tokenClient = null
+    vi.stubGlobal('window', {
+      google: {
+        accounts: {
+          oauth2: {
+            initTokenClient: (config) => {
+              tokenClient = { ...config, requestAccessToken: vi.fn() }
+              return tokenClient
+            }
+          }
+        }
+      }
+    })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('shares one token request between overlapping callers', async () => {
+    const auth = createIdentityServicesAuth()
+    await auth.initialize()
+
+    const first = auth.requestToken()
+    const second = auth.requestToken()
+    tokenClient.callback({ access_token: 'abc', expires_in: '3600' })
+
+    await expect(first).resolves.toMatchObject({ accessToken: 'abc' })
+    await expect(second).resolves.toMatchObject({ accessToken: 'abc' })
+    expect(tokenClient.requestAccessToken).toHaveBeenCalledTimes(1)
+  })
+
+  it('starts a new request once the previous one has settled', async () => {
+    const auth = createIdentityServicesAuth()
+    await auth.initialize()
+
+    const first = auth.requestToken()
+    tokenClient.error_callback({ type: 'popup_closed' })
+    await expect(first).rejects.toThrow('Sign-in window was closed')
+
+    const second = auth.requestToken()
+    tokenClient.callback({ access_token: 'def', expires_in: '3600' })
+    await expect(second).resolves.toMatchObject({ accessToken: 'def' })
+    expect(tokenClient.requestAccessToken).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,116 @@
+// Undo/redo history for event changes
+//
+// Each command stores only what changed between two versions of the events list:
+//   { label, timestamp, added: [event], removed: [event], updated: [{ before, after }] }
+// so it can be re-applied (redo) or reverted (undo) on top of the current list.
+// The history is kept in sessionStorage, so it survives reloads for the current session.
+
+const HISTORY_STORAGE_KEY = 'selframe_history'
+
+// Oldest commands are dropped beyond this
+const MAX_HISTORY = 50
+
+export const EMPTY_HISTORY = { past: [], future: [] }
+
+// Newest-created first, matching the order events are loaded in
+const sortNewestFirst = (events) => [...events].sort((a, b) => b.id - a.id)
+
+// Work out what changed between two versions of the events list. Returns null when nothing did.
+export const createCommand = (label, before, after) => {
+  const beforeById = new Map(before.map(event => [event.id, event]))
+  const afterById = new Map(after.map(event => [event.id, event]))
+
+  const added = after.filter(event => !beforeById.has(event.id))
+  const removed = before.filter(event => !afterById.has(event.id))
+  const updated = after
+    .filter(event => beforeById.has(event.id) && beforeById.get(event.id) !== event &&
+      JSON.stringify(beforeById.get(event.id)) !== JSON.stringify(event))
+    .map(event => ({ before: beforeById.get(event.id), after: event }))
+
+  if (added.length === 0 && removed.length === 0 && updated.length === 0) return null
+  return { label, timestamp: new Date().toISOString(), added, removed, updated }
+}
+
+// Stamp events that are new or changed in `after` with the time they were last modified
+export const touchChangedEvents = (before, after, now = new Date().toISOString()) => {
+  const command = createCommand('', before, after)
+  if (!command) return after
+  const changedIds = new Set([...command.added, ...command.updated.map(({ after: event }) => event)].map(event => event.id))
+  return after.map(event => changedIds.has(event.id) ? { ...event, updatedAt: now } : event)
+}
+
+// Re-apply a command (redo)
+export const applyCommand = (events, command) => {
+  const removedIds = new Set(command.removed.map(event => event.id))
+  const updates = new Map(command.updated.map(({ after }) => [after.id, after]))
+  const addedIds = new Set(command.added.map(event => event.id))
+  return sortNewestFirst([
+    ...events
+      .filter(event => !removedIds.has(event.id) && !addedIds.has(event.id))
+      .map(event => updates.get(event.id) || event),
+    ...command.added
+  ])
+}
+
+// Revert a command (undo)
+export const revertCommand = (events, command) => {
+  const addedIds = new Set(command.added.map(event => event.id))
+  const updates = new Map(command.updated.map(({ before }) => [before.id, before]))
+  const removedIds = new Set(command.removed.map(event => event.id))
+  return sortNewestFirst([
+    ...events
+      .filter(event => !addedIds.has(event.id) && !removedIds.has(event.id))
+      .map(event => updates.get(event.id) || event),
+    ...command.removed
+  ])
+}
+
+// Record a new command. Anything that was undone can no longer be redone.
+export const pushCommand = (history, command) => ({
+  past: [...history.past, command].slice(-MAX_HISTORY),
+  future: []
+})
+
+export const canUndo = (history) => history.past.length > 0
+export const canRedo = (history) => history.future.length > 0
+
+// Move the latest command to the redo stack
+export const undoHistory = (history) => ({
+  past: history.past.slice(0, -1),
+  future: [history.past[history.past.length - 1], ...history.future]
+})
+
+// Move the next undone command back to the undo stack
+export const redoHistory = (history) => ({
+  past: [...history.past, history.future[0]],
+  future: history.future.slice(1)
+})
+
+export const loadHistory = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY))
+    return stored && Array.isArray(stored.past) && Array.isArray(stored.future) ? stored : EMPTY_HISTORY
+  } catch (error) {
+    console.error('Failed to load undo history:', error)
+    return EMPTY_HISTORY
+  }
+}
+
+// Save the history, dropping the oldest commands if sessionStorage runs out of space
+export const saveHistory = (history) => {
+  let trimmed = history
+  while (true) {
+    try {
+      sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(trimmed))
+      return
+    } catch (error) {
+      if (trimmed.past.length === 0 && trimmed.future.length === 0) {
+        console.error('Failed to save undo history:', error)
+        return
+      }
+      trimmed = trimmed.past.length > 0
+        ? { ...trimmed, past: trimmed.past.slice(1) }
+        : { ...trimmed, future: trimmed.future.slice(0, -1) }
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { applyCommand, createCommand, pushCommand, redoHistory, revertCommand, undoHistory, EMPTY_HISTORY } from './history'
+
+const walk = { id: 1, name: 'Walk', impact: 5 }
+const run = { id: 2, name: 'Run', impact: 7 }
+const yoga = { id: 3, name: 'Yoga', impact: 6 }
+
+describe('createCommand', () => {
+  it('records added, removed and updated events', () => {
+    const longerWalk = { ...walk, impact: 6 }
+    const command = createCommand('Edit', [walk, run], [yoga, longerWalk])
+
+    expect(command).toMatchObject({
+      label: 'Edit',
+      added: [yoga],
+      removed: [run],
+      updated: [{ before: walk, after: longerWalk }]
+    })
+  })
+
+  it('returns null when nothing changed, even for copies of the same events', () => {
+    expect(createCommand('Save', [walk, run], [{ ...walk }, run])).toBeNull()
+  })
+})
+
+describe('applyCommand and revertCommand', () => {
+  const before = [run, walk]
+  const after = [yoga, { ...walk, impact: 9 }]
+  const command = createCommand('Edit', before, after)
+
+  it('re-applies a command on top of the events it was made from', () => {
+    expect(applyCommand(before, command)).toEqual(after)
+  })
+
+  it('reverts a command back to the events before it', () => {
+    expect(revertCommand(after, command)).toEqual(before)
+  })
+
+  it('leaves events the command does not mention alone', () => {
+    const other = { id: 4, name: 'Swim', impact: 4 }
+    expect(revertCommand(applyCommand([other, ...before], command), command)).toEqual([other, ...before])
+  })
+
+  it('does not add an event twice when it is already there', () => {
+    const added = createCommand('Add', [walk], [yoga, walk])
+    expect(applyCommand([yoga, walk], added)).toEqual([yoga, walk])
+  })
+})
+
+describe('undo and redo', () => {
+  it('moves commands between the undo and redo stacks', () => {
+    const first = createCommand('Add walk', [], [walk])
+    const second = createCommand('Add run', [walk], [run, walk])
+    const history = pushCommand(pushCommand(EMPTY_HISTORY, first), second)
+
+    const undone = undoHistory(history)
+    expect(undone).toEqual({ past: [first], future: [second] })
+    expect(redoHistory(undone)).toEqual(history)
+
+    // A new change can't be followed by redoing the old one
+    const third = createCommand('Add yoga', [walk], [yoga, walk])
+    expect(pushCommand(undone, third)).toEqual({ past: [first, third], future: [] })
+  })
+})
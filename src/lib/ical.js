@@ -0,0 +1,304 @@
+/**
+ * iCalendar (.ics) import and export
+ * Works offline with Apple Calendar, Outlook, Thunderbird and any other RFC 5545 client.
+ *
+ * Events go through the same mapping as Google Calendar sync: a VEVENT is read into the
+ * Google event shape and converted with convertGoogleToSelframe, and exports are built
+ * from convertSelframeToGoogle. Google's private extended properties become X-SELFRAME-*
+ * properties (selframeReachValue <-> X-SELFRAME-REACH-VALUE), so impact, reach and
+ * ripple score survive the round trip.
+ */
+
+import { googleCalendarService } from './googleCalendar'
+import { getCategory } from './categories'
+import { getModifiedOccurrences, fromRecurrenceLines } from './recurrence'
+import { addDays, getTimeZone, isValidTimeZone, toDateString, toTimeString, zonedTimeToDate } from './dates'
+
+const PRODUCT_ID = '-//Selframe//Selframe//EN'
+const X_PROPERTY_PREFIX = 'X-SELFRAME-'
+const EXTENDED_PROPERTY_PREFIX = 'selframe'
+
+// Longest line allowed by RFC 5545 before folding
+const MAX_LINE_LENGTH = 75
+
+// Fields copied onto a series when a separately exported occurrence is folded back in
+const OCCURRENCE_FIELDS = ['name', 'category', 'date', 'startTime', 'endTime', 'duration', 'isAllDay', 'impact', 'reachValue', 'reachUnit', 'rippleScore']
+
+/**
+ * selframeReachValue -> X-SELFRAME-REACH-VALUE and back
+ */
+const toXPropertyName = (key) => {
+  return X_PROPERTY_PREFIX + key.slice(EXTENDED_PROPERTY_PREFIX.length).replace(/([a-z])([A-Z])/g, '$1-$2').toUpperCase()
+}
+
+const fromXPropertyName = (name) => {
+  return EXTENDED_PROPERTY_PREFIX + name.slice(X_PROPERTY_PREFIX.length).toLowerCase()
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('')
+}
+
+/**
+ * Escape and unescape TEXT values
+ */
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => char.toLowerCase() === 'n' ? '\n' : char)
+
+/**
+ * Split long content lines into 75-character chunks continued with a leading space
+ */
+const foldLine = (line) => {
+  const chunks = []
+  for (let i = 0; i < line.length; i += MAX_LINE_LENGTH - 1) {
+    chunks.push(line.slice(i, i + MAX_LINE_LENGTH - 1))
+  }
+  return chunks.join('\r\n ')
+}
+
+export const compactDate = (dateString) => dateString.replace(/-/g, '')
+
+const compactDateTime = (isoString) => isoString.replace(/[-:]|\.\d{3}/g, '')
+
+/**
+ * Wall-clock DATE-TIME of an instant in a time zone, for use with TZID
+ */
+const compactZonedDateTime = (isoString, timeZone) => {
+  const date = new Date(isoString)
+  return `${compactDate(toDateString(date, timeZone))}T${toTimeString(date, timeZone).replace(':', '')}00`
+}
+
+/**
+ * Build the VEVENT lines for one Google-shaped event
+ */
+const toVEvent = (googleEvent, categoryName, stamp) => {
+  const { selframeId } = googleEvent.extendedProperties.private
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:selframe-${selframeId}@selframe`,
+    `DTSTAMP:${stamp}`
+  ]
+
+  if (googleEvent.start.date) {
+    // All-day events end on the following (exclusive) day
+    lines.push(`DTSTART;VALUE=DATE:${compactDate(googleEvent.start.date)}`)
+    lines.push(`DTEND;VALUE=DATE:${compactDate(addDays(googleEvent.start.date, 1))}`)
+  } else if (googleEvent.start.timeZone) {
+    // Recurring series are anchored in the user's time zone so every occurrence keeps its
+    // wall-clock time across DST changes; clients know the IANA zone ids
+    const { timeZone } = googleEvent.start
+    lines.push(`DTSTART;TZID=${timeZone}:${compactZonedDateTime(googleEvent.start.dateTime, timeZone)}`)
+    lines.push(`DTEND;TZID=${timeZone}:${compactZonedDateTime(googleEvent.end.dateTime, timeZone)}`)
+  } else {
+    lines.push(`DTSTART:${compactDateTime(googleEvent.start.dateTime)}`)
+    lines.push(`DTEND:${compactDateTime(googleEvent.end.dateTime)}`)
+  }
+
+  lines.push(`SUMMARY:${escapeText(googleEvent.summary)}`)
+  lines.push(`DESCRIPTION:${escapeText(googleEvent.description)}`)
+  lines.push(`CATEGORIES:${escapeText(categoryName)}`)
+  lines.push(...(googleEvent.recurrence || []))
+
+  Object.entries(googleEvent.extendedProperties.private).forEach(([key, value]) => {
+    lines.push(`${toXPropertyName(key)}:${escapeText(value)}`)
+  })
+
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * Current time as a DTSTAMP value
+ */
+export const getTimestamp = () => compactDateTime(new Date().toISOString())
+
+/**
+ * VEVENT lines for Selframe events.
+ * Individually edited occurrences are exported as their own events, as with Google.
+ */
+export const eventsToVEvents = (events, categories, stamp = getTimestamp()) => {
+  googleCalendarService.setCategories(categories)
+  return events
+    .flatMap(event => [event, ...getModifiedOccurrences(event)])
+    .flatMap(event => toVEvent(
+      googleCalendarService.convertSelframeToGoogle(event),
+      getCategory(categories, event.category).name,
+      stamp
+    ))
+}
+
+/**
+ * Wrap VEVENT lines in a folded VCALENDAR
+ */
+export const toCalendar = (veventLines, calendarName = 'Selframe', extraLines = []) => {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...extraLines,
+    ...veventLines,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Convert Selframe events to an .ics calendar
+ */
+export const eventsToIcs = (events, categories) => toCalendar(eventsToVEvents(events, categories))
+
+/**
+ * Split .ics text into { name, params, value } content lines, unfolding continuations
+ */
+const parseContentLines = (text) => {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.includes(':'))
+    .map(line => {
+      const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+      const [name, ...paramParts] = line.slice(0, colon).split(';')
+      const params = Object.fromEntries(paramParts.map(part => {
+        const [key, value = ''] = part.split('=')
+        return [key.toUpperCase(), value.replace(/"/g, '')]
+      }))
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1), raw: line }
+    })
+}
+
+/**
+ * Read a DATE or DATE-TIME value into Google's { date } / { dateTime } shape.
+ * UTC times keep their Z; times with a known TZID are read in that zone, and floating
+ * times (or unknown zones) in the user's time zone.
+ */
+const parseDateValue = (value, params) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/)
+  if (!match) return null
+  const [, year, month, day, hours, minutes, seconds, utc] = match
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { date: `${year}-${month}-${day}` }
+  }
+  if (utc) return { dateTime: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z` }
+  const timeZone = isValidTimeZone(params.TZID) ? params.TZID : getTimeZone()
+  const instant = zonedTimeToDate(`${year}-${month}-${day}`, `${hours}:${minutes}`, timeZone)
+  return { dateTime: new Date(instant.getTime() + Number(seconds) * 1000).toISOString() }
+}
+
+/**
+ * Add an ISO 8601 duration such as PT1H30M or P1D to a { dateTime } start
+ */
+const addDuration = (start, duration) => {
+  const match = duration.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match || !start.dateTime) return start
+  const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part) || 0)
+  const milliseconds = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000
+  return { dateTime: new Date(new Date(start.dateTime).getTime() + milliseconds).toISOString() }
+}
+
+/**
+ * Read one VEVENT's content lines into the Google event shape
+ */
+const toGoogleEvent = (lines) => {
+  const googleEvent = { extendedProperties: { private: {} }, recurrence: [] }
+  let duration = null
+
+  lines.forEach(({ name, params, value, raw }) => {
+    if (name === 'UID') googleEvent.id = value
+    else if (name === 'SUMMARY') googleEvent.summary = unescapeText(value)
+    else if (name === 'DESCRIPTION') googleEvent.description = unescapeText(value)
+    else if (name === 'LOCATION') googleEvent.location = unescapeText(value)
+    else if (name === 'ATTENDEE') {
+      googleEvent.attendees = [
+        ...(googleEvent.attendees || []),
+        { email: value.replace(/^mailto:/i, ''), displayName: params.CN }
+      ]
+    }
+    else if (name === 'DTSTART') googleEvent.start = parseDateValue(value, params)
+    else if (name === 'DTEND') googleEvent.end = parseDateValue(value, params)
+    else if (name === 'DURATION') duration = value
+    else if (name === 'RRULE' || name === 'EXDATE') googleEvent.recurrence.push(raw)
+    else if (name.startsWith(X_PROPERTY_PREFIX)) {
+      googleEvent.extendedProperties.private[fromXPropertyName(name)] = unescapeText(value)
+    }
+  })
+
+  if (googleEvent.start && !googleEvent.end) {
+    googleEvent.end = duration ? addDuration(googleEvent.start, duration) : googleEvent.start
+  }
+  return googleEvent
+}
+
+/**
+ * Parse an .ics calendar into Selframe events.
+ * Events exported by Selframe get their fields back from the X-SELFRAME-* properties;
+ * other events go through the import rules like Google imports. Edited occurrences of a
+ * Selframe series are folded back into the series when it is in the same file.
+ */
+export const icsToEvents = (text, categories, importRules = []) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file')
+  }
+  googleCalendarService.setCategories(categories)
+  googleCalendarService.setImportRules(importRules)
+
+  const vevents = []
+  let current = null
+  let calendarName
+  parseContentLines(text).forEach(line => {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = []
+    } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+      if (current) vevents.push(current)
+      current = null
+    } else if (current) {
+      current.push(line)
+    } else if (line.name === 'X-WR-CALNAME') {
+      calendarName = unescapeText(line.value)
+    }
+  })
+
+  const events = []
+  const occurrences = []
+  vevents
+    .map(toGoogleEvent)
+    .filter(googleEvent => googleEvent.start)
+    .filter(googleEvent => googleCalendarService.shouldImportEvent(googleEvent, calendarName))
+    .forEach(googleEvent => {
+      const selframeId = googleEvent.extendedProperties.private.selframeId || ''
+      const event = googleCalendarService.convertGoogleToSelframe(googleEvent, calendarName)
+
+      // Google-specific bookkeeping doesn't apply to files
+      delete event.googleEventId
+      delete event.importedFromGoogle
+      if (!selframeId) event.icalUid = googleEvent.id
+      // Influence spans of a coverage calendar describe an activity rather than being one
+      const influenceOf = googleEvent.extendedProperties.private.selframeInfluenceOf
+      if (influenceOf) event.influenceOf = influenceOf
+
+      // Series from other calendar apps carry their rule only as RRULE/EXDATE
+      const recurrence = fromRecurrenceLines(googleEvent.recurrence)
+      if (recurrence) event.recurrence = recurrence
+
+      if (selframeId.includes(':')) {
+        occurrences.push({ event, seriesId: Number(selframeId.split(':')[0]), occurrenceDate: selframeId.split(':')[1] })
+      } else {
+        events.push(event)
+      }
+    })
+
+  occurrences.forEach(({ event, seriesId, occurrenceDate }) => {
+    const series = events.find(candidate => candidate.id === seriesId && candidate.recurrence)
+    if (series) {
+      series.recurrence.exceptions[occurrenceDate] = Object.fromEntries(OCCURRENCE_FIELDS.map(field => [field, event[field]]))
+    } else {
+      events.push({ ...event, id: Date.now() + Math.random() })
+    }
+  })
+
+  return events
+}
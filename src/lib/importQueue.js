@@ -0,0 +1,112 @@
+// Import review queue: events from other calendar apps wait here, with the fields the
+// import rules inferred, until the user accepts, edits or ignores them.
+//
+//   {
+//     items: [{ key, source, sourceName, event, receivedAt, edited }],
+//     ignoredKeys: [key]              // never queued again
+//   }
+//
+// Keys are stable across re-imports: `google:<googleEventId>` for Google events and
+// `ical:<UID>` for events from .ics files, so importing the same event twice never
+// duplicates it.
+
+import { calculateRippleScore } from './scoring'
+
+export const EMPTY_IMPORT_QUEUE = { items: [], ignoredKeys: [] }
+
+// Fields that can be edited before accepting; the ripple score follows them
+const EDITABLE_FIELDS = ['name', 'category', 'impact', 'reachValue', 'reachUnit']
+
+export const getImportKey = (event) => {
+  if (event.googleEventId) return `google:${event.googleEventId}`
+  if (event.icalUid) return `ical:${event.icalUid}`
+  return null
+}
+
+export const normalizeImportQueue = (queue) => ({
+  items: Array.isArray(queue?.items) ? queue.items.filter(item => item?.key && item.event) : [],
+  ignoredKeys: Array.isArray(queue?.ignoredKeys) ? queue.ignoredKeys : []
+})
+
+// Add imported events to the queue. Events that are already in the dataset or were
+// ignored are dropped; queued ones are refreshed unless the user already edited them.
+// Returns { queue, added, updated, skipped }.
+export const enqueueImports = (queue, importedEvents, existingEvents, { source, sourceName } = {}) => {
+  const existingKeys = new Set(existingEvents.map(getImportKey).filter(Boolean))
+  const ignoredKeys = new Set(queue.ignoredKeys)
+  const items = [...queue.items]
+  const receivedAt = new Date().toISOString()
+  let added = 0
+  let updated = 0
+  let skipped = 0
+
+  importedEvents.forEach(event => {
+    const key = getImportKey(event)
+    if (!key || existingKeys.has(key) || ignoredKeys.has(key)) {
+      skipped++
+      return
+    }
+    const index = items.findIndex(item => item.key === key)
+    if (index === -1) {
+      items.push({ key, source, sourceName, event, receivedAt, edited: false })
+      added++
+    } else if (!items[index].edited) {
+      items[index] = { ...items[index], event: { ...event, id: items[index].event.id }, receivedAt }
+      updated++
+    } else {
+      skipped++
+    }
+  })
+
+  return { queue: { ...queue, items }, added, updated, skipped }
+}
+
+// Drop queued events that were deleted at their source
+export const withdrawImports = (queue, keys) => {
+  const withdrawn = new Set(keys)
+  return { ...queue, items: queue.items.filter(item => !withdrawn.has(item.key)) }
+}
+
+// Change a queued event's fields before it is accepted
+export const updateQueuedEvent = (queue, key, changes) => {
+  const unknownField = Object.keys(changes).find(field => !EDITABLE_FIELDS.includes(field))
+  if (unknownField) throw new Error(`"${unknownField}" can't be edited before import`)
+  if (changes.name !== undefined && !changes.name.trim()) throw new Error('Name is required')
+  if (changes.impact !== undefined && !(Number(changes.impact) >= 1 && Number(changes.impact) <= 10)) {
+    throw new Error('Impact must be between 1 and 10')
+  }
+  if (changes.reachValue !== undefined && !(Number(changes.reachValue) > 0)) {
+    throw new Error('Reach must be a positive number')
+  }
+
+  return {
+    ...queue,
+    items: queue.items.map(item => {
+      if (item.key !== key) return item
+      const event = { ...item.event, ...changes }
+      event.rippleScore = parseFloat(calculateRippleScore(event.impact, event.duration, event.isAllDay, event.reachValue, event.reachUnit))
+      return { ...item, event, edited: true }
+    })
+  }
+}
+
+// Take events out of the queue to add them to the dataset. Returns { queue, events }.
+export const acceptImports = (queue, keys) => {
+  const accepted = new Set(keys)
+  return {
+    queue: { ...queue, items: queue.items.filter(item => !accepted.has(item.key)) },
+    events: queue.items.filter(item => accepted.has(item.key)).map(item => item.event)
+  }
+}
+
+// Remove events from the queue and never queue them again
+export const ignoreImports = (queue, keys) => {
+  const ignored = new Set(keys)
+  return {
+    items: queue.items.filter(item => !ignored.has(item.key)),
+    ignoredKeys: [...new Set([...queue.ignoredKeys, ...keys])]
+  }
+}
+
+// Forget the ignored events so the next import offers them again
+export const clearIgnoredImports = (queue) => ({ ...queue, ignoredKeys: [] })
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { acceptImports, clearIgnoredImports, enqueueImports, ignoreImports, updateQueuedEvent, EMPTY_IMPORT_QUEUE } from './importQueue'
+
+const fromGoogle = (googleEventId, fields = {}) => ({
+  id: googleEventId.length,
+  googleEventId,
+  name: 'Yoga class',
+  category: 'exercise',
+  date: '2025-06-16',
+  duration: '01:00',
+  isAllDay: false,
+  impact: 5,
+  reachValue: 1,
+  reachUnit: 'days',
+  ...fields
+})
+
+const options = { source: 'google', sourceName: 'Google Calendar' }
+
+describe('enqueueImports', () => {
+  it('queues each event once across repeated imports', () => {
+    const first = enqueueImports(EMPTY_IMPORT_QUEUE, [fromGoogle('a'), fromGoogle('bb')], [], options)
+    expect(first).toMatchObject({ added: 2, updated: 0, skipped: 0 })
+
+    const second = enqueueImports(first.queue, [fromGoogle('a', { name: 'Yoga' })], [], options)
+    expect(second).toMatchObject({ added: 0, updated: 1, skipped: 0 })
+    expect(second.queue.items.map(item => item.key)).toEqual(['google:a', 'google:bb'])
+    expect(second.queue.items[0].event.name).toBe('Yoga')
+  })
+
+  it('skips events already in the dataset, without an import key, or ignored', () => {
+    const queue = { ...EMPTY_IMPORT_QUEUE, ignoredKeys: ['google:ignored'] }
+    const imported = [fromGoogle('existing'), fromGoogle('ignored'), { ...fromGoogle('x'), googleEventId: null }, fromGoogle('new')]
+
+    const result = enqueueImports(queue, imported, [fromGoogle('existing')], options)
+
+    expect(result).toMatchObject({ added: 1, updated: 0, skipped: 3 })
+    expect(result.queue.items.map(item => item.key)).toEqual(['google:new'])
+  })
+
+  it('keeps edits made in the queue when the event is imported again', () => {
+    const { queue } = enqueueImports(EMPTY_IMPORT_QUEUE, [fromGoogle('a')], [], options)
+    const edited = updateQueuedEvent(queue, 'google:a', { impact: 9 })
+
+    const result = enqueueImports(edited, [fromGoogle('a', { impact: 2 })], [], options)
+
+    expect(result).toMatchObject({ added: 0, updated: 0, skipped: 1 })
+    expect(result.queue.items[0].event.impact).toBe(9)
+  })
+})
+
+describe('updateQueuedEvent', () => {
+  it('recalculates the ripple score and refuses fields that are not editable', () => {
+    const { queue } = enqueueImports(EMPTY_IMPORT_QUEUE, [fromGoogle('a')], [], options)
+    const [item] = updateQueuedEvent(queue, 'google:a', { reachValue: 3 }).items
+    expect(item.edited).toBe(true)
+    expect(item.event.rippleScore).toBeCloseTo(5 * Math.log(61) * 3, 1)
+
+    expect(() => updateQueuedEvent(queue, 'google:a', { date: '2025-06-17' })).toThrow('"date" can\'t be edited')
+    expect(() => updateQueuedEvent(queue, 'google:a', { impact: 0 })).toThrow('Impact must be between 1 and 10')
+  })
+})
+
+describe('acceptImports and ignoreImports', () => {
+  it('accepts events out of the queue and never queues ignored ones again', () => {
+    const { queue } = enqueueImports(EMPTY_IMPORT_QUEUE, [fromGoogle('a'), fromGoogle('bb'), fromGoogle('ccc')], [], options)
+
+    const accepted = acceptImports(queue, ['google:a'])
+    expect(accepted.events.map(event => event.googleEventId)).toEqual(['a'])
+
+    const ignored = ignoreImports(accepted.queue, ['google:bb'])
+    expect(ignored.items.map(item => item.key)).toEqual(['google:ccc'])
+    expect(enqueueImports(ignored, [fromGoogle('bb')], [], options).added).toBe(0)
+
+    // Until the ignored list is cleared
+    expect(enqueueImports(clearIgnoredImports(ignored), [fromGoogle('bb')], [], options).added).toBe(1)
+  })
+})
@@ -0,0 +1,201 @@
+// Import rules: user-editable rules that categorize events imported from Google Calendar
+// and iCalendar files
+//
+// A rule matches on any combination of its `match` fields; empty fields match everything,
+// but a rule without any condition matches nothing.
+// Title and description are case-insensitive regular expressions, calendar, attendee and
+// location are case-insensitive text searches, durations are in minutes. Rules are tried
+// in order and the first enabled match decides. Its `action` either skips the event or
+// assigns category, impact and reach; fields left empty fall back to the default
+// inference (category keywords, impact by duration), which also handles unmatched events.
+//
+//   {
+//     id, name, enabled,
+//     match: { title, description, calendar, attendee, location, minDuration, maxDuration },
+//     action: { skip, category, impact, reachValue, reachUnit }
+//   }
+
+import { getActiveCategories, DEFAULT_CATEGORIES } from './categories'
+
+export const REACH_UNITS = ['days', 'weeks', 'months', 'years']
+
+const EMPTY_MATCH = { title: '', description: '', calendar: '', attendee: '', location: '', minDuration: null, maxDuration: null }
+const EMPTY_ACTION = { skip: false, category: null, impact: null, reachValue: null, reachUnit: null }
+
+const TEXT_MATCH_FIELDS = ['title', 'description', 'calendar', 'attendee', 'location']
+
+// Length of a Google-shaped event in minutes; all-day events count as a full day
+export const getEventDurationMinutes = (googleEvent) => {
+  if (googleEvent.start?.date) return 24 * 60
+  if (googleEvent.start?.dateTime && googleEvent.end?.dateTime) {
+    return (new Date(googleEvent.end.dateTime) - new Date(googleEvent.start.dateTime)) / (1000 * 60)
+  }
+  return 60
+}
+
+// Default category: the first active category whose keywords appear in the title or description
+export const inferCategory = (categories, googleEvent) => {
+  const combined = `${googleEvent.summary || ''} ${googleEvent.description || ''}`.toLowerCase()
+  const activeCategories = getActiveCategories(categories)
+
+  const match = activeCategories.find(category =>
+    (category.keywords || []).some(keyword => combined.includes(keyword.toLowerCase()))
+  )
+  if (match) return match.id
+
+  return activeCategories[0]?.id || DEFAULT_CATEGORIES[0].id
+}
+
+// Default impact: longer events are assumed to matter more
+export const inferImpact = (googleEvent) => {
+  const hours = getEventDurationMinutes(googleEvent) / 60
+  if (hours >= 2) return 7
+  if (hours >= 1) return 5
+  return 3
+}
+
+const isBlank = (value) => value === null || value === undefined || value === ''
+
+const compilePattern = (pattern) => new RegExp(pattern, 'i')
+
+const includesText = (haystack, needle) => (haystack || '').toLowerCase().includes(needle.toLowerCase())
+
+const matchesAttendee = (googleEvent, text) => (googleEvent.attendees || []).some(attendee =>
+  includesText(attendee.email, text) || includesText(attendee.displayName, text)
+)
+
+// Check a rule's fields, throwing an Error that can be shown to the user
+export const validateImportRule = (rule) => {
+  if (!rule.name?.trim()) throw new Error('Rule name is required')
+  ;['title', 'description'].forEach(field => {
+    if (isBlank(rule.match[field])) return
+    try {
+      compilePattern(rule.match[field])
+    } catch {
+      throw new Error(`"${rule.match[field]}" is not a valid ${field} pattern`)
+    }
+  })
+  const { minDuration, maxDuration } = rule.match
+  if (!isBlank(minDuration) && !isBlank(maxDuration) && Number(minDuration) > Number(maxDuration)) {
+    throw new Error('Minimum duration must not exceed the maximum duration')
+  }
+  const { impact, reachValue, reachUnit } = rule.action
+  if (!isBlank(impact) && !(Number(impact) >= 1 && Number(impact) <= 10)) {
+    throw new Error('Impact must be between 1 and 10')
+  }
+  if (!isBlank(reachValue) && !(Number(reachValue) > 0)) {
+    throw new Error('Reach must be a positive number')
+  }
+  if (!isBlank(reachUnit) && !REACH_UNITS.includes(reachUnit)) {
+    throw new Error(`Unknown reach unit "${reachUnit}"`)
+  }
+  return rule
+}
+
+// Fill in missing fields of stored rules
+export const normalizeImportRules = (rules) => {
+  if (!Array.isArray(rules)) return []
+  return rules
+    .filter(rule => rule && rule.id)
+    .map(rule => ({
+      id: rule.id,
+      name: rule.name || 'Untitled rule',
+      enabled: rule.enabled !== false,
+      match: { ...EMPTY_MATCH, ...rule.match },
+      action: { ...EMPTY_ACTION, ...rule.action }
+    }))
+}
+
+// Time-based id, unique among the existing rules
+const createRuleId = (rules) => {
+  const base = `rule-${Date.now()}`
+  let id = base
+  let suffix = 2
+  while (rules.some(rule => rule.id === id)) {
+    id = `${base}-${suffix++}`
+  }
+  return id
+}
+
+export const createImportRule = (rules, { name }) => {
+  const rule = validateImportRule({
+    id: createRuleId(rules),
+    name: name?.trim(),
+    enabled: true,
+    match: { ...EMPTY_MATCH },
+    action: { ...EMPTY_ACTION }
+  })
+  return [...rules, rule]
+}
+
+// Apply changes to a rule; `match` and `action` are merged rather than replaced
+export const updateImportRule = (rules, id, changes) => {
+  return rules.map(rule => {
+    if (rule.id !== id) return rule
+    return validateImportRule({
+      ...rule,
+      ...changes,
+      match: { ...rule.match, ...changes.match },
+      action: { ...rule.action, ...changes.action }
+    })
+  })
+}
+
+export const removeImportRule = (rules, id) => rules.filter(rule => rule.id !== id)
+
+// Move a rule up (-1) or down (+1); earlier rules take precedence
+export const moveImportRule = (rules, id, offset) => {
+  const index = rules.findIndex(rule => rule.id === id)
+  const target = index + offset
+  if (index === -1 || target < 0 || target >= rules.length) return rules
+  const reordered = [...rules]
+  ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+  return reordered
+}
+
+// Whether a rule applies to a Google-shaped event. `context.calendar` is the id or name of
+// the calendar the event comes from, when known.
+export const matchesImportRule = (rule, googleEvent, context = {}) => {
+  const { match } = rule
+  if (TEXT_MATCH_FIELDS.every(field => isBlank(match[field])) && isBlank(match.minDuration) && isBlank(match.maxDuration)) {
+    return false // An empty rule would swallow every event
+  }
+
+  try {
+    if (!isBlank(match.title) && !compilePattern(match.title).test(googleEvent.summary || '')) return false
+    if (!isBlank(match.description) && !compilePattern(match.description).test(googleEvent.description || '')) return false
+  } catch {
+    return false
+  }
+  if (!isBlank(match.calendar) && !includesText(context.calendar, match.calendar)) return false
+  if (!isBlank(match.attendee) && !matchesAttendee(googleEvent, match.attendee)) return false
+  if (!isBlank(match.location) && !includesText(googleEvent.location, match.location)) return false
+
+  const duration = getEventDurationMinutes(googleEvent)
+  if (!isBlank(match.minDuration) && duration < Number(match.minDuration)) return false
+  if (!isBlank(match.maxDuration) && duration > Number(match.maxDuration)) return false
+  return true
+}
+
+export const findMatchingRule = (rules, googleEvent, context = {}) => {
+  return rules.find(rule => rule.enabled && matchesImportRule(rule, googleEvent, context)) || null
+}
+
+// Decide how a foreign event is imported:
+// { rule, skip, category, impact, reachValue, reachUnit }, where rule is the matching rule or null
+export const classifyImportedEvent = (googleEvent, { rules = [], categories = DEFAULT_CATEGORIES, calendar } = {}) => {
+  const rule = findMatchingRule(rules, googleEvent, { calendar })
+  const action = rule?.action || EMPTY_ACTION
+  const assignedCategory = !isBlank(action.category) && categories.some(category => category.id === action.category)
+    ? action.category
+    : null
+
+  return {
+    rule,
+    skip: !!action.skip,
+    category: assignedCategory || inferCategory(categories, googleEvent),
+    impact: isBlank(action.impact) ? inferImpact(googleEvent) : Number(action.impact),
+    reachValue: isBlank(action.reachValue) ? null : Number(action.reachValue),
+    reachUnit: isBlank(action.reachUnit) ? null : action.reachUnit
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_CATEGORIES } from './categories'
+import { classifyImportedEvent, findMatchingRule, matchesImportRule, normalizeImportRules, validateImportRule } from './importRules'
+
+const rule = (id, match, action = {}, enabled = true) => normalizeImportRules([{ id, name: id, enabled, match, action }])[0]
+
+const standup = {
+  summary: 'Team standup',
+  description: 'Daily sync',
+  location: 'Room 4B',
+  attendees: [{ email: 'sam@example.com', displayName: 'Sam Lee' }],
+  start: { dateTime: '2025-06-16T09:00:00Z' },
+  end: { dateTime: '2025-06-16T09:15:00Z' }
+}
+
+describe('matchesImportRule', () => {
+  it('matches titles and descriptions as case-insensitive patterns', () => {
+    expect(matchesImportRule(rule('a', { title: '^team\\s' }), standup)).toBe(true)
+    expect(matchesImportRule(rule('b', { description: 'weekly' }), standup)).toBe(false)
+  })
+
+  it('needs every condition of a rule to match', () => {
+    expect(matchesImportRule(rule('a', { title: 'standup', location: '4b', attendee: 'sam lee' }), standup)).toBe(true)
+    expect(matchesImportRule(rule('b', { title: 'standup', attendee: 'alex' }), standup)).toBe(false)
+    expect(matchesImportRule(rule('c', { title: 'standup', calendar: 'work' }), standup, { calendar: 'Personal' })).toBe(false)
+    expect(matchesImportRule(rule('d', { title: 'standup', calendar: 'work' }), standup, { calendar: 'Work calendar' })).toBe(true)
+  })
+
+  it('compares durations in minutes', () => {
+    expect(matchesImportRule(rule('a', { maxDuration: 15 }), standup)).toBe(true)
+    expect(matchesImportRule(rule('b', { minDuration: 30 }), standup)).toBe(false)
+  })
+
+  it('never matches with an empty rule or an invalid pattern', () => {
+    expect(matchesImportRule(rule('a', {}), standup)).toBe(false)
+    expect(matchesImportRule(rule('b', { title: '(' }), standup)).toBe(false)
+  })
+})
+
+describe('findMatchingRule', () => {
+  it('takes the first enabled rule that matches', () => {
+    const rules = [
+      rule('disabled', { title: 'standup' }, {}, false),
+      rule('other', { title: 'lunch' }),
+      rule('first', { title: 'team' }),
+      rule('second', { title: 'standup' })
+    ]
+    expect(findMatchingRule(rules, standup).id).toBe('first')
+    expect(findMatchingRule(rules.slice(0, 2), standup)).toBeNull()
+  })
+})
+
+describe('classifyImportedEvent', () => {
+  const yoga = {
+    summary: 'Yoga in the park',
+    start: { dateTime: '2025-06-16T07:00:00Z' },
+    end: { dateTime: '2025-06-16T09:00:00Z' }
+  }
+
+  it('falls back to keyword categories and impact by duration without a matching rule', () => {
+    expect(classifyImportedEvent(yoga, { categories: DEFAULT_CATEGORIES })).toEqual({
+      rule: null,
+      skip: false,
+      category: 'exercise',
+      impact: 7,
+      reachValue: null,
+      reachUnit: null
+    })
+  })
+
+  it('uses the fields the matching rule sets and infers the rest', () => {
+    const rules = [rule('outdoors', { title: 'park' }, { category: 'therapy', reachValue: 2, reachUnit: 'weeks' })]
+    expect(classifyImportedEvent(yoga, { rules, categories: DEFAULT_CATEGORIES })).toMatchObject({
+      skip: false,
+      category: 'therapy',
+      impact: 7,
+      reachValue: 2,
+      reachUnit: 'weeks'
+    })
+  })
+
+  it('skips events matched by a skip rule and ignores unknown categories', () => {
+    expect(classifyImportedEvent(standup, { rules: [rule('work', { title: 'standup' }, { skip: true })] }).skip).toBe(true)
+    const rules = [rule('gone', { title: 'yoga' }, { category: 'deleted-category' })]
+    expect(classifyImportedEvent(yoga, { rules, categories: DEFAULT_CATEGORIES }).category).toBe('exercise')
+  })
+})
+
+describe('validateImportRule', () => {
+  it('rejects invalid patterns and out-of-range actions', () => {
+    expect(() => validateImportRule(rule('a', { title: '[' }))).toThrow('is not a valid title pattern')
+    expect(() => validateImportRule(rule('b', { minDuration: 60, maxDuration: 30 }))).toThrow('Minimum duration')
+    expect(() => validateImportRule(rule('c', {}, { impact: 11 }))).toThrow('Impact must be between 1 and 10')
+    expect(() => validateImportRule(rule('d', {}, { reachUnit: 'hours' }))).toThrow('Unknown reach unit')
+  })
+})
@@ -0,0 +1,244 @@
+// Insights: how activities relate to the mood the user reports in check-ins
+//
+// For every past activity we measure the mood change that followed it:
+//   next-day  = mood the day after           - baseline mood
+//   next-week = average mood over 7 days after - baseline mood
+// where the baseline is the mood on the activity day itself, or the average of
+// the week before when that day has no check-in. Those changes are then
+// correlated with the activity's category, impact, duration and reach.
+
+import { durationToMinutes, reachToDays } from './scoring'
+import { addDays } from './dates'
+
+// Days of mood averaged for the "next week" horizon and checked by the lag profile
+const WEEK_DAYS = 7
+
+// Suggest a new impact only when it differs this much from the current one
+const MIN_IMPACT_DIFFERENCE = 2
+
+// Share of an activity's occurrences that must point the same way before we suggest anything
+const MIN_AGREEMENT = 0.7
+
+// Fewest occurrences with a measured mood change before an activity gets a suggestion
+const MIN_SUGGESTION_SAMPLES = 3
+
+export const INSIGHT_HORIZONS = [
+  { key: 'nextDay', label: 'Next-day mood' },
+  { key: 'nextWeek', label: 'Next-week mood' }
+]
+
+const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+
+const standardDeviation = (values) => {
+  const mean = average(values)
+  if (mean === null || values.length < 2) return 0
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1))
+}
+
+// How much to trust a result given the number of samples
+export const getConfidence = (sampleSize) => {
+  if (sampleSize >= 20) return 'high'
+  if (sampleSize >= 8) return 'medium'
+  return 'low'
+}
+
+// Pearson correlation coefficient, or null when it can't be computed
+export const correlate = (xs, ys) => {
+  const n = xs.length
+  if (n < 3) return null
+  const meanX = average(xs)
+  const meanY = average(ys)
+  let covariance = 0
+  let varianceX = 0
+  let varianceY = 0
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY)
+    varianceX += Math.pow(xs[i] - meanX, 2)
+    varianceY += Math.pow(ys[i] - meanY, 2)
+  }
+  if (varianceX === 0 || varianceY === 0) return null
+  return covariance / Math.sqrt(varianceX * varianceY)
+}
+
+// Ordinary least squares fit of y = intercept + slope * x
+export const linearRegression = (xs, ys) => {
+  const n = xs.length
+  if (n < 2) return null
+  const meanX = average(xs)
+  const meanY = average(ys)
+  const varianceX = xs.reduce((sum, x) => sum + Math.pow(x - meanX, 2), 0)
+  if (varianceX === 0) {
+    return { slope: 0, intercept: meanY, rSquared: 0, sampleSize: n }
+  }
+  const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / varianceX
+  const r = correlate(xs, ys)
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    rSquared: r === null ? 0 : r * r,
+    sampleSize: n
+  }
+}
+
+// Mood before and after each activity. Activities without check-ins around them are left out.
+export const getActivityMoodChanges = (events, checkIns) => {
+  const moodByDate = Object.fromEntries(checkIns.map(checkIn => [checkIn.date, Number(checkIn.mood)]))
+  const moodOn = (date) => moodByDate[date]
+  const moodsBetween = (date, fromOffset, toOffset) => {
+    const moods = []
+    for (let offset = fromOffset; offset <= toOffset; offset++) {
+      const mood = moodOn(addDays(date, offset))
+      if (mood !== undefined) moods.push(mood)
+    }
+    return moods
+  }
+
+  return events
+    .map(event => {
+      const baseline = moodOn(event.date) ?? average(moodsBetween(event.date, -WEEK_DAYS, -1))
+      if (baseline === null) return null
+
+      const nextDayMood = moodOn(addDays(event.date, 1))
+      const nextWeekMood = average(moodsBetween(event.date, 1, WEEK_DAYS))
+      if (nextDayMood === undefined && nextWeekMood === null) return null
+
+      return {
+        event,
+        baseline,
+        nextDay: nextDayMood === undefined ? null : nextDayMood - baseline,
+        nextWeek: nextWeekMood === null ? null : nextWeekMood - baseline
+      }
+    })
+    .filter(Boolean)
+}
+
+// Numeric features of an activity that are correlated with mood change
+const ACTIVITY_FEATURES = [
+  { key: 'impact', label: 'Impact', value: (event) => Number(event.impact) },
+  { key: 'duration', label: 'Duration', value: (event) => event.isAllDay ? 8 * 60 : durationToMinutes(event.duration) },
+  { key: 'reach', label: 'Reach', value: (event) => reachToDays(event.reachValue, event.reachUnit) }
+]
+
+// Correlation of each feature (and membership of each category) with next-day and next-week mood change
+export const getFeatureCorrelations = (moodChanges, categories) => {
+  const features = [
+    ...ACTIVITY_FEATURES,
+    ...categories.map(category => ({
+      key: `category:${category.id}`,
+      label: category.name,
+      value: (event) => event.category === category.id ? 1 : 0
+    }))
+  ]
+
+  return features.map(feature => {
+    const horizons = {}
+    INSIGHT_HORIZONS.forEach(({ key }) => {
+      const samples = moodChanges.filter(change => change[key] !== null)
+      const r = correlate(samples.map(change => feature.value(change.event)), samples.map(change => change[key]))
+      horizons[key] = { r, sampleSize: samples.length, confidence: getConfidence(samples.length) }
+    })
+    return { key: feature.key, label: feature.label, ...horizons }
+  })
+}
+
+// Per-category fit of next-day mood change on self-rated impact
+export const getCategoryRegressions = (moodChanges, categories) => {
+  return categories
+    .map(category => {
+      const samples = moodChanges.filter(change => change.event.category === category.id && change.nextDay !== null)
+      const fit = linearRegression(samples.map(change => Number(change.event.impact)), samples.map(change => change.nextDay))
+      if (!fit) return null
+      return {
+        category,
+        ...fit,
+        averageChange: average(samples.map(change => change.nextDay)),
+        confidence: getConfidence(samples.length)
+      }
+    })
+    .filter(Boolean)
+}
+
+// Correlation between how much impact was logged on a day and mood 0-7 days later
+export const getLagProfile = (events, checkIns) => {
+  if (checkIns.length === 0) return []
+  const impactByDate = {}
+  events.forEach(event => {
+    impactByDate[event.date] = (impactByDate[event.date] || 0) + Number(event.impact)
+  })
+  const moodByDate = Object.fromEntries(checkIns.map(checkIn => [checkIn.date, Number(checkIn.mood)]))
+
+  const lags = []
+  for (let lag = 0; lag <= WEEK_DAYS; lag++) {
+    const xs = []
+    const ys = []
+    checkIns.forEach(checkIn => {
+      const activityDate = addDays(checkIn.date, -lag)
+      xs.push(impactByDate[activityDate] || 0)
+      ys.push(moodByDate[checkIn.date])
+    })
+    lags.push({ lag, r: correlate(xs, ys), sampleSize: xs.length, confidence: getConfidence(xs.length) })
+  }
+  return lags
+}
+
+// Activities whose self-rated impact consistently disagrees with the mood change measured after them.
+// The measured change is mapped onto the 1-10 impact scale by matching its position
+// among all activities (z-score) to the spread of impacts the user gives.
+export const getImpactSuggestions = (moodChanges) => {
+  const measured = moodChanges.filter(change => change.nextDay !== null)
+  if (measured.length < MIN_SUGGESTION_SAMPLES * 2) return []
+
+  const allChanges = measured.map(change => change.nextDay)
+  const allImpacts = measured.map(change => Number(change.event.impact))
+  const meanChange = average(allChanges)
+  const changeSpread = standardDeviation(allChanges)
+  const meanImpact = average(allImpacts)
+  const impactSpread = standardDeviation(allImpacts) || 2
+  if (changeSpread === 0) return []
+
+  // Group occurrences of the same activity (same name and category)
+  const groups = {}
+  measured.forEach(change => {
+    const key = `${change.event.name.trim().toLowerCase()}|${change.event.category}`
+    if (!groups[key]) groups[key] = []
+    groups[key].push(change)
+  })
+
+  return Object.values(groups)
+    .filter(group => group.length >= MIN_SUGGESTION_SAMPLES)
+    .map(group => {
+      const latest = group.reduce((a, b) => (b.event.date > a.event.date ? b : a))
+      const currentImpact = Number(latest.event.impact)
+      const averageChange = average(group.map(change => change.nextDay))
+      const suggestedImpact = Math.min(10, Math.max(1, Math.round(
+        meanImpact + ((averageChange - meanChange) / changeSpread) * impactSpread
+      )))
+
+      // "Consistently": most occurrences land on the same side of the typical mood change
+      const direction = Math.sign(suggestedImpact - currentImpact)
+      const agreeing = group.filter(change => Math.sign(change.nextDay - meanChange) === direction).length
+
+      return {
+        name: latest.event.name,
+        category: latest.event.category,
+        currentImpact,
+        suggestedImpact,
+        averageChange,
+        sampleSize: group.length,
+        agreement: agreeing / group.length,
+        confidence: getConfidence(group.length)
+      }
+    })
+    .filter(suggestion =>
+      Math.abs(suggestion.suggestedImpact - suggestion.currentImpact) >= MIN_IMPACT_DIFFERENCE &&
+      suggestion.agreement >= MIN_AGREEMENT)
+    .sort((a, b) => b.sampleSize - a.sampleSize)
+}
+
+// Find the suggestion for an activity being entered in the form
+export const findImpactSuggestion = (suggestions, name, category) => {
+  const normalizedName = (name || '').trim().toLowerCase()
+  if (!normalizedName) return null
+  return suggestions.find(suggestion =>
+    suggestion.name.trim().toLowerCase() === normalizedName && suggestion.category === category) || null
+}
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest'
+import { correlate, findImpactSuggestion, getActivityMoodChanges, getImpactSuggestions, linearRegression } from './insights'
+import { addDays } from './dates'
+
+const activity = (name, date, impact) => ({ id: `${name}-${date}`, name, category: 'exercise', date, impact, duration: '01:00', reachValue: 1, reachUnit: 'days' })
+
+describe('correlate and linearRegression', () => {
+  it('fits perfectly related samples', () => {
+    expect(correlate([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1)
+    expect(correlate([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1)
+    expect(linearRegression([1, 2, 3], [3, 5, 7])).toMatchObject({ slope: 2, intercept: 1, rSquared: 1, sampleSize: 3 })
+  })
+
+  it('has no correlation for too few or constant samples', () => {
+    expect(correlate([1, 2], [1, 2])).toBeNull()
+    expect(correlate([1, 1, 1], [1, 2, 3])).toBeNull()
+  })
+})
+
+describe('getActivityMoodChanges', () => {
+  it('compares the mood after an activity with the mood on its day', () => {
+    const checkIns = [{ date: '2025-06-10', mood: 5 }, { date: '2025-06-11', mood: 7 }, { date: '2025-06-13', mood: 8 }]
+    const [change] = getActivityMoodChanges([activity('Run', '2025-06-10', 6)], checkIns)
+    expect(change).toMatchObject({ baseline: 5, nextDay: 2, nextWeek: 2.5 })
+  })
+
+  it('uses the week before as the baseline and skips activities without check-ins', () => {
+    const checkIns = [{ date: '2025-06-08', mood: 4 }, { date: '2025-06-09', mood: 6 }, { date: '2025-06-11', mood: 6 }]
+    const changes = getActivityMoodChanges([activity('Run', '2025-06-10', 6), activity('Run', '2025-07-10', 6)], checkIns)
+    expect(changes).toHaveLength(1)
+    expect(changes[0]).toMatchObject({ baseline: 5, nextDay: 1 })
+  })
+})
+
+describe('getImpactSuggestions', () => {
+  // Walks rated low are always followed by a better mood, runs rated high by a worse one
+  const events = []
+  const checkIns = []
+  for (let week = 0; week < 4; week++) {
+    const walkDay = addDays('2025-06-01', week * 7)
+    const runDay = addDays(walkDay, 3)
+    events.push(activity('Walk', walkDay, 2), activity('Run', runDay, 9))
+    checkIns.push(
+      { date: walkDay, mood: 5 }, { date: addDays(walkDay, 1), mood: 8 },
+      { date: runDay, mood: 5 }, { date: addDays(runDay, 1), mood: 4 }
+    )
+  }
+
+  it('suggests impacts that match the mood changes measured after each activity', () => {
+    const suggestions = getImpactSuggestions(getActivityMoodChanges(events, checkIns))
+    const walk = findImpactSuggestion(suggestions, ' walk ', 'exercise')
+    const run = findImpactSuggestion(suggestions, 'Run', 'exercise')
+    expect(walk).toMatchObject({ currentImpact: 2, sampleSize: 4, agreement: 1 })
+    expect(walk.suggestedImpact).toBeGreaterThanOrEqual(4)
+    expect(run.suggestedImpact).toBeLessThanOrEqual(7)
+  })
+
+  it('needs enough samples before suggesting anything', () => {
+    expect(getImpactSuggestions(getActivityMoodChanges(events.slice(0, 4), checkIns))).toEqual([])
+  })
+})
@@ -0,0 +1,206 @@
+// Planner: projects daily influence forward and proposes activities for the days where
+// it would drop below a target
+//
+// The projection runs calculateDayInfluence over the activities already logged and
+// planned, so it decays exactly like the calendar heatmap and the coverage chart.
+// Proposed activities are the user's own: past activities grouped by name and category,
+// ranked by how much coverage they would add and, when there are check-ins, by the mood
+// change their category was followed by (see insights.js).
+//
+//   proposal: {
+//     key,                     // `${date}|${template.key}`, stable while the plan doesn't change
+//     date, template,          // the day and the activity proposed for it
+//     event,                   // that activity as an event, without an id yet
+//     before, after,           // projected influence on that day without and with it
+//     alternatives: [template] // other activities that would also help that day
+//   }
+//
+// Events passed in are expected to be expanded into occurrences (see expandEvents).
+
+import { calculateDayInfluence, calculateRippleScore, hasStartTime, reachToDays, DEFAULT_SCORING_SETTINGS } from './scoring'
+import { getActiveCategories } from './categories'
+import { addDays, daysBetween, getToday } from './dates'
+import { getActivityMoodChanges } from './insights'
+
+// Past activities older than this are not proposed again
+const TEMPLATE_LOOKBACK_DAYS = 180
+
+// Only the most frequent past activities are tried on each gap day
+const MAX_CANDIDATES = 12
+
+// Days after a proposed activity over which the coverage it adds is counted
+const GAIN_WINDOW_DAYS = 7
+
+// A category followed by a mood change of +/-1 (on the 1-10 scale) weighs this much more/less
+const MOOD_WEIGHT_PER_POINT = 0.25
+
+// Spacing assumed for activities done only once
+const DEFAULT_EVERY_DAYS = 7
+
+const ALTERNATIVES = 3
+
+const getTemplateKey = (event) => `${event.name.trim().toLowerCase()}|${event.category}`
+
+// Influence per day from startDate on: [{ date, total }]
+export const projectInfluence = (events, { settings = DEFAULT_SCORING_SETTINGS, startDate = getToday(), days = 14 } = {}) => {
+  const relevant = getRelevantEvents(events, startDate)
+  return Array.from({ length: days }, (_, offset) => {
+    const date = addDays(startDate, offset)
+    return { date, total: calculateDayInfluence(date, relevant, settings).total }
+  })
+}
+
+// Days of the projection below the target: [{ date, total }]
+export const findCoverageGaps = (events, { target, ...options }) => {
+  return projectInfluence(events, options).filter(day => day.total < target)
+}
+
+// Only events that can still influence startDate or later
+const getRelevantEvents = (events, startDate) => {
+  return events.filter(event => addDays(event.date, Math.ceil(reachToDays(event.reachValue, event.reachUnit))) >= startDate)
+}
+
+// The user's past activities in active categories, most frequent first:
+// [{ key, name, category, duration, isAllDay, startTime, endTime, impact, reachValue, reachUnit, count, lastDate, everyDays }]
+// Fields come from the latest occurrence; everyDays is the usual spacing between occurrences.
+export const getActivityTemplates = (events, categories, { today = getToday(), lookbackDays = TEMPLATE_LOOKBACK_DAYS } = {}) => {
+  const activeIds = new Set(getActiveCategories(categories).map(category => category.id))
+  const since = addDays(today, -lookbackDays)
+  const templates = {}
+
+  events
+    .filter(event => event.name?.trim() && activeIds.has(event.category) && event.date >= since && event.date <= today)
+    .forEach(event => {
+      const key = getTemplateKey(event)
+      const template = templates[key]
+      if (template && template.lastDate >= event.date) {
+        template.count++
+        return
+      }
+      templates[key] = {
+        key,
+        firstDate: template?.firstDate || event.date,
+        name: event.name.trim(),
+        category: event.category,
+        duration: event.duration,
+        isAllDay: !!event.isAllDay,
+        startTime: hasStartTime(event) ? event.startTime : null,
+        endTime: hasStartTime(event) ? event.endTime || null : null,
+        impact: Number(event.impact),
+        reachValue: Number(event.reachValue) || 1,
+        reachUnit: event.reachUnit || 'days',
+        count: (template?.count || 0) + 1,
+        lastDate: event.date
+      }
+    })
+
+  return Object.values(templates)
+    .map(({ firstDate, ...template }) => ({
+      ...template,
+      everyDays: template.count > 1
+        ? Math.max(1, Math.round(daysBetween(firstDate, template.lastDate) / (template.count - 1)))
+        : DEFAULT_EVERY_DAYS
+    }))
+    .sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate))
+}
+
+// Average next-day mood change after activities of each category: { [categoryId]: change }
+export const getCategoryMoodEffects = (events, checkIns) => {
+  const changes = {}
+  getActivityMoodChanges(events, checkIns)
+    .filter(change => change.nextDay !== null)
+    .forEach(change => {
+      if (!changes[change.event.category]) changes[change.event.category] = []
+      changes[change.event.category].push(change.nextDay)
+    })
+  return Object.fromEntries(Object.entries(changes).map(([category, values]) =>
+    [category, values.reduce((sum, value) => sum + value, 0) / values.length]))
+}
+
+// A future event built from a template
+export const createPlannedEvent = (template, date, id) => ({
+  id,
+  name: template.name,
+  category: template.category,
+  date,
+  duration: template.duration,
+  isAllDay: template.isAllDay,
+  startTime: template.startTime,
+  endTime: template.endTime,
+  impact: template.impact,
+  reachValue: template.reachValue,
+  reachUnit: template.reachUnit,
+  rippleScore: parseFloat(calculateRippleScore(template.impact, template.duration, template.isAllDay, template.reachValue, template.reachUnit))
+})
+
+// Coverage an extra event adds over the days after it, only counting up to the target
+const getCoverageGain = (events, candidate, { date, target, settings, lastDate }) => {
+  let gain = 0
+  for (let offset = 0; offset < GAIN_WINDOW_DAYS; offset++) {
+    const day = addDays(date, offset)
+    if (day > lastDate) break
+    const before = calculateDayInfluence(day, events, settings).total
+    if (before >= target) continue
+    const after = calculateDayInfluence(day, [...events, candidate], settings).total
+    gain += Math.min(target, after) - before
+  }
+  return gain
+}
+
+// Propose activities for the days in the next `days` where influence falls below `target`.
+// Days are filled in order and each proposal counts towards the days after it.
+// `excludedKeys` holds proposal keys the user turned down, so the next best is offered instead.
+export const planActivities = (events, {
+  categories,
+  checkIns = [],
+  settings = DEFAULT_SCORING_SETTINGS,
+  target,
+  startDate = getToday(),
+  days = 14,
+  maxProposals = 5,
+  excludedKeys = []
+}) => {
+  const candidates = getActivityTemplates(events, categories, { today: startDate }).slice(0, MAX_CANDIDATES)
+  if (candidates.length === 0) return []
+
+  const moodEffects = getCategoryMoodEffects(events, checkIns)
+  const moodWeight = (template) => Math.max(0.25, 1 + (moodEffects[template.category] || 0) * MOOD_WEIGHT_PER_POINT)
+  const excluded = new Set(excludedKeys)
+  const lastDate = addDays(startDate, days - 1)
+  const planned = getRelevantEvents(events, startDate)
+  const proposals = []
+
+  for (let offset = 0; offset < days && proposals.length < maxProposals; offset++) {
+    const date = addDays(startDate, offset)
+    const before = calculateDayInfluence(date, planned, settings).total
+    if (before >= target) continue
+
+    // Activities are only proposed at the pace the user usually does them
+    const isDueOn = (template) => ![...events, ...proposals.map(proposal => proposal.event)].some(event =>
+      event.name && getTemplateKey(event) === template.key && Math.abs(daysBetween(event.date, date)) < template.everyDays)
+    const ranked = candidates
+      .filter(template => isDueOn(template) && !excluded.has(`${date}|${template.key}`))
+      .map(template => {
+        const candidate = createPlannedEvent(template, date, null)
+        const gain = getCoverageGain(planned, candidate, { date, target, settings, lastDate })
+        return { template, candidate, score: gain * moodWeight(template) }
+      })
+      .filter(option => option.score > 0)
+      .sort((a, b) => b.score - a.score)
+    if (ranked.length === 0) continue
+
+    const [best, ...others] = ranked
+    planned.push(best.candidate)
+    proposals.push({
+      key: `${date}|${best.template.key}`,
+      date,
+      template: best.template,
+      event: best.candidate,
+      before,
+      after: calculateDayInfluence(date, planned, settings).total,
+      alternatives: others.slice(0, ALTERNATIVES).map(option => option.template)
+    })
+  }
+
+  return proposals
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_CATEGORIES } from './categories'
+import { addDays } from './dates'
+import { findCoverageGaps, getActivityTemplates, planActivities } from './planner'
+
+const TODAY = '2025-06-20'
+
+const activity = (name, category, date, fields = {}) => ({
+  id: `${name}-${date}`,
+  name,
+  category,
+  date,
+  duration: '01:00',
+  isAllDay: false,
+  impact: 6,
+  reachValue: 3,
+  reachUnit: 'days',
+  ...fields
+})
+
+// A run every other day and a single therapy session, all in the past
+const history = [
+  ...[10, 8, 6, 4].map(daysAgo => activity('Run', 'exercise', addDays(TODAY, -daysAgo))),
+  activity('Therapy', 'therapy', addDays(TODAY, -30), { impact: 9, reachValue: 2, reachUnit: 'weeks' })
+]
+
+describe('getActivityTemplates', () => {
+  it('groups past activities by name and category, most frequent first', () => {
+    const templates = getActivityTemplates([...history, activity(' run ', 'exercise', addDays(TODAY, -2))], DEFAULT_CATEGORIES, { today: TODAY })
+    expect(templates.map(template => [template.key, template.count, template.everyDays])).toEqual([
+      ['run|exercise', 5, 2],
+      ['therapy|therapy', 1, 7]
+    ])
+  })
+
+  it('leaves out future activities, old ones and archived categories', () => {
+    const categories = DEFAULT_CATEGORIES.map(category => category.id === 'therapy' ? { ...category, archived: true } : category)
+    const events = [...history, activity('Swim', 'exercise', addDays(TODAY, 3)), activity('Hike', 'exercise', addDays(TODAY, -400))]
+    expect(getActivityTemplates(events, categories, { today: TODAY }).map(template => template.name)).toEqual(['Run'])
+  })
+})
+
+describe('findCoverageGaps', () => {
+  it('returns the days projected below the target', () => {
+    const events = [activity('Run', 'exercise', TODAY, { reachValue: 1 })]
+    const gaps = findCoverageGaps(events, { target: 50, startDate: TODAY, days: 3 })
+    expect(gaps.map(gap => gap.date)).toEqual([addDays(TODAY, 1), addDays(TODAY, 2)])
+  })
+})
+
+describe('planActivities', () => {
+  it('proposes the user\'s own activities on days below the target', () => {
+    const proposals = planActivities(history, { categories: DEFAULT_CATEGORIES, target: 50, startDate: TODAY, days: 5 })
+
+    expect(proposals.length).toBeGreaterThan(0)
+    proposals.forEach(proposal => {
+      expect(proposal.after).toBeGreaterThan(proposal.before)
+      expect(proposal.event).toMatchObject({ id: null, date: proposal.date })
+    })
+    // Runs are proposed no more often than every other day
+    const runDates = proposals.filter(proposal => proposal.template.name === 'Run').map(proposal => proposal.date)
+    runDates.slice(1).forEach((date, index) => expect(date >= addDays(runDates[index], 2)).toBe(true))
+  })
+
+  it('offers the next best activity for a proposal the user turned down', () => {
+    const [first] = planActivities(history, { categories: DEFAULT_CATEGORIES, target: 50, startDate: TODAY, days: 1 })
+    const [next] = planActivities(history, { categories: DEFAULT_CATEGORIES, target: 50, startDate: TODAY, days: 1, excludedKeys: [first.key] })
+    expect(next.date).toBe(first.date)
+    expect(next.template.key).not.toBe(first.template.key)
+  })
+
+  it('proposes nothing without past activities', () => {
+    expect(planActivities([], { categories: DEFAULT_CATEGORIES, target: 50, startDate: TODAY })).toEqual([])
+  })
+})
@@ -0,0 +1,308 @@
+// Recurring activity series (RRULE-style repetition)
+//
+// A recurring event is stored once, with a `recurrence` rule:
+//   {
+//     freq: 'daily' | 'weekly' | 'monthly',
+//     interval: 1,                 // every N days/weeks/months
+//     byWeekday: [2, 4],           // weekly only, 0 = Sunday
+//     until: 'YYYY-MM-DD' | null,  // last possible occurrence date
+//     count: number | null,        // total number of occurrences
+//     exceptions: {                // keyed by original occurrence date
+//       'YYYY-MM-DD': { cancelled: true } | { ...overridden event fields }
+//     }
+//   }
+// and expanded into individual occurrences wherever events are displayed or scored.
+
+import { addDays, daysBetween, formatDate, getTimeZone, getToday, getWeekday, isValidTimeZone, parseDate, toDateString, zonedTimeToDate } from './dates'
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly']
+
+// How far ahead open-ended series are expanded
+const DEFAULT_HORIZON_DAYS = 365
+
+// Hard stop so a malformed rule can never hang the UI
+const MAX_OCCURRENCES = 5000
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Helper function to build a normalized recurrence rule
+export const createRecurrence = ({ freq, interval = 1, byWeekday = [], until = null, count = null, exceptions = {} }) => ({
+  freq,
+  interval: Math.max(1, Number(interval) || 1),
+  byWeekday: freq === 'weekly' ? [...new Set(byWeekday.map(Number))].sort((a, b) => a - b) : [],
+  until: until || null,
+  count: count ? Math.max(1, Number(count)) : null,
+  exceptions
+})
+
+export const isRecurringEvent = (event) => !!(event && event.recurrence && event.recurrence.freq)
+
+// Every date in the series (including cancelled ones) up to the horizon
+export const getOccurrenceDates = (event, horizonDate) => {
+  const { freq, interval = 1, byWeekday = [], until, count } = event.recurrence
+  const start = event.date
+  const dates = []
+
+  // Returns false once the series (or the requested window) is exhausted
+  const accept = (date) => {
+    if (until && date > until) return false
+    if (horizonDate && date > horizonDate) return false
+    if (count && dates.length >= count) return false
+    if (dates.length >= MAX_OCCURRENCES) return false
+    dates.push(date)
+    return true
+  }
+
+  if (freq === 'daily') {
+    let date = start
+    while (accept(date)) {
+      date = addDays(date, interval)
+    }
+  } else if (freq === 'weekly') {
+    const weekdays = byWeekday.length > 0 ? byWeekday : [getWeekday(start)]
+    let weekStart = addDays(start, -getWeekday(start))
+    let running = true
+    while (running) {
+      for (const weekday of weekdays) {
+        const date = addDays(weekStart, weekday)
+        if (date < start) continue
+        if (!accept(date)) {
+          running = false
+          break
+        }
+      }
+      weekStart = addDays(weekStart, 7 * interval)
+    }
+  } else if (freq === 'monthly') {
+    const first = parseDate(start)
+    const dayOfMonth = first.getUTCDate()
+    for (let step = 0; ; step += interval) {
+      const date = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + step, dayOfMonth))
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      if (date.getUTCDate() !== dayOfMonth) continue
+      if (!accept(formatDate(date))) break
+    }
+  }
+
+  return dates
+}
+
+// Build the id used for a single occurrence of a series
+export const getOccurrenceId = (seriesId, occurrenceDate) => `${seriesId}:${occurrenceDate}`
+
+// Expand recurring events into their individual occurrences.
+// Non-recurring events are returned unchanged.
+export const expandEvents = (events, { horizonDays = DEFAULT_HORIZON_DAYS } = {}) => {
+  const horizonDate = addDays(getToday(), horizonDays)
+  const expanded = []
+
+  events.forEach(event => {
+    if (!isRecurringEvent(event)) {
+      expanded.push(event)
+      return
+    }
+
+    const exceptions = event.recurrence.exceptions || {}
+    getOccurrenceDates(event, horizonDate).forEach(occurrenceDate => {
+      const exception = exceptions[occurrenceDate]
+      if (exception?.cancelled) return
+
+      expanded.push({
+        ...event,
+        ...exception,
+        id: getOccurrenceId(event.id, occurrenceDate),
+        date: exception?.date || occurrenceDate,
+        seriesId: event.id,
+        occurrenceDate,
+        isModifiedOccurrence: !!exception
+      })
+    })
+  })
+
+  return expanded
+}
+
+// Occurrences that were edited individually ("this occurrence only")
+export const getModifiedOccurrences = (event) => {
+  if (!isRecurringEvent(event)) return []
+  const exceptions = event.recurrence.exceptions || {}
+  return Object.entries(exceptions)
+    .filter(([, exception]) => !exception.cancelled)
+    .map(([occurrenceDate, exception]) => ({
+      ...event,
+      ...exception,
+      recurrence: undefined,
+      id: getOccurrenceId(event.id, occurrenceDate),
+      date: exception.date || occurrenceDate,
+      seriesId: event.id,
+      occurrenceDate
+    }))
+}
+
+// Count the occurrences that happen strictly before a date
+const countOccurrencesBefore = (event, occurrenceDate) => {
+  return getOccurrenceDates(event, addDays(occurrenceDate, -1)).length
+}
+
+// Keep only exceptions on one side of a date
+const filterExceptions = (exceptions = {}, predicate) => {
+  return Object.fromEntries(Object.entries(exceptions).filter(([date]) => predicate(date)))
+}
+
+// Override a single occurrence ("this occurrence only")
+export const updateOccurrence = (series, occurrenceDate, changes) => ({
+  ...series,
+  recurrence: {
+    ...series.recurrence,
+    exceptions: { ...series.recurrence.exceptions, [occurrenceDate]: changes }
+  }
+})
+
+// Change some fields of a single occurrence, keeping its earlier individual edits
+export const patchOccurrence = (series, occurrenceDate, changes) => {
+  return updateOccurrence(series, occurrenceDate, { ...series.recurrence.exceptions?.[occurrenceDate], ...changes })
+}
+
+// Remove a single occurrence from a series
+export const cancelOccurrence = (series, occurrenceDate) => updateOccurrence(series, occurrenceDate, { cancelled: true })
+
+// End a series just before an occurrence. Returns null when nothing would be left.
+export const truncateSeries = (series, occurrenceDate) => {
+  const remaining = countOccurrencesBefore(series, occurrenceDate)
+  if (remaining === 0) return null
+  return {
+    ...series,
+    recurrence: {
+      ...series.recurrence,
+      until: addDays(occurrenceDate, -1),
+      count: series.recurrence.count ? remaining : null,
+      exceptions: filterExceptions(series.recurrence.exceptions, date => date < occurrenceDate)
+    }
+  }
+}
+
+// Split a series at an occurrence ("this and all future occurrences").
+// Returns the shortened original series (or null) and the new series that starts at the occurrence.
+export const splitSeries = (series, occurrenceDate, changes, newId) => {
+  const before = truncateSeries(series, occurrenceDate)
+  const remainingCount = series.recurrence.count
+    ? series.recurrence.count - countOccurrencesBefore(series, occurrenceDate)
+    : null
+  const recurrence = changes.recurrence || series.recurrence
+
+  const after = {
+    ...series,
+    ...changes,
+    id: newId,
+    googleEventId: undefined,
+    date: changes.date || occurrenceDate,
+    recurrence: {
+      ...recurrence,
+      count: recurrence === series.recurrence ? remainingCount : recurrence.count,
+      exceptions: filterExceptions(series.recurrence.exceptions, date => date >= occurrenceDate)
+    }
+  }
+
+  return { before, after }
+}
+
+// Shift a YYYY-MM-DD date by the distance between two other dates
+export const shiftDate = (dateString, fromDate, toDate) => addDays(dateString, daysBetween(fromDate, toDate))
+
+// Human readable summary, e.g. "Weekly on Tue, Thu until 2025-06-30"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence || !recurrence.freq) return ''
+  const { freq, interval = 1, byWeekday = [], until, count } = recurrence
+  const units = { daily: 'day', weekly: 'week', monthly: 'month' }
+
+  let text = interval > 1
+    ? `Every ${interval} ${units[freq]}s`
+    : freq.charAt(0).toUpperCase() + freq.slice(1)
+  if (freq === 'weekly' && byWeekday.length > 0) {
+    text += ` on ${byWeekday.map(day => WEEKDAY_NAMES[day]).join(', ')}`
+  }
+  if (count) text += `, ${count} times`
+  if (until) text += ` until ${until}`
+  return text
+}
+
+// Convert a series to RFC 5545 RRULE/EXDATE lines (as used by Google Calendar and iCalendar).
+// Timed series pass their HH:MM start time: excluded occurrences are then written as wall-clock
+// times in the user's time zone (EXDATE;TZID=...), to go with a DTSTART in that zone, and UNTIL
+// as the UTC instant the last day ends.
+export const toRecurrenceLines = (event, startTime = null, timeZone = getTimeZone()) => {
+  if (!isRecurringEvent(event)) return []
+  const { freq, interval = 1, byWeekday = [], until, count, exceptions = {} } = event.recurrence
+  const compact = (dateString) => dateString.replace(/-/g, '')
+  // The last second of the until day in the user's time zone
+  const untilUTC = () => new Date(zonedTimeToDate(until, '23:59', timeZone).getTime() + 59 * 1000).toISOString().replace(/[-:]|\.\d{3}/g, '')
+
+  const parts = [`FREQ=${freq.toUpperCase()}`]
+  if (interval > 1) parts.push(`INTERVAL=${interval}`)
+  if (freq === 'weekly' && byWeekday.length > 0) {
+    parts.push(`BYDAY=${byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`)
+  }
+  if (count) {
+    parts.push(`COUNT=${count}`)
+  } else if (until) {
+    parts.push(`UNTIL=${startTime ? untilUTC() : compact(until)}`)
+  }
+
+  const lines = [`RRULE:${parts.join(';')}`]
+  const excludedDates = Object.keys(exceptions).sort()
+  if (excludedDates.length > 0) {
+    lines.push(startTime
+      ? `EXDATE;TZID=${timeZone}:${excludedDates.map(date => `${compact(date)}T${startTime.replace(':', '')}00`).join(',')}`
+      : `EXDATE;VALUE=DATE:${excludedDates.map(compact).join(',')}`)
+  }
+  return lines
+}
+
+// The day, in the user's time zone, of an EXDATE or UNTIL value: a date, a UTC time (...Z),
+// a time in a TZID zone, or a floating time
+const parseRuleDate = (value, tzid) => {
+  const [, year, month, day, hour, minute] = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/) || []
+  const dateString = `${year}-${month}-${day}`
+  if (hour === undefined) return dateString
+  if (value.endsWith('Z')) return toDateString(new Date(Date.UTC(year, month - 1, day, hour, minute)))
+  if (isValidTimeZone(tzid)) return toDateString(zonedTimeToDate(dateString, `${hour}:${minute}`, tzid))
+  return dateString
+}
+
+// Parse RRULE/EXDATE lines back into a recurrence rule (inverse of toRecurrenceLines)
+export const fromRecurrenceLines = (lines = []) => {
+  const rruleLine = lines.find(line => line.toUpperCase().startsWith('RRULE:'))
+  if (!rruleLine) return null
+
+  const rule = Object.fromEntries(
+    rruleLine.slice('RRULE:'.length).split(';').map(part => {
+      const [key, value] = part.split('=')
+      return [key.toUpperCase(), value]
+    })
+  )
+  const freq = (rule.FREQ || '').toLowerCase()
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) return null
+
+  const exceptions = {}
+  lines
+    .filter(line => line.toUpperCase().startsWith('EXDATE'))
+    .forEach(line => {
+      const colon = line.indexOf(':')
+      const tzid = line.slice(0, colon).split(';').find(param => param.toUpperCase().startsWith('TZID='))?.slice('TZID='.length).replace(/"/g, '')
+      line.slice(colon + 1).split(',').forEach(value => {
+        exceptions[parseRuleDate(value.trim(), tzid)] = { cancelled: true }
+      })
+    })
+
+  return createRecurrence({
+    freq,
+    interval: rule.INTERVAL,
+    byWeekday: rule.BYDAY
+      ? rule.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(day => day >= 0)
+      : [],
+    until: rule.UNTIL ? parseRuleDate(rule.UNTIL) : null,
+    count: rule.COUNT,
+    exceptions
+  })
+}
@@ -0,0 +1,43 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import { createRecurrence, fromRecurrenceLines, toRecurrenceLines } from './recurrence'
+import { setTimeZone } from './dates'
+
+const series = {
+  id: 1,
+  date: '2025-03-01',
+  recurrence: createRecurrence({ freq: 'daily', until: '2025-03-20', exceptions: { '2025-03-05': { cancelled: true } } })
+}
+
+afterEach(() => setTimeZone(null))
+
+describe('EXDATE round trips', () => {
+  it.each(['America/Los_Angeles', 'Europe/Berlin', 'Asia/Kolkata', 'Pacific/Auckland'])(
+    'keeps evening cancellations and the last day in %s',
+    (timeZone) => {
+      setTimeZone(timeZone)
+      const lines = toRecurrenceLines(series, '18:30')
+      expect(lines[1]).toBe(`EXDATE;TZID=${timeZone}:20250305T183000`)
+
+      const recurrence = fromRecurrenceLines(lines)
+      expect(Object.keys(recurrence.exceptions)).toEqual(['2025-03-05'])
+      expect(recurrence.until).toBe('2025-03-20')
+    }
+  )
+
+  it('reads UTC exclusions on the day they fall on in the user\'s time zone', () => {
+    setTimeZone('America/Los_Angeles')
+    const recurrence = fromRecurrenceLines(['RRULE:FREQ=DAILY', 'EXDATE:20250306T023000Z'])
+    expect(Object.keys(recurrence.exceptions)).toEqual(['2025-03-05'])
+  })
+
+  it('converts exclusions from another zone', () => {
+    setTimeZone('Europe/Berlin')
+    const recurrence = fromRecurrenceLines(['RRULE:FREQ=DAILY', 'EXDATE;TZID="America/New_York":20250305T213000'])
+    expect(Object.keys(recurrence.exceptions)).toEqual(['2025-03-06'])
+  })
+
+  it('keeps all-day exclusions as dates', () => {
+    expect(toRecurrenceLines(series)).toEqual(['RRULE:FREQ=DAILY;UNTIL=20250320', 'EXDATE;VALUE=DATE:20250305'])
+    expect(Object.keys(fromRecurrenceLines(toRecurrenceLines(series)).exceptions)).toEqual(['2025-03-05'])
+  })
+})
@@ -0,0 +1,112 @@
+// What-if scenarios: named sets of hypothetical ("ghost") activities that are never saved as
+// events, to see how they would change daily influence and goals before committing to them
+//
+//   scenario: { id, name, events: [ghostEvent], createdAt }
+//
+// Ghost events have the same fields as real events plus isGhost: true. Promoting a scenario
+// turns them into real events with fresh ids.
+//
+// Events passed in are expected to be expanded into occurrences (see expandEvents).
+
+import { DEFAULT_SCORING_SETTINGS } from './scoring'
+import { evaluateGoal } from './goals'
+import { createPlannedEvent, projectInfluence } from './planner'
+import { getToday } from './dates'
+
+export const createScenario = (scenarios, name) => {
+  const trimmed = (name || '').trim()
+  if (!trimmed) throw new Error('Give the scenario a name')
+  if (scenarios.some(scenario => scenario.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`There is already a scenario called "${trimmed}"`)
+  }
+  const scenario = { id: `scenario-${Date.now()}-${scenarios.length}`, name: trimmed, events: [], createdAt: new Date().toISOString() }
+  return [...scenarios, scenario]
+}
+
+export const removeScenario = (scenarios, id) => scenarios.filter(scenario => scenario.id !== id)
+
+// Add a hypothetical activity, throwing an Error that can be shown to the user
+export const addGhostEvent = (scenarios, scenarioId, fields) => {
+  if (!fields.name?.trim()) throw new Error('Give the activity a name')
+  if (!fields.category) throw new Error('Choose a category')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.date || '')) throw new Error('Choose a date')
+
+  const template = {
+    name: fields.name.trim(),
+    category: fields.category,
+    duration: fields.duration || '01:00',
+    isAllDay: !!fields.isAllDay,
+    startTime: (!fields.isAllDay && fields.startTime) || null,
+    endTime: (!fields.isAllDay && fields.startTime && fields.endTime) || null,
+    impact: Number(fields.impact),
+    reachValue: Number(fields.reachValue) || 1,
+    reachUnit: fields.reachUnit || 'days'
+  }
+  return scenarios.map(scenario => {
+    if (scenario.id !== scenarioId) return scenario
+    const ghost = { ...createPlannedEvent(template, fields.date, `ghost-${Date.now()}-${scenario.events.length}`), isGhost: true }
+    return { ...scenario, events: [...scenario.events, ghost] }
+  })
+}
+
+export const removeGhostEvent = (scenarios, scenarioId, eventId) => {
+  return scenarios.map(scenario => scenario.id === scenarioId
+    ? { ...scenario, events: scenario.events.filter(event => event.id !== eventId) }
+    : scenario)
+}
+
+// The events as they would be with a scenario's activities added
+export const withScenario = (events, scenario) => scenario ? [...events, ...scenario.events] : events
+
+// How a set of events does over the next `days` days from startDate:
+// { days: [{ date, total }], average, daysBelowTarget, goals: [{ goal, daysMet }] }
+const summarize = (events, { settings, goals, target, startDate, days }) => {
+  const projection = projectInfluence(events, { settings, startDate, days })
+  return {
+    days: projection,
+    average: projection.reduce((sum, day) => sum + day.total, 0) / projection.length,
+    daysBelowTarget: target > 0 ? projection.filter(day => day.total < target).length : null,
+    goals: goals.map(goal => ({
+      goal,
+      daysMet: projection.filter(day => {
+        return evaluateGoal(goal, day.date, events, { settings, influence: day.total, today: startDate }).status === 'met'
+      }).length
+    }))
+  }
+}
+
+// A scenario against the current plan over the same days, with the differences it makes:
+// { before, after, averageDelta, days: [{ date, before, after, delta }] }
+// where before/after are summaries as returned by summarize above
+export const compareScenario = (events, scenario, {
+  settings = DEFAULT_SCORING_SETTINGS,
+  goals = [],
+  startDate = getToday(),
+  days = 30
+} = {}) => {
+  // The strictest daily influence goal is the target days are counted against
+  const target = Math.max(0, ...goals.filter(goal => goal.type === 'coverage').map(goal => goal.minInfluence))
+  const options = { settings, goals, target, startDate, days }
+  const before = summarize(events, options)
+  const after = summarize(withScenario(events, scenario), options)
+  return {
+    before,
+    after,
+    averageDelta: after.average - before.average,
+    days: before.days.map((day, index) => ({
+      date: day.date,
+      before: day.total,
+      after: after.days[index].total,
+      delta: after.days[index].total - day.total
+    }))
+  }
+}
+
+// Real events for a scenario's activities, ready to be added to the calendar
+export const promoteScenario = (scenario, idBase = Date.now()) => {
+  return scenario.events.map((ghost, index) => {
+    const event = { ...ghost, id: idBase + index }
+    delete event.isGhost
+    return event
+  })
+}
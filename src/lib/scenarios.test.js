@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import { addGhostEvent, compareScenario, createScenario, promoteScenario } from './scenarios'
+
+const TODAY = '2025-06-20'
+
+const retreat = { name: 'Retreat', category: 'therapy', date: '2025-06-22', isAllDay: true, impact: 9, reachValue: 1, reachUnit: 'weeks' }
+
+const withRetreat = () => {
+  const [scenario] = createScenario([], 'Retreat weekend')
+  return addGhostEvent([scenario], scenario.id, retreat)
+}
+
+describe('createScenario and addGhostEvent', () => {
+  it('refuses unnamed and duplicate scenarios', () => {
+    const scenarios = createScenario([], 'Busy week')
+    expect(() => createScenario(scenarios, ' busy WEEK ')).toThrow('There is already a scenario called "busy WEEK"')
+    expect(() => createScenario(scenarios, '  ')).toThrow('Give the scenario a name')
+  })
+
+  it('adds activities as ghost events with a ripple score', () => {
+    const [scenario] = withRetreat()
+    expect(scenario.events).toHaveLength(1)
+    expect(scenario.events[0]).toMatchObject({ ...retreat, startTime: null, isGhost: true })
+    expect(scenario.events[0].rippleScore).toBeGreaterThan(0)
+    expect(() => addGhostEvent([scenario], scenario.id, { ...retreat, date: '22/06/2025' })).toThrow('Choose a date')
+  })
+})
+
+describe('compareScenario', () => {
+  it('shows how the ghost events change the days ahead and the goals', () => {
+    const [scenario] = withRetreat()
+    const goal = { id: 'g1', type: 'coverage', minInfluence: 50 }
+
+    const comparison = compareScenario([], scenario, { goals: [goal], startDate: TODAY, days: 5 })
+
+    expect(comparison.days.map(day => day.delta > 0)).toEqual([false, false, true, true, true])
+    expect(comparison.averageDelta).toBeGreaterThan(0)
+    expect(comparison.before).toMatchObject({ daysBelowTarget: 5, goals: [{ goal, daysMet: 0 }] })
+    expect(comparison.after.daysBelowTarget).toBeLessThan(5)
+    expect(comparison.after.goals[0].daysMet).toBe(5 - comparison.after.daysBelowTarget)
+  })
+})
+
+describe('promoteScenario', () => {
+  it('turns ghost events into real events with fresh ids', () => {
+    const [scenario] = withRetreat()
+    const [event] = promoteScenario(scenario, 1000)
+    expect(event).toMatchObject({ ...retreat, id: 1000 })
+    expect(event).not.toHaveProperty('isGhost')
+    expect(scenario.events[0].isGhost).toBe(true)
+  })
+})
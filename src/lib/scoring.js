@@ -0,0 +1,294 @@
+// Scoring helpers shared by the activity form, data migrations and every influence view
+
+import { addDays, daysBetween } from './dates';
+
+// Helper function to convert HH:MM duration to minutes
+export const durationToMinutes = (duration) => {
+  if (!duration) return 60; // Default to 1 hour if no duration
+  const [hours, minutes] = duration.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Start and end times are HH:MM wall-clock times on the activity's date
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTime = (time) => TIME_PATTERN.test(time || '');
+
+// Helper function to convert an HH:MM time of day to minutes after midnight
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Helper function to convert minutes to HH:MM; times of day wrap around midnight
+export const minutesToTime = (totalMinutes, { wrap = false } = {}) => {
+  const minutes = wrap ? ((totalMinutes % (24 * 60)) + 24 * 60) % (24 * 60) : Math.max(0, totalMinutes);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Timed activities logged since start times exist; older ones only have a date and duration
+export const hasStartTime = (event) => !event.isAllDay && isValidTime(event.startTime);
+
+// Duration between a start and end time; an end at or before the start is on the next day
+export const getDurationBetween = (startTime, endTime) => {
+  const minutes = timeToMinutes(endTime) - timeToMinutes(startTime);
+  return minutesToTime(minutes > 0 ? minutes : minutes + 24 * 60);
+}
+
+// End time of a timed activity: the stored one, or start + duration
+export const getEndTime = (event) => {
+  if (!hasStartTime(event)) return null;
+  if (isValidTime(event.endTime)) return event.endTime;
+  return minutesToTime(timeToMinutes(event.startTime) + durationToMinutes(event.duration), { wrap: true });
+}
+
+// Helper function to convert reach value + unit to days
+export const reachToDays = (reachValue, reachUnit) => {
+  const value = Number(reachValue) || 1;
+  switch (reachUnit) {
+    case 'days': return value;
+    case 'weeks': return value * 7;
+    case 'months': return value * 30; // approximate
+    case 'years': return value * 365;
+    default: return value; // default to days
+  }
+}
+
+// Whole days of reach back to a value and unit, keeping the preferred unit when it fits exactly
+// (14 days stay "2 weeks", 15 become "15 days")
+export const daysToReach = (days, preferredUnit = 'days') => {
+  const units = [['months', 30], ['weeks', 7], ['days', 1]];
+  const preferred = units.find(([unit]) => unit === preferredUnit);
+  const [reachUnit, size] = preferred && days % preferred[1] === 0 ? preferred : units.find(([, unitDays]) => days % unitDays === 0);
+  return { reachValue: days / size, reachUnit };
+}
+
+// Helper function to calculate impact from duration and reach
+// Formula: impact = 1 / (duration_in_minutes / reach_in_days)
+export const calculateImpact = (duration, isAllDay, reachValue, reachUnit) => {
+  const durationMinutes = isAllDay ? (8 * 60) : durationToMinutes(duration); // 8 hours for all-day
+  const reachDays = reachToDays(reachValue, reachUnit);
+
+  if (durationMinutes === 0) return 0;
+  const impact = 1 / (durationMinutes / reachDays);
+
+  return impact.toFixed(2);
+}
+
+// Helper function to calculate ripple score
+// Formula: RS = Impact * log(1 + Duration) * f(Reach)
+export const calculateRippleScore = (impact, duration, isAllDay, reachValue, reachUnit) => {
+  const durationMinutes = isAllDay ? (8 * 60) : durationToMinutes(duration); // 8 hours for all-day
+  const reachDays = reachToDays(reachValue, reachUnit);
+
+  // RS = Impact * log(1 + Duration) * f(Reach)
+  const rippleScore = impact * Math.log(1 + durationMinutes) * reachDays;
+
+  return rippleScore.toFixed(1);
+}
+
+// ---------------------------------------------------------------------------
+// Influence engine
+//
+// Every view that shows how much an activity helps on a given day (calendar
+// heatmap, tooltips, coverage chart, individual curves, 3D reach curves) goes
+// through calculateDayInfluence / getEventInfluence so they always agree.
+//
+// Scores are percentages: an activity's direct score is impact × 10, and after
+// the activity day its influence decays over its reach following the chosen model.
+// ---------------------------------------------------------------------------
+
+// Reach effects are scaled down relative to the activity itself
+const DEFAULT_REACH_WEIGHT = 0.3;
+
+// On days with activities, reach effects still win if they are clearly stronger
+const REACH_PRIORITY_FACTOR = 1.2;
+
+// Direct scores above 100% grow logarithmically, up to this hard cap
+const DIRECT_SCORE_CAP = 120;
+
+// Reach contributions below this are left out of tooltip breakdowns
+const SIGNIFICANT_EFFECT = 0.5;
+
+// Decay models: each maps the days since an activity (0 < days <= reach) to a factor in [0, 1].
+// `params` lists each model's tunable parameters with their defaults and slider ranges.
+export const SCORING_MODELS = {
+  exponential: {
+    label: 'Exponential',
+    description: 'Strong right after the activity, then fades quickly. Half-life is a fraction of the reach.',
+    params: {
+      halfLife: { label: 'Half-life (fraction of reach)', default: 0.086, min: 0.01, max: 1, step: 0.01 }
+    },
+    decay: (days, reachDays, { halfLife }) => Math.pow(0.5, days / (reachDays * halfLife))
+  },
+  gaussian: {
+    label: 'Gaussian',
+    description: 'Bell-shaped fade. Spread sets how many standard deviations fit into the reach.',
+    params: {
+      spread: { label: 'Spread (sigmas per reach)', default: 3, min: 1, max: 6, step: 0.5 }
+    },
+    decay: (days, reachDays, { spread }) => Math.exp(-0.5 * Math.pow(days / (reachDays / spread), 2))
+  },
+  linear: {
+    label: 'Linear',
+    description: 'Fades evenly until the reach ends. Floor keeps some influence until the last day.',
+    params: {
+      floor: { label: 'Floor', default: 0, min: 0, max: 1, step: 0.05 }
+    },
+    decay: (days, reachDays, { floor }) => floor + (1 - floor) * (1 - days / reachDays)
+  },
+  step: {
+    label: 'Step',
+    description: 'Constant influence for the whole reach, then nothing.',
+    params: {
+      level: { label: 'Level', default: 1, min: 0.1, max: 1, step: 0.05 }
+    },
+    decay: (days, reachDays, { level }) => level
+  }
+};
+
+// Default params for a model
+export const getDefaultModelParams = (model) => {
+  const definition = SCORING_MODELS[model] || SCORING_MODELS.exponential;
+  return Object.fromEntries(Object.entries(definition.params).map(([name, param]) => [name, param.default]));
+}
+
+// The exponential defaults reproduce the calendar's original 0.2^(days / (reach × 0.2)) decay
+export const DEFAULT_SCORING_SETTINGS = {
+  model: 'exponential',
+  params: getDefaultModelParams('exponential'),
+  reachWeight: DEFAULT_REACH_WEIGHT
+};
+
+// Fill in missing or unknown values so settings saved by older versions keep working
+export const normalizeScoringSettings = (settings) => {
+  const model = SCORING_MODELS[settings?.model] ? settings.model : DEFAULT_SCORING_SETTINGS.model;
+  const reachWeight = Number(settings?.reachWeight);
+  return {
+    model,
+    params: { ...getDefaultModelParams(model), ...(settings?.model === model ? settings.params : {}) },
+    reachWeight: Number.isFinite(reachWeight) && reachWeight >= 0 ? reachWeight : DEFAULT_REACH_WEIGHT
+  };
+}
+
+// Days an activity takes place on, with the share of its time on each: [{ date, share }].
+// Only timed activities with a start time can run past midnight; others sit on their date.
+export const getEventDays = (event) => {
+  if (!hasStartTime(event)) return [{ date: event.date, share: 1 }];
+  const start = timeToMinutes(event.startTime);
+  const length = Math.max(1, durationToMinutes(event.duration));
+  const end = start + length;
+  const days = [];
+  for (let dayStart = 0; dayStart < end; dayStart += 24 * 60) {
+    const overlap = Math.min(end, dayStart + 24 * 60) - Math.max(start, dayStart);
+    if (overlap > 0) days.push({ date: addDays(event.date, dayStart / (24 * 60)), share: overlap / length });
+  }
+  return days;
+}
+
+// Last day an activity takes place on; its reach counts from the day after
+export const getEventEndDate = (event) => {
+  if (!hasStartTime(event)) return event.date;
+  const end = timeToMinutes(event.startTime) + Math.max(1, durationToMinutes(event.duration));
+  return addDays(event.date, Math.floor((end - 1) / (24 * 60)));
+}
+
+// Helper function to calculate an activity's score on its own day
+// Direct impact: impact * 10 to get percentage (impact 10 = 100%, impact 5 = 50%)
+export const calculateDirectScore = (event) => {
+  let score = event.impact * 10;
+
+  // Duration bonus (small)
+  if (event.isAllDay) {
+    score *= 1.1; // 10% bonus for all-day activities
+  } else if (durationToMinutes(event.duration) >= 120) {
+    score *= 1.05; // 5% bonus for 2+ hour activities
+  }
+
+  return score;
+}
+
+// Helper function to calculate the reach effect of an activity a number of days after it
+export const calculateReachEffect = (event, daysAfter, settings = DEFAULT_SCORING_SETTINGS) => {
+  const reachDays = reachToDays(event.reachValue, event.reachUnit);
+
+  // Reach only extends forward from the activity, up to its reach
+  if (daysAfter <= 0 || daysAfter > reachDays) return 0;
+
+  const { model, params, reachWeight } = normalizeScoringSettings(settings);
+  const decay = Math.min(1, Math.max(0, SCORING_MODELS[model].decay(daysAfter, reachDays, params)));
+  return event.impact * 10 * decay * reachWeight;
+}
+
+// Influence of a single activity on a date: its direct score on the days it takes place
+// (split by the share of its time on each), its decayed reach effect afterwards, and
+// nothing before it
+export const getEventInfluence = (event, dateString, settings = DEFAULT_SCORING_SETTINGS) => {
+  const endDate = getEventEndDate(event);
+  if (dateString > endDate) return calculateReachEffect(event, daysBetween(endDate, dateString), settings);
+  const day = getEventDays(event).find(eventDay => eventDay.date === dateString);
+  return day ? calculateDirectScore(event) * day.share : 0;
+}
+
+// Calculate the mental health score of a day with a breakdown for tooltips
+export const calculateDayInfluence = (dateString, events, settings = DEFAULT_SCORING_SETTINGS) => {
+  // 1. Direct impact from events happening on this exact day. Activities running past
+  // midnight count on each day they cover, by the share of their time on it.
+  let directScore = 0;
+  const directEvents = [];
+
+  events.forEach(event => {
+    if (event.date > dateString || getEventEndDate(event) < dateString) return;
+    const day = event.date === dateString && !hasStartTime(event)
+      ? { share: 1 }
+      : getEventDays(event).find(eventDay => eventDay.date === dateString);
+    if (!day) return;
+    const eventScore = calculateDirectScore(event) * day.share;
+    directScore += eventScore;
+    directEvents.push({
+      id: event.id,
+      name: event.name,
+      impact: event.impact,
+      score: eventScore.toFixed(1)
+    });
+  });
+
+  // Cap multiple events: diminishing returns after 100%
+  if (directScore > 100) {
+    directScore = Math.min(100 + Math.log2(directScore / 100) * 15, DIRECT_SCORE_CAP);
+  }
+
+  // 2. Reach effects from earlier events
+  let reachScore = 0;
+  const reachContributions = [];
+
+  events.forEach(event => {
+    const daysAfter = daysBetween(getEventEndDate(event), dateString);
+    const reachEffect = calculateReachEffect(event, daysAfter, settings);
+    if (reachEffect === 0) return;
+
+    reachScore += reachEffect;
+    if (reachEffect > SIGNIFICANT_EFFECT) {
+      reachContributions.push({
+        name: event.name,
+        date: event.date,
+        daysDiff: daysAfter,
+        effect: reachEffect.toFixed(1),
+        impact: event.impact
+      });
+    }
+  });
+
+  // 3. Days with events are led by their direct score; other days only get reach effects
+  const total = directScore > 0
+    ? Math.max(directScore, reachScore * REACH_PRIORITY_FACTOR)
+    : reachScore;
+
+  return {
+    total,
+    direct: directScore,
+    reach: reachScore,
+    directEvents,
+    reachContributions: reachContributions.sort((a, b) => parseFloat(b.effect) - parseFloat(a.effect)) // Sort by effect size
+  };
+}
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest'
+import {
+  calculateDayInfluence,
+  calculateReachEffect,
+  calculateRippleScore,
+  getEventInfluence,
+  normalizeScoringSettings,
+  SCORING_MODELS
+} from './scoring'
+
+const activity = {
+  id: 1,
+  name: 'Therapy',
+  category: 'therapy',
+  date: '2025-06-10',
+  duration: '01:00',
+  isAllDay: false,
+  impact: 8,
+  reachValue: 10,
+  reachUnit: 'days'
+}
+
+const settingsFor = (model, params = {}) => normalizeScoringSettings({ model, params, reachWeight: 1 })
+
+describe('SCORING_MODELS', () => {
+  it('decays from the activity over its reach', () => {
+    Object.entries(SCORING_MODELS).forEach(([model, definition]) => {
+      const { params } = settingsFor(model)
+      const early = definition.decay(1, 10, params)
+      const late = definition.decay(10, 10, params)
+      expect(early, model).toBeLessThanOrEqual(1)
+      expect(late, model).toBeGreaterThanOrEqual(0)
+      expect(late, model).toBeLessThanOrEqual(early)
+    })
+  })
+
+  it('computes each model with its parameters', () => {
+    expect(SCORING_MODELS.exponential.decay(5, 10, { halfLife: 0.5 })).toBeCloseTo(0.5)
+    expect(SCORING_MODELS.gaussian.decay(10, 10, { spread: 1 })).toBeCloseTo(Math.exp(-0.5))
+    expect(SCORING_MODELS.linear.decay(5, 10, { floor: 0.2 })).toBeCloseTo(0.6)
+    expect(SCORING_MODELS.step.decay(9, 10, { level: 0.4 })).toBe(0.4)
+  })
+})
+
+describe('normalizeScoringSettings', () => {
+  it('falls back to the exponential defaults for unknown models and weights', () => {
+    expect(normalizeScoringSettings({ model: 'cubic', params: { halfLife: 0.5 }, reachWeight: -1 })).toEqual({
+      model: 'exponential',
+      params: { halfLife: 0.086 },
+      reachWeight: 0.3
+    })
+  })
+
+  it('keeps saved parameters of the chosen model', () => {
+    expect(normalizeScoringSettings({ model: 'linear', params: { floor: 0.5 }, reachWeight: 0 })).toEqual({
+      model: 'linear',
+      params: { floor: 0.5 },
+      reachWeight: 0
+    })
+  })
+})
+
+describe('calculateReachEffect', () => {
+  it('only counts the days after the activity within its reach', () => {
+    const settings = settingsFor('step')
+    expect(calculateReachEffect(activity, 0, settings)).toBe(0)
+    expect(calculateReachEffect(activity, 10, settings)).toBe(80)
+    expect(calculateReachEffect(activity, 11, settings)).toBe(0)
+  })
+
+  it('scales reach effects by the reach weight', () => {
+    const settings = { ...settingsFor('linear'), reachWeight: 0.5 }
+    expect(calculateReachEffect(activity, 5, settings)).toBeCloseTo(8 * 10 * 0.5 * 0.5)
+  })
+})
+
+describe('getEventInfluence', () => {
+  it('gives the direct score on the activity day and nothing before it', () => {
+    expect(getEventInfluence(activity, '2025-06-09')).toBe(0)
+    expect(getEventInfluence(activity, '2025-06-10')).toBe(80)
+  })
+
+  it('splits an activity running past midnight by its share of each day', () => {
+    const lateShift = { ...activity, startTime: '23:00', endTime: '01:00', duration: '02:00' }
+    expect(getEventInfluence(lateShift, '2025-06-10')).toBeCloseTo(84 / 2)
+    expect(getEventInfluence(lateShift, '2025-06-11')).toBeCloseTo(84 / 2)
+  })
+})
+
+describe('calculateDayInfluence', () => {
+  it('caps several activities on one day with diminishing returns', () => {
+    const day = calculateDayInfluence('2025-06-10', [activity, { ...activity, id: 2 }, { ...activity, id: 3 }])
+    expect(day.direct).toBeGreaterThan(100)
+    expect(day.direct).toBeLessThanOrEqual(120)
+    expect(day.directEvents).toHaveLength(3)
+  })
+
+  it('only has reach effects on days without activities', () => {
+    const day = calculateDayInfluence('2025-06-12', [activity], settingsFor('step'))
+    expect(day).toMatchObject({ total: 80, direct: 0, reach: 80 })
+    expect(day.reachContributions).toEqual([
+      { name: 'Therapy', date: '2025-06-10', daysDiff: 2, effect: '80.0', impact: 8 }
+    ])
+  })
+})
+
+describe('calculateRippleScore', () => {
+  it('multiplies impact, log duration and reach in days', () => {
+    expect(calculateRippleScore(5, '01:00', false, 2, 'weeks')).toBe((5 * Math.log(61) * 14).toFixed(1))
+    expect(calculateRippleScore(5, '00:10', true, 1, 'days')).toBe((5 * Math.log(481)).toFixed(1))
+  })
+})
@@ -0,0 +1,70 @@
+// Rolling backup snapshots of the events
+//
+// Snapshots are taken automatically as events are saved, in tiers with their own
+// interval and retention (e.g. one per hour, keeping the last 24), plus manual
+// snapshots the user takes from the Backups panel and ones taken before stored data is
+// upgraded to a new schema version:
+//   { id, tier, createdAt, eventCount, events }
+
+import { createCommand, applyCommand } from './history'
+
+const HOUR = 60 * 60 * 1000
+
+export const SNAPSHOT_TIERS = [
+  { tier: 'hourly', label: 'Hourly', interval: HOUR, keep: 24 },
+  { tier: 'daily', label: 'Daily', interval: 24 * HOUR, keep: 7 },
+  { tier: 'weekly', label: 'Weekly', interval: 7 * 24 * HOUR, keep: 4 },
+  { tier: 'manual', label: 'Manual', interval: null, keep: 10 },
+  { tier: 'upgrade', label: 'Before upgrade', interval: null, keep: 3 }
+]
+
+export const createSnapshot = (tier, events, now = new Date()) => ({
+  id: `${tier}-${now.toISOString()}`,
+  tier,
+  createdAt: now.toISOString(),
+  eventCount: events.length,
+  events
+})
+
+// Newest first
+export const sortSnapshots = (snapshots) => [...snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
+// Automatic tiers whose latest snapshot is older than their interval
+export const getDueTiers = (snapshots, now = new Date()) => {
+  return SNAPSHOT_TIERS
+    .filter(({ interval }) => interval !== null)
+    .filter(({ tier, interval }) => {
+      const latest = sortSnapshots(snapshots.filter(snapshot => snapshot.tier === tier))[0]
+      return !latest || now - new Date(latest.createdAt) >= interval
+    })
+    .map(({ tier }) => tier)
+}
+
+// Ids of snapshots beyond each tier's retention limit, or beyond `maxPerTier` when that is lower
+export const getExpiredSnapshotIds = (snapshots, maxPerTier = Infinity) => {
+  return SNAPSHOT_TIERS.flatMap(({ tier, keep }) =>
+    sortSnapshots(snapshots.filter(snapshot => snapshot.tier === tier))
+      .slice(Math.min(keep, maxPerTier))
+      .map(snapshot => snapshot.id))
+}
+
+// What restoring a snapshot would change in the current events:
+//   added   - events in the snapshot that have since been deleted (restored)
+//   removed - events created since the snapshot (deleted)
+//   updated - events edited since the snapshot (reverted to the snapshot version)
+export const diffSnapshot = (snapshot, currentEvents) => {
+  return createCommand(`Restore backup from ${new Date(snapshot.createdAt).toLocaleString()}`, currentEvents, snapshot.events) ||
+    { label: '', added: [], removed: [], updated: [] }
+}
+
+// Apply the whole snapshot, or only the differences whose event ids are selected
+export const restoreSnapshot = (currentEvents, diff, selectedIds = null) => {
+  if (!selectedIds) return applyCommand(currentEvents, diff)
+  const isSelected = (event) => selectedIds.has(event.id)
+  return applyCommand(currentEvents, {
+    ...diff,
+    added: diff.added.filter(isSelected),
+    removed: diff.removed.filter(isSelected),
+    updated: diff.updated.filter(({ after }) => isSelected(after))
+  })
+}
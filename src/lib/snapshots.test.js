@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest'
+import { createSnapshot, getExpiredSnapshotIds } from './snapshots'
+
+const HOUR = 60 * 60 * 1000
+
+const hourlySnapshots = (count) => Array.from({ length: count }, (_, index) =>
+  createSnapshot('hourly', [], new Date(Date.UTC(2025, 0, 1) + index * HOUR)))
+
+describe('getExpiredSnapshotIds', () => {
+  it('drops the oldest snapshots beyond the tier retention', () => {
+    const snapshots = hourlySnapshots(26)
+    expect(getExpiredSnapshotIds(snapshots)).toEqual([snapshots[1].id, snapshots[0].id])
+  })
+
+  it('keeps no more than maxPerTier of each tier', () => {
+    const snapshots = [...hourlySnapshots(3), createSnapshot('manual', [], new Date(Date.UTC(2025, 0, 1)))]
+    expect(getExpiredSnapshotIds(snapshots, 1)).toEqual([snapshots[1].id, snapshots[0].id])
+  })
+})
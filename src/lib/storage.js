@@ -1,32 +1,188 @@
 // Enhanced storage utilities for mental health events
 
+import { EventDatabase, isIndexedDBAvailable } from './eventDatabase'
+import { calculateRippleScore, DEFAULT_SCORING_SETTINGS, normalizeScoringSettings, isValidTime, getDurationBetween } from './scoring'
+import { DEFAULT_CATEGORIES } from './categories'
+import { isValidCheckIn } from './checkIns'
+import { createSnapshot, getDueTiers, getExpiredSnapshotIds, sortSnapshots } from './snapshots'
+import { eventsToCsv, parseCsv } from './csv'
+import { eventsToIcs, icsToEvents } from './ical'
+import { buildCoverageIcs } from './coverageIcs'
+import { EMPTY_SYNC_STATE } from './googleSync'
+import { normalizeImportRules } from './importRules'
+import { normalizeImportQueue } from './importQueue'
+import { normalizeGoals } from './goals'
+import { getToday, isValidTimeZone } from './dates'
+
 const STORAGE_KEY = 'mentalHealthEvents'
 const BACKUP_KEY = 'mentalHealthEvents_backup'
+const CHECK_INS_STORAGE_KEY = 'mentalHealthCheckIns'
+const SNAPSHOTS_STORAGE_KEY = 'mentalHealthEvents_snapshots'
+// Every snapshot is a full copy of the events, so without IndexedDB only the newest one of
+// each tier is kept; otherwise they would soon fill the localStorage quota
+const LOCAL_SNAPSHOTS_PER_TIER = 1
+const SCHEMA_VERSION_STORAGE_KEY = 'mentalHealthEvents_schemaVersion'
+const FALLBACK_WRITES_KEY = 'mentalHealthEvents_savedWithoutIndexedDB'
+const MIGRATION_FLAG = 'migratedFromLocalStorage'
+const SCHEMA_VERSION_META_KEY = 'schemaVersion'
+const RECORD_KEY_PREFIX = 'selframe_'
+const CATEGORIES_KEY = 'categories'
+const SCORING_SETTINGS_KEY = 'scoringSettings'
+const GOOGLE_SYNC_STATE_KEY = 'googleSync'
+const IMPORT_RULES_KEY = 'importRules'
+const IMPORT_QUEUE_KEY = 'importQueue'
+const GOALS_KEY = 'goals'
+const TIME_ZONE_KEY = 'timeZone'
+const COVERAGE_FEED_KEY = 'coverageFeed'
 
-// Enhanced localStorage with error handling and backup
-export const StorageManager = {
-  // Save events with backup
+// Version of the event structure written to storage and export files.
+// Bump it and add an entry to EVENT_MIGRATIONS whenever the shape of an event changes.
+// Version 1 is the original unversioned format.
+export const SCHEMA_VERSION = 3
+
+// Migrations keyed by the version they upgrade *from*
+const EVENT_MIGRATIONS = {
+  // v1 -> v2: coerce numeric fields that older forms saved as strings and backfill ripple scores
+  1: (events) => events.map(event => {
+    const reachValue = parseFloat(event.reachValue)
+    const impact = parseFloat(event.impact)
+    const migrated = {
+      ...event,
+      duration: event.duration || '01:00',
+      isAllDay: !!event.isAllDay,
+      impact: Number.isFinite(impact) ? impact : 5,
+      reachValue: Number.isFinite(reachValue) && reachValue > 0 ? reachValue : 1,
+      reachUnit: event.reachUnit || 'days'
+    }
+    const rippleScore = parseFloat(event.rippleScore)
+    migrated.rippleScore = Number.isFinite(rippleScore)
+      ? rippleScore
+      : parseFloat(calculateRippleScore(
+        migrated.impact,
+        migrated.duration,
+        migrated.isAllDay,
+        migrated.reachValue,
+        migrated.reachUnit
+      ))
+    return migrated
+  }),
+
+  // v2 -> v3: timed events get a startTime and optional endTime (HH:MM local time).
+  // Older activities only have a date, so their start time stays unknown (null) rather
+  // than being guessed; malformed times are dropped and a valid end time sets the duration.
+  2: (events) => events.map(event => {
+    const startTime = !event.isAllDay && isValidTime(event.startTime) ? event.startTime : null
+    const endTime = startTime && isValidTime(event.endTime) ? event.endTime : null
+    return {
+      ...event,
+      startTime,
+      endTime,
+      duration: endTime ? getDurationBetween(startTime, endTime) : event.duration
+    }
+  })
+}
+
+// Upgrade events from an older schema version to the current one
+export const migrateEvents = (events, fromVersion = 1) => {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Data was saved by a newer version of Selframe (schema v${fromVersion})`)
+  }
+  let migrated = events
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    const migrate = EVENT_MIGRATIONS[version]
+    if (!migrate) throw new Error(`No migration available from schema v${version}`)
+    migrated = migrate(migrated)
+  }
+  return migrated
+}
+
+// Read events, check-ins, goals and the schema version from parsed JSON.
+// Accepts both the versioned export object and the legacy bare array.
+const parseEventPayload = (data) => {
+  if (Array.isArray(data)) {
+    return { events: data, checkIns: [], goals: [], schemaVersion: 1 }
+  }
+  if (data && Array.isArray(data.events)) {
+    return {
+      events: data.events,
+      checkIns: Array.isArray(data.checkIns) ? data.checkIns : [],
+      goals: normalizeGoals(data.goals),
+      schemaVersion: Number(data.schemaVersion) || 1
+    }
+  }
+  throw new Error('Invalid file format')
+}
+
+// Set when IndexedDB exists but can't be opened (private mode, a blocked upgrade, a full
+// quota). Everything is then read from and written to localStorage for the rest of the session.
+let indexedDBFailed = false
+let indexedDBReady = null
+
+// Whether to use IndexedDB, opening it on first use
+const canUseIndexedDB = async () => {
+  if (!isIndexedDBAvailable() || indexedDBFailed) return false
+  if (!indexedDBReady) indexedDBReady = EventDatabase.open().then(() => recoverFallbackWrites())
+  try {
+    await indexedDBReady
+    return true
+  } catch (error) {
+    if (!indexedDBFailed) console.error('Failed to open IndexedDB, using localStorage for this session:', error)
+    indexedDBFailed = true
+    return false
+  }
+}
+
+// Remember that localStorage holds changes IndexedDB doesn't have
+const markFallbackWrite = () => {
+  if (indexedDBFailed) localStorage.setItem(FALLBACK_WRITES_KEY, new Date().toISOString())
+}
+
+// Serialized form of each event as last written to IndexedDB, keyed by id.
+// Used to work out which events actually changed between saves.
+let savedSnapshot = new Map()
+
+// Same for check-ins, keyed by date
+let savedCheckInSnapshot = new Map()
+
+// Legacy localStorage persistence, used when IndexedDB is unavailable
+const LocalStorageBackend = {
   saveEvents: (events) => {
+    // Create backup of current data before saving new
+    const currentData = localStorage.getItem(STORAGE_KEY)
+    if (currentData) {
+      localStorage.setItem(BACKUP_KEY, currentData)
+    }
+
+    // Save new data
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(events))
+  },
+
+  loadSchemaVersion: () => {
+    return Number(localStorage.getItem(SCHEMA_VERSION_STORAGE_KEY)) || 1
+  },
+
+  saveSchemaVersion: (version) => {
+    localStorage.setItem(SCHEMA_VERSION_STORAGE_KEY, String(version))
+  },
+
+  saveCheckIns: (checkIns) => {
+    localStorage.setItem(CHECK_INS_STORAGE_KEY, JSON.stringify(checkIns))
+  },
+
+  loadCheckIns: () => {
     try {
-      // Create backup of current data before saving new
-      const currentData = localStorage.getItem(STORAGE_KEY)
-      if (currentData) {
-        localStorage.setItem(BACKUP_KEY, currentData)
-      }
-      
-      // Save new data
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(events))
-      return { success: true }
+      return JSON.parse(localStorage.getItem(CHECK_INS_STORAGE_KEY)) || []
     } catch (error) {
-      console.error('Failed to save events:', error)
-      return { success: false, error: error.message }
+      console.error('Failed to load check-ins:', error)
+      return []
     }
   },
 
-  // Load events with fallback to backup
   loadEvents: () => {
     try {
-      const savedEvents = localStorage.getItem(STORAGE_KEY)
+      // After the move to IndexedDB the legacy data only remains as the backup; it is read
+      // from there if IndexedDB later fails, so the fallback doesn't start out empty
+      const savedEvents = localStorage.getItem(STORAGE_KEY) ?? localStorage.getItem(BACKUP_KEY)
       if (savedEvents) {
         return JSON.parse(savedEvents)
       }
@@ -43,15 +199,328 @@ export const StorageManager = {
       }
       return []
     }
+  }
+}
+
+// Backup snapshots live in their own IndexedDB store, or under one localStorage key as a fallback
+const SnapshotBackend = {
+  loadAll: async () => {
+    if (await canUseIndexedDB()) return EventDatabase.getAllSnapshots()
+    return JSON.parse(localStorage.getItem(SNAPSHOTS_STORAGE_KEY)) || []
   },
 
-  // Export events as JSON file
-  exportEvents: (events) => {
+  // Returns whether the new snapshots were stored. In localStorage they are skipped with a
+  // warning when they don't fit, rather than failing the save that triggered them.
+  applyChanges: async ({ put = [], remove = [] }) => {
+    if (await canUseIndexedDB()) {
+      await EventDatabase.applySnapshotChanges({ put, remove })
+      return true
+    }
+    const removedIds = new Set(remove)
+    const snapshots = (JSON.parse(localStorage.getItem(SNAPSHOTS_STORAGE_KEY)) || [])
+      .filter(snapshot => !removedIds.has(snapshot.id))
     try {
-      const dataStr = JSON.stringify(events, null, 2)
+      localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify([...snapshots, ...put]))
+      return true
+    } catch (error) {
+      console.warn('Skipped backup snapshots: not enough localStorage space', error)
+      localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots))
+      return false
+    }
+  }
+}
+
+// Id, tier and date of every stored snapshot, so checking whether one is due doesn't load them all
+let snapshotIndex = null
+
+const loadSnapshotIndex = async () => {
+  if (!snapshotIndex) {
+    const snapshots = await SnapshotBackend.loadAll()
+    snapshotIndex = snapshots.map(({ id, tier, createdAt, eventCount }) => ({ id, tier, createdAt, eventCount }))
+  }
+  return snapshotIndex
+}
+
+// Write new snapshots and drop the ones past their tier's retention limit.
+// Returns whether the new snapshots were stored.
+const storeSnapshots = async (newSnapshots) => {
+  const index = await loadSnapshotIndex()
+  const nextIndex = [
+    ...index,
+    ...newSnapshots.map(({ id, tier, createdAt, eventCount }) => ({ id, tier, createdAt, eventCount }))
+  ]
+  const remove = getExpiredSnapshotIds(nextIndex, (await canUseIndexedDB()) ? Infinity : LOCAL_SNAPSHOTS_PER_TIER)
+  const stored = await SnapshotBackend.applyChanges({ put: newSnapshots, remove })
+  const skippedIds = stored ? [] : newSnapshots.map(snapshot => snapshot.id)
+  snapshotIndex = nextIndex.filter(snapshot => !remove.includes(snapshot.id) && !skippedIds.includes(snapshot.id))
+  return stored
+}
+
+// Move events saved by older versions from localStorage into IndexedDB (runs once)
+const migrateFromLocalStorage = async () => {
+  const alreadyMigrated = await EventDatabase.getMeta(MIGRATION_FLAG)
+  if (alreadyMigrated) return
+
+  const legacyEvents = LocalStorageBackend.loadEvents()
+  if (legacyEvents.length > 0) {
+    await EventDatabase.applyChanges({ put: legacyEvents })
+    await EventDatabase.setMeta(SCHEMA_VERSION_META_KEY, LocalStorageBackend.loadSchemaVersion())
+  }
+  await EventDatabase.setMeta(MIGRATION_FLAG, new Date().toISOString())
+
+  // Keep the legacy data around as the backup instead of the live copy
+  const legacyData = localStorage.getItem(STORAGE_KEY)
+  if (legacyData) {
+    localStorage.setItem(BACKUP_KEY, legacyData)
+    localStorage.removeItem(STORAGE_KEY)
+  }
+}
+
+// Changes saved to localStorage in a session where IndexedDB couldn't be opened are moved
+// into it once it opens again. What IndexedDB held before is kept as a manual snapshot,
+// restorable from the Backups panel.
+const recoverFallbackWrites = async () => {
+  if (!localStorage.getItem(FALLBACK_WRITES_KEY)) return
+
+  // Only when that session saved events; otherwise localStorage just holds the old backup
+  if (localStorage.getItem(STORAGE_KEY)) {
+    const storedEvents = await EventDatabase.getAllEvents()
+    if (storedEvents.length > 0) {
+      await EventDatabase.applySnapshotChanges({ put: [createSnapshot('manual', storedEvents)] })
+      snapshotIndex = null
+    }
+    const events = readLocalStorageEvents()
+    const keptIds = new Set(events.map(event => event.id))
+    await EventDatabase.applyChanges({ put: events, remove: storedEvents.map(event => event.id).filter(id => !keptIds.has(id)) })
+    await EventDatabase.setMeta(SCHEMA_VERSION_META_KEY, SCHEMA_VERSION)
+  }
+  await EventDatabase.applyCheckInChanges({ put: LocalStorageBackend.loadCheckIns() })
+
+  const recordKeys = Array.from({ length: localStorage.length }, (_, index) => localStorage.key(index))
+    .filter(key => key.startsWith(RECORD_KEY_PREFIX))
+  for (const key of recordKeys) {
+    await EventDatabase.setMeta(key.slice(RECORD_KEY_PREFIX.length), JSON.parse(localStorage.getItem(key)))
+    localStorage.removeItem(key)
+  }
+
+  const fallbackData = localStorage.getItem(STORAGE_KEY)
+  if (fallbackData) localStorage.setItem(BACKUP_KEY, fallbackData)
+  localStorage.removeItem(STORAGE_KEY)
+  localStorage.removeItem(CHECK_INS_STORAGE_KEY)
+  localStorage.removeItem(FALLBACK_WRITES_KEY)
+}
+
+// Read localStorage events in the current schema without writing anything
+const readLocalStorageEvents = () => {
+  return migrateEvents(LocalStorageBackend.loadEvents(), LocalStorageBackend.loadSchemaVersion())
+}
+
+// Load localStorage events, upgrading them in place if they use an older schema
+const loadLocalStorageEvents = async () => {
+  const storedVersion = LocalStorageBackend.loadSchemaVersion()
+  const storedEvents = LocalStorageBackend.loadEvents()
+  const events = migrateEvents(storedEvents, storedVersion)
+  if (storedVersion !== SCHEMA_VERSION) {
+    if (storedEvents.length > 0) {
+      // Skipped when localStorage is full; saveEvents still keeps the old data as the backup
+      await storeSnapshots([createSnapshot('upgrade', storedEvents)])
+      LocalStorageBackend.saveEvents(events)
+    }
+    LocalStorageBackend.saveSchemaVersion(SCHEMA_VERSION)
+  }
+  return events
+}
+
+// Set when stored events couldn't be read or upgraded. Saves are then refused for the
+// rest of the session so the original data isn't overwritten.
+let eventsLoadFailed = false
+
+// Saves and clears run one after another, so each save diffs against what the previous one wrote
+let saveQueue = Promise.resolve()
+
+const enqueueWrite = (write) => {
+  saveQueue = saveQueue.then(write)
+  return saveQueue
+}
+
+// Small key/value records (categories, settings) live in the IndexedDB meta store,
+// or under a prefixed localStorage key when IndexedDB is unavailable
+const loadRecord = async (key, fallback) => {
+  if (await canUseIndexedDB()) {
+    const value = await EventDatabase.getMeta(key)
+    return value === undefined ? fallback : value
+  }
+  const stored = localStorage.getItem(RECORD_KEY_PREFIX + key)
+  return stored === null ? fallback : JSON.parse(stored)
+}
+
+const saveRecord = async (key, value) => {
+  if (await canUseIndexedDB()) {
+    await EventDatabase.setMeta(key, value)
+  } else {
+    localStorage.setItem(RECORD_KEY_PREFIX + key, JSON.stringify(value))
+    markFallbackWrite()
+  }
+}
+
+// Newest-created first, matching the order events are added in the app
+const sortNewestFirst = (events) => [...events].sort((a, b) => b.id - a.id)
+
+// Enhanced IndexedDB storage with localStorage fallback and backup
+export const StorageManager = {
+  // Save events, writing only the ones that were added, changed or removed.
+  // Saves are queued, so quick successive changes never diff against a stale state.
+  saveEvents: (events) => enqueueWrite(async () => {
+    if (eventsLoadFailed) {
+      return { success: false, error: 'Stored events could not be loaded, so nothing is saved over them' }
+    }
+    try {
+      if (!(await canUseIndexedDB())) {
+        LocalStorageBackend.saveEvents(events)
+        LocalStorageBackend.saveSchemaVersion(SCHEMA_VERSION)
+        markFallbackWrite()
+        return { success: true }
+      }
+
+      const nextSnapshot = new Map(events.map(event => [event.id, JSON.stringify(event)]))
+      const put = events.filter(event => savedSnapshot.get(event.id) !== nextSnapshot.get(event.id))
+      const remove = [...savedSnapshot.keys()].filter(id => !nextSnapshot.has(id))
+
+      await EventDatabase.applyChanges({ put, remove })
+      savedSnapshot = nextSnapshot
+      return { success: true, written: put.length, deleted: remove.length }
+    } catch (error) {
+      console.error('Failed to save events:', error)
+      return { success: false, error: error.message }
+    }
+  }),
+
+  // Load events, migrating localStorage data on first run. Events stored with an older
+  // schema are upgraded and written back after an "upgrade" snapshot of them is taken.
+  // If that fails nothing is rewritten and the localStorage copy is shown read-only.
+  loadEvents: async () => {
+    try {
+      if (!(await canUseIndexedDB())) {
+        return await loadLocalStorageEvents()
+      }
+
+      await migrateFromLocalStorage()
+      const storedEvents = await EventDatabase.getAllEvents()
+      const storedVersion = (await EventDatabase.getMeta(SCHEMA_VERSION_META_KEY)) || 1
+      const events = sortNewestFirst(migrateEvents(storedEvents, storedVersion))
+      if (storedVersion !== SCHEMA_VERSION) {
+        // Keep the data as it was before the upgrade, restorable from the Backups panel
+        if (storedEvents.length > 0) await storeSnapshots([createSnapshot('upgrade', storedEvents)])
+        await EventDatabase.applyChanges({ put: events })
+        await EventDatabase.setMeta(SCHEMA_VERSION_META_KEY, SCHEMA_VERSION)
+      }
+      savedSnapshot = new Map(events.map(event => [event.id, JSON.stringify(event)]))
+      return events
+    } catch (error) {
+      eventsLoadFailed = true
+      console.error('Failed to load events, showing the localStorage copy read-only:', error)
+      try {
+        return readLocalStorageEvents()
+      } catch (localError) {
+        console.error('Failed to read the localStorage copy:', localError)
+        return []
+      }
+    }
+  },
+
+  // Take a snapshot for every automatic tier (hourly, daily, weekly) that is due.
+  // Called after each successful save; empty event lists are never snapshotted.
+  takeDueSnapshots: async (events) => {
+    try {
+      if (events.length === 0) return { success: true, taken: [] }
+      const now = new Date()
+      const dueTiers = getDueTiers(await loadSnapshotIndex(), now)
+      if (dueTiers.length === 0) return { success: true, taken: [] }
+      const stored = await storeSnapshots(dueTiers.map(tier => createSnapshot(tier, events, now)))
+      return { success: true, taken: stored ? dueTiers : [] }
+    } catch (error) {
+      console.error('Failed to take backup snapshots:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Take a manual snapshot right now
+  createManualSnapshot: async (events) => {
+    try {
+      const snapshot = createSnapshot('manual', events)
+      if (!(await storeSnapshots([snapshot]))) {
+        return { success: false, error: 'Not enough storage space for another snapshot' }
+      }
+      return { success: true, snapshot }
+    } catch (error) {
+      console.error('Failed to create snapshot:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // All backup snapshots, newest first
+  loadSnapshots: async () => {
+    try {
+      return sortSnapshots(await SnapshotBackend.loadAll())
+    } catch (error) {
+      console.error('Failed to load snapshots:', error)
+      return []
+    }
+  },
+
+  // Save check-ins, writing only the days that were added, changed or removed (queued like events)
+  saveCheckIns: (checkIns) => enqueueWrite(async () => {
+    try {
+      if (!(await canUseIndexedDB())) {
+        LocalStorageBackend.saveCheckIns(checkIns)
+        markFallbackWrite()
+        return { success: true }
+      }
+
+      const nextSnapshot = new Map(checkIns.map(checkIn => [checkIn.date, JSON.stringify(checkIn)]))
+      const put = checkIns.filter(checkIn => savedCheckInSnapshot.get(checkIn.date) !== nextSnapshot.get(checkIn.date))
+      const remove = [...savedCheckInSnapshot.keys()].filter(date => !nextSnapshot.has(date))
+
+      await EventDatabase.applyCheckInChanges({ put, remove })
+      savedCheckInSnapshot = nextSnapshot
+      return { success: true, written: put.length, deleted: remove.length }
+    } catch (error) {
+      console.error('Failed to save check-ins:', error)
+      return { success: false, error: error.message }
+    }
+  }),
+
+  // Load every daily check-in, oldest first
+  loadCheckIns: async () => {
+    if (!(await canUseIndexedDB())) {
+      return LocalStorageBackend.loadCheckIns()
+    }
+
+    try {
+      const checkIns = await EventDatabase.getAllCheckIns()
+      savedCheckInSnapshot = new Map(checkIns.map(checkIn => [checkIn.date, JSON.stringify(checkIn)]))
+      return checkIns
+    } catch (error) {
+      console.error('Failed to load check-ins:', error)
+      return []
+    }
+  },
+
+  // Export events, check-ins and goals as JSON file
+  exportEvents: (events, checkIns = [], goals = []) => {
+    try {
+      const payload = {
+        app: 'selframe',
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        events,
+        checkIns,
+        goals
+      }
+      const dataStr = JSON.stringify(payload, null, 2)
       const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr)
       
-      const exportFileDefaultName = `mental-health-events-${new Date().toISOString().split('T')[0]}.json`
+      const exportFileDefaultName = `mental-health-events-${getToday()}.json`
       
       const linkElement = document.createElement('a')
       linkElement.setAttribute('href', dataUri)
@@ -65,23 +534,30 @@ export const StorageManager = {
     }
   },
 
-  // Import events from JSON file
+  // Import events (and check-ins and goals, if the file has any) from JSON file,
+  // upgrading files exported by older versions
   importEvents: (file) => {
     return new Promise((resolve, reject) => {
       const reader = new FileReader()
       reader.onload = (e) => {
+        let data
         try {
-          const events = JSON.parse(e.target.result)
+          data = JSON.parse(e.target.result)
+        } catch {
+          reject(new Error('Failed to parse JSON file'))
+          return
+        }
+        try {
+          const { events, checkIns, goals, schemaVersion } = parseEventPayload(data)
           // Validate the imported data structure
-          if (Array.isArray(events) && events.every(event => 
-            event.id && event.name && event.category && event.date
-          )) {
-            resolve(events)
-          } else {
+          if (!events.every(event => event.id && event.name && event.category && event.date) ||
+              !checkIns.every(isValidCheckIn)) {
             reject(new Error('Invalid file format'))
+            return
           }
+          resolve({ events: migrateEvents(events, schemaVersion), checkIns, goals })
         } catch (error) {
-          reject(new Error('Failed to parse JSON file'))
+          reject(error)
         }
       }
       reader.onerror = () => reject(new Error('Failed to read file'))
@@ -89,42 +565,331 @@ export const StorageManager = {
     })
   },
 
+  // Export events as CSV file with the documented column set (see csv.js)
+  exportEventsCsv: (events, categories) => {
+    try {
+      // Byte order mark so Excel reads the file as UTF-8
+      const dataUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent('\uFEFF' + eventsToCsv(events, categories))
+
+      const exportFileDefaultName = `mental-health-events-${getToday()}.csv`
+
+      const linkElement = document.createElement('a')
+      linkElement.setAttribute('href', dataUri)
+      linkElement.setAttribute('download', exportFileDefaultName)
+      linkElement.click()
+
+      return { success: true, filename: exportFileDefaultName }
+    } catch (error) {
+      console.error('Failed to export CSV:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Read a CSV file into rows of strings; the first row holds the headers
+  readCsvFile: (file) => {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = (e) => {
+        const rows = parseCsv(e.target.result)
+        if (rows.length < 2) {
+          reject(new Error('The CSV file has no data rows'))
+          return
+        }
+        resolve(rows)
+      }
+      reader.onerror = () => reject(new Error('Failed to read file'))
+      reader.readAsText(file)
+    })
+  },
+
+  // Export events as iCalendar (.ics) file for Apple Calendar, Outlook, Thunderbird etc.
+  exportEventsIcs: (events, categories) => {
+    try {
+      const dataUri = 'data:text/calendar;charset=utf-8,' + encodeURIComponent(eventsToIcs(events, categories))
+
+      const exportFileDefaultName = `mental-health-events-${getToday()}.ics`
+
+      const linkElement = document.createElement('a')
+      linkElement.setAttribute('href', dataUri)
+      linkElement.setAttribute('download', exportFileDefaultName)
+      linkElement.click()
+
+      return { success: true, filename: exportFileDefaultName }
+    } catch (error) {
+      console.error('Failed to export iCalendar file:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Export activities with their influence spans as an iCalendar file, optionally only some categories
+  exportCoverageIcs: (events, categories, categoryIds = []) => {
+    try {
+      const dataUri = 'data:text/calendar;charset=utf-8,' + encodeURIComponent(buildCoverageIcs(events, categories, categoryIds))
+
+      const exportFileDefaultName = `selframe-coverage-${getToday()}.ics`
+
+      const linkElement = document.createElement('a')
+      linkElement.setAttribute('href', dataUri)
+      linkElement.setAttribute('download', exportFileDefaultName)
+      linkElement.click()
+
+      return { success: true, filename: exportFileDefaultName }
+    } catch (error) {
+      console.error('Failed to export coverage calendar:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Import events from an iCalendar (.ics) file
+  importEventsIcs: (file, categories, importRules) => {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = (e) => {
+        try {
+          resolve(icsToEvents(e.target.result, categories, importRules))
+        } catch (error) {
+          reject(error)
+        }
+      }
+      reader.onerror = () => reject(new Error('Failed to read file'))
+      reader.readAsText(file)
+    })
+  },
+
+  // Load the category registry, starting from the built-in categories on first run
+  loadCategories: async () => {
+    try {
+      const categories = await loadRecord(CATEGORIES_KEY, null)
+      return Array.isArray(categories) && categories.length > 0 ? categories : DEFAULT_CATEGORIES
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+      return DEFAULT_CATEGORIES
+    }
+  },
+
+  // Save the category registry
+  saveCategories: async (categories) => {
+    try {
+      await saveRecord(CATEGORIES_KEY, categories)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save categories:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the chosen scoring model and its parameters
+  loadScoringSettings: async () => {
+    try {
+      return normalizeScoringSettings(await loadRecord(SCORING_SETTINGS_KEY, DEFAULT_SCORING_SETTINGS))
+    } catch (error) {
+      console.error('Failed to load scoring settings:', error)
+      return DEFAULT_SCORING_SETTINGS
+    }
+  },
+
+  // Save the scoring model settings
+  saveScoringSettings: async (settings) => {
+    try {
+      await saveRecord(SCORING_SETTINGS_KEY, settings)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save scoring settings:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the rules that categorize imported calendar events
+  loadImportRules: async () => {
+    try {
+      return normalizeImportRules(await loadRecord(IMPORT_RULES_KEY, []))
+    } catch (error) {
+      console.error('Failed to load import rules:', error)
+      return []
+    }
+  },
+
+  // Save the import rules
+  saveImportRules: async (rules) => {
+    try {
+      await saveRecord(IMPORT_RULES_KEY, rules)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save import rules:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the user's goals
+  loadGoals: async () => {
+    try {
+      return normalizeGoals(await loadRecord(GOALS_KEY, []))
+    } catch (error) {
+      console.error('Failed to load goals:', error)
+      return []
+    }
+  },
+
+  // Save the user's goals
+  saveGoals: async (goals) => {
+    try {
+      await saveRecord(GOALS_KEY, goals)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save goals:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the time zone chosen in the settings, or null to follow the device
+  loadTimeZone: async () => {
+    try {
+      const timeZone = await loadRecord(TIME_ZONE_KEY, null)
+      return isValidTimeZone(timeZone) ? timeZone : null
+    } catch (error) {
+      console.error('Failed to load time zone:', error)
+      return null
+    }
+  },
+
+  // Save the chosen time zone (null follows the device)
+  saveTimeZone: async (timeZone) => {
+    try {
+      await saveRecord(TIME_ZONE_KEY, timeZone)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save time zone:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the URL of the local feed server the coverage calendar is published to, or null when not publishing
+  loadCoverageFeedServer: async () => {
+    try {
+      return (await loadRecord(COVERAGE_FEED_KEY, null))?.serverUrl || null
+    } catch (error) {
+      console.error('Failed to load coverage feed settings:', error)
+      return null
+    }
+  },
+
+  // Save the feed server URL (null stops publishing)
+  saveCoverageFeedServer: async (serverUrl) => {
+    try {
+      await saveRecord(COVERAGE_FEED_KEY, { serverUrl })
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save coverage feed settings:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the imported events waiting for review and the ignored import keys
+  loadImportQueue: async () => {
+    try {
+      return normalizeImportQueue(await loadRecord(IMPORT_QUEUE_KEY, null))
+    } catch (error) {
+      console.error('Failed to load import queue:', error)
+      return normalizeImportQueue(null)
+    }
+  },
+
+  // Save the import review queue
+  saveImportQueue: async (queue) => {
+    try {
+      await saveRecord(IMPORT_QUEUE_KEY, queue)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save import queue:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Load the Google Calendar sync token and event id mapping
+  loadGoogleSyncState: async () => {
+    try {
+      return { ...EMPTY_SYNC_STATE, ...(await loadRecord(GOOGLE_SYNC_STATE_KEY, null)) }
+    } catch (error) {
+      console.error('Failed to load Google sync state:', error)
+      return EMPTY_SYNC_STATE
+    }
+  },
+
+  // Save the Google Calendar sync token and event id mapping
+  saveGoogleSyncState: async (state) => {
+    try {
+      await saveRecord(GOOGLE_SYNC_STATE_KEY, state)
+      return { success: true }
+    } catch (error) {
+      console.error('Failed to save Google sync state:', error)
+      return { success: false, error: error.message }
+    }
+  },
+
   // Get storage info
-  getStorageInfo: () => {
+  getStorageInfo: async () => {
     try {
-      const events = StorageManager.loadEvents()
-      const dataSize = JSON.stringify(events).length
-      const hasBackup = localStorage.getItem(BACKUP_KEY) !== null
-      
+      let eventCount
+      let checkInCount
+      let dataSize
+      let lastModified
+
+      if (await canUseIndexedDB()) {
+        eventCount = await EventDatabase.countEvents()
+        checkInCount = savedCheckInSnapshot.size
+        dataSize = [...savedSnapshot.values()].reduce((sum, serialized) => sum + serialized.length, 0)
+        lastModified = savedSnapshot.size > 0 ? Math.max(...savedSnapshot.keys()) : null
+      } else {
+        const events = LocalStorageBackend.loadEvents()
+        eventCount = events.length
+        checkInCount = LocalStorageBackend.loadCheckIns().length
+        dataSize = JSON.stringify(events).length
+        lastModified = events.length > 0 ? Math.max(...events.map(e => e.id)) : null
+      }
+      const snapshotCount = (await loadSnapshotIndex()).length
+      const hasBackup = snapshotCount > 0 || localStorage.getItem(BACKUP_KEY) !== null
+
       return {
-        eventCount: events.length,
+        eventCount,
+        checkInCount,
         dataSize: dataSize,
         dataSizeFormatted: formatBytes(dataSize),
         hasBackup,
-        lastModified: events.length > 0 ? Math.max(...events.map(e => e.id)) : null
+        snapshotCount,
+        storageEngine: (await canUseIndexedDB()) ? 'IndexedDB' : 'localStorage',
+        lastModified
       }
     } catch (error) {
       return {
         eventCount: 0,
+        checkInCount: 0,
         dataSize: 0,
         dataSizeFormatted: '0 B',
         hasBackup: false,
+        snapshotCount: 0,
         lastModified: null,
         error: error.message
       }
     }
   },
 
-  // Clear all data (with confirmation)
-  clearAllData: () => {
+  // Clear all data (with confirmation). Backup snapshots are kept so the data can still be restored.
+  clearAllData: () => enqueueWrite(async () => {
     try {
+      if (await canUseIndexedDB()) {
+        await EventDatabase.clearEvents()
+        await EventDatabase.clearCheckIns()
+        savedSnapshot = new Map()
+        savedCheckInSnapshot = new Map()
+      }
       localStorage.removeItem(STORAGE_KEY)
       localStorage.removeItem(BACKUP_KEY)
+      localStorage.removeItem(CHECK_INS_STORAGE_KEY)
       return { success: true }
     } catch (error) {
       return { success: false, error: error.message }
     }
-  }
+  })
 }
 
 // Helper function to format bytes
@@ -137,7 +902,7 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i]
 }
 
-// Database upgrade options (for future implementation)
+// Database upgrade options
 export const DatabaseOptions = {
   // Option 1: IndexedDB (browser database)
   indexedDB: {
@@ -145,7 +910,7 @@ export const DatabaseOptions = {
     description: 'Browser-based database with more storage space and better performance',
     pros: ['More storage space', 'Better performance', 'Structured queries', 'Offline support'],
     cons: ['More complex setup', 'Browser-only'],
-    implementation: 'Can store much larger datasets and provides better querying capabilities'
+    implementation: 'Implemented - events are stored per record in IndexedDB'
   },
 
   // Option 2: Firebase (Google's cloud database)
@@ -0,0 +1,317 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+// localStorage as the browser exposes it, backed by a Map
+const createMemoryStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries))
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => { items.set(key, String(value)) },
+    removeItem: (key) => { items.delete(key) },
+    key: (index) => [...items.keys()][index] ?? null,
+    get length() { return items.size }
+  }
+}
+
+// An IndexedDB whose open requests always fail, as in some private browsing modes
+const createFailingIndexedDB = () => ({
+  open: vi.fn(() => {
+    const request = { error: new DOMException('The operation is insecure.', 'SecurityError') }
+    setTimeout(() => request.onerror())
+    return request
+  })
+})
+
+const walk = {
+  id: 1700000000000,
+  name: 'Walk',
+  category: 'exercise',
+  date: '2025-05-02',
+  startTime: '08:00',
+  endTime: '08:30',
+  duration: '00:30',
+  isAllDay: false,
+  impact: 6,
+  reachValue: 1,
+  reachUnit: 'days',
+  rippleScore: 4.2
+}
+
+describe('StorageManager when IndexedDB cannot be opened', () => {
+  let storage
+  let indexedDB
+  let StorageManager
+
+  beforeEach(async () => {
+    vi.resetModules()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    // State after an earlier move to IndexedDB: the legacy data only remains as the backup
+    storage = createMemoryStorage({
+      mentalHealthEvents_backup: JSON.stringify([walk]),
+      mentalHealthEvents_schemaVersion: '3'
+    })
+    indexedDB = createFailingIndexedDB()
+    vi.stubGlobal('localStorage', storage)
+    vi.stubGlobal('indexedDB', indexedDB)
+    ;({ StorageManager } = await import('./storage'))
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('reads and writes everything in localStorage for the rest of the session', async () => {
+    expect(await StorageManager.loadEvents()).toEqual([walk])
+    expect(await StorageManager.loadCheckIns()).toEqual([])
+
+    const run = { ...walk, id: walk.id + 1, name: 'Run' }
+    expect(await StorageManager.saveEvents([run, walk])).toMatchObject({ success: true })
+    expect(JSON.parse(storage.getItem('mentalHealthEvents'))).toEqual([run, walk])
+
+    const checkIn = { date: '2025-05-02', mood: 4 }
+    expect(await StorageManager.saveCheckIns([checkIn])).toMatchObject({ success: true })
+    expect(JSON.parse(storage.getItem('mentalHealthCheckIns'))).toEqual([checkIn])
+
+    expect(await StorageManager.createManualSnapshot([run, walk])).toMatchObject({ success: true })
+    expect(JSON.parse(storage.getItem('mentalHealthEvents_snapshots'))).toHaveLength(1)
+
+    expect(await StorageManager.saveCategories([{ id: 'nature', name: 'Nature' }])).toMatchObject({ success: true })
+    expect(await StorageManager.loadCategories()).toEqual([{ id: 'nature', name: 'Nature' }])
+
+    expect((await StorageManager.getStorageInfo()).storageEngine).toBe('localStorage')
+    // Opening is only tried once, and the changes are marked for moving into IndexedDB later
+    expect(indexedDB.open).toHaveBeenCalledTimes(1)
+    expect(storage.getItem('mentalHealthEvents_savedWithoutIndexedDB')).not.toBeNull()
+  })
+
+  it('moves those changes into IndexedDB once it opens again', async () => {
+    // A first session stores the walk in a working database
+    const database = new IDBFactory()
+    vi.stubGlobal('indexedDB', database)
+    vi.resetModules()
+    let session = (await import('./storage')).StorageManager
+    await session.loadEvents()
+    await session.saveEvents([walk])
+
+    // In the next one the database can't be opened and the run is saved to localStorage
+    vi.stubGlobal('indexedDB', createFailingIndexedDB())
+    vi.resetModules()
+    session = (await import('./storage')).StorageManager
+    await session.loadEvents()
+    const run = { ...walk, id: walk.id + 1, name: 'Run' }
+    await session.saveEvents([run, walk])
+    await session.saveCheckIns([{ date: '2025-05-02', mood: 4 }])
+
+    // Once it opens again, the run is there and the database's old state is a snapshot
+    vi.stubGlobal('indexedDB', database)
+    vi.resetModules()
+    session = (await import('./storage')).StorageManager
+    const [events, checkIns] = await Promise.all([session.loadEvents(), session.loadCheckIns()])
+    expect(events).toEqual([run, walk])
+    expect(checkIns).toEqual([{ date: '2025-05-02', mood: 4 }])
+    expect((await session.loadSnapshots()).map(snapshot => [snapshot.tier, snapshot.eventCount])).toEqual([['manual', 1]])
+    expect(storage.getItem('mentalHealthEvents')).toBeNull()
+    expect(storage.getItem('mentalHealthEvents_savedWithoutIndexedDB')).toBeNull()
+  })
+
+  it('keeps the database events when only check-ins were saved without it', async () => {
+    const database = new IDBFactory()
+    vi.stubGlobal('indexedDB', database)
+    vi.resetModules()
+    let session = (await import('./storage')).StorageManager
+    await session.loadEvents()
+    const run = { ...walk, id: walk.id + 1, name: 'Run' }
+    await session.saveEvents([run, walk])
+
+    vi.stubGlobal('indexedDB', createFailingIndexedDB())
+    vi.resetModules()
+    session = (await import('./storage')).StorageManager
+    await session.loadEvents()
+    await session.saveCheckIns([{ date: '2025-05-02', mood: 4 }])
+
+    // The backup still only has the walk, which must not replace the run and the walk
+    vi.stubGlobal('indexedDB', database)
+    vi.resetModules()
+    session = (await import('./storage')).StorageManager
+    expect(await session.loadEvents()).toEqual([run, walk])
+    expect(await session.loadCheckIns()).toEqual([{ date: '2025-05-02', mood: 4 }])
+    expect(await session.loadSnapshots()).toEqual([])
+  })
+})
+
+// Events as schema v1 saved them: numbers typed into forms kept as strings, no ripple score
+const v1Events = [
+  { id: 1, name: 'Therapy', category: 'therapy', date: '2024-03-01', impact: '8', reachValue: '3', reachUnit: 'days' },
+  { id: 2, name: 'Nap', category: 'rest', date: '2024-03-02', duration: '00:30', isAllDay: false, impact: 'high', reachValue: '0', rippleScore: '2.5' }
+]
+
+// Schema v2 had start and end times without validating them
+const v2Events = [
+  { ...walk, id: 3, startTime: '9am', endTime: '10:00', duration: '00:45' },
+  { ...walk, id: 4, startTime: '18:00', endTime: '19:30', duration: '01:00' },
+  { ...walk, id: 5, isAllDay: true, startTime: '08:00', endTime: null, duration: '01:00' }
+]
+
+const byId = (events) => [...events].sort((a, b) => a.id - b.id)
+
+const expectV1Migrated = (events) => {
+  const [therapy, nap] = byId(events)
+  expect(therapy).toMatchObject({
+    duration: '01:00',
+    isAllDay: false,
+    impact: 8,
+    reachValue: 3,
+    reachUnit: 'days',
+    startTime: null,
+    endTime: null
+  })
+  expect(therapy.rippleScore).toBeGreaterThan(0)
+  expect(nap).toMatchObject({ duration: '00:30', impact: 5, reachValue: 1, reachUnit: 'days', rippleScore: 2.5, startTime: null })
+}
+
+const expectV2Migrated = (events) => {
+  const [badTime, evening, allDay] = byId(events)
+  expect(badTime).toMatchObject({ startTime: null, endTime: null, duration: '00:45' })
+  expect(evening).toMatchObject({ startTime: '18:00', endTime: '19:30', duration: '01:30' })
+  expect(allDay).toMatchObject({ isAllDay: true, startTime: null, endTime: null })
+}
+
+describe('StorageManager schema migrations', () => {
+  let storage
+  let database
+
+  // Write events straight into the database, as an older version of the app left them
+  const seedDatabase = async (events, schemaVersion) => {
+    vi.resetModules()
+    const { EventDatabase } = await import('./eventDatabase')
+    await EventDatabase.applyChanges({ put: events })
+    await EventDatabase.setMeta('migratedFromLocalStorage', '2024-01-01T00:00:00.000Z')
+    if (schemaVersion) await EventDatabase.setMeta('schemaVersion', schemaVersion)
+  }
+
+  // A new session: fresh module state on top of the same storage
+  const openSession = async () => {
+    vi.resetModules()
+    const { StorageManager } = await import('./storage')
+    const { EventDatabase } = await import('./eventDatabase')
+    return { StorageManager, EventDatabase }
+  }
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    storage = createMemoryStorage()
+    database = new IDBFactory()
+    vi.stubGlobal('localStorage', storage)
+    vi.stubGlobal('indexedDB', database)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it.each([
+    [1, v1Events, expectV1Migrated],
+    [2, v2Events, expectV2Migrated]
+  ])('upgrades v%i events stored in IndexedDB', async (version, storedEvents, expectMigrated) => {
+    await seedDatabase(storedEvents, version === 1 ? undefined : version)
+    const { StorageManager, EventDatabase } = await openSession()
+
+    const events = await StorageManager.loadEvents()
+
+    expectMigrated(events)
+    expect(byId(await EventDatabase.getAllEvents())).toEqual(byId(events))
+    expect(await EventDatabase.getMeta('schemaVersion')).toBe(3)
+    const snapshots = await StorageManager.loadSnapshots()
+    expect(snapshots.map(snapshot => snapshot.tier)).toEqual(['upgrade'])
+    expect(byId(snapshots[0].events)).toEqual(storedEvents)
+  })
+
+  it('takes the upgrade snapshot before rewriting any event', async () => {
+    await seedDatabase(v1Events)
+    const { StorageManager, EventDatabase } = await openSession()
+    const storeSnapshot = vi.spyOn(EventDatabase, 'applySnapshotChanges')
+    const writeEvents = vi.spyOn(EventDatabase, 'applyChanges')
+
+    await StorageManager.loadEvents()
+
+    expect(storeSnapshot).toHaveBeenCalledTimes(1)
+    expect(writeEvents).toHaveBeenCalledTimes(1)
+    expect(storeSnapshot.mock.invocationCallOrder[0]).toBeLessThan(writeEvents.mock.invocationCallOrder[0])
+  })
+
+  it('upgrades legacy localStorage events while moving them into IndexedDB', async () => {
+    storage.setItem('mentalHealthEvents', JSON.stringify(v1Events))
+    const { StorageManager, EventDatabase } = await openSession()
+
+    const events = await StorageManager.loadEvents()
+
+    expectV1Migrated(events)
+    expect(byId(await EventDatabase.getAllEvents())).toEqual(byId(events))
+    const [snapshot] = await StorageManager.loadSnapshots()
+    expect(snapshot.tier).toBe('upgrade')
+    expect(byId(snapshot.events)).toEqual(v1Events)
+    expect(JSON.parse(storage.getItem('mentalHealthEvents_backup'))).toEqual(v1Events)
+  })
+
+  it.each([
+    [1, v1Events, expectV1Migrated],
+    [2, v2Events, expectV2Migrated]
+  ])('upgrades v%i events in place when only localStorage is available', async (version, storedEvents, expectMigrated) => {
+    vi.stubGlobal('indexedDB', undefined)
+    storage.setItem('mentalHealthEvents', JSON.stringify(storedEvents))
+    if (version > 1) storage.setItem('mentalHealthEvents_schemaVersion', String(version))
+    const { StorageManager } = await openSession()
+
+    const events = await StorageManager.loadEvents()
+
+    expectMigrated(events)
+    expect(JSON.parse(storage.getItem('mentalHealthEvents'))).toEqual(events)
+    expect(storage.getItem('mentalHealthEvents_schemaVersion')).toBe('3')
+    expect(JSON.parse(storage.getItem('mentalHealthEvents_backup'))).toEqual(storedEvents)
+    const [snapshot] = JSON.parse(storage.getItem('mentalHealthEvents_snapshots'))
+    expect(snapshot).toMatchObject({ tier: 'upgrade', events: storedEvents })
+  })
+
+  it('leaves IndexedDB untouched when the upgrade snapshot cannot be stored', async () => {
+    await seedDatabase(v1Events)
+    const { StorageManager, EventDatabase } = await openSession()
+    vi.spyOn(EventDatabase, 'applySnapshotChanges').mockRejectedValueOnce(new Error('QuotaExceededError'))
+
+    await StorageManager.loadEvents()
+
+    expect(byId(await EventDatabase.getAllEvents())).toEqual(v1Events)
+    expect(await EventDatabase.getMeta('schemaVersion')).toBeUndefined()
+    expect(await StorageManager.saveEvents([walk])).toMatchObject({ success: false })
+    expect(byId(await EventDatabase.getAllEvents())).toEqual(v1Events)
+  })
+
+  it('leaves events saved by a newer version untouched', async () => {
+    const newerEvents = [{ ...walk, startsAt: '2025-05-02T08:00:00Z' }]
+    await seedDatabase(newerEvents, 4)
+    const { StorageManager, EventDatabase } = await openSession()
+
+    expect(await StorageManager.loadEvents()).toEqual([])
+    expect(await StorageManager.saveEvents([])).toMatchObject({ success: false })
+
+    expect(await EventDatabase.getAllEvents()).toEqual(newerEvents)
+    expect(await EventDatabase.getMeta('schemaVersion')).toBe(4)
+    expect(await StorageManager.loadSnapshots()).toEqual([])
+  })
+
+  it('leaves localStorage untouched when its events cannot be upgraded', async () => {
+    vi.stubGlobal('indexedDB', undefined)
+    const saved = JSON.stringify([walk])
+    storage.setItem('mentalHealthEvents', saved)
+    storage.setItem('mentalHealthEvents_schemaVersion', '4')
+    const { StorageManager } = await openSession()
+
+    expect(await StorageManager.loadEvents()).toEqual([])
+    expect(await StorageManager.saveEvents([])).toMatchObject({ success: false })
+
+    expect(storage.getItem('mentalHealthEvents')).toBe(saved)
+    expect(storage.getItem('mentalHealthEvents_backup')).toBeNull()
+    expect(storage.getItem('mentalHealthEvents_schemaVersion')).toBe('4')
+  })
+})